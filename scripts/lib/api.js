@@ -0,0 +1,122 @@
+/**
+ * Alien Zones - Public API
+ * Exposes module functionality on game.modules.get('alien-zones').api
+ */
+
+import { getTokenRange, getTokenZoneIds, getSceneZoneGraph, reportTargetRange } from './zoneGraph.js';
+import { getZoneOccupants, getZoneRoster } from './zoneRoster.js';
+import { requestZoneAction, ZONE_ACTIONS } from './zoneAuthority.js';
+import { registerZoneType, unregisterZoneType, getZoneTypes, getZoneTypeConfig } from './zoneTypes.js';
+import { openZoneManager } from './zoneManager.js';
+import { triggerFalsePing } from './zoneTracker.js';
+import { isSneaking, setSneaking } from './zoneStealth.js';
+import { setZoneAtmosphere, cycleAirlock, stepSceneDecompression } from './zoneAtmosphere.js';
+import { openMotionTracker } from './motionTracker.js';
+import { toggleZoneOverlay } from './zoneOverlay.js';
+import { getZoneEventLog, clearZoneEventLog, filterLogEntries } from './zoneLog.js';
+import { openZoneEventLog, exportLogToJournal, exportLogToCsv } from './zoneLogViewer.js';
+import { SUPPLIES, rollSupply, consumeSupply, getSupplyLedger, summarizeSupplyLedger } from './zoneSupply.js';
+import { getZoneTransactions, revertZoneTransaction, getZoneTransactionOptions } from './zoneTransactions.js';
+import {
+  SCHEDULE_TRIGGERS,
+  getZoneSchedule,
+  scheduleZoneChange,
+  cancelScheduledChange,
+  triggerScheduledChange,
+  stepSceneHazardSpread,
+  applyZoneHazardToOccupants
+} from './zoneSchedule.js';
+import { openZoneSchedule } from './zoneScheduleConfig.js';
+import { TIME_UNITS, advanceZoneTime, splitWorldTime } from './zoneTime.js';
+import { openZoneTimekeeper } from './zoneTimekeeper.js';
+import {
+  ZONE_HOOKS,
+  getZone,
+  getZonesForToken,
+  getTokensInZone,
+  moveTokenToZone,
+  triggerZone,
+  setZoneType
+} from './zoneScripting.js';
+import { isAlienZone } from './lib.js';
+import {
+  exportSceneZones,
+  importSceneZones,
+  promptZoneImport,
+  copyZoneSettings,
+  getZonePresets,
+  saveZonePreset,
+  deleteZonePreset,
+  applyZonePreset
+} from './zoneTransfer.js';
+
+/**
+ * Register the public API on the module
+ */
+export function registerApi() {
+  game.modules.get("alien-zones").api = {
+    isAlienZone,
+    getZone,
+    getZonesForToken,
+    getTokensInZone,
+    moveTokenToZone,
+    triggerZone,
+    setZoneType,
+    ZONE_HOOKS,
+    getTokenRange,
+    getTokenZoneIds,
+    getSceneZoneGraph,
+    reportTargetRange,
+    getZoneOccupants,
+    getZoneRoster,
+    registerZoneType,
+    unregisterZoneType,
+    getZoneTypes,
+    getZoneTypeConfig,
+    requestZoneAction,
+    ZONE_ACTIONS,
+    openZoneManager,
+    openMotionTracker,
+    toggleZoneOverlay,
+    isSneaking,
+    setSneaking,
+    triggerFalsePing,
+    setZoneAtmosphere,
+    cycleAirlock,
+    stepSceneDecompression,
+    SUPPLIES,
+    rollSupply,
+    consumeSupply,
+    getSupplyLedger,
+    summarizeSupplyLedger,
+    SCHEDULE_TRIGGERS,
+    getZoneSchedule,
+    scheduleZoneChange,
+    cancelScheduledChange,
+    triggerScheduledChange,
+    stepSceneHazardSpread,
+    applyZoneHazardToOccupants,
+    openZoneSchedule,
+    TIME_UNITS,
+    advanceZoneTime,
+    splitWorldTime,
+    openZoneTimekeeper,
+    getZoneTransactions,
+    revertZoneTransaction,
+    getZoneTransactionOptions,
+    getZoneEventLog,
+    filterLogEntries,
+    clearZoneEventLog,
+    openZoneEventLog,
+    exportLogToJournal,
+    exportLogToCsv,
+    exportSceneZones,
+    importSceneZones,
+    promptZoneImport,
+    copyZoneSettings,
+    getZonePresets,
+    saveZonePreset,
+    deleteZonePreset,
+    applyZonePreset
+  };
+}
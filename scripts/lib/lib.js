@@ -3,6 +3,9 @@
  * Zone-based gameplay support for the Alien RPG system
  */
 
+import { getZoneTypeConfig } from './zoneTypes.js';
+import { getZoneTransactionOptions } from './zoneTransactions.js';
+
 /**
  * Check if a region is tagged as an Alien Zone
  * @param {Region} region - The region document to check
@@ -30,31 +33,219 @@ export function getZoneName(region) {
   return region.name || "Unknown Zone";
 }
 
+/**
+ * Compare a token's regions before and after a move
+ * @param {Iterable<string>} oldRegionIds - Region ids before the move
+ * @param {Iterable<string>} newRegionIds - Region ids after the move
+ * @returns {{entered: Array<string>, exited: Array<string>}} The regions entered and exited
+ */
+export function diffRegions(oldRegionIds, newRegionIds) {
+  const oldIds = new Set(oldRegionIds);
+  const newIds = new Set(newRegionIds);
+  return {
+    entered: [...newIds].filter(id => !oldIds.has(id)),
+    exited: [...oldIds].filter(id => !newIds.has(id))
+  };
+}
+
+/**
+ * Chat visibility modes for zone messages
+ * - PUBLIC: visible to everyone
+ * - GM: whispered to the GMs
+ * - OWNER: whispered to the token's owners and the GMs
+ * - BLIND: whispered to the GMs as a blind message
+ * @constant {Object}
+ */
+export const MESSAGE_VISIBILITY = {
+  PUBLIC: "public",
+  GM: "gm",
+  OWNER: "owner",
+  BLIND: "blind"
+};
+
+/**
+ * Real time (ms) each token last got a message from each zone, keyed by "kind.zoneId.tokenId"
+ * @type {Map<string, number>}
+ */
+const lastZoneMessages = new Map();
+
+/**
+ * Replace {placeholder} markers in a custom message text
+ * Unknown placeholders are left as they are.
+ *
+ * @param {string} text - The message text
+ * @param {Object} data - Placeholder values
+ * @returns {string} The filled-in text
+ */
+export function fillPlaceholders(text, data) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => (key in data ? data[key] : match));
+}
+
+/**
+ * Decide whether a zone message should be posted
+ * @param {Object} options
+ * @param {boolean} [options.firstEntryOnly=false] - Only post on the token's first entry
+ * @param {boolean} [options.visited=false] - Whether the token has entered the zone before
+ * @param {number} [options.cooldown=0] - Seconds to wait before posting again for the same token
+ * @param {number} [options.lastPosted] - Real time (ms) of the previous message for the token
+ * @param {number} options.now - Current real time (ms)
+ * @returns {boolean} True if the message should be posted
+ */
+export function shouldPostZoneMessage({ firstEntryOnly = false, visited = false, cooldown = 0, lastPosted, now }) {
+  if (firstEntryOnly && visited) return false;
+  if (cooldown > 0 && lastPosted !== undefined && (now - lastPosted) < cooldown * 1000) return false;
+  return true;
+}
+
 /**
  * Post a chat message when a token enters a zone
  * @param {Token} token - The token that entered
  * @param {Region} region - The region that was entered
  */
 export async function postZoneEntryMessage(token, region) {
-  const tokenName = getTokenName(token);
-  const zoneName = getZoneName(region);
-  const zoneType = region.flags?.["alien-zones"]?.zoneType;
-
-  // Select message key based on zone type
-  let messageKey = "ALIENZONE.EnteredZone";
-  if (zoneType === "unbreathable") {
-    messageKey = "ALIENZONE.EnteredUnbreathableZone";
-  }
+  await postZoneMessage(token, region, "enter");
+}
 
-  const content = game.i18n.format(messageKey, {
-    token: tokenName,
-    zone: zoneName
+/**
+ * Post a chat message when a token leaves a zone
+ * @param {Token} token - The token that left
+ * @param {Region} region - The region that was left
+ */
+export async function postZoneExitMessage(token, region) {
+  await postZoneMessage(token, region, "exit");
+}
+
+/**
+ * Post a zone entry or exit message, honoring the zone's template, visibility and cooldown
+ * @param {Token} token - The token that entered or left
+ * @param {Region} region - The region
+ * @param {string} kind - "enter" or "exit"
+ */
+async function postZoneMessage(token, region, kind) {
+  const flags = region.flags?.["alien-zones"] ?? {};
+  const config = getZoneTypeConfig(flags.zoneType);
+  const visitedBy = flags.visitedBy ?? [];
+  const cooldownKey = `${kind}.${region.id}.${token.id}`;
+  const now = Date.now();
+
+  const post = shouldPostZoneMessage({
+    firstEntryOnly: kind === "enter" && flags.firstEntryOnly,
+    visited: visitedBy.includes(token.id),
+    cooldown: Number(flags.messageCooldown) || 0,
+    lastPosted: lastZoneMessages.get(cooldownKey),
+    now
   });
 
-  await ChatMessage.create({
+  // Remember first entries even when the message itself is skipped
+  if (kind === "enter" && flags.firstEntryOnly && !visitedBy.includes(token.id)) {
+    await region.update({ "flags.alien-zones.visitedBy": [...visitedBy, token.id] }, getZoneTransactionOptions(token));
+  }
+
+  if (!post) {
+    console.log(`Alien Zones | Skipped ${kind} message for ${getTokenName(token)} in ${getZoneName(region)}`);
+    return;
+  }
+  lastZoneMessages.set(cooldownKey, now);
+
+  const data = {
+    token: getTokenName(token),
+    zone: getZoneName(region)
+  };
+
+  // A custom text set on the zone wins over the zone type template
+  const customText = kind === "enter" ? flags.enterMessage : flags.exitMessage;
+  const defaultKey = kind === "enter" ? "ALIENZONE.EnteredZone" : "ALIENZONE.LeftZone";
+  const content = customText
+    ? fillPlaceholders(customText, data)
+    : game.i18n.format((kind === "enter" ? config.enterMessage : config.exitMessage) || defaultKey, data);
+
+  const messageData = {
     content: content,
     flavor: game.i18n.localize("ALIENZONE.ModuleName"),
     type: CONST.CHAT_MESSAGE_TYPES.OOC,
     speaker: { alias: game.i18n.localize("ALIENZONE.ModuleName") }
-  });
+  };
+  applyMessageVisibility(messageData, flags.messageVisibility, token);
+  applyNpcMessagePrivacy(messageData, token);
+
+  await ChatMessage.create(messageData, getZoneTransactionOptions(token));
+}
+
+/**
+ * Count the Base Dice an actor rolls for a skill: attribute plus skill level
+ * Creatures without skills roll the attribute of the same name as the skill instead.
+ *
+ * @param {Object} system - The actor's system data
+ * @param {{attribute: string, skill: string}} stat - The attribute and skill keys, e.g. agl and mobility
+ * @param {number} [modifier=0] - Dice added or removed, e.g. by the zone
+ * @returns {number} The number of dice, at least zero
+ */
+export function getSkillPool(system, { attribute, skill }, modifier = 0) {
+  const attributeValue = Number(system?.attributes?.[attribute]?.value) || 0;
+  const skillValue = Number(system?.skills?.[skill]?.value ?? system?.attributes?.[skill]?.value) || 0;
+  return Math.max(0, attributeValue + skillValue + modifier);
+}
+
+/**
+ * Get the roll mode for messages about a token
+ * Messages about tokens without a player owner go to the GMs only, so zones never
+ * give away hidden NPCs and creatures.
+ *
+ * @param {TokenDocument} token - The token the message is about
+ * @returns {string|undefined} The private roll mode for NPCs, undefined for the default mode
+ */
+export function getTokenRollMode(token) {
+  return token.hasPlayerOwner ? undefined : CONST.DICE_ROLL_MODES.PRIVATE;
+}
+
+/**
+ * Whisper a message to the GMs if it is about a token without a player owner
+ * @param {Object} messageData - The chat message data to modify
+ * @param {TokenDocument} token - The token the message is about
+ */
+export function applyNpcMessagePrivacy(messageData, token) {
+  const rollMode = getTokenRollMode(token);
+  if (rollMode) ChatMessage.applyRollMode(messageData, rollMode);
+}
+
+/**
+ * Set the whisper recipients of a message for a visibility mode
+ * @param {Object} messageData - The chat message data to modify
+ * @param {string} [visibility] - One of MESSAGE_VISIBILITY, public by default
+ * @param {Token} token - The token the message is about
+ */
+export function applyMessageVisibility(messageData, visibility, token) {
+  switch (visibility) {
+    case MESSAGE_VISIBILITY.GM:
+      ChatMessage.applyRollMode(messageData, CONST.DICE_ROLL_MODES.PRIVATE);
+      break;
+
+    case MESSAGE_VISIBILITY.BLIND:
+      ChatMessage.applyRollMode(messageData, CONST.DICE_ROLL_MODES.BLIND);
+      break;
+
+    case MESSAGE_VISIBILITY.OWNER:
+      messageData.whisper = game.users
+        .filter(user => user.isGM || token.actor?.testUserPermission(user, "OWNER"))
+        .map(user => user.id);
+      break;
+
+    default:
+      // Public messages need no recipients
+      break;
+  }
+}
+
+/**
+ * Run a function whenever a chat message is rendered, with the message's HTML element
+ * Foundry v13 passes an HTMLElement to renderChatMessageHTML; v12 only has renderChatMessage with jQuery.
+ *
+ * @param {function(ChatMessage, HTMLElement, Object): void} handler - The function to run
+ */
+export function onRenderChatMessage(handler) {
+  if (game.release.generation >= 13) {
+    Hooks.on("renderChatMessageHTML", handler);
+  } else {
+    Hooks.on("renderChatMessage", (message, html, context) => handler(message, html[0], context));
+  }
 }
@@ -0,0 +1,166 @@
+/**
+ * Alien Zones - Motion Tracker Panel
+ * Player-facing tracker display showing pings as rough blips on range rings
+ */
+
+import { RANGE_BANDS, RANGE_BAND_LABELS } from './zoneGraph.js';
+import { registerSocketHandler } from './zoneAuthority.js';
+import { TRACKER_PING } from './zoneTracker.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * How long a blip stays on the tracker, in milliseconds
+ * @constant {number}
+ */
+const BLIP_DURATION = 6000;
+
+/**
+ * Localization keys of the compass directions, one per 45 degrees
+ * @constant {Array<string>}
+ */
+const BEARING_LABELS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"]
+  .map(direction => `ALIENZONE.Tracker.Bearing.${direction}`);
+
+/**
+ * The motion tracker panel
+ * Blips are placed on the ring of their range band, in the rough direction of the movement.
+ */
+export class MotionTracker extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "alien-zones-motion-tracker",
+    classes: ["alien-zones-motion-tracker"],
+    window: {
+      title: "ALIENZONE.Tracker.Title",
+      icon: "fas fa-satellite-dish"
+    },
+    position: {
+      width: 280,
+      height: "auto"
+    }
+  };
+
+  /**
+   * The blips currently shown
+   * @type {Array<{id: string, tokenName: string, band: string, bearing: number, time: number}>}
+   */
+  blips = [];
+
+  /**
+   * Show a ping on the tracker for a while
+   * @param {Object} ping - The ping data
+   * @param {string} ping.tokenName - Name of the carrier whose tracker picked it up
+   * @param {string} ping.band - The range band of the movement
+   * @param {number} ping.bearing - The rough direction of the movement, in degrees
+   */
+  addBlip({ tokenName, band, bearing }) {
+    const blip = { id: foundry.utils.randomID(), tokenName, band, bearing, time: Date.now() };
+    this.blips.push(blip);
+    this.render({ force: true });
+
+    setTimeout(() => {
+      this.blips = this.blips.filter(other => other.id !== blip.id);
+      if (this.rendered) this.render();
+    }, BLIP_DURATION);
+  }
+
+  /** @override */
+  async _renderHTML() {
+    const bands = Object.values(RANGE_BANDS);
+    const rings = bands
+      .slice(1)
+      .map((band, index) => {
+        const size = ((index + 1) / (bands.length - 1)) * 100;
+        return `<div class="alien-zones-tracker-ring" style="width: ${size}%; height: ${size}%"></div>`;
+      })
+      .join('');
+
+    const blips = this.blips
+      .map(blip => {
+        // Engaged sits in the middle, the other bands halfway across their ring
+        const index = bands.indexOf(blip.band);
+        const radius = index <= 0 ? 0 : ((index - 0.5) / (bands.length - 1)) * 50;
+        const radians = blip.bearing * Math.PI / 180;
+        const left = 50 + radius * Math.sin(radians);
+        const top = 50 - radius * Math.cos(radians);
+        // Re-rendering restarts the fade, so older blips pick it up where they were
+        const age = Date.now() - blip.time;
+        return `<div class="alien-zones-tracker-blip"
+                     style="left: ${left}%; top: ${top}%; animation-duration: ${BLIP_DURATION}ms; animation-delay: -${age}ms"></div>`;
+      })
+      .join('');
+
+    const readings = this.blips
+      .map(blip => `
+        <li>
+          ${game.i18n.format("ALIENZONE.Tracker.Reading", {
+            token: foundry.utils.escapeHTML(blip.tokenName),
+            range: game.i18n.localize(RANGE_BAND_LABELS[blip.band]),
+            bearing: game.i18n.localize(BEARING_LABELS[Math.round(blip.bearing / 45) % 8])
+          })}
+        </li>`)
+      .join('');
+
+    return `
+      <div class="alien-zones-tracker-screen">
+        ${rings}
+        ${blips}
+      </div>
+      <ul class="alien-zones-tracker-readings">
+        ${readings || `<li>${game.i18n.localize("ALIENZONE.Tracker.NoMovement")}</li>`}
+      </ul>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+}
+
+/**
+ * The motion tracker panel of this client, if opened
+ * @type {MotionTracker|null}
+ */
+let motionTracker = null;
+
+/**
+ * Open the motion tracker panel
+ * @returns {MotionTracker} The motion tracker panel
+ */
+export function openMotionTracker() {
+  motionTracker ??= new MotionTracker();
+  motionTracker.render({ force: true });
+  return motionTracker;
+}
+
+/**
+ * Show a ping received from the GM, opening the tracker if needed
+ * @param {Object} data - The ping message
+ */
+function onTrackerPing(data) {
+  if (data.sceneId !== canvas.scene?.id) return;
+
+  motionTracker ??= new MotionTracker();
+  motionTracker.addBlip(data);
+}
+
+/**
+ * Initialize the ping listener and the scene control button of the motion tracker
+ */
+export function initMotionTrackerHooks() {
+  registerSocketHandler(TRACKER_PING, onTrackerPing, { gmOnly: false });
+
+  Hooks.on("getSceneControlButtons", (controls) => {
+    const tokens = controls.tokens;
+    if (!tokens?.tools) return;
+
+    tokens.tools.alienZonesTracker = {
+      name: "alienZonesTracker",
+      title: "ALIENZONE.Tracker.Title",
+      icon: "fas fa-satellite-dish",
+      order: Object.keys(tokens.tools).length,
+      button: true,
+      onChange: () => openMotionTracker()
+    };
+  });
+}
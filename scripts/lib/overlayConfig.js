@@ -0,0 +1,66 @@
+/**
+ * Alien Zones - Zone Overlay Settings
+ * Settings menu choosing which zone overlay layers players may see
+ */
+
+import { OVERLAY_LAYERS, getPlayerOverlayLayers } from './zoneOverlay.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * The zone overlay settings form
+ */
+export class ZoneOverlayConfig extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "alien-zones-overlay-config",
+    tag: "form",
+    window: {
+      title: "ALIENZONE.Settings.OverlayLayers",
+      icon: "fas fa-layer-group"
+    },
+    position: {
+      width: 420,
+      height: "auto"
+    },
+    form: {
+      handler: ZoneOverlayConfig.#onSubmit,
+      closeOnSubmit: true
+    }
+  };
+
+  /** @override */
+  async _renderHTML() {
+    const layers = getPlayerOverlayLayers();
+    const rows = Object.values(OVERLAY_LAYERS)
+      .map(layer => `
+      <div class="form-group">
+        <label>${game.i18n.localize(`ALIENZONE.Overlay.Layers.${layer}`)}</label>
+        <input type="checkbox" name="${layer}" ${layers[layer] ? 'checked' : ''}>
+      </div>`)
+      .join('');
+
+    return `
+      <p class="hint">${game.i18n.localize("ALIENZONE.Settings.OverlayLayersHint")}</p>
+      ${rows}
+      <footer class="form-footer">
+        <button type="submit"><i class="fas fa-save"></i> ${game.i18n.localize("SETTINGS.Save")}</button>
+      </footer>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * Save the layers players may see
+   * @this {ZoneOverlayConfig}
+   * @param {SubmitEvent} event - The submit event
+   * @param {HTMLFormElement} form - The form
+   * @param {FormDataExtended} formData - The submitted data
+   */
+  static async #onSubmit(event, form, formData) {
+    await game.settings.set("alien-zones", "overlayPlayerLayers", formData.object);
+    console.log("Alien Zones | Saved zone overlay layers", formData.object);
+  }
+}
@@ -3,7 +3,11 @@
  * Extends the Region Configuration form with Alien Zones settings
  */
 
-import { ZONE_TYPES, getZoneTypeConfig } from './zoneTypes.js';
+import { getZoneTypes, ATMOSPHERE } from './zoneTypes.js';
+import { getSceneZones } from './zoneGraph.js';
+import { MESSAGE_VISIBILITY } from './lib.js';
+import { TRIGGER_OWNERSHIP } from './zoneFilters.js';
+import { getZoneEffects, addZoneEffectsFromDrop, removeZoneEffect } from './zoneEffects.js';
 
 /**
  * Initialize region config hooks
@@ -26,10 +30,9 @@ async function onRenderRegionConfig(app, html, data) {
 
   // Get current flag values
   const isAlienZone = region.flags?.["alien-zones"]?.isAlienZone ?? false;
-  const zoneType = region.flags?.["alien-zones"]?.zoneType ?? null;
 
   // Build HTML for our custom section
-  const alienZonesSection = buildAlienZonesSection(isAlienZone, zoneType);
+  const alienZonesSection = buildAlienZonesSection(region);
 
   // Find insertion point - after the last form group
   const formGroups = html.querySelectorAll('.form-group');
@@ -50,25 +53,53 @@ async function onRenderRegionConfig(app, html, data) {
       // Initialize visibility
       optionsDiv.style.display = isAlienZone ? 'block' : 'none';
     }
+
+    // Only show (and submit) the options that apply to the selected zone type
+    const typeSelect = html.querySelector('[name="flags.alien-zones.zoneType"]');
+    if (typeSelect) {
+      const updateTypeOptions = () => {
+        for (const div of html.querySelectorAll('.alien-zones-type-options')) {
+          const active = div.dataset.zoneType === typeSelect.value;
+          div.style.display = active ? 'block' : 'none';
+          for (const input of div.querySelectorAll('input, select, textarea')) input.disabled = !active;
+        }
+      };
+      typeSelect.addEventListener('change', updateTypeOptions);
+      updateTypeOptions();
+    }
+
+    activateEffectListeners(html, region);
   }
 }
 
 /**
  * Build HTML for Alien Zones configuration section
- * @param {boolean} isAlienZone - Whether the zone is enabled
- * @param {string|null} zoneType - The current zone type
+ * @param {Region} region - The region being configured
  * @returns {string} HTML string
  */
-function buildAlienZonesSection(isAlienZone, zoneType) {
-  const zoneTypeOptions = Object.entries(ZONE_TYPES)
-    .map(([key, value]) => {
-      const config = getZoneTypeConfig(value);
-      const selected = value === zoneType ? 'selected' : '';
+function buildAlienZonesSection(region) {
+  const flags = region.flags?.["alien-zones"] ?? {};
+  const isAlienZone = flags.isAlienZone ?? false;
+  const zoneType = flags.zoneType ?? null;
+
+  const zoneTypes = getZoneTypes();
+
+  const zoneTypeOptions = zoneTypes
+    .map(({ id, config }) => {
+      const selected = (id || '') === (zoneType || '') ? 'selected' : '';
       const label = game.i18n.localize(config.label);
-      return `<option value="${value || ''}" ${selected}>${label}</option>`;
+      return `<option value="${id || ''}" ${selected}>${label}</option>`;
     })
     .join('');
 
+  const zoneTypeFields = zoneTypes
+    .filter(({ config }) => config.fields?.length)
+    .map(({ id, config }) => `
+        <div class="alien-zones-type-options" data-zone-type="${id || ''}">
+          ${config.fields.map(field => buildZoneTypeField(field, flags, config)).join('')}
+        </div>`)
+    .join('');
+
   return `
     <fieldset class="alien-zones-config">
       <legend>${game.i18n.localize("ALIENZONE.Config.Title")}</legend>
@@ -89,7 +120,375 @@ function buildAlienZonesSection(isAlienZone, zoneType) {
           </select>
           <p class="hint">${game.i18n.localize("ALIENZONE.Config.ZoneTypeHint")}</p>
         </div>
+
+        ${zoneTypeFields}
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.AdjacentZones")}</label>
+          <select name="flags.alien-zones.adjacentZones" multiple>
+            ${buildAdjacentZoneOptions(region, flags.adjacentZones ?? [])}
+          </select>
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.AdjacentZonesHint")}</p>
+        </div>
+
+        ${buildAtmosphereFields(region, flags)}
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.SpreadEvery")}</label>
+          <input type="number" name="flags.alien-zones.spreadEvery" value="${flags.spreadEvery ?? 0}" min="0" step="1" data-dtype="Number">
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.SpreadEveryHint")}</p>
+        </div>
+
+        ${buildTriggerFields(flags)}
+
+        ${buildMessageFields(flags)}
+
+        ${buildStressFields(flags)}
+
+        ${buildStealthFields(flags)}
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.BlocksTracker")}</label>
+          <input type="checkbox" name="flags.alien-zones.blocksTracker" ${flags.blocksTracker ? 'checked' : ''}>
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.BlocksTrackerHint")}</p>
+        </div>
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.OverlayHidden")}</label>
+          <input type="checkbox" name="flags.alien-zones.overlayHidden" ${flags.overlayHidden ? 'checked' : ''}>
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.OverlayHiddenHint")}</p>
+        </div>
+
+        <div class="form-group alien-zones-effects">
+          <label>${game.i18n.localize("ALIENZONE.Config.Effects")}</label>
+          <ul class="alien-zones-effect-list">
+            ${buildEffectList(getZoneEffects(region))}
+          </ul>
+          <div class="alien-zones-effect-drop">${game.i18n.localize("ALIENZONE.Config.EffectsDrop")}</div>
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.EffectsHint")}</p>
+        </div>
       </div>
     </fieldset>
   `;
 }
+
+/**
+ * Build the options listing the other Alien Zones a zone can connect to
+ * @param {Region} region - The region being configured
+ * @param {Array<string>} adjacentZones - Ids of the currently connected zones
+ * @returns {string} HTML string
+ */
+function buildAdjacentZoneOptions(region, adjacentZones) {
+  return getSceneZones(region.parent)
+    .filter(zone => zone.id !== region.id)
+    .map(zone => {
+      const selected = adjacentZones.includes(zone.id) ? 'selected' : '';
+      return `<option value="${zone.id}" ${selected}>${foundry.utils.escapeHTML(zone.name)}</option>`;
+    })
+    .join('');
+}
+
+/**
+ * Build the atmosphere state and linked doors of a zone
+ * @param {Region} region - The region being configured
+ * @param {Object} flags - The region's current alien-zones flags
+ * @returns {string} HTML string
+ */
+function buildAtmosphereFields(region, flags) {
+  const atmosphereOptions = Object.values(ATMOSPHERE)
+    .map(atmosphere => {
+      const selected = flags.atmosphere === atmosphere ? 'selected' : '';
+      return `<option value="${atmosphere}" ${selected}>${game.i18n.localize(`ALIENZONE.Atmosphere.State.${atmosphere}`)}</option>`;
+    })
+    .join('');
+
+  const linkedDoors = flags.linkedDoors ?? [];
+  const doorOptions = (region.parent?.walls ?? [])
+    .filter(wall => wall.door !== CONST.WALL_DOOR_TYPES.NONE)
+    .map(wall => {
+      const [x0, y0, x1, y1] = wall.c;
+      const label = game.i18n.format("ALIENZONE.Config.DoorLabel", {
+        x: Math.round((x0 + x1) / 2),
+        y: Math.round((y0 + y1) / 2)
+      });
+      const selected = linkedDoors.includes(wall.id) ? 'selected' : '';
+      return `<option value="${wall.id}" ${selected}>${label}</option>`;
+    })
+    .join('');
+
+  return `
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.Atmosphere")}</label>
+          <select name="flags.alien-zones.atmosphere">
+            <option value="">${game.i18n.localize("ALIENZONE.Config.AtmosphereDefault")}</option>
+            ${atmosphereOptions}
+          </select>
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.AtmosphereHint")}</p>
+        </div>
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.LinkedDoors")}</label>
+          <select name="flags.alien-zones.linkedDoors" multiple>
+            ${doorOptions}
+          </select>
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.LinkedDoorsHint")}</p>
+        </div>`;
+}
+
+/**
+ * Build the settings choosing which tokens trigger a zone
+ * @param {Object} flags - The region's current alien-zones flags
+ * @returns {string} HTML string
+ */
+function buildTriggerFields(flags) {
+  const ownershipOptions = ['', ...Object.values(TRIGGER_OWNERSHIP)]
+    .map(value => {
+      const selected = value === (flags.triggerOwnership || '') ? 'selected' : '';
+      const label = game.i18n.localize(value ? `ALIENZONE.TriggerOwnership.${value}` : "ALIENZONE.Config.TriggerOwnershipDefault");
+      return `<option value="${value}" ${selected}>${label}</option>`;
+    })
+    .join('');
+
+  const dispositions = (flags.triggerDispositions ?? []).map(Number);
+  const dispositionOptions = Object.entries(CONST.TOKEN_DISPOSITIONS)
+    .map(([key, value]) => {
+      const selected = dispositions.includes(value) ? 'selected' : '';
+      const label = game.i18n.localize(`TOKEN.DISPOSITION.${key}`);
+      return `<option value="${value}" ${selected}>${label}</option>`;
+    })
+    .join('');
+
+  const actorTypes = flags.triggerActorTypes ?? [];
+  const actorTypeOptions = (game.documentTypes?.Actor ?? [])
+    .filter(type => type !== CONST.BASE_DOCUMENT_TYPE)
+    .map(type => {
+      const selected = actorTypes.includes(type) ? 'selected' : '';
+      const label = game.i18n.localize(CONFIG.Actor.typeLabels?.[type] ?? type);
+      return `<option value="${type}" ${selected}>${label}</option>`;
+    })
+    .join('');
+
+  return `
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.TriggerOwnership")}</label>
+          <select name="flags.alien-zones.triggerOwnership">
+            ${ownershipOptions}
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.TriggerDispositions")}</label>
+          <select name="flags.alien-zones.triggerDispositions" multiple>
+            ${dispositionOptions}
+          </select>
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.TriggerDispositionsHint")}</p>
+        </div>
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.TriggerActorTypes")}</label>
+          <select name="flags.alien-zones.triggerActorTypes" multiple>
+            ${actorTypeOptions}
+          </select>
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.TriggerActorTypesHint")}</p>
+        </div>`;
+}
+
+/**
+ * Build the chat message settings of a zone
+ * @param {Object} flags - The region's current alien-zones flags
+ * @returns {string} HTML string
+ */
+function buildMessageFields(flags) {
+  const visibilityOptions = Object.values(MESSAGE_VISIBILITY)
+    .map(value => {
+      const selected = value === (flags.messageVisibility || MESSAGE_VISIBILITY.PUBLIC) ? 'selected' : '';
+      const label = game.i18n.localize(`ALIENZONE.MessageVisibility.${value}`);
+      return `<option value="${value}" ${selected}>${label}</option>`;
+    })
+    .join('');
+
+  return `
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.EnterMessage")}</label>
+          <input type="text" name="flags.alien-zones.enterMessage" value="${foundry.utils.escapeHTML(flags.enterMessage ?? '')}">
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.MessageHint")}</p>
+        </div>
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.ExitMessage")}</label>
+          <input type="text" name="flags.alien-zones.exitMessage" value="${foundry.utils.escapeHTML(flags.exitMessage ?? '')}">
+        </div>
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.MessageVisibility")}</label>
+          <select name="flags.alien-zones.messageVisibility">
+            ${visibilityOptions}
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.FirstEntryOnly")}</label>
+          <input type="checkbox" name="flags.alien-zones.firstEntryOnly" ${flags.firstEntryOnly ? 'checked' : ''}>
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.FirstEntryOnlyHint")}</p>
+        </div>
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.MessageCooldown")}</label>
+          <input type="number" name="flags.alien-zones.messageCooldown" value="${flags.messageCooldown ?? 0}" min="0" step="1" data-dtype="Number">
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.MessageCooldownHint")}</p>
+        </div>`;
+}
+
+/**
+ * Build the Stress and Panic settings of a zone
+ * @param {Object} flags - The region's current alien-zones flags
+ * @returns {string} HTML string
+ */
+function buildStressFields(flags) {
+  return `
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.Stress")}</label>
+          <input type="number" name="flags.alien-zones.stress" value="${flags.stress ?? 0}" min="0" step="1" data-dtype="Number">
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.StressHint")}</p>
+        </div>
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.PanicRoll")}</label>
+          <input type="checkbox" name="flags.alien-zones.panicRoll" ${flags.panicRoll ? 'checked' : ''}>
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.PanicRollHint")}</p>
+        </div>
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.StressFirstEntryOnly")}</label>
+          <input type="checkbox" name="flags.alien-zones.stressFirstEntryOnly" ${flags.stressFirstEntryOnly ? 'checked' : ''}>
+        </div>
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.StressOnlyIfAlone")}</label>
+          <input type="checkbox" name="flags.alien-zones.stressOnlyIfAlone" ${flags.stressOnlyIfAlone ? 'checked' : ''}>
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.StressOnlyIfAloneHint")}</p>
+        </div>
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.StressMessage")}</label>
+          <input type="text" name="flags.alien-zones.stressMessage" value="${foundry.utils.escapeHTML(flags.stressMessage ?? '')}">
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.StressMessageHint")}</p>
+        </div>`;
+}
+
+/**
+ * Build the stealth modifiers of a zone
+ * @param {Object} flags - The region's current alien-zones flags
+ * @returns {string} HTML string
+ */
+function buildStealthFields(flags) {
+  return `
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.CoverModifier")}</label>
+          <input type="number" name="flags.alien-zones.coverModifier" value="${flags.coverModifier ?? 0}" step="1" data-dtype="Number">
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.CoverModifierHint")}</p>
+        </div>
+
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.LightingModifier")}</label>
+          <input type="number" name="flags.alien-zones.lightingModifier" value="${flags.lightingModifier ?? 0}" step="1" data-dtype="Number">
+          <p class="hint">${game.i18n.localize("ALIENZONE.Config.LightingModifierHint")}</p>
+        </div>`;
+}
+
+/**
+ * Build the list of Active Effects attached to a zone
+ * @param {Array<Object>} effects - The stored effect data
+ * @returns {string} HTML string
+ */
+function buildEffectList(effects) {
+  return effects
+    .map((effect, index) => `
+            <li class="alien-zones-effect" data-index="${index}">
+              <img src="${foundry.utils.escapeHTML(effect.img || effect.icon || 'icons/svg/aura.svg')}" alt="">
+              <span>${foundry.utils.escapeHTML(effect.name || effect.label || '')}</span>
+              <a class="alien-zones-effect-remove" title="${game.i18n.localize("ALIENZONE.Config.EffectsRemove")}">
+                <i class="fas fa-trash"></i>
+              </a>
+            </li>`)
+    .join('');
+}
+
+/**
+ * Attach drag-and-drop and removal handlers for zone Active Effects
+ * Changes are saved to the region right away, the sheet re-renders with the new list.
+ *
+ * @param {HTMLElement} html - The RegionConfig HTML
+ * @param {Region} region - The region being configured
+ */
+function activateEffectListeners(html, region) {
+  const dropZone = html.querySelector('.alien-zones-effect-drop');
+  if (dropZone) {
+    dropZone.addEventListener('dragover', (event) => event.preventDefault());
+    dropZone.addEventListener('drop', async (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      const TextEditorImpl = foundry.applications.ux?.TextEditor?.implementation ?? TextEditor;
+      await addZoneEffectsFromDrop(region, TextEditorImpl.getDragEventData(event));
+    });
+  }
+
+  for (const button of html.querySelectorAll('.alien-zones-effect-remove')) {
+    button.addEventListener('click', async (event) => {
+      event.preventDefault();
+      const index = Number(event.currentTarget.closest('.alien-zones-effect').dataset.index);
+      await removeZoneEffect(region, index);
+    });
+  }
+}
+
+/**
+ * Build the input for a configuration field declared by a zone type
+ * @param {Object} field - The field declaration
+ * @param {Object} flags - The region's current alien-zones flags
+ * @param {Object} config - The zone type configuration, used for default values
+ * @returns {string} HTML string
+ */
+function buildZoneTypeField(field, flags, config) {
+  const name = `flags.alien-zones.${field.name}`;
+  const value = flags[field.name] ?? field.default ?? config[field.name] ?? '';
+  let input;
+
+  switch (field.type) {
+    case "select": {
+      const options = Object.entries(field.choices ?? {})
+        .map(([choice, label]) => {
+          const selected = String(choice) === String(value) ? 'selected' : '';
+          return `<option value="${choice}" ${selected}>${game.i18n.localize(label)}</option>`;
+        })
+        .join('');
+      input = `<select name="${name}">${options}</select>`;
+      break;
+    }
+
+    case "number": {
+      const min = field.min !== undefined ? `min="${field.min}"` : '';
+      const max = field.max !== undefined ? `max="${field.max}"` : '';
+      const step = field.step !== undefined ? `step="${field.step}"` : '';
+      input = `<input type="number" name="${name}" value="${value}" ${min} ${max} ${step} data-dtype="Number">`;
+      break;
+    }
+
+    case "checkbox":
+      input = `<input type="checkbox" name="${name}" ${value ? 'checked' : ''}>`;
+      break;
+
+    default:
+      input = `<input type="text" name="${name}" value="${foundry.utils.escapeHTML(String(value ?? ''))}">`;
+      break;
+  }
+
+  const hint = field.hint ? `<p class="hint">${game.i18n.localize(field.hint)}</p>` : '';
+
+  return `
+          <div class="form-group">
+            <label>${game.i18n.localize(field.label)}</label>
+            ${input}
+            ${hint}
+          </div>`;
+}
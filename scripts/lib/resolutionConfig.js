@@ -0,0 +1,72 @@
+/**
+ * Alien Zones - Zone Roll Resolution Settings
+ * Settings menu choosing, for each zone type that rolls, between automatic rolls and chat cards
+ */
+
+import { getZoneTypes, getZoneResolution, ZONE_RESOLUTION } from './zoneTypes.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * The zone roll resolution settings form
+ */
+export class ZoneResolutionConfig extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "alien-zones-resolution",
+    tag: "form",
+    window: {
+      title: "ALIENZONE.Settings.ZoneResolution",
+      icon: "fas fa-dice"
+    },
+    position: {
+      width: 420,
+      height: "auto"
+    },
+    form: {
+      handler: ZoneResolutionConfig.#onSubmit,
+      closeOnSubmit: true
+    }
+  };
+
+  /** @override */
+  async _renderHTML() {
+    const rows = getZoneTypes()
+      .filter(({ config }) => config.resolution)
+      .map(({ id, config }) => {
+        const current = getZoneResolution(id);
+        const options = Object.values(ZONE_RESOLUTION)
+          .map(mode => `<option value="${mode}" ${mode === current ? 'selected' : ''}>${game.i18n.localize(`ALIENZONE.Resolution.${mode}`)}</option>`)
+          .join('');
+        return `
+      <div class="form-group">
+        <label>${game.i18n.localize(config.label)}</label>
+        <select name="${id}">${options}</select>
+      </div>`;
+      })
+      .join('');
+
+    return `
+      <p class="hint">${game.i18n.localize("ALIENZONE.Settings.ZoneResolutionHint")}</p>
+      ${rows}
+      <footer class="form-footer">
+        <button type="submit"><i class="fas fa-save"></i> ${game.i18n.localize("SETTINGS.Save")}</button>
+      </footer>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * Save the chosen resolution of each zone type
+   * @this {ZoneResolutionConfig}
+   * @param {SubmitEvent} event - The submit event
+   * @param {HTMLFormElement} form - The form
+   * @param {FormDataExtended} formData - The submitted data
+   */
+  static async #onSubmit(event, form, formData) {
+    await game.settings.set("alien-zones", "zoneResolution", formData.object);
+    console.log("Alien Zones | Saved zone roll resolution", formData.object);
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Alien Zones - Module Settings
+ * Registers the world and client settings used by the module
+ */
+
+import { MOVEMENT_ENFORCEMENT } from './zoneMovement.js';
+import { TRIGGER_OWNERSHIP } from './zoneFilters.js';
+import { RANGE_BANDS, RANGE_BAND_LABELS } from './zoneGraph.js';
+import { ZoneResolutionConfig } from './resolutionConfig.js';
+import { ZoneOverlayConfig } from './overlayConfig.js';
+import { DEFAULT_PLAYER_LAYERS, refreshOverlay } from './zoneOverlay.js';
+import { applyCombatRoundTime } from './zoneTime.js';
+
+/**
+ * Register module settings
+ */
+export function registerSettings() {
+  game.settings.register("alien-zones", "autoDetectAdjacency", {
+    name: "ALIENZONE.Settings.AutoDetectAdjacency",
+    hint: "ALIENZONE.Settings.AutoDetectAdjacencyHint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register("alien-zones", "triggerOwnership", {
+    name: "ALIENZONE.Settings.TriggerOwnership",
+    hint: "ALIENZONE.Settings.TriggerOwnershipHint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: Object.fromEntries(
+      Object.values(TRIGGER_OWNERSHIP).map(value => [value, `ALIENZONE.TriggerOwnership.${value}`])
+    ),
+    default: TRIGGER_OWNERSHIP.PLAYER
+  });
+
+  game.settings.register("alien-zones", "movementEnforcement", {
+    name: "ALIENZONE.Settings.MovementEnforcement",
+    hint: "ALIENZONE.Settings.MovementEnforcementHint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: Object.fromEntries(
+      Object.values(MOVEMENT_ENFORCEMENT).map(value => [value, `ALIENZONE.MovementEnforcement.${value}`])
+    ),
+    default: MOVEMENT_ENFORCEMENT.OFF,
+    onChange: () => ui.combat?.render()
+  });
+
+  game.settings.register("alien-zones", "movementBudget", {
+    name: "ALIENZONE.Settings.MovementBudget",
+    hint: "ALIENZONE.Settings.MovementBudgetHint",
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 1, max: 6, step: 1 },
+    default: 2,
+    onChange: () => ui.combat?.render()
+  });
+
+  game.settings.register("alien-zones", "stopAtHazard", {
+    name: "ALIENZONE.Settings.StopAtHazard",
+    hint: "ALIENZONE.Settings.StopAtHazardHint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.registerMenu("alien-zones", "zoneResolutionMenu", {
+    name: "ALIENZONE.Settings.ZoneResolution",
+    label: "ALIENZONE.Settings.ZoneResolutionLabel",
+    hint: "ALIENZONE.Settings.ZoneResolutionHint",
+    icon: "fas fa-dice",
+    type: ZoneResolutionConfig,
+    restricted: true
+  });
+
+  game.settings.register("alien-zones", "zoneResolution", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  game.settings.register("alien-zones", "stealthChecks", {
+    name: "ALIENZONE.Settings.StealthChecks",
+    hint: "ALIENZONE.Settings.StealthChecksHint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register("alien-zones", "revertOnMoveBack", {
+    name: "ALIENZONE.Settings.RevertOnMoveBack",
+    hint: "ALIENZONE.Settings.RevertOnMoveBackHint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register("alien-zones", "combatTime", {
+    name: "ALIENZONE.Settings.CombatTime",
+    hint: "ALIENZONE.Settings.CombatTimeHint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => applyCombatRoundTime()
+  });
+
+  game.settings.register("alien-zones", "eventLog", {
+    name: "ALIENZONE.Settings.EventLog",
+    hint: "ALIENZONE.Settings.EventLogHint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register("alien-zones", "trackerItemName", {
+    name: "ALIENZONE.Settings.TrackerItemName",
+    hint: "ALIENZONE.Settings.TrackerItemNameHint",
+    scope: "world",
+    config: true,
+    type: String,
+    default: "Motion Tracker"
+  });
+
+  game.settings.register("alien-zones", "trackerRange", {
+    name: "ALIENZONE.Settings.TrackerRange",
+    hint: "ALIENZONE.Settings.TrackerRangeHint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: Object.fromEntries(
+      Object.values(RANGE_BANDS).map(band => [band, RANGE_BAND_LABELS[band]])
+    ),
+    default: RANGE_BANDS.LONG
+  });
+
+  game.settings.register("alien-zones", "showZoneOverlay", {
+    scope: "client",
+    config: false,
+    type: Boolean,
+    default: false,
+    onChange: () => refreshOverlay()
+  });
+
+  game.settings.registerMenu("alien-zones", "overlayLayersMenu", {
+    name: "ALIENZONE.Settings.OverlayLayers",
+    label: "ALIENZONE.Settings.OverlayLayersLabel",
+    hint: "ALIENZONE.Settings.OverlayLayersHint",
+    icon: "fas fa-layer-group",
+    type: ZoneOverlayConfig,
+    restricted: true
+  });
+
+  game.settings.register("alien-zones", "overlayPlayerLayers", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: DEFAULT_PLAYER_LAYERS,
+    onChange: () => refreshOverlay()
+  });
+
+  game.settings.register("alien-zones", "zonePresets", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {}
+  });
+}
@@ -0,0 +1,246 @@
+/**
+ * Alien Zones - Atmosphere and Airlocks
+ * Links zones to wall doors, spreads decompression through open doors and cycles airlocks
+ */
+
+import { ATMOSPHERE, TURN_SECONDS, getZoneAtmosphere } from './zoneTypes.js';
+import { getSceneZones } from './zoneGraph.js';
+import { isZoneAuthority } from './zoneAuthority.js';
+import { countElapsedIntervals, isRoundAdvance } from './zoneUpkeep.js';
+
+/**
+ * Chat messages announcing each atmosphere change
+ * @constant {Object}
+ */
+const ATMOSPHERE_MESSAGES = {
+  [ATMOSPHERE.PRESSURIZED]: "ALIENZONE.Atmosphere.Pressurized",
+  [ATMOSPHERE.VENTING]: "ALIENZONE.Atmosphere.Venting",
+  [ATMOSPHERE.VACUUM]: "ALIENZONE.Atmosphere.Vacuum"
+};
+
+/**
+ * World time of the last decompression step for each scene, outside of combat
+ * @type {Map<string, number>}
+ */
+const lastDecompressionStep = new Map();
+
+/**
+ * Group zones by the open doors they are linked to
+ * @param {Array<{id: string, linkedDoors: Array<string>}>} zones - The zones and their doors
+ * @param {Set<string>} openDoorIds - Ids of the open doors
+ * @returns {Array<Array<string>>} For each open door, the ids of the zones it joins
+ */
+export function getOpenDoorLinks(zones, openDoorIds) {
+  const links = new Map();
+  for (const zone of zones) {
+    for (const doorId of zone.linkedDoors ?? []) {
+      if (!openDoorIds.has(doorId)) continue;
+      if (!links.has(doorId)) links.set(doorId, []);
+      links.get(doorId).push(zone.id);
+    }
+  }
+  return [...links.values()].filter(zoneIds => zoneIds.length > 1);
+}
+
+/**
+ * Work out one round of decompression
+ * Venting zones lose the rest of their air, and pressurized zones sharing an open door with
+ * a venting zone or a vacuum start venting.
+ *
+ * @param {Object<string, string>} atmospheres - The ATMOSPHERE of each zone id
+ * @param {Array<Array<string>>} links - Zone ids joined by each open door, see getOpenDoorLinks
+ * @returns {Object<string, string>} The new ATMOSPHERE of each zone that changes
+ */
+export function stepDecompression(atmospheres, links) {
+  const changes = {};
+
+  for (const [zoneId, atmosphere] of Object.entries(atmospheres)) {
+    if (atmosphere === ATMOSPHERE.VENTING) changes[zoneId] = ATMOSPHERE.VACUUM;
+  }
+
+  return { ...changes, ...getBreachedZones(atmospheres, links) };
+}
+
+/**
+ * Work out which pressurized zones start venting through open doors
+ * @param {Object<string, string>} atmospheres - The ATMOSPHERE of each zone id
+ * @param {Array<Array<string>>} links - Zone ids joined by each open door, see getOpenDoorLinks
+ * @returns {Object<string, string>} VENTING for each pressurized zone sharing a door with a zone that lost its air
+ */
+export function getBreachedZones(atmospheres, links) {
+  const changes = {};
+
+  for (const zoneIds of links) {
+    const breached = zoneIds.some(zoneId => atmospheres[zoneId] && atmospheres[zoneId] !== ATMOSPHERE.PRESSURIZED);
+    if (!breached) continue;
+
+    for (const zoneId of zoneIds) {
+      if (atmospheres[zoneId] === ATMOSPHERE.PRESSURIZED) changes[zoneId] = ATMOSPHERE.VENTING;
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Get the atmosphere an airlock cycle switches a zone to
+ * Pressurized zones are pumped out, anything else is pressurized.
+ *
+ * @param {string} atmosphere - The current ATMOSPHERE
+ * @returns {string} The new ATMOSPHERE
+ */
+export function getCycledAtmosphere(atmosphere) {
+  return atmosphere === ATMOSPHERE.PRESSURIZED ? ATMOSPHERE.VACUUM : ATMOSPHERE.PRESSURIZED;
+}
+
+/**
+ * Get the ids of the open doors of a scene
+ * @param {Scene} scene - The scene
+ * @returns {Set<string>} The wall ids
+ */
+function getOpenDoorIds(scene) {
+  return new Set(scene.walls
+    .filter(wall => wall.door !== CONST.WALL_DOOR_TYPES.NONE && wall.ds === CONST.WALL_DOOR_STATES.OPEN)
+    .map(wall => wall.id));
+}
+
+/**
+ * Set the atmosphere of several zones and announce the changes
+ * @param {Scene} scene - The scene of the zones
+ * @param {Object<string, string>} changes - The new ATMOSPHERE of each zone id
+ */
+async function applyAtmosphereChanges(scene, changes) {
+  const updates = Object.entries(changes).map(([_id, atmosphere]) => ({
+    _id,
+    "flags.alien-zones.atmosphere": atmosphere
+  }));
+  if (!updates.length) return;
+
+  await scene.updateEmbeddedDocuments("Region", updates);
+
+  for (const [zoneId, atmosphere] of Object.entries(changes)) {
+    const region = scene.regions.get(zoneId);
+    console.log(`Alien Zones | ${region.name} is now ${atmosphere}`);
+    await ChatMessage.create({
+      content: game.i18n.format(ATMOSPHERE_MESSAGES[atmosphere], { zone: foundry.utils.escapeHTML(region.name) }),
+      flavor: game.i18n.localize("ALIENZONE.Atmosphere.Title"),
+      type: CONST.CHAT_MESSAGE_TYPES.OOC
+    });
+  }
+}
+
+/**
+ * Spread decompression through a scene's open doors by one round
+ * @param {Scene} scene - The scene
+ * @returns {Promise<Object<string, string>>} The zones that changed and their new ATMOSPHERE
+ */
+export async function stepSceneDecompression(scene) {
+  const zones = getSceneZones(scene);
+  const atmospheres = Object.fromEntries(zones.map(region => [region.id, getZoneAtmosphere(region)]));
+  const links = getOpenDoorLinks(
+    zones.map(region => ({ id: region.id, linkedDoors: region.flags["alien-zones"].linkedDoors })),
+    getOpenDoorIds(scene)
+  );
+
+  const changes = stepDecompression(atmospheres, links);
+  await applyAtmosphereChanges(scene, changes);
+  return changes;
+}
+
+/**
+ * Set the atmosphere of a zone
+ * @param {Region} region - The zone
+ * @param {string} atmosphere - One of ATMOSPHERE
+ */
+export async function setZoneAtmosphere(region, atmosphere) {
+  if (!Object.values(ATMOSPHERE).includes(atmosphere)) {
+    throw new Error(`Alien Zones | Unknown atmosphere: ${atmosphere}`);
+  }
+  await applyAtmosphereChanges(region.parent, { [region.id]: atmosphere });
+}
+
+/**
+ * Cycle an airlock, pumping a pressurized zone out or pressurizing it again
+ * Only the GM can cycle airlocks.
+ *
+ * @param {Region} region - The airlock zone
+ * @returns {Promise<string|null>} The new ATMOSPHERE, or null if not allowed
+ */
+export async function cycleAirlock(region) {
+  if (!game.user.isGM) {
+    ui.notifications.warn(game.i18n.localize("ALIENZONE.Atmosphere.GMOnly"));
+    return null;
+  }
+
+  const atmosphere = getCycledAtmosphere(getZoneAtmosphere(region));
+  await setZoneAtmosphere(region, atmosphere);
+  return atmosphere;
+}
+
+/**
+ * Start venting the zones behind a linked door right away when it opens
+ * Zones already venting only turn to vacuum on the next round or Turn.
+ *
+ * @param {WallDocument} wall - The wall that changed
+ * @param {Object} change - The changed data
+ */
+async function onUpdateWall(wall, change) {
+  if (change.ds !== CONST.WALL_DOOR_STATES.OPEN || !isZoneAuthority()) return;
+
+  const zones = getSceneZones(wall.parent);
+  const links = getOpenDoorLinks(
+    zones.map(region => ({ id: region.id, linkedDoors: region.flags["alien-zones"].linkedDoors })),
+    new Set([wall.id])
+  );
+  if (!links.length) return;
+
+  const atmospheres = Object.fromEntries(zones.map(region => [region.id, getZoneAtmosphere(region)]));
+  await applyAtmosphereChanges(wall.parent, getBreachedZones(atmospheres, links));
+}
+
+/**
+ * Spread decompression every combat round
+ * @param {Combat} combat - The combat that changed
+ * @param {Object} change - The changed data
+ */
+async function onUpdateCombat(combat, change) {
+  if (change.round === undefined || !combat.started || !isZoneAuthority() || !combat.scene) return;
+  if (!isRoundAdvance(combat.previous, { round: combat.round })) return;
+  await stepSceneDecompression(combat.scene);
+}
+
+/**
+ * Spread decompression every Turn of world time outside of combat, on every scene
+ * @param {number} worldTime - The new world time
+ */
+async function onUpdateWorldTime(worldTime) {
+  if (!isZoneAuthority()) return;
+
+  for (const scene of game.scenes) {
+    if (game.combats.some(combat => combat.started && combat.scene?.id === scene.id)) continue;
+
+    const since = lastDecompressionStep.get(scene.id);
+    if (since === undefined || worldTime < since) {
+      lastDecompressionStep.set(scene.id, worldTime);
+      continue;
+    }
+
+    const turns = countElapsedIntervals(since, worldTime, TURN_SECONDS);
+    if (turns === 0) continue;
+
+    lastDecompressionStep.set(scene.id, since + (turns * TURN_SECONDS));
+    for (let i = 0; i < turns; i++) {
+      const changes = await stepSceneDecompression(scene);
+      if (!Object.keys(changes).length) break;
+    }
+  }
+}
+
+/**
+ * Initialize the hooks spreading decompression
+ */
+export function initZoneAtmosphereHooks() {
+  Hooks.on("updateWall", onUpdateWall);
+  Hooks.on("updateCombat", onUpdateCombat);
+  Hooks.on("updateWorldTime", onUpdateWorldTime);
+}
@@ -0,0 +1,254 @@
+/**
+ * Alien Zones - GM Authority
+ * Runs zone effects on the active GM's client only, relaying player requests over a socket
+ * and queueing effects while no GM is connected
+ */
+
+import { handleZoneEntry, handleZoneExit } from './zoneHandlers.js';
+import { runZoneTransaction } from './zoneTransactions.js';
+
+/**
+ * Socket channel used by the module
+ * @constant {string}
+ */
+const SOCKET_NAME = "module.alien-zones";
+
+/**
+ * Zone actions that can be run by the GM
+ * @constant {Object}
+ */
+export const ZONE_ACTIONS = {
+  ENTER: "enter",
+  EXIT: "exit"
+};
+
+/**
+ * Handlers for each zone action, called with (tokenDocument, region)
+ * @constant {Object}
+ */
+const ACTION_HANDLERS = {
+  [ZONE_ACTIONS.ENTER]: handleZoneEntry,
+  [ZONE_ACTIONS.EXIT]: handleZoneExit
+};
+
+/**
+ * Handlers for each socket message type, called with the message data
+ * @type {Map<string, {handler: Function, gmOnly: boolean}>}
+ */
+const socketHandlers = new Map();
+
+/**
+ * Initialize socket and GM hand-over hooks
+ */
+export function initZoneAuthorityHooks() {
+  registerSocketHandler("zoneAction", onZoneActionRequest);
+  game.socket.on(SOCKET_NAME, onSocketMessage);
+
+  Hooks.once("ready", () => runQueuedZoneEvents());
+
+  // A GM joining (or the active GM leaving) can make this client responsible for queued effects
+  Hooks.on("userConnected", () => runQueuedZoneEvents());
+}
+
+/**
+ * Check whether this client runs zone effects
+ * Only the active GM does, so effects fire exactly once and with full permissions.
+ *
+ * @returns {boolean} True if this client is the active GM
+ */
+export function isZoneAuthority() {
+  return game.users.activeGM?.isSelf ?? false;
+}
+
+/**
+ * Register a handler for a socket message type
+ * Handlers only run on the active GM's client, unless registered for every client.
+ *
+ * @param {string} type - The message type
+ * @param {Function} handler - Async handler called with the message data
+ * @param {Object} [options]
+ * @param {boolean} [options.gmOnly=true] - Only run the handler on the active GM's client
+ */
+export function registerSocketHandler(type, handler, { gmOnly = true } = {}) {
+  socketHandlers.set(type, { handler, gmOnly });
+}
+
+/**
+ * Send a message to the active GM's client
+ * @param {string} type - The message type, see registerSocketHandler
+ * @param {Object} data - The message data, handlers receive the sending user's id as userId
+ * @returns {boolean} True if a GM is connected to receive the message
+ */
+export function emitToGM(type, data) {
+  if (!game.users.activeGM) return false;
+  game.socket.emit(SOCKET_NAME, { ...data, type });
+  return true;
+}
+
+/**
+ * Send a message to some users, running it locally too if this user is one of them
+ * @param {string} type - The message type, see registerSocketHandler
+ * @param {Object} data - The message data, handlers receive the sending user's id as userId
+ * @param {Array<string>} userIds - Ids of the users who should receive the message
+ */
+export function emitToUsers(type, data, userIds) {
+  if (!userIds.length) return;
+
+  const message = { ...data, type, recipients: userIds };
+  game.socket.emit(SOCKET_NAME, message);
+
+  // Socket messages are not echoed back to the sender
+  if (userIds.includes(game.user.id)) onSocketMessage(message, game.user.id);
+}
+
+/**
+ * Run a zone action on the active GM's client
+ *
+ * The GM runs it directly, players send it over the socket. Without a connected GM the
+ * action is queued on the token and runs as soon as a GM joins.
+ *
+ * @param {string} action - One of ZONE_ACTIONS
+ * @param {TokenDocument} tokenDocument - The token the action applies to
+ * @param {Region} region - The zone the action applies to
+ */
+export async function requestZoneAction(action, tokenDocument, region) {
+  if (!ACTION_HANDLERS[action]) {
+    throw new Error(`Alien Zones | Unknown zone action: ${action}`);
+  }
+
+  if (isZoneAuthority()) {
+    await runZoneAction(action, tokenDocument, region);
+    return;
+  }
+
+  const sent = emitToGM("zoneAction", {
+    action,
+    sceneId: tokenDocument.parent.id,
+    tokenId: tokenDocument.id,
+    regionId: region.id
+  });
+  if (sent) return;
+
+  await queueZoneEvents(tokenDocument, [{ action, regionId: region.id }]);
+}
+
+/**
+ * Run the zone events of a token move, or queue them if no GM is connected
+ *
+ * Every client sees the move, but only the active GM runs the effects, recording them as a
+ * transaction that can be reverted. While no GM is connected, the client that moved the
+ * token queues them instead.
+ *
+ * @param {TokenDocument} tokenDocument - The token that moved
+ * @param {Array<{action: string, regionId: string}>} events - The zone events, in order
+ * @param {string} userId - The user who moved the token
+ * @param {{from: Object, to: Object}} [move={}] - Where the move started and ended
+ */
+export async function dispatchZoneEvents(tokenDocument, events, userId, move = {}) {
+  if (!events.length) return;
+
+  if (isZoneAuthority()) {
+    await runZoneTransaction(tokenDocument, move, async () => {
+      for (const { action, regionId } of events) {
+        const region = tokenDocument.parent.regions.get(regionId);
+        if (region) await runZoneAction(action, tokenDocument, region);
+      }
+    });
+    return;
+  }
+
+  if (!game.users.activeGM && userId === game.user.id) {
+    await queueZoneEvents(tokenDocument, events);
+  }
+}
+
+/**
+ * Run a zone action locally
+ * @param {string} action - One of ZONE_ACTIONS
+ * @param {TokenDocument} tokenDocument - The token the action applies to
+ * @param {Region} region - The zone the action applies to
+ */
+async function runZoneAction(action, tokenDocument, region) {
+  await ACTION_HANDLERS[action](tokenDocument, region);
+}
+
+/**
+ * Store zone events on a token until a GM connects
+ * @param {TokenDocument} tokenDocument - The token the events apply to
+ * @param {Array<{action: string, regionId: string}>} events - The zone events, in order
+ */
+async function queueZoneEvents(tokenDocument, events) {
+  const pending = tokenDocument.getFlag("alien-zones", "pendingZoneEvents") ?? [];
+  await tokenDocument.setFlag("alien-zones", "pendingZoneEvents", [...pending, ...events]);
+
+  console.warn(`Alien Zones | No GM connected, queued ${events.length} zone event(s) for ${tokenDocument.name}`);
+  ui.notifications.warn(game.i18n.format("ALIENZONE.Warnings.NoGMQueued", {
+    token: tokenDocument.name
+  }));
+}
+
+/**
+ * Run the zone events queued while no GM was connected
+ */
+async function runQueuedZoneEvents() {
+  if (!isZoneAuthority()) return;
+
+  for (const scene of game.scenes) {
+    for (const tokenDocument of scene.tokens) {
+      const pending = tokenDocument.getFlag("alien-zones", "pendingZoneEvents");
+      if (!pending?.length) continue;
+
+      // Clear the queue first so a second GM hand-over cannot run the same events twice
+      await tokenDocument.unsetFlag("alien-zones", "pendingZoneEvents");
+      console.log(`Alien Zones | Running ${pending.length} queued zone event(s) for ${tokenDocument.name}`);
+
+      for (const { action, regionId } of pending) {
+        const region = scene.regions.get(regionId);
+        if (region && ACTION_HANDLERS[action]) await runZoneAction(action, tokenDocument, region);
+      }
+    }
+  }
+}
+
+/**
+ * Dispatch socket messages to their handler
+ * Most messages are requests for the active GM, the others can be addressed to some users.
+ *
+ * @param {Object} data - The socket message
+ * @param {string} senderId - Id of the user who sent it, added by the server
+ */
+async function onSocketMessage(data, senderId) {
+  const entry = socketHandlers.get(data?.type);
+  if (!entry) return;
+  if (entry.gmOnly && !isZoneAuthority()) return;
+  if (data.recipients && !data.recipients.includes(game.user.id)) return;
+
+  try {
+    // Trust the server about who sent the message, not the message itself
+    await entry.handler({ ...data, userId: senderId });
+  } catch (error) {
+    console.error(`Alien Zones | Error handling ${data.type} socket message:`, error);
+  }
+}
+
+/**
+ * Run zone actions requested by player clients
+ * @param {Object} data - The socket message
+ */
+async function onZoneActionRequest(data) {
+  if (!ACTION_HANDLERS[data.action]) return;
+
+  const scene = game.scenes.get(data.sceneId);
+  const tokenDocument = scene?.tokens.get(data.tokenId);
+  const region = scene?.regions.get(data.regionId);
+  const user = game.users.get(data.userId);
+  if (!tokenDocument || !region || !user) return;
+
+  // Players may only trigger zones for tokens they own
+  if (!user.isGM && !tokenDocument.testUserPermission(user, "OWNER")) {
+    console.warn(`Alien Zones | ${user.name} is not allowed to trigger zones for ${tokenDocument.name}`);
+    return;
+  }
+
+  await runZoneAction(data.action, tokenDocument, region);
+}
@@ -0,0 +1,530 @@
+/**
+ * Alien Zones - Zone Chat Cards
+ * Posts zone rolls as interactive chat cards, so players roll their own dice and the GM
+ * can skip or override an accidental entry
+ */
+
+import { getZoneResolution, getZoneTypeConfig, ZONE_RESOLUTION } from './zoneTypes.js';
+import { rollFireDamage } from './zoneHandlers.js';
+import { rollSupply, getSupplyValue, SUPPLIES } from './zoneSupply.js';
+import { runZoneTransaction, getZoneTransactionOptions } from './zoneTransactions.js';
+import { callHazardResolved } from './zoneScripting.js';
+import { rollPanic } from './zoneStress.js';
+import { registerSocketHandler, emitToGM } from './zoneAuthority.js';
+import { applyNpcMessagePrivacy, getSkillPool, onRenderChatMessage } from './lib.js';
+
+/**
+ * Rolls a zone card can make
+ * - SUPPLY: a supply roll, with { supplyType } as data
+ * - FIRE: the fire damage of a burning zone
+ * - STAMINA: a Stamina check that can be pushed, with { hazard, modifier } as data
+ * @constant {Object}
+ */
+export const ZONE_ROLLS = {
+  SUPPLY: "supply",
+  FIRE: "fire",
+  STAMINA: "stamina"
+};
+
+/**
+ * States of a zone card
+ * @constant {Object}
+ */
+export const CARD_STATUS = {
+  PENDING: "pending",
+  ROLLED: "rolled",
+  RESOLVED: "resolved",
+  SKIPPED: "skipped"
+};
+
+/**
+ * Buttons of a zone card
+ * - ROLL, PUSH: for the token's owners (and the GM)
+ * - SKIP, OVERRIDE: for the GM only, to drop the roll or resolve it right away
+ * @constant {Object}
+ */
+export const CARD_ACTIONS = {
+  ROLL: "roll",
+  PUSH: "push",
+  SKIP: "skip",
+  OVERRIDE: "override"
+};
+
+/**
+ * The attribute and skill of a Stamina check
+ * @constant {Object}
+ */
+const STAMINA_CHECK = { attribute: "str", skill: "stamina" };
+
+/**
+ * Get the buttons a zone card shows in its current state
+ * @param {Object} card - The card data
+ * @param {string} card.status - One of CARD_STATUS
+ * @param {string} card.roll - One of ZONE_ROLLS
+ * @param {boolean} [card.pushed=false] - Whether the roll was pushed already
+ * @returns {Array<string>} The CARD_ACTIONS available
+ */
+export function getZoneCardActions({ status, roll, pushed = false }) {
+  if (status === CARD_STATUS.PENDING) return [CARD_ACTIONS.ROLL, CARD_ACTIONS.SKIP, CARD_ACTIONS.OVERRIDE];
+  if (status === CARD_STATUS.ROLLED && roll === ZONE_ROLLS.STAMINA && !pushed) return [CARD_ACTIONS.PUSH];
+  return [];
+}
+
+/**
+ * Check whether a user may use a zone card button
+ * @param {string} action - One of CARD_ACTIONS
+ * @param {Object} user
+ * @param {boolean} user.isGM - Whether the user is a GM
+ * @param {boolean} user.isOwner - Whether the user owns the card's token
+ * @returns {boolean} True if the user may use the button
+ */
+export function canUseZoneCardAction(action, { isGM, isOwner }) {
+  if (action === CARD_ACTIONS.SKIP || action === CARD_ACTIONS.OVERRIDE) return isGM;
+  return isGM || isOwner;
+}
+
+/**
+ * Count the successes among die results
+ * @param {Array<number>} results - The die faces
+ * @returns {number} The number of sixes
+ */
+export function countSuccesses(results) {
+  return results.filter(result => result === 6).length;
+}
+
+/**
+ * Check whether Stress Dice call for a Panic Roll
+ * @param {Array<number>} stressResults - The Stress Dice faces
+ * @returns {boolean} True if any Stress Die shows a one
+ */
+export function hasPanicDie(stressResults) {
+  return stressResults.includes(1);
+}
+
+/**
+ * Get a count from a number sent by another client
+ * @param {*} value - The value sent
+ * @returns {number|null} The whole number, or null if it is not a count
+ */
+function toCount(value) {
+  const count = Number(value);
+  return Number.isInteger(count) && count >= 0 ? count : null;
+}
+
+/**
+ * Get Base and Stress Dice sent by another client
+ * @param {*} dice - The dice sent
+ * @returns {{base: Array<number>, stress: Array<number>}|null} The dice, or null if any face is not 1 to 6
+ */
+function toDice(dice) {
+  const faces = results => Array.isArray(results) && results.every(result => Number.isInteger(result) && result >= 1 && result <= 6)
+    ? [...results]
+    : null;
+  const base = faces(dice?.base);
+  const stress = faces(dice?.stress);
+  return base && stress ? { base, stress } : null;
+}
+
+/**
+ * Check the outcome of a zone card roll sent by a player against the stored card
+ * Only numbers and die faces are kept: the GM builds the card's status and text from them.
+ *
+ * @param {Object} card - The stored card data
+ * @param {string} action - One of CARD_ACTIONS
+ * @param {Object} outcome - The outcome sent, see rollZoneCard
+ * @returns {Object|null} The outcome to record, or null if it does not fit the card
+ */
+export function sanitizeZoneCardOutcome(card, action, outcome) {
+  if (!getZoneCardActions(card).includes(action)) return null;
+  if (action === CARD_ACTIONS.SKIP) return {};
+
+  switch (card.roll) {
+    case ZONE_ROLLS.SUPPLY: {
+      const before = toCount(outcome?.before);
+      const after = toCount(outcome?.after);
+      return before !== null && after !== null && after <= before ? { before, after } : null;
+    }
+
+    case ZONE_ROLLS.FIRE: {
+      const damage = toCount(outcome?.damage);
+      return damage !== null ? { damage } : null;
+    }
+
+    default: {
+      const dice = toDice(outcome?.dice);
+      if (!dice) return null;
+      if (action !== CARD_ACTIONS.PUSH) return { dice };
+
+      // A push re-rolls the same dice with one more Stress Die, keeping every success
+      const { base, stress } = card.dice ?? { base: [], stress: [] };
+      const fits = dice.base.length === base.length
+        && dice.stress.length === stress.length + 1
+        && countSuccesses(dice.base) >= countSuccesses(base)
+        && countSuccesses(dice.stress) >= countSuccesses(stress);
+      return fits ? { dice } : null;
+    }
+  }
+}
+
+/**
+ * Check whether a zone's rolls are posted as chat cards
+ * @param {Region} region - The region document
+ * @returns {boolean} True if the zone uses chat cards
+ */
+export function usesZoneCard(region) {
+  return getZoneResolution(region.flags?.["alien-zones"]?.zoneType) === ZONE_RESOLUTION.CARD;
+}
+
+/**
+ * Post a zone card waiting for a roll
+ * @param {TokenDocument} tokenDocument - The token that has to roll
+ * @param {Region} region - The zone calling for the roll
+ * @param {string} roll - One of ZONE_ROLLS
+ * @param {Object} [data] - Data of the roll, see ZONE_ROLLS
+ */
+export async function postZoneCard(tokenDocument, region, roll, data = {}) {
+  const card = {
+    sceneId: tokenDocument.parent.id,
+    tokenId: tokenDocument.id,
+    regionId: region.id,
+    tokenName: tokenDocument.name,
+    zoneName: region.name,
+    zoneType: region.flags?.["alien-zones"]?.zoneType ?? null,
+    roll,
+    data,
+    status: CARD_STATUS.PENDING,
+    pushed: false,
+    result: ""
+  };
+
+  const messageData = {
+    content: buildZoneCardContent(card),
+    speaker: ChatMessage.getSpeaker({ token: tokenDocument }),
+    flags: { "alien-zones": { zoneCard: card } }
+  };
+  applyNpcMessagePrivacy(messageData, tokenDocument);
+  await ChatMessage.create(messageData, getZoneTransactionOptions(tokenDocument));
+
+  console.log(`Alien Zones | Posted ${roll} card for ${tokenDocument.name} in ${region.name}`);
+}
+
+/**
+ * Get the label of a card's roll button
+ * @param {Object} card - The card data
+ * @returns {string} The localized label
+ */
+function getRollLabel(card) {
+  switch (card.roll) {
+    case ZONE_ROLLS.SUPPLY:
+      return game.i18n.format("ALIENZONE.Cards.RollSupply", {
+        supply: game.i18n.localize(SUPPLIES[card.data.supplyType].label)
+      });
+    case ZONE_ROLLS.FIRE:
+      return game.i18n.localize("ALIENZONE.Cards.RollFire");
+    default:
+      return game.i18n.format("ALIENZONE.Cards.RollStamina", { modifier: card.data.modifier ?? 0 });
+  }
+}
+
+/**
+ * Build the HTML of a zone card
+ * @param {Object} card - The card data
+ * @returns {string} HTML string
+ */
+function buildZoneCardContent(card) {
+  const labels = {
+    [CARD_ACTIONS.ROLL]: getRollLabel(card),
+    [CARD_ACTIONS.PUSH]: game.i18n.localize("ALIENZONE.Cards.Push"),
+    [CARD_ACTIONS.SKIP]: game.i18n.localize("ALIENZONE.Cards.Skip"),
+    [CARD_ACTIONS.OVERRIDE]: game.i18n.localize("ALIENZONE.Cards.Override")
+  };
+  const buttons = getZoneCardActions(card)
+    .map(action => `<button type="button" data-zone-card-action="${action}">${labels[action]}</button>`)
+    .join('');
+
+  const dice = card.dice ? `
+      <div class="alien-zones-card-dice">
+        ${card.dice.base.map(result => `<span class="alien-zones-die">${result}</span>`).join('')}
+        ${card.dice.stress.map(result => `<span class="alien-zones-die stress">${result}</span>`).join('')}
+      </div>` : '';
+
+  const result = card.status === CARD_STATUS.PENDING
+    ? game.i18n.format("ALIENZONE.Cards.Waiting", { token: foundry.utils.escapeHTML(card.tokenName) })
+    : card.result;
+
+  return `
+    <div class="alien-zones-card" data-status="${card.status}">
+      <h4>${game.i18n.localize(getZoneTypeConfig(card.zoneType).label)}</h4>
+      <p>${game.i18n.format("ALIENZONE.Cards.Entered", {
+        token: foundry.utils.escapeHTML(card.tokenName),
+        zone: foundry.utils.escapeHTML(card.zoneName)
+      })}</p>${dice}
+      <p class="alien-zones-card-result">${result}</p>
+      ${buttons ? `<div class="alien-zones-card-buttons">${buttons}</div>` : ''}
+    </div>`;
+}
+
+/**
+ * Make the roll of a zone card on this client
+ * @param {Object} card - The card data
+ * @param {TokenDocument} tokenDocument - The token rolling
+ * @param {Region} region - The zone calling for the roll
+ * @returns {Promise<Object>} The outcome: { before, after } of a supply roll, { damage } of
+ *   fire damage or the { dice } of a Stamina check
+ */
+async function rollZoneCard(card, tokenDocument, region) {
+  const actor = tokenDocument.actor;
+
+  switch (card.roll) {
+    case ZONE_ROLLS.SUPPLY: {
+      const { supplyType } = card.data;
+      const current = getSupplyValue(actor, supplyType) ?? 0;
+      const { before, after } = await rollSupply(actor, region, supplyType) ?? { before: current, after: current };
+      return { before, after };
+    }
+
+    case ZONE_ROLLS.FIRE:
+      return { damage: await rollFireDamage(tokenDocument, region) };
+
+    default:
+      return rollStaminaCheck(tokenDocument, card);
+  }
+}
+
+/**
+ * Build the card changes of a zone card button from the outcome of its roll
+ * @param {Object} card - The card data
+ * @param {string} action - One of CARD_ACTIONS
+ * @param {Object} outcome - The outcome of the roll, see rollZoneCard
+ * @returns {Object} The card changes
+ */
+function buildZoneCardChanges(card, action, outcome) {
+  if (action === CARD_ACTIONS.SKIP) {
+    return { status: CARD_STATUS.SKIPPED, result: game.i18n.localize("ALIENZONE.Cards.Skipped") };
+  }
+
+  switch (card.roll) {
+    case ZONE_ROLLS.SUPPLY:
+      return {
+        status: CARD_STATUS.RESOLVED,
+        result: game.i18n.format("ALIENZONE.Cards.SupplyResult", {
+          supply: game.i18n.localize(SUPPLIES[card.data.supplyType].label),
+          before: outcome.before,
+          after: outcome.after
+        })
+      };
+
+    case ZONE_ROLLS.FIRE:
+      return {
+        status: CARD_STATUS.RESOLVED,
+        result: game.i18n.format("ALIENZONE.Cards.FireResult", { damage: outcome.damage })
+      };
+
+    default:
+      return {
+        // A Stamina check can still be pushed, unless the GM overrode it
+        status: action === CARD_ACTIONS.ROLL ? CARD_STATUS.ROLLED : CARD_STATUS.RESOLVED,
+        ...(action === CARD_ACTIONS.PUSH ? { pushed: true } : {}),
+        dice: outcome.dice,
+        result: describeStaminaCheck(card, outcome.dice)
+      };
+  }
+}
+
+/**
+ * Roll some six-sided dice
+ * @param {number} count - The number of dice
+ * @returns {Promise<Array<number>>} The die faces
+ */
+async function rollDice(count) {
+  if (count <= 0) return [];
+
+  const roll = await new Roll(`${count}d6`).evaluate();
+  await game.dice3d?.showForRoll(roll, game.user, true);
+  return roll.dice[0].results.map(({ result }) => result);
+}
+
+/**
+ * Describe the outcome of a Stamina check
+ * @param {Object} card - The card data
+ * @param {{base: Array<number>, stress: Array<number>}} dice - The dice rolled
+ * @returns {string} The localized outcome
+ */
+function describeStaminaCheck(card, dice) {
+  const successes = countSuccesses([...dice.base, ...dice.stress]);
+  const data = { token: foundry.utils.escapeHTML(card.tokenName), successes };
+  const result = game.i18n.format(successes ? "ALIENZONE.Cards.CheckPassed" : "ALIENZONE.Cards.CheckFailed", data);
+  return hasPanicDie(dice.stress) ? `${result} ${game.i18n.localize("ALIENZONE.Cards.Panic")}` : result;
+}
+
+/**
+ * Roll a Stamina check: Base Dice from STRENGTH and STAMINA, plus one Stress Die per Stress Level
+ * @param {TokenDocument} tokenDocument - The token rolling
+ * @param {Object} card - The card data
+ * @returns {Promise<{dice: Object}>} The dice rolled
+ */
+async function rollStaminaCheck(tokenDocument, card) {
+  const system = tokenDocument.actor?.system;
+  const dice = {
+    base: await rollDice(getSkillPool(system, STAMINA_CHECK, card.data.modifier ?? 0)),
+    stress: await rollDice(Number(system?.header?.stress?.value) || 0)
+  };
+
+  if (hasPanicDie(dice.stress)) await rollPanic(tokenDocument);
+  return { dice };
+}
+
+/**
+ * Push a Stamina check: gain a Stress Level and re-roll every die that is not a success,
+ * with one more Stress Die
+ * @param {TokenDocument} tokenDocument - The token pushing
+ * @param {Object} card - The card data
+ * @returns {Promise<{dice: Object}>} The dice after the push
+ */
+async function pushStaminaCheck(tokenDocument, card) {
+  const actor = tokenDocument.actor;
+  const stress = actor?.system.header?.stress;
+  if (stress) {
+    await actor.update({
+      "system.header.stress.value": Math.min(stress.max ?? 10, (stress.value || 0) + 1)
+    }, getZoneTransactionOptions(tokenDocument));
+  }
+
+  const keep = results => results.filter(result => result === 6);
+  const { base, stress: stressDice } = card.dice;
+  const dice = {
+    base: [...keep(base), ...await rollDice(base.length - keep(base).length)],
+    stress: [...keep(stressDice), ...await rollDice(stressDice.length - keep(stressDice).length + 1)]
+  };
+
+  if (hasPanicDie(dice.stress)) await rollPanic(tokenDocument);
+  return { dice };
+}
+
+/**
+ * Save the outcome of a zone card button on the card
+ * Users who cannot edit the message send the outcome to the active GM, who builds the card from it.
+ *
+ * @param {ChatMessage} message - The card's message
+ * @param {string} action - One of CARD_ACTIONS
+ * @param {Object} outcome - The outcome of the roll, see rollZoneCard
+ */
+async function saveZoneCard(message, action, outcome) {
+  if (message.canUserModify(game.user, "update")) {
+    const card = message.getFlag("alien-zones", "zoneCard");
+    const updated = { ...card, ...buildZoneCardChanges(card, action, outcome) };
+    await message.update({ content: buildZoneCardContent(updated), "flags.alien-zones.zoneCard": updated });
+    return;
+  }
+
+  const sent = emitToGM("zoneCardUpdate", { messageId: message.id, action, outcome });
+  if (!sent) ui.notifications.warn(game.i18n.localize("ALIENZONE.Cards.NoGM"));
+}
+
+/**
+ * Run a zone card button on this client
+ * @param {ChatMessage} message - The card's message
+ * @param {string} action - One of CARD_ACTIONS
+ */
+async function onZoneCardAction(message, action) {
+  const card = message.getFlag("alien-zones", "zoneCard");
+  if (!card || !getZoneCardActions(card).includes(action)) return;
+  if (message.getFlag("alien-zones", "reverted")) return;
+
+  const scene = game.scenes.get(card.sceneId);
+  const tokenDocument = scene?.tokens.get(card.tokenId);
+  const region = scene?.regions.get(card.regionId);
+  if (!tokenDocument || !region) {
+    ui.notifications.warn(game.i18n.localize("ALIENZONE.Cards.Gone"));
+    return;
+  }
+
+  const resolve = async () => {
+    switch (action) {
+      case CARD_ACTIONS.SKIP:
+        return {};
+      case CARD_ACTIONS.PUSH:
+        return pushStaminaCheck(tokenDocument, card);
+      default:
+        return rollZoneCard(card, tokenDocument, region);
+    }
+  };
+
+  try {
+    // Rolls made from the card belong to the transaction of the move that posted it
+    const transaction = message.getFlag("alien-zones", "transaction");
+    const outcome = transaction
+      ? await runZoneTransaction(tokenDocument, { id: transaction.id }, resolve)
+      : await resolve();
+
+    const changes = buildZoneCardChanges(card, action, outcome);
+    await saveZoneCard(message, action, outcome);
+    callHazardResolved(tokenDocument, region, { type: card.roll, ...card.data, ...changes, card: message.id });
+  } catch (error) {
+    console.error("Alien Zones | Error resolving zone card:", error);
+    ui.notifications.error(game.i18n.localize("ALIENZONE.Errors.HazardFailed"));
+  }
+}
+
+/**
+ * Show only the card buttons the user may use, and wire them up
+ * @param {ChatMessage} message - The rendered message
+ * @param {HTMLElement} html - The message element
+ */
+function onRenderChatMessageHTML(message, html) {
+  const card = message.getFlag("alien-zones", "zoneCard");
+  if (!card) return;
+
+  const tokenDocument = game.scenes.get(card.sceneId)?.tokens.get(card.tokenId);
+  const user = { isGM: game.user.isGM, isOwner: tokenDocument?.isOwner ?? false };
+
+  for (const button of html.querySelectorAll("[data-zone-card-action]")) {
+    const action = button.dataset.zoneCardAction;
+    if (!canUseZoneCardAction(action, user)) {
+      button.remove();
+      continue;
+    }
+
+    button.addEventListener("click", async (event) => {
+      event.preventDefault();
+      // Disable every button so a double click cannot roll twice
+      for (const other of html.querySelectorAll("[data-zone-card-action]")) other.disabled = true;
+      await onZoneCardAction(message, action);
+    });
+  }
+}
+
+/**
+ * Save zone card results sent by players who cannot edit the card themselves
+ * @param {Object} data - The socket message
+ */
+async function onZoneCardUpdateRequest(data) {
+  const message = game.messages.get(data.messageId);
+  const card = message?.getFlag("alien-zones", "zoneCard");
+  const user = game.users.get(data.userId);
+  if (!card || !user || message.getFlag("alien-zones", "reverted")) return;
+
+  const tokenDocument = game.scenes.get(card.sceneId)?.tokens.get(card.tokenId);
+  const isOwner = tokenDocument?.testUserPermission(user, "OWNER") ?? false;
+  if (!canUseZoneCardAction(data.action, { isGM: user.isGM, isOwner })) {
+    console.warn(`Alien Zones | ${user.name} is not allowed to resolve the zone card of ${card.tokenName}`);
+    return;
+  }
+
+  // Cards already resolved or skipped stay as they are, and results must fit the card
+  const outcome = sanitizeZoneCardOutcome(card, data.action, data.outcome);
+  if (!outcome) {
+    console.warn(`Alien Zones | Ignored an invalid ${data.action} result from ${user.name} for the zone card of ${card.tokenName}`);
+    return;
+  }
+
+  await saveZoneCard(message, data.action, outcome);
+}
+
+/**
+ * Initialize the zone card buttons and the socket handler saving players' results
+ */
+export function initZoneCardHooks() {
+  onRenderChatMessage(onRenderChatMessageHTML);
+  registerSocketHandler("zoneCardUpdate", onZoneCardUpdateRequest);
+}
@@ -0,0 +1,269 @@
+/**
+ * Alien Zones - Zone Active Effects
+ * Applies a zone's Active Effects to actors while their token is inside it
+ */
+
+import { isAlienZone } from './lib.js';
+import { isZoneAuthority } from './zoneAuthority.js';
+import { tokenTriggersZone } from './zoneFilters.js';
+import { getZoneTransactionOptions } from './zoneTransactions.js';
+
+/**
+ * Initialize hooks that clean up zone effects when tokens appear or disappear
+ */
+export function initZoneEffectHooks() {
+  // Tokens created inside a zone (e.g. teleported in from another scene) get its effects
+  Hooks.on("createToken", async (tokenDocument) => {
+    if (!isZoneAuthority()) return;
+    await syncZoneEffects(tokenDocument);
+  });
+
+  // Deleted tokens must not leave effects behind on linked actors
+  Hooks.on("deleteToken", async (tokenDocument) => {
+    if (!isZoneAuthority() || !tokenDocument.actorLink) return;
+    await removeTokenZoneEffects(tokenDocument);
+  });
+
+  // Effects follow the zone when it is edited or deleted
+  Hooks.on("updateRegion", (region, change) => {
+    const effectsChanged = ["effects", "isAlienZone", "triggerOwnership", "triggerDispositions", "triggerActorTypes"]
+      .some(key => foundry.utils.hasProperty(change, `flags.alien-zones.${key}`));
+    if (!effectsChanged) return;
+    return syncRegionOccupants(region, { refresh: true });
+  });
+  Hooks.on("deleteRegion", (region) => syncRegionOccupants(region));
+}
+
+/**
+ * Get the Active Effect data stored on a zone
+ * @param {Region} region - The region document
+ * @returns {Array<Object>} The stored effect data
+ */
+export function getZoneEffects(region) {
+  return region.flags?.["alien-zones"]?.effects ?? [];
+}
+
+/**
+ * Work out which zone effects an actor should gain or lose
+ *
+ * Effects are tracked per zone: a zone's effects are created together when the actor
+ * has none of them, and every effect from a zone the token is no longer in is removed.
+ * Zones whose effects ran out are not applied again until the token leaves them.
+ *
+ * @param {Array<ActiveEffect>} actorEffects - The actor's current effects
+ * @param {Array<{uuid: string, effects: Array<Object>}>} zones - The zones the token is inside
+ * @param {string} tokenUuid - UUID of the token the effects belong to
+ * @param {Array<string>} [expiredZones=[]] - UUIDs of the zones whose effects ran out on the token
+ * @returns {{toDelete: Array<string>, toCreate: Array<{zoneUuid: string, data: Object}>, expiredZones: Array<string>}}
+ *   The changes, and the expired zones the token is still inside
+ */
+export function planZoneEffectSync(actorEffects, zones, tokenUuid, expiredZones = []) {
+  const currentZones = new Set(zones.map(zone => zone.uuid));
+  const appliedZones = new Set();
+  const toDelete = [];
+
+  for (const effect of actorEffects) {
+    const source = effect.flags?.["alien-zones"];
+    if (!source?.sourceZone || source.sourceToken !== tokenUuid) continue;
+
+    if (currentZones.has(source.sourceZone)) appliedZones.add(source.sourceZone);
+    else toDelete.push(effect.id);
+  }
+
+  const toCreate = zones
+    .filter(zone => !appliedZones.has(zone.uuid) && !expiredZones.includes(zone.uuid))
+    .flatMap(zone => zone.effects.map(data => ({ zoneUuid: zone.uuid, data })));
+
+  return { toDelete, toCreate, expiredZones: expiredZones.filter(uuid => currentZones.has(uuid)) };
+}
+
+/**
+ * Get the zones whose effects ran out on a token while it stayed inside them
+ * @param {TokenDocument} tokenDocument - The token
+ * @returns {Array<string>} The zone UUIDs
+ */
+export function getExpiredZones(tokenDocument) {
+  return tokenDocument.getFlag("alien-zones", "expiredZones") ?? [];
+}
+
+/**
+ * Make a token's actor carry exactly the effects of the zones the token is in
+ * @param {TokenDocument} tokenDocument - The token to update
+ */
+export async function syncZoneEffects(tokenDocument) {
+  const actor = tokenDocument.actor;
+  if (!actor) return;
+
+  const scene = tokenDocument.parent;
+  const zones = Array.from(tokenDocument._regions || [])
+    .map(regionId => scene?.regions.get(regionId))
+    .filter(region => region && isAlienZone(region) && tokenTriggersZone(tokenDocument, region))
+    .map(region => ({ uuid: region.uuid, effects: getZoneEffects(region) }));
+
+  const expired = getExpiredZones(tokenDocument);
+  const { toDelete, toCreate, expiredZones } = planZoneEffectSync(actor.effects, zones, tokenDocument.uuid, expired);
+
+  try {
+    // Effects that ran out come back once the token has left the zone
+    if (expiredZones.length !== expired.length) {
+      await tokenDocument.setFlag("alien-zones", "expiredZones", expiredZones);
+    }
+
+    if (toDelete.length) {
+      await actor.deleteEmbeddedDocuments("ActiveEffect", toDelete);
+      console.log(`Alien Zones | Removed ${toDelete.length} zone effect(s) from ${actor.name}`);
+    }
+
+    if (toCreate.length) {
+      const effectData = toCreate.map(({ zoneUuid, data }) => buildEffectData(data, zoneUuid, tokenDocument));
+      await actor.createEmbeddedDocuments("ActiveEffect", effectData, getZoneTransactionOptions(tokenDocument));
+      console.log(`Alien Zones | Applied ${toCreate.length} zone effect(s) to ${actor.name}`);
+    }
+  } catch (error) {
+    console.error("Alien Zones | Error updating zone effects:", error);
+    ui.notifications.error(game.i18n.localize("ALIENZONE.Errors.EffectsFailed"));
+  }
+}
+
+/**
+ * Remove every zone effect a token gave its actor
+ * @param {TokenDocument} tokenDocument - The token whose effects to remove
+ */
+export async function removeTokenZoneEffects(tokenDocument) {
+  const actor = tokenDocument.actor;
+  if (!actor) return;
+
+  const { toDelete } = planZoneEffectSync(actor.effects, [], tokenDocument.uuid);
+  if (!toDelete.length) return;
+
+  await actor.deleteEmbeddedDocuments("ActiveEffect", toDelete);
+  console.log(`Alien Zones | Removed ${toDelete.length} zone effect(s) from ${actor.name}`);
+}
+
+/**
+ * Find the zone effects of a token whose timed duration has run out
+ * Effects without a duration in seconds last as long as the token stays in the zone.
+ *
+ * @param {Array<ActiveEffect>} actorEffects - The actor's current effects
+ * @param {string} tokenUuid - UUID of the token the effects belong to
+ * @param {number} worldTime - Current world time
+ * @returns {Array<string>} IDs of the expired effects
+ */
+export function getExpiredZoneEffects(actorEffects, tokenUuid, worldTime) {
+  return actorEffects
+    .filter(effect => {
+      const source = effect.flags?.["alien-zones"];
+      if (!source?.sourceZone || source.sourceToken !== tokenUuid) return false;
+
+      const { seconds, startTime } = effect.duration ?? {};
+      return seconds > 0 && (startTime ?? 0) + seconds <= worldTime;
+    })
+    .map(effect => effect.id);
+}
+
+/**
+ * Remove the zone effects of a token that have run out
+ * The zone only gives them back after the token has left it and entered it again.
+ *
+ * @param {TokenDocument} tokenDocument - The token whose effects to check
+ * @param {number} worldTime - Current world time
+ */
+export async function expireZoneEffects(tokenDocument, worldTime) {
+  const actor = tokenDocument.actor;
+  if (!actor) return;
+
+  const expired = getExpiredZoneEffects(actor.effects, tokenDocument.uuid, worldTime);
+  if (!expired.length) return;
+
+  const zones = expired.map(id => actor.effects.get(id).flags["alien-zones"].sourceZone);
+  try {
+    await tokenDocument.setFlag("alien-zones", "expiredZones", [...new Set([...getExpiredZones(tokenDocument), ...zones])]);
+    await actor.deleteEmbeddedDocuments("ActiveEffect", expired);
+    console.log(`Alien Zones | ${expired.length} zone effect(s) ran out on ${actor.name}`);
+  } catch (error) {
+    console.error("Alien Zones | Error removing expired zone effects:", error);
+    ui.notifications.error(game.i18n.localize("ALIENZONE.Errors.EffectsFailed"));
+  }
+}
+
+/**
+ * Prepare stored effect data for creation on an actor
+ * @param {Object} data - The stored effect data
+ * @param {string} zoneUuid - UUID of the zone granting the effect
+ * @param {TokenDocument} tokenDocument - The token inside the zone
+ * @returns {Object} The effect creation data
+ */
+function buildEffectData(data, zoneUuid, tokenDocument) {
+  const effectData = foundry.utils.deepClone(data);
+  delete effectData._id;
+  effectData.origin = zoneUuid;
+  effectData.transfer = false;
+  // The copy stored on the zone keeps the time it was first made, so timed effects count from now
+  foundry.utils.setProperty(effectData, "duration.startTime", game.time.worldTime);
+  foundry.utils.setProperty(effectData, "flags.alien-zones", {
+    sourceZone: zoneUuid,
+    sourceToken: tokenDocument.uuid
+  });
+  return effectData;
+}
+
+/**
+ * Re-sync the effects of every token inside a zone that changed
+ * @param {Region} region - The changed region
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Replace effects already applied, e.g. after the zone's effect list changed
+ */
+async function syncRegionOccupants(region, { refresh = false } = {}) {
+  if (!isZoneAuthority()) return;
+
+  for (const tokenDocument of region.parent?.tokens ?? []) {
+    const actor = tokenDocument.actor;
+    const inZone = (tokenDocument._regions || []).includes(region.id);
+    const appliedIds = (actor?.effects ?? [])
+      .filter(effect => effect.flags?.["alien-zones"]?.sourceZone === region.uuid)
+      .map(effect => effect.id);
+
+    if (!inZone && !appliedIds.length) continue;
+
+    if (refresh && appliedIds.length) {
+      await actor.deleteEmbeddedDocuments("ActiveEffect", appliedIds);
+    }
+    await syncZoneEffects(tokenDocument);
+  }
+}
+
+/**
+ * Add the effects of a dropped Active Effect or Item to a zone
+ * @param {Region} region - The zone to add effects to
+ * @param {Object} dropData - The drag data of the dropped document
+ * @returns {Promise<boolean>} True if any effect was added
+ */
+export async function addZoneEffectsFromDrop(region, dropData) {
+  if (!["ActiveEffect", "Item"].includes(dropData?.type) || !dropData.uuid) return false;
+
+  const document = await fromUuid(dropData.uuid);
+  if (!document) return false;
+
+  const effects = dropData.type === "Item"
+    ? document.effects.map(effect => effect.toObject())
+    : [document.toObject()];
+
+  if (!effects.length) {
+    ui.notifications.warn(game.i18n.format("ALIENZONE.Warnings.NoEffectsOnItem", { item: document.name }));
+    return false;
+  }
+
+  await region.setFlag("alien-zones", "effects", [...getZoneEffects(region), ...effects]);
+  return true;
+}
+
+/**
+ * Remove a stored effect from a zone
+ * @param {Region} region - The zone to remove the effect from
+ * @param {number} index - Position of the effect in the zone's effect list
+ */
+export async function removeZoneEffect(region, index) {
+  const effects = [...getZoneEffects(region)];
+  effects.splice(index, 1);
+  await region.setFlag("alien-zones", "effects", effects);
+}
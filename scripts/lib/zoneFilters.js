@@ -0,0 +1,66 @@
+/**
+ * Alien Zones - Zone Trigger Filters
+ * Decides which tokens set off a zone, by ownership, disposition and actor type
+ */
+
+/**
+ * Which tokens trigger zones, by ownership
+ * @constant {Object}
+ */
+export const TRIGGER_OWNERSHIP = {
+  PLAYER: "player",
+  NPC: "npc",
+  ANY: "any"
+};
+
+/**
+ * Check whether a token passes a zone trigger filter
+ * Empty disposition and actor type lists let every token through.
+ *
+ * @param {Object} token
+ * @param {boolean} token.hasPlayerOwner - Whether a player owns the token
+ * @param {number} token.disposition - The token disposition, see CONST.TOKEN_DISPOSITIONS
+ * @param {string} [token.actorType] - The type of the token's actor
+ * @param {Object} filter
+ * @param {string} filter.ownership - One of TRIGGER_OWNERSHIP
+ * @param {Array<number|string>} [filter.dispositions] - Dispositions that trigger the zone
+ * @param {Array<string>} [filter.actorTypes] - Actor types that trigger the zone
+ * @returns {boolean} True if the token triggers the zone
+ */
+export function tokenMatchesZoneFilter(token, { ownership, dispositions = [], actorTypes = [] }) {
+  if (ownership === TRIGGER_OWNERSHIP.PLAYER && !token.hasPlayerOwner) return false;
+  if (ownership === TRIGGER_OWNERSHIP.NPC && token.hasPlayerOwner) return false;
+  if (dispositions.length && !dispositions.map(Number).includes(token.disposition)) return false;
+  if (actorTypes.length && !actorTypes.includes(token.actorType)) return false;
+  return true;
+}
+
+/**
+ * Get the trigger filter of a zone, falling back to the module setting for ownership
+ * @param {Region} region - The region document
+ * @returns {{ownership: string, dispositions: Array, actorTypes: Array<string>}} The filter
+ */
+export function getZoneTriggerFilter(region) {
+  const flags = region.flags?.["alien-zones"] ?? {};
+  return {
+    ownership: flags.triggerOwnership || game.settings.get("alien-zones", "triggerOwnership"),
+    dispositions: flags.triggerDispositions ?? [],
+    actorTypes: flags.triggerActorTypes ?? []
+  };
+}
+
+/**
+ * Check whether a token sets off a zone
+ * @param {TokenDocument} tokenDocument - The token
+ * @param {Region} region - The zone
+ * @returns {boolean} True if the token triggers the zone
+ */
+export function tokenTriggersZone(tokenDocument, region) {
+  if (!region) return false;
+
+  return tokenMatchesZoneFilter({
+    hasPlayerOwner: tokenDocument.hasPlayerOwner,
+    disposition: tokenDocument.disposition,
+    actorType: tokenDocument.actor?.type
+  }, getZoneTriggerFilter(region));
+}
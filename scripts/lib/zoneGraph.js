@@ -0,0 +1,547 @@
+/**
+ * Alien Zones - Zone Adjacency Graph
+ * Builds the zone connection graph and converts zone hops into Alien RPG range bands
+ */
+
+import { isAlienZone, getTokenName } from './lib.js';
+
+/**
+ * Alien RPG range band identifiers
+ * @constant {Object}
+ */
+export const RANGE_BANDS = {
+  ENGAGED: "engaged",
+  SHORT: "short",
+  MEDIUM: "medium",
+  LONG: "long",
+  EXTREME: "extreme"
+};
+
+/**
+ * Localization keys for each range band
+ * @constant {Object}
+ */
+export const RANGE_BAND_LABELS = {
+  [RANGE_BANDS.ENGAGED]: "ALIENZONE.Range.Engaged",
+  [RANGE_BANDS.SHORT]: "ALIENZONE.Range.Short",
+  [RANGE_BANDS.MEDIUM]: "ALIENZONE.Range.Medium",
+  [RANGE_BANDS.LONG]: "ALIENZONE.Range.Long",
+  [RANGE_BANDS.EXTREME]: "ALIENZONE.Range.Extreme"
+};
+
+/**
+ * Maximum number of zone hops still considered Long range
+ * @constant {number}
+ */
+export const LONG_RANGE_MAX_HOPS = 4;
+
+/**
+ * Convert a zone-hop distance into an Alien RPG range band
+ *
+ * Same zone is Short (or Engaged when the tokens are right next to each other),
+ * an adjacent zone is Medium, a few zones away is Long and anything beyond is Extreme.
+ *
+ * @param {number|null} hops - Number of zone transitions between the two zones
+ * @param {Object} [options]
+ * @param {boolean} [options.engaged=false] - Whether the tokens are within arm's reach
+ * @returns {string|null} The range band, or null if the zones are not connected
+ */
+export function getRangeBand(hops, { engaged = false } = {}) {
+  if (hops === null || hops === undefined || hops < 0) return null;
+  if (hops === 0) return engaged ? RANGE_BANDS.ENGAGED : RANGE_BANDS.SHORT;
+  if (hops === 1) return RANGE_BANDS.MEDIUM;
+  if (hops <= LONG_RANGE_MAX_HOPS) return RANGE_BANDS.LONG;
+  return RANGE_BANDS.EXTREME;
+}
+
+/**
+ * Get the axis-aligned bounds of a region shape
+ * Supports the rectangle, circle, ellipse and polygon shapes of Foundry's Region API
+ *
+ * @param {Object} shape - The region shape data
+ * @returns {{x: number, y: number, width: number, height: number}|null} The bounds, or null for unknown shapes
+ */
+export function getShapeBounds(shape) {
+  switch (shape?.type) {
+    case "rectangle": {
+      const { x, y, width, height } = shape;
+      if (!shape.rotation) return { x, y, width, height };
+      return boundsFromPoints(getRectangleCorners(shape));
+    }
+
+    case "circle":
+      return {
+        x: shape.x - shape.radius,
+        y: shape.y - shape.radius,
+        width: shape.radius * 2,
+        height: shape.radius * 2
+      };
+
+    case "ellipse":
+      return {
+        x: shape.x - shape.radiusX,
+        y: shape.y - shape.radiusY,
+        width: shape.radiusX * 2,
+        height: shape.radiusY * 2
+      };
+
+    case "polygon": {
+      const points = getPolygonPoints(shape);
+      return points.length ? boundsFromPoints(points) : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Number of sides of the polygons standing in for circles and ellipses
+ * @constant {number}
+ */
+const ELLIPSE_SIDES = 32;
+
+/**
+ * Get the corners of a rectangle shape, turned around its center by its rotation
+ * @param {Object} shape - The rectangle shape data
+ * @returns {Array<Array<number>>} The [x, y] corners in order
+ */
+function getRectangleCorners({ x, y, width, height, rotation }) {
+  const corners = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+  if (!rotation) return corners;
+
+  const cx = x + (width / 2);
+  const cy = y + (height / 2);
+  const radians = rotation * (Math.PI / 180);
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  return corners.map(([px, py]) => [
+    cx + ((px - cx) * cos) - ((py - cy) * sin),
+    cy + ((px - cx) * sin) + ((py - cy) * cos)
+  ]);
+}
+
+/**
+ * Get the points of a polygon shape
+ * @param {Object} shape - The polygon shape data, with flat [x0, y0, x1, y1, ...] points
+ * @returns {Array<Array<number>>} The [x, y] points in order
+ */
+function getPolygonPoints(shape) {
+  const points = [];
+  for (let i = 0; i < (shape.points?.length || 0); i += 2) {
+    points.push([shape.points[i], shape.points[i + 1]]);
+  }
+  return points;
+}
+
+/**
+ * Get the outline of a region shape as a polygon
+ * Circles and ellipses are approximated with ELLIPSE_SIDES sides.
+ *
+ * @param {Object} shape - The region shape data
+ * @returns {Array<Array<number>>|null} The [x, y] points in order, or null for unknown shapes
+ */
+export function getShapeOutline(shape) {
+  switch (shape?.type) {
+    case "rectangle":
+      return getRectangleCorners(shape);
+
+    case "circle":
+    case "ellipse": {
+      const radiusX = shape.radiusX ?? shape.radius;
+      const radiusY = shape.radiusY ?? shape.radius;
+      const radians = (shape.rotation || 0) * (Math.PI / 180);
+      const cos = Math.cos(radians);
+      const sin = Math.sin(radians);
+      return Array.from({ length: ELLIPSE_SIDES }, (_, i) => {
+        const angle = (i / ELLIPSE_SIDES) * 2 * Math.PI;
+        const px = radiusX * Math.cos(angle);
+        const py = radiusY * Math.sin(angle);
+        return [shape.x + (px * cos) - (py * sin), shape.y + (px * sin) + (py * cos)];
+      });
+    }
+
+    case "polygon": {
+      const points = getPolygonPoints(shape);
+      return points.length >= 3 ? points : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the distance between a point and a line segment
+ * @param {Array<number>} p - The [x, y] point
+ * @param {Array<number>} a - One end of the segment
+ * @param {Array<number>} b - The other end of the segment
+ * @returns {number} The distance
+ */
+function pointSegmentDistance([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = (dx * dx) + (dy * dy);
+  const t = lengthSquared
+    ? Math.max(0, Math.min(1, (((px - ax) * dx) + ((py - ay) * dy)) / lengthSquared))
+    : 0;
+  return Math.hypot(px - (ax + (t * dx)), py - (ay + (t * dy)));
+}
+
+/**
+ * Check whether two line segments cross or touch
+ * @param {Array<number>} a1 - Start of the first segment
+ * @param {Array<number>} a2 - End of the first segment
+ * @param {Array<number>} b1 - Start of the second segment
+ * @param {Array<number>} b2 - End of the second segment
+ * @returns {boolean} True if the segments share a point
+ */
+function segmentsCross(a1, a2, b1, b2) {
+  const side = (p, q, r) => Math.sign(((q[0] - p[0]) * (r[1] - p[1])) - ((q[1] - p[1]) * (r[0] - p[0])));
+  return side(a1, a2, b1) !== side(a1, a2, b2) && side(b1, b2, a1) !== side(b1, b2, a2);
+}
+
+/**
+ * Get the shortest distance between the edges of two polygons
+ * @param {Array<Array<number>>} a - The first polygon's points
+ * @param {Array<Array<number>>} b - The second polygon's points
+ * @returns {number} The distance, 0 if the edges cross
+ */
+function edgeDistance(a, b) {
+  let distance = Infinity;
+  for (let i = 0; i < a.length; i++) {
+    const a1 = a[i];
+    const a2 = a[(i + 1) % a.length];
+    for (let j = 0; j < b.length; j++) {
+      const b1 = b[j];
+      const b2 = b[(j + 1) % b.length];
+      if (segmentsCross(a1, a2, b1, b2)) return 0;
+      distance = Math.min(distance,
+        pointSegmentDistance(a1, b1, b2), pointSegmentDistance(a2, b1, b2),
+        pointSegmentDistance(b1, a1, a2), pointSegmentDistance(b2, a1, a2));
+    }
+  }
+  return distance;
+}
+
+/**
+ * Check whether a point lies inside a polygon
+ * @param {Array<number>} point - The [x, y] point
+ * @param {Array<Array<number>>} polygon - The polygon's points
+ * @returns {boolean} True if the point is inside
+ */
+function pointInPolygon([x, y], polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < (((xj - xi) * (y - yi)) / (yj - yi)) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Check whether two polygons touch or overlap
+ * @param {Array<Array<number>>} a - The first polygon's points
+ * @param {Array<Array<number>>} b - The second polygon's points
+ * @param {number} [tolerance=0] - Maximum gap in pixels still counted as touching
+ * @returns {boolean} True if the outlines come within the tolerance, or one lies inside the other
+ */
+export function outlinesTouch(a, b, tolerance = 0) {
+  if (edgeDistance(a, b) <= tolerance) return true;
+  return pointInPolygon(a[0], b) || pointInPolygon(b[0], a);
+}
+
+/**
+ * Compute the bounding box of a list of [x, y] points
+ * @param {Array<Array<number>>} points - The points to enclose
+ * @returns {{x: number, y: number, width: number, height: number}} The bounds
+ */
+function boundsFromPoints(points) {
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  return {
+    x: minX,
+    y: minY,
+    width: Math.max(...xs) - minX,
+    height: Math.max(...ys) - minY
+  };
+}
+
+/**
+ * Check whether two bounding boxes touch or overlap
+ * @param {Object} a - The first bounds
+ * @param {Object} b - The second bounds
+ * @param {number} [tolerance=0] - Maximum gap in pixels still counted as touching
+ * @returns {boolean} True if the bounds touch
+ */
+export function boundsTouch(a, b, tolerance = 0) {
+  return a.x <= b.x + b.width + tolerance
+    && b.x <= a.x + a.width + tolerance
+    && a.y <= b.y + b.height + tolerance
+    && b.y <= a.y + a.height + tolerance;
+}
+
+/**
+ * Check whether two regions have touching shapes
+ * Hole shapes are ignored since they cut space out of a region rather than add to it.
+ * Bounding boxes rule out distant shapes quickly, the outlines of the rest are compared.
+ *
+ * @param {Region} a - The first region document
+ * @param {Region} b - The second region document
+ * @param {number} [tolerance=0] - Maximum gap in pixels still counted as touching
+ * @returns {boolean} True if any shape of one region touches a shape of the other
+ */
+export function regionsTouch(a, b, tolerance = 0) {
+  const shapesA = getRegionOutlines(a);
+  const shapesB = getRegionOutlines(b);
+  return shapesA.some(sa => shapesB.some(sb => boundsTouch(sa.bounds, sb.bounds, tolerance)
+    && outlinesTouch(sa.outline, sb.outline, tolerance)));
+}
+
+/**
+ * Get the outline and bounds of every solid shape of a region
+ * @param {Region} region - The region document
+ * @returns {Array<{outline: Array<Array<number>>, bounds: Object}>} The shapes
+ */
+function getRegionOutlines(region) {
+  return (region.shapes || [])
+    .filter(shape => !shape.hole)
+    .map(getShapeOutline)
+    .filter(outline => outline !== null)
+    .map(outline => ({ outline, bounds: boundsFromPoints(outline) }));
+}
+
+/**
+ * Get the bounds of every solid shape of a region
+ * @param {Region} region - The region document
+ * @returns {Array<Object>} The shape bounds
+ */
+function getRegionShapeBounds(region) {
+  return (region.shapes || [])
+    .filter(shape => !shape.hole)
+    .map(getShapeBounds)
+    .filter(bounds => bounds !== null);
+}
+
+/**
+ * Get the bounding box of a region's solid shapes
+ * @param {Region} region - The region document
+ * @returns {{x: number, y: number, width: number, height: number}|null} The bounds, or null if the region has no solid shapes
+ */
+export function getRegionBounds(region) {
+  const bounds = getRegionShapeBounds(region);
+  if (!bounds.length) return null;
+
+  const minX = Math.min(...bounds.map(b => b.x));
+  const minY = Math.min(...bounds.map(b => b.y));
+  return {
+    x: minX,
+    y: minY,
+    width: Math.max(...bounds.map(b => b.x + b.width)) - minX,
+    height: Math.max(...bounds.map(b => b.y + b.height)) - minY
+  };
+}
+
+/**
+ * Get the center of a region's bounding box
+ * @param {Region} region - The region document
+ * @returns {{x: number, y: number}|null} The center, or null if the region has no solid shapes
+ */
+export function getRegionCenter(region) {
+  const bounds = getRegionBounds(region);
+  if (!bounds) return null;
+  return { x: bounds.x + (bounds.width / 2), y: bounds.y + (bounds.height / 2) };
+}
+
+/**
+ * Build the adjacency graph of Alien Zones
+ *
+ * Connections declared on either zone are treated as two-way. When auto-detection
+ * is enabled, zones with touching shapes are connected as well.
+ *
+ * @param {Array<Region>} zones - The Alien Zone region documents
+ * @param {Object} [options]
+ * @param {boolean} [options.autoDetect=false] - Connect zones whose shapes touch
+ * @param {number} [options.tolerance=0] - Maximum gap in pixels still counted as touching
+ * @returns {Map<string, Set<string>>} Map of zone id to the ids of connected zones
+ */
+export function buildZoneGraph(zones, { autoDetect = false, tolerance = 0 } = {}) {
+  const graph = new Map();
+  for (const zone of zones) graph.set(zone.id, new Set());
+
+  const connect = (a, b) => {
+    if (a === b || !graph.has(a) || !graph.has(b)) return;
+    graph.get(a).add(b);
+    graph.get(b).add(a);
+  };
+
+  for (const zone of zones) {
+    const declared = zone.flags?.["alien-zones"]?.adjacentZones || [];
+    for (const otherId of declared) connect(zone.id, otherId);
+  }
+
+  if (autoDetect) {
+    for (let i = 0; i < zones.length; i++) {
+      for (let j = i + 1; j < zones.length; j++) {
+        if (regionsTouch(zones[i], zones[j], tolerance)) connect(zones[i].id, zones[j].id);
+      }
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Find the smallest number of zone hops between two sets of zones
+ * Tokens can stand in several overlapping zones, so both ends accept multiple zone ids.
+ *
+ * @param {Map<string, Set<string>>} graph - The zone adjacency graph
+ * @param {Iterable<string>} fromIds - Zone ids of the starting point
+ * @param {Iterable<string>} toIds - Zone ids of the destination
+ * @returns {number|null} The hop count, or null if no path exists
+ */
+export function getZoneDistance(graph, fromIds, toIds) {
+  const targets = new Set(toIds);
+  const start = [...fromIds].filter(id => graph.has(id));
+  if (!start.length || !targets.size) return null;
+
+  const visited = new Set(start);
+  let frontier = start;
+  let hops = 0;
+
+  while (frontier.length) {
+    if (frontier.some(id => targets.has(id))) return hops;
+
+    const next = [];
+    for (const id of frontier) {
+      for (const neighbor of graph.get(id)) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+        next.push(neighbor);
+      }
+    }
+    frontier = next;
+    hops++;
+  }
+
+  return null;
+}
+
+/**
+ * Get all Alien Zones on a scene
+ * @param {Scene} [scene=canvas.scene] - The scene to search
+ * @returns {Array<Region>} The Alien Zone region documents
+ */
+export function getSceneZones(scene = canvas.scene) {
+  if (!scene) return [];
+  return scene.regions.filter(region => isAlienZone(region));
+}
+
+/**
+ * Build the adjacency graph for the Alien Zones of a scene
+ * Auto-detection of touching zones follows the module setting.
+ *
+ * @param {Scene} [scene=canvas.scene] - The scene to build the graph for
+ * @returns {Map<string, Set<string>>} The zone adjacency graph
+ */
+export function getSceneZoneGraph(scene = canvas.scene) {
+  return buildZoneGraph(getSceneZones(scene), {
+    autoDetect: game.settings.get("alien-zones", "autoDetectAdjacency"),
+    tolerance: (scene?.grid?.size ?? 100) / 2
+  });
+}
+
+/**
+ * Get the ids of the Alien Zones a token is currently in
+ * @param {TokenDocument} tokenDocument - The token to check
+ * @returns {Set<string>} The zone ids
+ */
+export function getTokenZoneIds(tokenDocument) {
+  const scene = tokenDocument.parent;
+  const zoneIds = new Set();
+  for (const regionId of tokenDocument._regions || []) {
+    const region = scene?.regions.get(regionId);
+    if (region && isAlienZone(region)) zoneIds.add(regionId);
+  }
+  return zoneIds;
+}
+
+/**
+ * Get the ids of the Alien Zones containing a point
+ * @param {Scene} scene - The scene to search
+ * @param {{x: number, y: number, elevation: number}} point - The point to test
+ * @returns {Set<string>} The zone ids
+ */
+export function getPointZoneIds(scene, point) {
+  const zoneIds = new Set();
+  for (const region of getSceneZones(scene)) {
+    const inside = region.testPoint
+      ? region.testPoint(point)
+      : region.object?.testPoint(point, point.elevation);
+    if (inside) zoneIds.add(region.id);
+  }
+  return zoneIds;
+}
+
+/**
+ * Check whether two tokens are within one grid space of each other
+ * @param {TokenDocument} a - The first token
+ * @param {TokenDocument} b - The second token
+ * @returns {boolean} True if the tokens are engaged
+ */
+function areTokensEngaged(a, b) {
+  const centerA = a.object?.center;
+  const centerB = b.object?.center;
+  if (!centerA || !centerB || !canvas.grid) return false;
+
+  const { distance } = canvas.grid.measurePath([centerA, centerB]);
+  return distance <= canvas.scene.grid.distance;
+}
+
+/**
+ * Measure the zone distance and Alien RPG range band between two tokens
+ * @param {Token|TokenDocument} tokenA - The first token
+ * @param {Token|TokenDocument} tokenB - The second token
+ * @returns {{hops: number|null, band: string|null, label: string}} The measured range
+ */
+export function getTokenRange(tokenA, tokenB) {
+  const a = tokenA.document ?? tokenA;
+  const b = tokenB.document ?? tokenB;
+
+  let hops = null;
+  if (a.parent === b.parent) {
+    const graph = getSceneZoneGraph(a.parent);
+    hops = getZoneDistance(graph, getTokenZoneIds(a), getTokenZoneIds(b));
+  }
+
+  const band = getRangeBand(hops, { engaged: hops === 0 && areTokensEngaged(a, b) });
+  const label = game.i18n.localize(band ? RANGE_BAND_LABELS[band] : "ALIENZONE.Range.Unknown");
+
+  return { hops, band, label };
+}
+
+/**
+ * Report the range between the controlled token and the current target
+ * Intended to be called from a macro.
+ *
+ * @returns {Object|null} The measured range, or null if no token pair is selected
+ */
+export function reportTargetRange() {
+  const source = canvas.tokens.controlled[0];
+  const target = game.user.targets.first();
+  if (!source || !target) {
+    ui.notifications.warn(game.i18n.localize("ALIENZONE.Range.SelectTokens"));
+    return null;
+  }
+
+  const range = getTokenRange(source, target);
+  ui.notifications.info(game.i18n.format("ALIENZONE.Range.Report", {
+    source: getTokenName(source.document),
+    target: getTokenName(target.document),
+    range: range.label
+  }));
+  return range;
+}
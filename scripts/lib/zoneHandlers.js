@@ -1,10 +1,35 @@
 /**
  * Alien Zones - Zone Entry Handlers
- * Dispatch and handle zone entry events based on zone type
+ * Dispatch and handle zone entry and exit events based on zone type
  */
 
-import { getZoneTypeConfig, ZONE_TYPES } from './zoneTypes.js';
-import { postZoneEntryMessage } from './lib.js';
+import { getZoneTypeConfig, getZoneIntensity, isZoneUnbreathable, registerZoneType, ZONE_TYPE_CONFIGS, ZONE_TYPES } from './zoneTypes.js';
+import { postZoneEntryMessage, postZoneExitMessage, isAlienZone, applyNpcMessagePrivacy, getTokenRollMode } from './lib.js';
+import { startSupplyTimer, stopSupplyTimer, startHazardTimer, stopHazardTimer } from './zoneUpkeep.js';
+import { syncZoneEffects } from './zoneEffects.js';
+import { handleZoneStress } from './zoneStress.js';
+import { usesZoneCard, postZoneCard, ZONE_ROLLS } from './zoneCards.js';
+import { getSupplyItems, rollSupply } from './zoneSupply.js';
+import { callHazardResolved } from './zoneScripting.js';
+import { getZoneTransactionOptions } from './zoneTransactions.js';
+
+/**
+ * Attach the handlers of the built-in zone types to the zone type registry
+ */
+export function registerBuiltinZoneHandlers() {
+  const handlers = {
+    [ZONE_TYPES.UNBREATHABLE]: { onEnter: handleUnbreathableZone, onExit: handleUnbreathableZoneExit },
+    [ZONE_TYPES.DARKNESS]: { onEnter: handleDarknessZone },
+    [ZONE_TYPES.FIRE]: { onEnter: handleFireZone },
+    [ZONE_TYPES.RADIATION]: { onEnter: handleRadiationZone },
+    [ZONE_TYPES.TOXIC]: { onEnter: handleToxicZone },
+    [ZONE_TYPES.COLD]: { onEnter: handleColdZone }
+  };
+
+  for (const [zoneType, zoneHandlers] of Object.entries(handlers)) {
+    registerZoneType(zoneType, { ...ZONE_TYPE_CONFIGS[zoneType], ...zoneHandlers });
+  }
+}
 
 /**
  * Main entry point for zone entry handling
@@ -22,36 +47,107 @@ export async function handleZoneEntry(tokenDocument, region) {
     await postZoneEntryMessage(tokenDocument, region);
   }
 
-  // Dispatch to specific handler
-  switch (zoneType) {
-    case ZONE_TYPES.UNBREATHABLE:
-      await handleUnbreathableZone(tokenDocument, region);
-      break;
+  await applyZoneHazard(tokenDocument, region);
+
+  // Any zone can frighten the characters entering it
+  await handleZoneStress(tokenDocument, region);
+}
+
+/**
+ * Apply a zone's effects and hazard to a token inside it
+ * Runs on entry, and for the tokens already inside when a zone turns hazardous.
+ *
+ * @param {TokenDocument} tokenDocument - The token inside the zone
+ * @param {Region} region - The zone
+ */
+export async function applyZoneHazard(tokenDocument, region) {
+  const zoneType = region.flags?.["alien-zones"]?.zoneType;
+
+  // Apply the zone's Active Effects
+  await syncZoneEffects(tokenDocument);
 
-    // Future zone types can be added here:
-    // case ZONE_TYPES.DARKNESS:
-    //   await handleDarknessZone(tokenDocument, region);
-    //   break;
+  // Run the hazard, and start counting towards the next time it strikes
+  await repeatZoneHazard(tokenDocument, region);
+  startHazardTimer(tokenDocument, region);
 
-    default:
-      // No additional handling for basic zones
-      break;
+  // A zone of any type loses its air when its atmosphere vents
+  if (zoneType !== ZONE_TYPES.UNBREATHABLE && isZoneUnbreathable(region)) {
+    await handleUnbreathableZone(tokenDocument, region);
+  }
+}
+
+/**
+ * Run a zone type's hazard for a token inside the zone
+ * Used on entry, and again by the zone upkeep while the token stays inside.
+ *
+ * @param {TokenDocument} tokenDocument - The token inside the zone
+ * @param {Region} region - The zone
+ */
+export async function repeatZoneHazard(tokenDocument, region) {
+  const config = getZoneTypeConfig(region.flags?.["alien-zones"]?.zoneType);
+
+  // Dispatch to the handler registered for the zone type (basic zones have none)
+  if (config.onEnter) {
+    await config.onEnter(tokenDocument, region);
+  } else if (config.hasSupplyRoll && config.supplyType) {
+    // Zone types without a handler of their own can still drain a supply
+    await rollZoneSupply(tokenDocument, region, config.supplyType);
+  }
+}
+
+/**
+ * Main entry point for zone exit handling
+ * @param {TokenDocument} tokenDocument - The token that left
+ * @param {Region} region - The region that was left
+ */
+export async function handleZoneExit(tokenDocument, region) {
+  const zoneType = region.flags?.["alien-zones"]?.zoneType;
+  const config = getZoneTypeConfig(zoneType);
+
+  console.log(`Alien Zones | Handling ${zoneType || 'basic'} zone exit for ${tokenDocument.name}`);
+
+  // Post chat message if configured
+  if (config.hasExitMessage) {
+    await postZoneExitMessage(tokenDocument, region);
+  }
+
+  // Remove the zone's Active Effects
+  await syncZoneEffects(tokenDocument);
+  stopHazardTimer(tokenDocument, region);
+
+  // Dispatch to the handler registered for the zone type (basic zones have none)
+  if (config.onExit) {
+    await config.onExit(tokenDocument, region);
+  }
+
+  if (zoneType !== ZONE_TYPES.UNBREATHABLE && region.flags?.["alien-zones"]?.atmosphere) {
+    await handleUnbreathableZoneExit(tokenDocument, region);
   }
 }
 
 /**
  * Handle entry into unbreathable zones
- * Triggers Air supply roll for the Alien RPG system
+ * Triggers Air supply roll for the Alien RPG system and keeps rolling while the token stays.
+ * Follows the zone's live atmosphere, so a repressurized zone needs no Air.
+ *
  * @param {TokenDocument} tokenDocument - The token that entered
  * @param {Region} region - The region that was entered
  */
 async function handleUnbreathableZone(tokenDocument, region) {
-  // Check if Alien RPG system is active
-  if (game.system.id !== "alienrpg") {
-    console.warn("Alien Zones | Unbreathable zone requires Alien RPG system");
-    ui.notifications.warn(game.i18n.localize("ALIENZONE.Errors.RequiresAlienRPG"));
-    return;
-  }
+  if (!isZoneUnbreathable(region)) return;
+
+  await rollZoneSupply(tokenDocument, region, "Air");
+  startSupplyTimer(tokenDocument);
+}
+
+/**
+ * Roll a supply for a token inside a zone, or post a card for the roll
+ * @param {TokenDocument} tokenDocument - The token to roll for
+ * @param {Region} region - The zone draining the supply
+ * @param {string} supplyType - Key of SUPPLIES
+ */
+export async function rollZoneSupply(tokenDocument, region, supplyType) {
+  if (!requireAlienRPG(region)) return;
 
   try {
     // Get the actor from the token
@@ -61,148 +157,244 @@ async function handleUnbreathableZone(tokenDocument, region) {
       return;
     }
 
-    // Trigger Air supply roll
-    await triggerAirSupplyRoll(actor, region);
+    if (usesZoneCard(region)) {
+      await postZoneCard(tokenDocument, region, ZONE_ROLLS.SUPPLY, { supplyType });
+      return;
+    }
+
+    const entry = await rollSupply(actor, region, supplyType);
+    callHazardResolved(tokenDocument, region, { type: ZONE_ROLLS.SUPPLY, supplyType, consumed: 0, ...entry });
 
   } catch (error) {
-    console.error("Alien Zones | Error handling unbreathable zone:", error);
+    console.error(`Alien Zones | Error handling ${supplyType} supply in ${region.name}:`, error);
     ui.notifications.error(game.i18n.localize("ALIENZONE.Errors.SupplyRollFailed"));
   }
 }
 
 /**
- * Consume air supply from actor's items
- * Reduces air supply from active items/armor based on consumption amount
- *
- * @param {Actor} actor - The actor whose air to consume
- * @param {number} amount - Amount of air supply to consume
+ * Handle leaving unbreathable zones
+ * @param {TokenDocument} tokenDocument - The token that left
+ * @param {Region} region - The region that was left
  */
-async function consumeAirSupply(actor, amount) {
-  let remaining = amount;
-
-  // Find all items and armor with air supply that are active
-  const itemsWithAir = actor.items.filter(item => {
-    const isActive = item.system.header?.active === "true";
-    const hasAir = (item.system.attributes?.airsupply?.value || 0) > 0;
-    return isActive && hasAir && (item.type === "item" || item.type === "armor");
+async function handleUnbreathableZoneExit(tokenDocument, region) {
+  // Keep rolling if the token is still inside another unbreathable zone
+  const scene = tokenDocument.parent;
+  const stillUnbreathable = (tokenDocument._regions || []).some(regionId => {
+    const other = scene?.regions.get(regionId);
+    return other && isAlienZone(other) && isZoneUnbreathable(other);
   });
+  if (stillUnbreathable) return;
 
-  // Sort by air value (consume from items with less air first)
-  itemsWithAir.sort((a, b) => {
-    const airA = a.system.attributes.airsupply.value;
-    const airB = b.system.attributes.airsupply.value;
-    return airA - airB;
-  });
+  console.log(`Alien Zones | ${tokenDocument.name} is out of unbreathable zone ${region.name}`);
+  stopSupplyTimer(tokenDocument);
+}
 
-  // Consume air from items
-  for (const item of itemsWithAir) {
-    if (remaining <= 0) break;
+/**
+ * Check that the Alien RPG system is active, warning the user if it is not
+ * @param {Region} region - The hazard zone that needs the system
+ * @returns {boolean} True if the Alien RPG system is active
+ */
+function requireAlienRPG(region) {
+  if (game.system.id === "alienrpg") return true;
 
-    const currentAir = item.system.attributes.airsupply.value;
-    const toConsume = Math.min(remaining, currentAir);
-    const newAir = currentAir - toConsume;
+  const zoneType = region.flags?.["alien-zones"]?.zoneType;
+  console.warn(`Alien Zones | ${zoneType} zone requires Alien RPG system`);
+  ui.notifications.warn(game.i18n.format("ALIENZONE.Errors.RequiresAlienRPG", {
+    zoneType: game.i18n.localize(getZoneTypeConfig(zoneType).label)
+  }));
+  return false;
+}
 
-    await item.update({
-      "system.attributes.airsupply.value": newAir
-    });
+/**
+ * Post a hazard message for a token, spoken by the token's actor
+ * @param {TokenDocument} tokenDocument - The token affected by the hazard
+ * @param {string} messageKey - Localization key of the message
+ * @param {Object} data - Format data, in addition to token and zone
+ * @param {Region} region - The hazard zone
+ */
+async function postHazardMessage(tokenDocument, messageKey, data, region) {
+  const messageData = {
+    content: game.i18n.format(messageKey, {
+      token: tokenDocument.name,
+      zone: region.name,
+      ...data
+    }),
+    flavor: game.i18n.localize(getZoneTypeConfig(region.flags?.["alien-zones"]?.zoneType).label),
+    type: CONST.CHAT_MESSAGE_TYPES.OOC,
+    speaker: ChatMessage.getSpeaker({ token: tokenDocument })
+  };
+  applyNpcMessagePrivacy(messageData, tokenDocument);
+  await ChatMessage.create(messageData, getZoneTransactionOptions(tokenDocument));
+}
 
-    console.log(`Alien Zones | Consumed ${toConsume} air from ${item.name} (${currentAir} -> ${newAir})`);
-    remaining -= toConsume;
+/**
+ * Handle entry into dark zones
+ * Characters carrying an active light source roll Power supply to keep it running
+ * @param {TokenDocument} tokenDocument - The token that entered
+ * @param {Region} region - The region that was entered
+ */
+async function handleDarknessZone(tokenDocument, region) {
+  if (!requireAlienRPG(region)) return;
+
+  const actor = tokenDocument.actor;
+  if (!actor) {
+    console.warn("Alien Zones | No actor found for token");
+    return;
   }
 
-  if (remaining > 0) {
-    console.warn(`Alien Zones | Could not consume all air supply (${remaining} units remaining)`);
+  const penalty = -getZoneIntensity(region);
+
+  if (getSupplyItems(actor, "Power").length === 0) {
+    await postHazardMessage(tokenDocument, "ALIENZONE.Messages.DarknessNoLight", { penalty }, region);
+    callHazardResolved(tokenDocument, region, { type: "darkness", penalty });
+    return;
   }
+
+  await rollZoneSupply(tokenDocument, region, "Power");
 }
 
 /**
- * Trigger an Air supply roll in the Alien RPG system
- *
- * Uses the official Alien RPG system's YZE dice roller to perform
- * an automatic air supply check when entering an unbreathable zone.
- *
- * @param {Actor} actor - The actor to roll for
- * @param {Region} region - The region entered
- */
-async function triggerAirSupplyRoll(actor, region) {
-  // Validate actor has air consumable tracking
-  if (!actor.system.consumables?.air) {
-    console.warn("Alien Zones | Actor does not track air consumables");
-    await ChatMessage.create({
-      content: game.i18n.format("ALIENZONE.Messages.SupplyRollPrompt", {
-        token: actor.name,
-        zone: region.name,
-        supply: "Air"
-      }),
-      speaker: ChatMessage.getSpeaker({ actor }),
-      type: CONST.CHAT_MESSAGE_TYPES.OOC
-    });
+ * Handle entry into burning zones
+ * Rolls Base dice equal to the fire's intensity, each success inflicts one point of damage
+ * @param {TokenDocument} tokenDocument - The token that entered
+ * @param {Region} region - The region that was entered
+ */
+async function handleFireZone(tokenDocument, region) {
+  if (!tokenDocument.actor) {
+    console.warn("Alien Zones | No actor found for token");
+    return;
+  }
+  if (getZoneIntensity(region) <= 0) return;
+
+  if (usesZoneCard(region)) {
+    await postZoneCard(tokenDocument, region, ZONE_ROLLS.FIRE);
     return;
   }
 
-  const airValue = actor.system.consumables.air.value;
+  const damage = await rollFireDamage(tokenDocument, region);
+  callHazardResolved(tokenDocument, region, { type: ZONE_ROLLS.FIRE, damage });
+}
+
+/**
+ * Roll the fire damage of a burning zone and apply it to the token's actor
+ * @param {TokenDocument} tokenDocument - The token caught in the fire
+ * @param {Region} region - The burning zone
+ * @returns {Promise<number>} The damage inflicted
+ */
+export async function rollFireDamage(tokenDocument, region) {
+  const actor = tokenDocument.actor;
+  const intensity = getZoneIntensity(region);
+  if (!actor || intensity <= 0) return 0;
 
-  // Check if actor has air supply - post dramatic message if not
-  if (airValue <= 0) {
-    await ChatMessage.create({
-      content: game.i18n.format("ALIENZONE.Messages.NoAirSupplyDramatic", {
-        token: actor.name,
-        zone: region.name
-      }),
-      flavor: game.i18n.localize("ALIENZONE.Messages.CriticalDanger"),
-      type: CONST.CHAT_MESSAGE_TYPES.EMOTE,
-      speaker: ChatMessage.getSpeaker({ actor })
-    });
+  try {
+    const roll = await new Roll(`${intensity}d6cs>=6`).evaluate();
+    const damage = roll.total;
 
-    ui.notifications.error(
-      game.i18n.format("ALIENZONE.Messages.NoAirSupply", {
-        token: actor.name
+    const rollMode = getTokenRollMode(tokenDocument);
+    const messageData = await roll.toMessage({
+      speaker: ChatMessage.getSpeaker({ token: tokenDocument }),
+      flavor: game.i18n.format("ALIENZONE.Messages.FireRoll", {
+        token: tokenDocument.name,
+        zone: region.name,
+        intensity
       })
-    );
+    }, { rollMode, create: false });
+    await ChatMessage.create(messageData, getZoneTransactionOptions(tokenDocument, { rollMode }));
+
+    if (damage <= 0) return 0;
+
+    const health = actor.system.header?.health;
+    if (health) {
+      const newHealth = Math.max(0, health.value - damage);
+      await actor.update({ "system.header.health.value": newHealth }, getZoneTransactionOptions(tokenDocument));
+      console.log(`Alien Zones | ${actor.name} took ${damage} fire damage (${health.value} -> ${newHealth})`);
+    }
+
+    await postHazardMessage(tokenDocument, "ALIENZONE.Messages.FireDamage", { damage }, region);
+    return damage;
+
+  } catch (error) {
+    console.error("Alien Zones | Error handling fire zone:", error);
+    ui.notifications.error(game.i18n.localize("ALIENZONE.Errors.HazardFailed"));
+    return 0;
+  }
+}
+
+/**
+ * Handle entry into irradiated zones
+ * Adds Radiation points equal to the zone's intensity to the actor
+ * @param {TokenDocument} tokenDocument - The token that entered
+ * @param {Region} region - The region that was entered
+ */
+async function handleRadiationZone(tokenDocument, region) {
+  if (!requireAlienRPG(region)) return;
+
+  const actor = tokenDocument.actor;
+  const radiation = actor?.system.general?.radiation;
+  if (!radiation) {
+    console.log(`Alien Zones | ${tokenDocument.name} does not track Radiation`);
     return;
   }
 
-  // Prepare roll parameters
-  const label = `${game.i18n.localize("ALIENRPG.Air")} ${game.i18n.localize("ALIENRPG.Supply")}`;
-  const blind = actor.token?.disposition === -1;
+  const amount = getZoneIntensity(region);
+  if (amount <= 0) return;
 
   try {
-    // Dynamically import the Alien RPG dice roller
-    const { yze } = await import('/systems/alienrpg/module/helpers/YZEDiceRoller.mjs');
-
-    // Execute the supply roll
-    await yze.yzeRoll(
-      "supply",      // actortype - triggers supply roll behavior
-      blind,         // blind roll if hostile token
-      true,          // reRoll enabled
-      label,         // chat message label
-      0,             // base dice (always 0 for supply rolls)
-      game.i18n.localize("ALIENRPG.Black"),
-      airValue,      // stress/supply dice count
-      game.i18n.localize("ALIENRPG.Yellow"),
-      actor.id       // actor ID for attribution
-    );
-
-    // Check if any 1s were rolled (supply consumed)
-    const onesRolled = game.alienrpg.rollArr.r2One || 0;
-    if (onesRolled > 0) {
-      console.log(`Alien Zones | ${actor.name} rolled ${onesRolled} ones - consuming air supply`);
-
-      // Reduce air supply by consuming from items
-      await consumeAirSupply(actor, onesRolled);
-    }
+    const max = radiation.max ?? 10;
+    const newRadiation = Math.min(max, (radiation.value || 0) + amount);
+    await actor.update({ "system.general.radiation.value": newRadiation }, getZoneTransactionOptions(tokenDocument));
+    console.log(`Alien Zones | ${actor.name} gained ${amount} Radiation (${radiation.value} -> ${newRadiation})`);
+
+    await postHazardMessage(tokenDocument, "ALIENZONE.Messages.RadiationGained", {
+      amount,
+      total: newRadiation
+    }, region);
+    callHazardResolved(tokenDocument, region, { type: "radiation", amount, total: newRadiation });
 
   } catch (error) {
-    console.error("Alien Zones | Error triggering air supply roll:", error);
-    // Fallback to chat prompt
-    await ChatMessage.create({
-      content: game.i18n.format("ALIENZONE.Messages.SupplyRollPrompt", {
-        token: actor.name,
-        zone: region.name,
-        supply: "Air"
-      }),
-      speaker: ChatMessage.getSpeaker({ actor }),
-      type: CONST.CHAT_MESSAGE_TYPES.OOC
-    });
+    console.error("Alien Zones | Error handling radiation zone:", error);
+    ui.notifications.error(game.i18n.localize("ALIENZONE.Errors.HazardFailed"));
+  }
+}
+
+/**
+ * Handle entry into toxic atmosphere zones
+ * Prompts a Stamina check, modified by the zone's intensity
+ * @param {TokenDocument} tokenDocument - The token that entered
+ * @param {Region} region - The region that was entered
+ */
+async function handleToxicZone(tokenDocument, region) {
+  await promptStaminaCheck(tokenDocument, region, "ALIENZONE.ZoneTypes.Toxic");
+}
+
+/**
+ * Handle entry into extreme cold zones
+ * Prompts a Stamina check against freezing, modified by the zone's intensity
+ * @param {TokenDocument} tokenDocument - The token that entered
+ * @param {Region} region - The region that was entered
+ */
+async function handleColdZone(tokenDocument, region) {
+  await promptStaminaCheck(tokenDocument, region, "ALIENZONE.ZoneTypes.Cold");
+}
+
+/**
+ * Ask for a Stamina check against a zone's hazard, modified by the zone's intensity
+ * @param {TokenDocument} tokenDocument - The token that entered
+ * @param {Region} region - The region that was entered
+ * @param {string} hazard - Localization key of the hazard
+ */
+async function promptStaminaCheck(tokenDocument, region, hazard) {
+  const modifier = -getZoneIntensity(region);
+
+  if (usesZoneCard(region)) {
+    await postZoneCard(tokenDocument, region, ZONE_ROLLS.STAMINA, { hazard, modifier });
+    return;
   }
+
+  await postHazardMessage(tokenDocument, "ALIENZONE.Messages.StaminaCheck", {
+    hazard: game.i18n.localize(hazard),
+    modifier
+  }, region);
+  // The check itself is left to the player
+  callHazardResolved(tokenDocument, region, { type: ZONE_ROLLS.STAMINA, hazard, modifier, prompted: true });
 }
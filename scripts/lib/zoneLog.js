@@ -0,0 +1,419 @@
+/**
+ * Alien Zones - Zone Event Log
+ * Keeps a log of zone crossings, hazard results and atmosphere changes on each scene
+ */
+
+import { isZoneAuthority, registerSocketHandler, emitToGM } from './zoneAuthority.js';
+import { ZONE_HOOKS, getTokensInZone } from './zoneScripting.js';
+import { getZoneAtmosphere } from './zoneTypes.js';
+import { SUPPLIES } from './zoneSupply.js';
+import { ZONE_ROLLS } from './zoneCards.js';
+
+/**
+ * Kinds of logged events
+ * @constant {Object}
+ */
+export const LOG_EVENTS = {
+  ENTER: "enter",
+  EXIT: "exit",
+  HAZARD: "hazard",
+  ATMOSPHERE: "atmosphere"
+};
+
+/**
+ * Number of events kept in each scene's log
+ * Every save sends the whole log to all clients with the scene, so it stays short.
+ * @constant {number}
+ */
+export const EVENT_LOG_SIZE = 150;
+
+/**
+ * Delay before buffered events are saved, so a move through several zones is one update
+ * @constant {number}
+ */
+const LOG_FLUSH_DELAY = 250;
+
+/**
+ * Events waiting to be saved, for each scene id
+ * @type {Map<string, Array<Object>>}
+ */
+const pendingEntries = new Map();
+
+/**
+ * Timer of the next save, if one is scheduled
+ * @type {number|null}
+ */
+let flushTimer = null;
+
+/**
+ * Saves run one after the other, so no save reads a log another is still writing
+ * @type {Promise}
+ */
+let flushQueue = Promise.resolve();
+
+/**
+ * Add entries to an event log, dropping the oldest entries past the size limit
+ * @param {Array<Object>} log - The current log, oldest entry first
+ * @param {Array<Object>} entries - The entries to add
+ * @param {number} size - Maximum number of entries
+ * @returns {Array<Object>} The new log
+ */
+export function appendLogEntries(log, entries, size = EVENT_LOG_SIZE) {
+  return [...(log ?? []), ...entries].slice(-size);
+}
+
+/**
+ * Filter an event log
+ * Leave a filter out, or set it to "any", to keep every entry.
+ *
+ * @param {Array<Object>} log - The log
+ * @param {Object} [filters]
+ * @param {string} [filters.tokenId] - Only events of this token
+ * @param {string} [filters.zoneId] - Only events in this zone
+ * @param {string} [filters.type] - Only events of this kind, one of LOG_EVENTS
+ * @returns {Array<Object>} The matching entries
+ */
+export function filterLogEntries(log, { tokenId = "any", zoneId = "any", type = "any" } = {}) {
+  return (log ?? []).filter(entry => (tokenId === "any" || entry.tokenId === tokenId)
+    && (zoneId === "any" || entry.zoneId === zoneId)
+    && (type === "any" || entry.type === type));
+}
+
+/**
+ * Format world time as days, hours, minutes and seconds
+ * @param {number} worldTime - World time in seconds
+ * @returns {string} The time, e.g. "2d 03:10:00"
+ */
+export function formatWorldTime(worldTime) {
+  const total = Math.max(0, Math.floor(worldTime ?? 0));
+  const days = Math.floor(total / 86400);
+  const time = [Math.floor(total / 3600) % 24, Math.floor(total / 60) % 60, total % 60]
+    .map(value => String(value).padStart(2, "0"))
+    .join(":");
+  return days ? `${days}d ${time}` : time;
+}
+
+/**
+ * Quote a CSV value when it needs it
+ * @param {*} value - The value
+ * @returns {string} The CSV field
+ */
+function toCsvField(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV file of log entries
+ * @param {Array<Object>} entries - The entries, oldest first
+ * @param {Object} labels
+ * @param {Array<string>} labels.headers - Column titles: time, world time, round, event, token,
+ *   zone, details and reverted
+ * @param {Object<string, string>} labels.events - Name of each of LOG_EVENTS
+ * @returns {string} The CSV text
+ */
+export function buildLogCsv(entries, { headers, events }) {
+  const rows = entries.map(entry => [
+    new Date(entry.timestamp).toISOString(),
+    formatWorldTime(entry.worldTime),
+    entry.round ?? "",
+    events[entry.type] ?? entry.type,
+    entry.tokenName ?? "",
+    entry.zoneName ?? "",
+    entry.detail ?? "",
+    entry.reverted ? "x" : ""
+  ]);
+  return [headers, ...rows].map(row => row.map(toCsvField).join(",")).join("\r\n");
+}
+
+/**
+ * Get the event log of a scene
+ * @param {Scene} [scene=canvas.scene] - The scene
+ * @returns {Array<Object>} The log, oldest entry first
+ */
+export function getZoneEventLog(scene = canvas.scene) {
+  return scene?.getFlag("alien-zones", "eventLog") ?? [];
+}
+
+/**
+ * Empty the event log of a scene
+ * @param {Scene} [scene=canvas.scene] - The scene
+ */
+export async function clearZoneEventLog(scene = canvas.scene) {
+  pendingEntries.delete(scene.id);
+  await scene.unsetFlag("alien-zones", "eventLog");
+  console.log(`Alien Zones | Cleared the event log of ${scene.name}`);
+}
+
+/**
+ * Check whether zone events are logged
+ * @returns {boolean} True if the event log is switched on
+ */
+function isLogEnabled() {
+  return game.settings.get("alien-zones", "eventLog");
+}
+
+/**
+ * Get the current combat round of a scene
+ * @param {Scene} scene - The scene
+ * @returns {number|null} The round, or null outside of combat
+ */
+function getSceneRound(scene) {
+  const combat = game.combats.find(combat => combat.started && combat.scene?.id === scene.id);
+  return combat?.round ?? null;
+}
+
+/**
+ * Add an event to a scene's log
+ * The active GM saves it, other clients send it to the GM.
+ *
+ * @param {Scene} scene - The scene the event happened on
+ * @param {Object} event - The event
+ * @param {string} event.type - One of LOG_EVENTS
+ * @param {TokenDocument} [event.tokenDocument] - The token involved
+ * @param {Region} event.region - The zone involved
+ * @param {string} [event.detail] - What happened, as plain text
+ * @param {Object} [event.data] - Extra data for macros
+ * @param {boolean} [event.reverted] - Whether the event undoes an earlier one
+ */
+export function recordZoneEvent(scene, { type, tokenDocument = null, region, detail = "", data = {}, reverted = false }) {
+  if (!isLogEnabled()) return;
+
+  if (isZoneAuthority()) {
+    queueLogEntry(scene.id, createLogEntry(scene, { type, tokenDocument, region, detail, data, reverted, userId: game.user.id }));
+    return;
+  }
+
+  // The GM builds the entry from the ids, with its own round and world time
+  const sent = emitToGM("recordZoneEvent", {
+    sceneId: scene.id,
+    type,
+    tokenId: tokenDocument?.id ?? null,
+    zoneId: region.id,
+    detail,
+    data,
+    reverted
+  });
+  if (!sent) console.warn("Alien Zones | No GM connected to log the zone event", type, region.name);
+}
+
+/**
+ * Build a log entry
+ * @param {Scene} scene - The scene the event happened on
+ * @param {Object} event - The event, see recordZoneEvent
+ * @param {string} event.userId - The user who reported the event
+ * @returns {Object} The log entry
+ */
+function createLogEntry(scene, { type, tokenDocument, region, detail, data, reverted, userId }) {
+  return {
+    id: foundry.utils.randomID(),
+    type,
+    tokenId: tokenDocument?.id ?? null,
+    tokenName: tokenDocument?.name ?? null,
+    zoneId: region.id,
+    zoneName: region.name,
+    detail,
+    data,
+    reverted,
+    round: getSceneRound(scene),
+    worldTime: game.time.worldTime,
+    timestamp: Date.now(),
+    userId
+  };
+}
+
+/**
+ * Buffer an entry and schedule the save
+ * @param {string} sceneId - The scene's id
+ * @param {Object} entry - The log entry
+ */
+function queueLogEntry(sceneId, entry) {
+  if (!pendingEntries.has(sceneId)) pendingEntries.set(sceneId, []);
+  pendingEntries.get(sceneId).push(entry);
+
+  flushTimer ??= setTimeout(() => {
+    flushTimer = null;
+    flushQueue = flushQueue.then(flushZoneEventLog);
+  }, LOG_FLUSH_DELAY);
+}
+
+/**
+ * Save the buffered entries, one update for each scene
+ */
+async function flushZoneEventLog() {
+  const pending = [...pendingEntries];
+  pendingEntries.clear();
+
+  for (const [sceneId, entries] of pending) {
+    const scene = game.scenes.get(sceneId);
+    if (!scene) continue;
+
+    try {
+      await scene.setFlag("alien-zones", "eventLog", appendLogEntries(getZoneEventLog(scene), entries));
+    } catch (error) {
+      console.error("Alien Zones | Error saving the zone event log:", error);
+    }
+  }
+}
+
+/**
+ * Turn HTML into plain text
+ * @param {string} html - The HTML
+ * @returns {string} Its text
+ */
+function toPlainText(html) {
+  const element = document.createElement("div");
+  element.innerHTML = html;
+  return element.textContent.trim();
+}
+
+/**
+ * Describe a resolved hazard
+ * @param {Object} result - The hazard result, see ZONE_HOOKS.HAZARD_RESOLVED
+ * @returns {string} Plain text description
+ */
+function describeHazardResult(result) {
+  // Zone cards already describe their outcome
+  if (typeof result.result === "string") return toPlainText(result.result);
+
+  switch (result.type) {
+    case ZONE_ROLLS.SUPPLY: {
+      const supply = game.i18n.localize(SUPPLIES[result.supplyType]?.label ?? result.supplyType);
+      if (result.dice === undefined) return game.i18n.format("ALIENZONE.Log.SupplyNoRoll", { supply });
+      return game.i18n.format("ALIENZONE.Log.Supply", {
+        supply,
+        dice: result.dice,
+        consumed: result.consumed,
+        before: result.before,
+        after: result.after
+      });
+    }
+    case ZONE_ROLLS.FIRE:
+      return game.i18n.format("ALIENZONE.Log.Fire", { damage: result.damage });
+    case "radiation":
+      return game.i18n.format("ALIENZONE.Log.Radiation", { amount: result.amount, total: result.total });
+    case "darkness":
+      return game.i18n.format("ALIENZONE.Log.Darkness", { penalty: result.penalty });
+    case ZONE_ROLLS.STAMINA:
+      return game.i18n.format("ALIENZONE.Log.Stamina", {
+        hazard: game.i18n.localize(result.hazard ?? ""),
+        modifier: result.modifier ?? 0
+      });
+    default:
+      return result.type ?? "";
+  }
+}
+
+/**
+ * Keep the primitive values of a hazard result, safe to store in a flag
+ * @param {Object} result - The hazard result
+ * @returns {Object} The values
+ */
+function getStorableData(result) {
+  return Object.fromEntries(Object.entries(result)
+    .filter(([, value]) => value === null || ["string", "number", "boolean"].includes(typeof value)));
+}
+
+/**
+ * Log a token crossing into or out of a zone
+ * @param {string} type - LOG_EVENTS.ENTER or LOG_EVENTS.EXIT
+ * @param {TokenDocument} tokenDocument - The token
+ * @param {Region} region - The zone
+ * @param {Object} context - The hook context, see ZONE_HOOKS
+ */
+function onZoneCrossed(type, tokenDocument, region, context) {
+  // The hooks fire on every client, the GM logs them once
+  if (!isZoneAuthority()) return;
+
+  recordZoneEvent(tokenDocument.parent, {
+    type,
+    tokenDocument,
+    region,
+    detail: context.reverted ? game.i18n.localize("ALIENZONE.Log.Reverted") : "",
+    data: { triggersEffects: context.triggersEffects },
+    reverted: context.reverted
+  });
+}
+
+/**
+ * Log a resolved zone hazard
+ * @param {TokenDocument} tokenDocument - The token the hazard affected
+ * @param {Region} region - The hazard zone
+ * @param {Object} result - What happened
+ */
+function onHazardResolved(tokenDocument, region, result) {
+  recordZoneEvent(tokenDocument.parent, {
+    type: LOG_EVENTS.HAZARD,
+    tokenDocument,
+    region,
+    detail: describeHazardResult(result),
+    data: getStorableData(result)
+  });
+}
+
+/**
+ * Log atmosphere changes, with everyone inside the zone at the time
+ * @param {Region} region - The updated region
+ * @param {Object} change - The changed data
+ */
+function onUpdateRegion(region, change) {
+  if (!isZoneAuthority()) return;
+  if (!foundry.utils.hasProperty(change, "flags.alien-zones.atmosphere")) return;
+
+  const occupants = getTokensInZone(region).map(tokenDocument => tokenDocument.name);
+  const atmosphere = getZoneAtmosphere(region);
+  recordZoneEvent(region.parent, {
+    type: LOG_EVENTS.ATMOSPHERE,
+    region,
+    detail: game.i18n.format("ALIENZONE.Log.Atmosphere", {
+      atmosphere: game.i18n.localize(`ALIENZONE.Atmosphere.State.${atmosphere}`),
+      tokens: occupants.join(", ") || game.i18n.localize("ALIENZONE.Log.Nobody")
+    }),
+    data: { atmosphere, occupants }
+  });
+}
+
+/**
+ * Save an event sent by a player
+ * Only hazard results of the player's own tokens are accepted, and the entry is rebuilt from
+ * the scene's documents so a player cannot make up names, rounds or times.
+ *
+ * @param {Object} data - The socket message, see recordZoneEvent
+ */
+function onRecordRequest({ sceneId, type, tokenId, zoneId, detail, data, reverted, userId }) {
+  const scene = game.scenes.get(sceneId);
+  const user = game.users.get(userId);
+  if (!scene || !user || !isLogEnabled()) return;
+
+  const tokenDocument = tokenId ? scene.tokens.get(tokenId) : null;
+  const region = scene.regions.get(zoneId);
+  const allowed = Object.values(LOG_EVENTS).includes(type)
+    && region
+    && (user.isGM || (type === LOG_EVENTS.HAZARD && tokenDocument?.testUserPermission(user, "OWNER")));
+  if (!allowed) {
+    console.warn(`Alien Zones | Ignored a ${type} zone event sent by ${user.name}`);
+    return;
+  }
+
+  queueLogEntry(sceneId, createLogEntry(scene, {
+    type,
+    tokenDocument,
+    region,
+    detail: String(detail ?? ""),
+    data: getStorableData(data && typeof data === "object" ? data : {}),
+    reverted: !!reverted,
+    userId: user.id
+  }));
+}
+
+/**
+ * Initialize the hooks filling the event log
+ */
+export function initZoneLogHooks() {
+  Hooks.on(ZONE_HOOKS.ENTER, (tokenDocument, region, context) => onZoneCrossed(LOG_EVENTS.ENTER, tokenDocument, region, context));
+  Hooks.on(ZONE_HOOKS.EXIT, (tokenDocument, region, context) => onZoneCrossed(LOG_EVENTS.EXIT, tokenDocument, region, context));
+  Hooks.on(ZONE_HOOKS.HAZARD_RESOLVED, onHazardResolved);
+  Hooks.on("updateRegion", onUpdateRegion);
+
+  registerSocketHandler("recordZoneEvent", onRecordRequest);
+}
@@ -0,0 +1,288 @@
+/**
+ * Alien Zones - Zone Event Log Viewer
+ * GM window listing the scene's zone events, with filters and journal or CSV export
+ */
+
+import {
+  LOG_EVENTS,
+  getZoneEventLog,
+  clearZoneEventLog,
+  filterLogEntries,
+  formatWorldTime,
+  buildLogCsv
+} from './zoneLog.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * Get the localized name of each kind of event
+ * @returns {Object<string, string>} Name of each of LOG_EVENTS
+ */
+function getEventLabels() {
+  return Object.fromEntries(Object.values(LOG_EVENTS)
+    .map(type => [type, game.i18n.localize(`ALIENZONE.Log.Events.${type}`)]));
+}
+
+/**
+ * Get the localized column titles of the log
+ * @returns {Array<string>} Time, world time, round, event, token, zone, details and reverted
+ */
+function getColumnHeaders() {
+  return ["Time", "WorldTime", "Round", "Event", "Token", "Zone", "Details", "Reverted"]
+    .map(column => game.i18n.localize(`ALIENZONE.Log.Columns.${column}`));
+}
+
+/**
+ * Build the HTML table of some log entries
+ * @param {Array<Object>} entries - The entries, oldest first
+ * @returns {string} HTML string
+ */
+function buildLogTable(entries) {
+  const events = getEventLabels();
+  const headers = getColumnHeaders().slice(0, -1);
+  const cell = value => `<td>${foundry.utils.escapeHTML(String(value ?? ''))}</td>`;
+  const rows = entries.map(entry => `
+            <tr class="${entry.reverted ? 'alien-zones-reverted' : ''}">
+              ${cell(new Date(entry.timestamp).toLocaleTimeString())}
+              ${cell(formatWorldTime(Number(entry.worldTime) || 0))}
+              ${cell(entry.round)}
+              ${cell(events[entry.type] ?? entry.type)}
+              ${cell(entry.tokenName)}
+              ${cell(entry.zoneName)}
+              ${cell(entry.detail)}
+            </tr>`).join('');
+
+  return `
+        <table>
+          <thead>
+            <tr>${headers.map(header => `<th>${foundry.utils.escapeHTML(header)}</th>`).join('')}</tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>`;
+}
+
+/**
+ * Save log entries to a new journal entry, for session recaps
+ * @param {Array<Object>} entries - The entries, oldest first
+ * @param {Scene} [scene=canvas.scene] - The scene they were logged on
+ * @returns {Promise<JournalEntry>} The created journal entry
+ */
+export async function exportLogToJournal(entries, scene = canvas.scene) {
+  const name = game.i18n.format("ALIENZONE.Log.JournalName", {
+    scene: scene.name,
+    date: new Date().toLocaleDateString()
+  });
+  const journal = await JournalEntry.create({
+    name,
+    pages: [{ name: scene.name, type: "text", text: { content: buildLogTable(entries) } }]
+  });
+
+  console.log(`Alien Zones | Exported ${entries.length} zone event(s) to ${name}`);
+  journal.sheet.render(true);
+  return journal;
+}
+
+/**
+ * Download log entries as a CSV file
+ * @param {Array<Object>} entries - The entries, oldest first
+ * @param {Scene} [scene=canvas.scene] - The scene they were logged on
+ */
+export function exportLogToCsv(entries, scene = canvas.scene) {
+  const csv = buildLogCsv(entries, { headers: getColumnHeaders(), events: getEventLabels() });
+
+  const saveDataToFile = foundry.utils.saveDataToFile ?? globalThis.saveDataToFile;
+  const filename = `alien-zones-log-${scene.name.slugify?.() ?? scene.id}.csv`;
+  saveDataToFile(csv, "text/csv", filename);
+
+  console.log(`Alien Zones | Exported ${entries.length} zone event(s) to ${filename}`);
+}
+
+/**
+ * The zone event log window
+ */
+export class ZoneLogViewer extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "alien-zones-log",
+    classes: ["alien-zones-log"],
+    window: {
+      title: "ALIENZONE.Log.Title",
+      icon: "fas fa-clipboard-list",
+      resizable: true
+    },
+    position: {
+      width: 760,
+      height: 560
+    },
+    actions: {
+      exportJournal: ZoneLogViewer.#onExportJournal,
+      exportCsv: ZoneLogViewer.#onExportCsv,
+      clearLog: ZoneLogViewer.#onClearLog
+    }
+  };
+
+  /**
+   * The current filters, kept across renders
+   * @type {{tokenId: string, zoneId: string, type: string}}
+   */
+  filters = { tokenId: "any", zoneId: "any", type: "any" };
+
+  /**
+   * Get the log entries matching the current filters
+   * @returns {Array<Object>} The entries, oldest first
+   */
+  getFilteredEntries() {
+    return filterLogEntries(getZoneEventLog(), this.filters);
+  }
+
+  /** @override */
+  async _prepareContext() {
+    const log = getZoneEventLog();
+    const tokens = new Map(log.filter(entry => entry.tokenId).map(entry => [entry.tokenId, entry.tokenName]));
+    const zones = new Map(log.map(entry => [entry.zoneId, entry.zoneName]));
+    return { scene: canvas.scene, entries: this.getFilteredEntries(), tokens, zones };
+  }
+
+  /** @override */
+  async _renderHTML(context) {
+    if (!context.scene) {
+      return `<p class="alien-zones-log-empty">${game.i18n.localize("ALIENZONE.Manager.NoScene")}</p>`;
+    }
+
+    const options = (values, selected) => [...values]
+      .sort(([, a], [, b]) => String(a).localeCompare(String(b)))
+      .map(([value, label]) => `
+          <option value="${value}" ${selected === value ? 'selected' : ''}>${foundry.utils.escapeHTML(label ?? '')}</option>`)
+      .join('');
+
+    // Newest events first
+    const entries = [...context.entries].reverse();
+    const list = entries.length
+      ? buildLogTable(entries)
+      : `<p class="alien-zones-log-empty">${game.i18n.localize("ALIENZONE.Log.Empty")}</p>`;
+
+    return `
+      <div class="alien-zones-log-filters">
+        <select name="tokenId">
+          <option value="any">${game.i18n.localize("ALIENZONE.Log.AnyToken")}</option>
+          ${options(context.tokens, this.filters.tokenId)}
+        </select>
+        <select name="zoneId">
+          <option value="any">${game.i18n.localize("ALIENZONE.Log.AnyZone")}</option>
+          ${options(context.zones, this.filters.zoneId)}
+        </select>
+        <select name="type">
+          <option value="any">${game.i18n.localize("ALIENZONE.Log.AnyEvent")}</option>
+          ${options(Object.entries(getEventLabels()), this.filters.type)}
+        </select>
+      </div>
+
+      <div class="alien-zones-log-list">${list}</div>
+
+      <div class="alien-zones-log-export">
+        <button type="button" data-action="exportJournal" ${entries.length ? '' : 'disabled'}>
+          <i class="fas fa-book"></i> ${game.i18n.localize("ALIENZONE.Log.ExportJournal")}
+        </button>
+        <button type="button" data-action="exportCsv" ${entries.length ? '' : 'disabled'}>
+          <i class="fas fa-file-csv"></i> ${game.i18n.localize("ALIENZONE.Log.ExportCsv")}
+        </button>
+        <button type="button" data-action="clearLog">
+          <i class="fas fa-trash"></i> ${game.i18n.localize("ALIENZONE.Log.Clear")}
+        </button>
+      </div>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    for (const select of this.element.querySelectorAll('.alien-zones-log-filters select')) {
+      select.addEventListener('change', (event) => {
+        this.filters[event.target.name] = event.target.value;
+        this.render();
+      });
+    }
+  }
+
+  /**
+   * Save the filtered events to a journal entry
+   * @this {ZoneLogViewer}
+   */
+  static async #onExportJournal() {
+    try {
+      await exportLogToJournal(this.getFilteredEntries());
+    } catch (error) {
+      console.error("Alien Zones | Error exporting the zone event log:", error);
+      ui.notifications.error(game.i18n.localize("ALIENZONE.Log.ExportFailed"));
+    }
+  }
+
+  /**
+   * Download the filtered events as a CSV file
+   * @this {ZoneLogViewer}
+   */
+  static #onExportCsv() {
+    exportLogToCsv(this.getFilteredEntries());
+  }
+
+  /**
+   * Empty the scene's event log after asking the GM
+   * @this {ZoneLogViewer}
+   */
+  static async #onClearLog() {
+    const scene = canvas.scene;
+    if (!scene) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("ALIENZONE.Log.Clear") },
+      content: `<p>${game.i18n.format("ALIENZONE.Log.ClearConfirm", { scene: foundry.utils.escapeHTML(scene.name) })}</p>`
+    });
+    if (confirmed) await clearZoneEventLog(scene);
+  }
+}
+
+/**
+ * The open event log window, if any
+ * @type {ZoneLogViewer|null}
+ */
+let zoneLogViewer = null;
+
+/**
+ * Open the zone event log, or bring it to the front if it is already open
+ * @returns {ZoneLogViewer} The event log window
+ */
+export function openZoneEventLog() {
+  zoneLogViewer ??= new ZoneLogViewer();
+  zoneLogViewer.render({ force: true });
+  return zoneLogViewer;
+}
+
+/**
+ * Initialize the scene control button and the hooks keeping the event log window up to date
+ */
+export function initZoneLogViewerHooks() {
+  Hooks.on("getSceneControlButtons", (controls) => {
+    const regions = controls.regions;
+    if (!regions?.tools) return;
+
+    regions.tools.alienZonesEventLog = {
+      name: "alienZonesEventLog",
+      title: "ALIENZONE.Log.Title",
+      icon: "fas fa-clipboard-list",
+      order: Object.keys(regions.tools).length,
+      button: true,
+      visible: game.user.isGM,
+      onChange: () => openZoneEventLog()
+    };
+  });
+
+  Hooks.on("canvasReady", () => {
+    if (zoneLogViewer?.rendered) zoneLogViewer.render();
+  });
+  Hooks.on("updateScene", (scene, change) => {
+    if (scene.id !== canvas.scene?.id || !foundry.utils.hasProperty(change, "flags.alien-zones")) return;
+    if (zoneLogViewer?.rendered) zoneLogViewer.render();
+  });
+}
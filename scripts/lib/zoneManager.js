@@ -0,0 +1,574 @@
+/**
+ * Alien Zones - Zone Manager
+ * GM dashboard listing every region of the scene, with inline and bulk zone editing
+ */
+
+import { getZoneTypes, getZoneTypeConfig, getZoneAtmosphere } from './zoneTypes.js';
+import { getRegionCenter } from './zoneGraph.js';
+import { getZoneOccupants } from './zoneRoster.js';
+import { isAlienZone } from './lib.js';
+import { triggerFalsePing } from './zoneTracker.js';
+import { cycleAirlock } from './zoneAtmosphere.js';
+import { getZoneSchedule } from './zoneSchedule.js';
+import { openZoneSchedule } from './zoneScheduleConfig.js';
+import {
+  exportSceneZones,
+  promptZoneImport,
+  copyZoneSettings,
+  getZonePresets,
+  saveZonePreset,
+  deleteZonePreset,
+  applyZonePreset
+} from './zoneTransfer.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * The Zone Manager application
+ * Rendered from plain HTML strings like the rest of the module's UI, filtering happens in place
+ * so typing in the filter never loses focus.
+ */
+export class ZoneManager extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "alien-zones-manager",
+    classes: ["alien-zones-manager"],
+    window: {
+      title: "ALIENZONE.Manager.Title",
+      icon: "fas fa-map-marked-alt",
+      resizable: true
+    },
+    position: {
+      width: 860,
+      height: 600
+    },
+    actions: {
+      panToZone: ZoneManager.#onPanToZone,
+      configureZone: ZoneManager.#onConfigureZone,
+      falsePing: ZoneManager.#onFalsePing,
+      cycleAirlock: ZoneManager.#onCycleAirlock,
+      openSchedule: ZoneManager.#onOpenSchedule,
+      bulkMark: ZoneManager.#onBulkMark,
+      bulkUnmark: ZoneManager.#onBulkUnmark,
+      bulkSetType: ZoneManager.#onBulkSetType,
+      bulkCopySettings: ZoneManager.#onBulkCopySettings,
+      applyPreset: ZoneManager.#onApplyPreset,
+      deletePreset: ZoneManager.#onDeletePreset,
+      savePreset: ZoneManager.#onSavePreset,
+      exportZones: ZoneManager.#onExportZones,
+      importZones: ZoneManager.#onImportZones
+    }
+  };
+
+  /**
+   * The current list filters, kept across renders
+   * @type {{text: string, status: string, zoneType: string}}
+   */
+  filters = { text: "", status: "all", zoneType: "any" };
+
+  /** @override */
+  async _prepareContext() {
+    const scene = canvas.scene;
+    const regions = scene ? [...scene.regions].sort((a, b) => a.name.localeCompare(b.name)) : [];
+    return { scene, regions, zoneTypes: getZoneTypes(), presets: Object.keys(getZonePresets()).sort() };
+  }
+
+  /** @override */
+  async _renderHTML(context) {
+    if (!context.scene) {
+      return `<p class="alien-zones-manager-empty">${game.i18n.localize("ALIENZONE.Manager.NoScene")}</p>`;
+    }
+
+    const typeOptions = (selected) => context.zoneTypes
+      .map(({ id, config }) => {
+        const isSelected = (id || '') === (selected || '') ? 'selected' : '';
+        return `<option value="${id || ''}" ${isSelected}>${game.i18n.localize(config.label)}</option>`;
+      })
+      .join('');
+
+    const rows = context.regions.map(region => buildRegionRow(region, typeOptions)).join('');
+    const zoneOptions = context.regions
+      .filter(region => isAlienZone(region))
+      .map(region => `<option value="${region.id}">${foundry.utils.escapeHTML(region.name)}</option>`)
+      .join('');
+    const presetOptions = context.presets
+      .map(name => `<option value="${foundry.utils.escapeHTML(name)}">${foundry.utils.escapeHTML(name)}</option>`)
+      .join('');
+    const empty = context.regions.length ? '' : `
+        <tr><td colspan="7" class="alien-zones-manager-empty">${game.i18n.localize("ALIENZONE.Manager.NoRegions")}</td></tr>`;
+
+    return `
+      <div class="alien-zones-manager-filters">
+        <input type="search" name="filterText" value="${foundry.utils.escapeHTML(this.filters.text)}"
+               placeholder="${game.i18n.localize("ALIENZONE.Manager.FilterPlaceholder")}">
+        <select name="filterStatus">
+          ${["all", "zones", "regions"].map(status => `
+          <option value="${status}" ${this.filters.status === status ? 'selected' : ''}>
+            ${game.i18n.localize(`ALIENZONE.Manager.Status.${status}`)}
+          </option>`).join('')}
+        </select>
+        <select name="filterType">
+          <option value="any">${game.i18n.localize("ALIENZONE.Manager.AnyType")}</option>
+          ${context.zoneTypes.map(({ id, config }) => `
+          <option value="${id || ''}" ${this.filters.zoneType === (id || '') ? 'selected' : ''}>
+            ${game.i18n.localize(config.label)}
+          </option>`).join('')}
+        </select>
+      </div>
+
+      <div class="alien-zones-manager-bulk">
+        <span>${game.i18n.localize("ALIENZONE.Manager.Selected")}</span>
+        <button type="button" data-action="bulkMark">${game.i18n.localize("ALIENZONE.Manager.BulkMark")}</button>
+        <button type="button" data-action="bulkUnmark">${game.i18n.localize("ALIENZONE.Manager.BulkUnmark")}</button>
+        <select name="bulkType">${typeOptions(null)}</select>
+        <button type="button" data-action="bulkSetType">${game.i18n.localize("ALIENZONE.Manager.BulkSetType")}</button>
+      </div>
+
+      <div class="alien-zones-manager-bulk">
+        <select name="copySource">${zoneOptions}</select>
+        <button type="button" data-action="bulkCopySettings" ${zoneOptions ? '' : 'disabled'}>
+          ${game.i18n.localize("ALIENZONE.Manager.CopySettings")}
+        </button>
+        <select name="preset">${presetOptions}</select>
+        <button type="button" data-action="applyPreset" ${presetOptions ? '' : 'disabled'}>
+          ${game.i18n.localize("ALIENZONE.Manager.ApplyPreset")}
+        </button>
+        <a data-action="deletePreset" title="${game.i18n.localize("ALIENZONE.Manager.DeletePreset")}"><i class="fas fa-trash"></i></a>
+      </div>
+
+      <div class="alien-zones-manager-transfer">
+        <button type="button" data-action="exportZones">
+          <i class="fas fa-file-export"></i> ${game.i18n.localize("ALIENZONE.Transfer.Export")}
+        </button>
+        <button type="button" data-action="importZones">
+          <i class="fas fa-file-import"></i> ${game.i18n.localize("ALIENZONE.Transfer.Import")}
+        </button>
+      </div>
+
+      <div class="alien-zones-manager-list">
+        <table>
+          <thead>
+            <tr>
+              <th><input type="checkbox" name="selectAll" title="${game.i18n.localize("ALIENZONE.Manager.SelectAll")}"></th>
+              <th>${game.i18n.localize("ALIENZONE.Manager.Region")}</th>
+              <th>${game.i18n.localize("ALIENZONE.Manager.AlienZone")}</th>
+              <th>${game.i18n.localize("ALIENZONE.Config.ZoneType")}</th>
+              <th>${game.i18n.localize("ALIENZONE.Manager.Hazard")}</th>
+              <th>${game.i18n.localize("ALIENZONE.Manager.Occupants")}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>${rows}${empty}</tbody>
+        </table>
+      </div>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    const html = this.element;
+
+    // Filters only hide rows, so the list keeps its scroll position and the inputs their focus
+    html.querySelector('[name="filterText"]')?.addEventListener('input', (event) => {
+      this.filters.text = event.target.value;
+      this.#applyFilters();
+    });
+    html.querySelector('[name="filterStatus"]')?.addEventListener('change', (event) => {
+      this.filters.status = event.target.value;
+      this.#applyFilters();
+    });
+    html.querySelector('[name="filterType"]')?.addEventListener('change', (event) => {
+      this.filters.zoneType = event.target.value;
+      this.#applyFilters();
+    });
+
+    html.querySelector('[name="selectAll"]')?.addEventListener('change', (event) => {
+      for (const checkbox of this.#getVisibleRowCheckboxes()) checkbox.checked = event.target.checked;
+    });
+
+    // Inline edits are saved to the region right away
+    for (const input of html.querySelectorAll('tbody [name^="flags.alien-zones."]')) {
+      input.addEventListener('change', (event) => this.#onInlineEdit(event));
+    }
+
+    this.#applyFilters();
+  }
+
+  /**
+   * Show only the rows matching the current filters
+   */
+  #applyFilters() {
+    const text = this.filters.text.trim().toLowerCase();
+
+    for (const row of this.element.querySelectorAll('tr[data-region-id]')) {
+      const isZone = row.dataset.alienZone === "true";
+      const visible = (!text || row.dataset.name.toLowerCase().includes(text))
+        && (this.filters.status !== "zones" || isZone)
+        && (this.filters.status !== "regions" || !isZone)
+        && (this.filters.zoneType === "any" || (isZone && row.dataset.zoneType === this.filters.zoneType));
+      row.hidden = !visible;
+    }
+  }
+
+  /**
+   * Get the selection checkboxes of the rows that are not filtered out
+   * @returns {Array<HTMLInputElement>} The checkboxes
+   */
+  #getVisibleRowCheckboxes() {
+    return [...this.element.querySelectorAll('tr[data-region-id]:not([hidden]) [name="selected"]')];
+  }
+
+  /**
+   * Get the ids of the selected regions that are not filtered out
+   * @returns {Array<string>} The region ids
+   */
+  #getSelectedRegionIds() {
+    return this.#getVisibleRowCheckboxes()
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => checkbox.closest('tr').dataset.regionId);
+  }
+
+  /**
+   * Save a changed inline field to its region
+   * @param {Event} event - The change event
+   */
+  async #onInlineEdit(event) {
+    const input = event.currentTarget;
+    const region = canvas.scene?.regions.get(input.closest('tr').dataset.regionId);
+    if (!region) return;
+
+    let value;
+    if (input.type === "checkbox") value = input.checked;
+    else if (input.type === "number") value = Number(input.value);
+    else value = input.value;
+    if (input.name === "flags.alien-zones.zoneType") value = value || null;
+
+    await region.update({ [input.name]: value });
+  }
+
+  /**
+   * Update the alien-zones flags of every selected region at once
+   * @param {Object} flags - The flag values to set
+   */
+  async #bulkUpdate(flags) {
+    const regionIds = this.#getSelectedRegionIds();
+    if (!regionIds.length) {
+      ui.notifications.warn(game.i18n.localize("ALIENZONE.Manager.NothingSelected"));
+      return;
+    }
+
+    const updates = regionIds.map(_id => ({ _id, flags: { "alien-zones": flags } }));
+    await canvas.scene.updateEmbeddedDocuments("Region", updates);
+    console.log(`Alien Zones | Updated ${updates.length} region(s) from the Zone Manager`);
+  }
+
+  /**
+   * Mark the selected regions as Alien Zones
+   * @this {ZoneManager}
+   */
+  static async #onBulkMark() {
+    await this.#bulkUpdate({ isAlienZone: true });
+  }
+
+  /**
+   * Turn the selected regions back into plain regions
+   * @this {ZoneManager}
+   */
+  static async #onBulkUnmark() {
+    await this.#bulkUpdate({ isAlienZone: false });
+  }
+
+  /**
+   * Make the selected regions Alien Zones of the chosen type
+   * @this {ZoneManager}
+   */
+  static async #onBulkSetType() {
+    const zoneType = this.element.querySelector('[name="bulkType"]').value || null;
+    await this.#bulkUpdate({ isAlienZone: true, zoneType });
+  }
+
+  /**
+   * Copy the settings of the chosen zone to the selected regions
+   * @this {ZoneManager}
+   */
+  static async #onBulkCopySettings() {
+    const source = canvas.scene?.regions.get(this.element.querySelector('[name="copySource"]').value);
+    const regionIds = this.#getSelectedRegionIds();
+    if (!source) return;
+    if (!regionIds.length) {
+      ui.notifications.warn(game.i18n.localize("ALIENZONE.Manager.NothingSelected"));
+      return;
+    }
+    await copyZoneSettings(source, regionIds);
+  }
+
+  /**
+   * Apply the chosen preset to the selected regions
+   * @this {ZoneManager}
+   */
+  static async #onApplyPreset() {
+    const name = this.element.querySelector('[name="preset"]').value;
+    const regionIds = this.#getSelectedRegionIds();
+    if (!name) return;
+    if (!regionIds.length) {
+      ui.notifications.warn(game.i18n.localize("ALIENZONE.Manager.NothingSelected"));
+      return;
+    }
+    await applyZonePreset(name, canvas.scene, regionIds);
+  }
+
+  /**
+   * Delete the chosen preset after confirmation
+   * @this {ZoneManager}
+   */
+  static async #onDeletePreset() {
+    const name = this.element.querySelector('[name="preset"]').value;
+    if (!name) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("ALIENZONE.Manager.DeletePreset") },
+      content: `<p>${game.i18n.format("ALIENZONE.Manager.DeletePresetConfirm", { name: foundry.utils.escapeHTML(name) })}</p>`
+    });
+    if (!confirmed) return;
+
+    await deleteZonePreset(name);
+    this.render();
+  }
+
+  /**
+   * Save the settings of a zone as a world preset
+   * @this {ZoneManager}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked button
+   */
+  static async #onSavePreset(event, target) {
+    const region = canvas.scene?.regions.get(target.closest('tr').dataset.regionId);
+    if (!region) return;
+
+    const name = await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize("ALIENZONE.Manager.SavePreset") },
+      content: `
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Manager.PresetName")}</label>
+          <input type="text" name="name" value="${foundry.utils.escapeHTML(region.name)}" autofocus>
+        </div>`,
+      ok: { callback: (event, button) => button.form.elements.name.value.trim() },
+      rejectClose: false
+    });
+    if (!name) return;
+
+    await saveZonePreset(name, region);
+    ui.notifications.info(game.i18n.format("ALIENZONE.Manager.PresetSaved", { name }));
+    this.render();
+  }
+
+  /**
+   * Export the scene's zones to a file
+   * @this {ZoneManager}
+   */
+  static #onExportZones() {
+    exportSceneZones(canvas.scene);
+  }
+
+  /**
+   * Import zones from a file into the scene
+   * @this {ZoneManager}
+   */
+  static async #onImportZones() {
+    await promptZoneImport(canvas.scene);
+  }
+
+  /**
+   * Pan the canvas to a zone and ping it
+   * @this {ZoneManager}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked button
+   */
+  static async #onPanToZone(event, target) {
+    const region = canvas.scene?.regions.get(target.closest('tr').dataset.regionId);
+    const center = region && getRegionCenter(region);
+    if (!center) return;
+
+    await canvas.animatePan(center);
+    canvas.ping(center);
+  }
+
+  /**
+   * Send a false motion tracker ping from a zone
+   * @this {ZoneManager}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked button
+   */
+  static #onFalsePing(event, target) {
+    triggerFalsePing(target.closest('tr').dataset.regionId, canvas.scene);
+  }
+
+  /**
+   * Cycle the airlock of a zone
+   * @this {ZoneManager}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked button
+   */
+  static async #onCycleAirlock(event, target) {
+    const region = canvas.scene?.regions.get(target.closest('tr').dataset.regionId);
+    if (region) await cycleAirlock(region);
+  }
+
+  /**
+   * Open the scheduled changes of a zone
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked button
+   */
+  static #onOpenSchedule(event, target) {
+    const region = canvas.scene?.regions.get(target.closest('tr').dataset.regionId);
+    if (region) openZoneSchedule(region);
+  }
+
+  /**
+   * Open the full region configuration of a zone
+   * @this {ZoneManager}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked button
+   */
+  static #onConfigureZone(event, target) {
+    canvas.scene?.regions.get(target.closest('tr').dataset.regionId)?.sheet.render(true);
+  }
+}
+
+/**
+ * Build the table row of a region
+ * @param {Region} region - The region document
+ * @param {Function} typeOptions - Builds the zone type options with the given type selected
+ * @returns {string} HTML string
+ */
+function buildRegionRow(region, typeOptions) {
+  const flags = region.flags?.["alien-zones"] ?? {};
+  const isAlienZone = flags.isAlienZone ?? false;
+  const zoneType = flags.zoneType ?? null;
+  const name = foundry.utils.escapeHTML(region.name);
+
+  const occupants = isAlienZone
+    ? getZoneOccupants(region.id).map(tokenDocument => foundry.utils.escapeHTML(tokenDocument.name)).join(', ')
+    : '';
+
+  return `
+            <tr data-region-id="${region.id}" data-name="${name}" data-alien-zone="${isAlienZone}" data-zone-type="${zoneType || ''}">
+              <td><input type="checkbox" name="selected"></td>
+              <td class="alien-zones-manager-name">${name}</td>
+              <td><input type="checkbox" name="flags.alien-zones.isAlienZone" ${isAlienZone ? 'checked' : ''}></td>
+              <td><select name="flags.alien-zones.zoneType" ${isAlienZone ? '' : 'disabled'}>${typeOptions(zoneType)}</select></td>
+              <td class="alien-zones-manager-hazard">${isAlienZone ? buildHazardFields(flags) : ''}</td>
+              <td class="alien-zones-manager-occupants">${occupants}</td>
+              <td class="alien-zones-manager-controls">
+                <a data-action="panToZone" title="${game.i18n.localize("ALIENZONE.Manager.PanToZone")}"><i class="fas fa-crosshairs"></i></a>
+                ${isAlienZone && flags.linkedDoors?.length ? `<a data-action="cycleAirlock" title="${game.i18n.format("ALIENZONE.Atmosphere.Cycle", {
+                  atmosphere: game.i18n.localize(`ALIENZONE.Atmosphere.State.${getZoneAtmosphere(region)}`)
+                })}"><i class="fas fa-wind"></i></a>` : ''}
+                ${isAlienZone ? `<a data-action="openSchedule" title="${game.i18n.localize("ALIENZONE.Schedule.Title")}"${getZoneSchedule(region).length ? ' class="active"' : ''}><i class="fas fa-hourglass-half"></i></a>` : ''}
+                ${isAlienZone ? `<a data-action="falsePing" title="${game.i18n.localize("ALIENZONE.Tracker.FalsePing")}"><i class="fas fa-satellite-dish"></i></a>` : ''}
+                ${isAlienZone ? `<a data-action="savePreset" title="${game.i18n.localize("ALIENZONE.Manager.SavePreset")}"><i class="fas fa-save"></i></a>` : ''}
+                <a data-action="configureZone" title="${game.i18n.localize("ALIENZONE.Manager.Configure")}"><i class="fas fa-cog"></i></a>
+              </td>
+            </tr>`;
+}
+
+/**
+ * Build compact inputs for the configuration fields of a zone's type
+ * @param {Object} flags - The region's alien-zones flags
+ * @returns {string} HTML string
+ */
+function buildHazardFields(flags) {
+  const config = getZoneTypeConfig(flags.zoneType);
+
+  return (config.fields ?? [])
+    .map(field => {
+      const name = `flags.alien-zones.${field.name}`;
+      const value = flags[field.name] ?? field.default ?? config[field.name] ?? '';
+      const title = game.i18n.localize(field.label);
+
+      switch (field.type) {
+        case "select": {
+          const options = Object.entries(field.choices ?? {})
+            .map(([choice, label]) => {
+              const selected = String(choice) === String(value) ? 'selected' : '';
+              return `<option value="${choice}" ${selected}>${game.i18n.localize(label)}</option>`;
+            })
+            .join('');
+          return `<select name="${name}" title="${title}">${options}</select>`;
+        }
+
+        case "number": {
+          const min = field.min !== undefined ? `min="${field.min}"` : '';
+          const step = field.step !== undefined ? `step="${field.step}"` : '';
+          return `<label title="${title}">${title} <input type="number" name="${name}" value="${value}" ${min} ${step}></label>`;
+        }
+
+        case "checkbox":
+          return `<label title="${title}"><input type="checkbox" name="${name}" ${value ? 'checked' : ''}> ${title}</label>`;
+
+        default:
+          return `<input type="text" name="${name}" value="${foundry.utils.escapeHTML(String(value))}" title="${title}">`;
+      }
+    })
+    .join('');
+}
+
+/**
+ * The open Zone Manager, if any
+ * @type {ZoneManager|null}
+ */
+let zoneManager = null;
+
+/**
+ * Open the Zone Manager, or bring it to the front if it is already open
+ * @returns {ZoneManager} The Zone Manager
+ */
+export function openZoneManager() {
+  zoneManager ??= new ZoneManager();
+  zoneManager.render({ force: true });
+  return zoneManager;
+}
+
+/**
+ * Re-render the Zone Manager if it is open
+ * Debounced, as moving a group of tokens fires many updates at once.
+ */
+const refreshZoneManager = foundry.utils.debounce(() => {
+  if (zoneManager?.rendered) zoneManager.render();
+}, 100);
+
+/**
+ * Initialize the scene control button and the hooks keeping the Zone Manager up to date
+ */
+export function initZoneManagerHooks() {
+  Hooks.on("getSceneControlButtons", onGetSceneControlButtons);
+
+  for (const hook of ["createRegion", "updateRegion", "deleteRegion", "createToken", "deleteToken", "canvasReady"]) {
+    Hooks.on(hook, () => refreshZoneManager());
+  }
+  Hooks.on("updateToken", (tokenDocument, change) => {
+    if (change.x !== undefined || change.y !== undefined) refreshZoneManager();
+  });
+}
+
+/**
+ * Add the Zone Manager button to the region controls
+ * @param {Object<string, SceneControl>} controls - The scene controls
+ */
+function onGetSceneControlButtons(controls) {
+  const regions = controls.regions;
+  if (!regions?.tools) return;
+
+  regions.tools.alienZonesManager = {
+    name: "alienZonesManager",
+    title: "ALIENZONE.Manager.Title",
+    icon: "fas fa-map-marked-alt",
+    order: Object.keys(regions.tools).length,
+    button: true,
+    visible: game.user.isGM,
+    onChange: () => openZoneManager()
+  };
+}
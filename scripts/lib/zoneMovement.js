@@ -0,0 +1,270 @@
+/**
+ * Alien Zones - Combat Movement Budget
+ * Counts zone transitions per combatant per round and enforces the Alien RPG movement rules
+ */
+
+import { getSceneZoneGraph, getZoneDistance, getPointZoneIds } from './zoneGraph.js';
+import { isZoneAuthority, registerSocketHandler, emitToGM } from './zoneAuthority.js';
+import { isAlienZone } from './lib.js';
+
+/**
+ * What happens when a move exceeds the combatant's remaining zone budget
+ * @constant {Object}
+ */
+export const MOVEMENT_ENFORCEMENT = {
+  OFF: "off",
+  WARN: "warn",
+  ASK: "ask",
+  BLOCK: "block"
+};
+
+/**
+ * Initialize movement budget hooks
+ */
+export function initZoneMovementHooks() {
+  Hooks.on("preUpdateToken", onPreUpdateToken);
+  Hooks.on("updateToken", onUpdateToken);
+  Hooks.on("renderCombatTracker", onRenderCombatTracker);
+  registerSocketHandler("moveRequest", onMoveRequest);
+}
+
+/**
+ * Get the movement enforcement mode
+ * @returns {string} One of MOVEMENT_ENFORCEMENT
+ */
+function getEnforcement() {
+  return game.settings.get("alien-zones", "movementEnforcement");
+}
+
+/**
+ * Count the zone transitions of a move
+ *
+ * Uses the zone adjacency graph when the zones are connected, so a move straight through
+ * a zone into the next one counts both hops. Otherwise every newly entered zone counts once.
+ *
+ * @param {Map<string, Set<string>>} graph - The zone adjacency graph
+ * @param {Set<string>} fromIds - Zone ids before the move
+ * @param {Set<string>} toIds - Zone ids after the move
+ * @returns {number} The number of zone transitions
+ */
+export function countZoneTransitions(graph, fromIds, toIds) {
+  const entered = [...toIds].filter(id => !fromIds.has(id));
+  if (!entered.length) return 0;
+
+  const hops = getZoneDistance(graph, fromIds, entered);
+  return hops ?? entered.length;
+}
+
+/**
+ * Get the zone transitions a combatant has used this round
+ * @param {Object|undefined} movement - The combatant's stored movement ({round, used})
+ * @param {number} round - The current combat round
+ * @returns {number} Transitions used this round
+ */
+export function getMovementUsed(movement, round) {
+  return movement?.round === round ? (movement.used || 0) : 0;
+}
+
+/**
+ * Get the combatant of a token in the active, started combat
+ * @param {TokenDocument} tokenDocument - The token
+ * @returns {Combatant|null} The combatant, if any
+ */
+function getActiveCombatant(tokenDocument) {
+  const combat = game.combat;
+  if (!combat?.started) return null;
+  return combat.combatants.find(c => c.tokenId === tokenDocument.id && c.sceneId === tokenDocument.parent.id) ?? null;
+}
+
+/**
+ * Get the zone budget left for a combatant this round
+ * @param {Combatant} combatant - The combatant
+ * @returns {number} Zone transitions left
+ */
+export function getRemainingMovement(combatant) {
+  const budget = game.settings.get("alien-zones", "movementBudget");
+  const used = getMovementUsed(combatant.getFlag("alien-zones", "movement"), combatant.combat.round);
+  return Math.max(0, budget - used);
+}
+
+/**
+ * Get the Alien Zones containing the token's destination
+ * @param {TokenDocument} tokenDocument - The moving token
+ * @param {Object} change - The pending position change
+ * @returns {Set<string>} Ids of the zones at the destination
+ */
+function getDestinationZoneIds(tokenDocument, change) {
+  const x = change.x ?? tokenDocument.x;
+  const y = change.y ?? tokenDocument.y;
+  const size = tokenDocument.parent.grid.size;
+  const point = {
+    x: x + (tokenDocument.width * size / 2),
+    y: y + (tokenDocument.height * size / 2),
+    elevation: change.elevation ?? tokenDocument.elevation
+  };
+
+  return getPointZoneIds(tokenDocument.parent, point);
+}
+
+/**
+ * Get the Alien Zones among a token's regions
+ * @param {TokenDocument} tokenDocument - The token
+ * @param {Iterable<string>} [regionIds] - Region ids to check, the token's current regions by default
+ * @returns {Set<string>} The zone ids
+ */
+function getCurrentZoneIds(tokenDocument, regionIds = tokenDocument._regions || []) {
+  const zoneIds = new Set();
+  for (const regionId of regionIds) {
+    const region = tokenDocument.parent.regions.get(regionId);
+    if (region && isAlienZone(region)) zoneIds.add(regionId);
+  }
+  return zoneIds;
+}
+
+/**
+ * Check a player's move against the combatant's zone budget before it happens
+ * @param {TokenDocument} tokenDocument - The token about to move
+ * @param {Object} change - The pending changes
+ * @param {Object} options - The update options
+ * @param {string} userId - The user making the update
+ * @returns {boolean|void} False to block the move
+ */
+function onPreUpdateToken(tokenDocument, change, options, userId) {
+  if (change.x === undefined && change.y === undefined) return;
+  if (game.user.isGM || options.alienZonesApproved || options.alienZonesRevert) return;
+
+  const enforcement = getEnforcement();
+  if (enforcement === MOVEMENT_ENFORCEMENT.OFF) return;
+
+  const combatant = getActiveCombatant(tokenDocument);
+  if (!combatant) return;
+
+  const graph = getSceneZoneGraph(tokenDocument.parent);
+  const zones = countZoneTransitions(graph, getCurrentZoneIds(tokenDocument), getDestinationZoneIds(tokenDocument, change));
+  const remaining = getRemainingMovement(combatant);
+  if (zones <= remaining) return;
+
+  const data = { token: tokenDocument.name, zones, remaining };
+  console.log(`Alien Zones | ${tokenDocument.name} tries to move ${zones} zone(s) with ${remaining} left`);
+
+  switch (enforcement) {
+    case MOVEMENT_ENFORCEMENT.BLOCK:
+      ui.notifications.warn(game.i18n.format("ALIENZONE.Movement.Blocked", data));
+      return false;
+
+    case MOVEMENT_ENFORCEMENT.ASK: {
+      const sent = emitToGM("moveRequest", {
+        sceneId: tokenDocument.parent.id,
+        tokenId: tokenDocument.id,
+        change: { x: change.x, y: change.y },
+        zones,
+        remaining
+      });
+
+      // Without a GM to ask, let the move through with a warning
+      if (!sent) break;
+
+      ui.notifications.info(game.i18n.format("ALIENZONE.Movement.AskingGM", data));
+      return false;
+    }
+
+    default:
+      break;
+  }
+
+  ui.notifications.warn(game.i18n.format("ALIENZONE.Movement.OverBudget", data));
+  ChatMessage.create({
+    content: game.i18n.format("ALIENZONE.Movement.OverBudget", data),
+    whisper: ChatMessage.getWhisperRecipients("GM").map(user => user.id),
+    speaker: { alias: game.i18n.localize("ALIENZONE.ModuleName") }
+  });
+}
+
+/**
+ * Count the zone transitions of a completed move against the combatant's budget
+ * @param {TokenDocument} tokenDocument - The token that moved
+ * @param {Object} change - The changed data
+ * @param {Object} options - The update options
+ */
+async function onUpdateToken(tokenDocument, change, options) {
+  if (change.x === undefined && change.y === undefined) return;
+  if (!isZoneAuthority() || getEnforcement() === MOVEMENT_ENFORCEMENT.OFF) return;
+
+  const combatant = getActiveCombatant(tokenDocument);
+  if (!combatant) return;
+
+  const graph = getSceneZoneGraph(tokenDocument.parent);
+  const fromIds = getCurrentZoneIds(tokenDocument, options.alienZonesRegionsBefore || []);
+  const zones = countZoneTransitions(graph, fromIds, getCurrentZoneIds(tokenDocument));
+  if (zones === 0) return;
+
+  // Moving back to undo a move gives the zone moves back
+  const round = combatant.combat.round;
+  const spent = options.alienZonesRevert ? -zones : zones;
+  const used = Math.max(0, getMovementUsed(combatant.getFlag("alien-zones", "movement"), round) + spent);
+  await combatant.setFlag("alien-zones", "movement", { round, used });
+  console.log(`Alien Zones | ${tokenDocument.name} used ${used} zone move(s) in round ${round}`);
+}
+
+/**
+ * Ask the GM to approve a move over budget
+ * @param {Object} data - The socket message
+ */
+async function onMoveRequest(data) {
+  const scene = game.scenes.get(data.sceneId);
+  const tokenDocument = scene?.tokens.get(data.tokenId);
+  const user = game.users.get(data.userId);
+  if (!tokenDocument || !user || !tokenDocument.testUserPermission(user, "OWNER")) return;
+
+  const approved = await foundry.applications.api.DialogV2.confirm({
+    window: { title: game.i18n.localize("ALIENZONE.Movement.ApprovalTitle") },
+    content: `<p>${game.i18n.format("ALIENZONE.Movement.ApprovalPrompt", {
+      user: user.name,
+      token: tokenDocument.name,
+      zones: data.zones,
+      remaining: data.remaining
+    })}</p>`
+  });
+
+  if (!approved) {
+    ChatMessage.create({
+      content: game.i18n.format("ALIENZONE.Movement.Denied", { token: tokenDocument.name }),
+      whisper: [user.id],
+      speaker: { alias: game.i18n.localize("ALIENZONE.ModuleName") }
+    });
+    return;
+  }
+
+  const change = Object.fromEntries(Object.entries(data.change).filter(([, value]) => value !== undefined));
+  await tokenDocument.update(change, { alienZonesApproved: true });
+}
+
+/**
+ * Show the zones each combatant can still move this round
+ * @param {CombatTracker} app - The combat tracker
+ * @param {HTMLElement|jQuery} html - The rendered HTML, wrapped in jQuery before v13
+ */
+function onRenderCombatTracker(app, html) {
+  if (getEnforcement() === MOVEMENT_ENFORCEMENT.OFF) return;
+
+  const combat = app.viewed;
+  if (!combat?.started) return;
+
+  const element = html instanceof HTMLElement ? html : html[0];
+
+  const budget = game.settings.get("alien-zones", "movementBudget");
+  for (const row of element.querySelectorAll('.combatant[data-combatant-id]')) {
+    const combatant = combat.combatants.get(row.dataset.combatantId);
+    if (!combatant?.tokenId) continue;
+
+    const remaining = getRemainingMovement(combatant);
+    const badge = document.createElement('span');
+    badge.classList.add('alien-zones-movement');
+    if (remaining === 0) badge.classList.add('exhausted');
+    badge.title = game.i18n.localize("ALIENZONE.Movement.TrackerHint");
+    badge.textContent = game.i18n.format("ALIENZONE.Movement.TrackerLabel", { remaining, budget });
+
+    const name = row.querySelector('.token-name') ?? row;
+    name.append(badge);
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * Alien Zones - Zone Overlay
+ * Labels each Alien Zone on the canvas with its name, hazards and occupancy
+ */
+
+import { ATMOSPHERE, getZoneAtmosphere, getZoneTypeConfig } from './zoneTypes.js';
+import {
+  getRegionCenter,
+  getSceneZones,
+  getSceneZoneGraph,
+  getTokenZoneIds,
+  getZoneDistance,
+  getRangeBand,
+  RANGE_BAND_LABELS
+} from './zoneGraph.js';
+import { getZoneOccupants } from './zoneRoster.js';
+
+/**
+ * Layers of the zone overlay
+ * - NAMES: the zone name
+ * - HAZARDS: icons for the zone type and a failing atmosphere
+ * - OCCUPANCY: the number of tokens inside the zone
+ * @constant {Object}
+ */
+export const OVERLAY_LAYERS = {
+  NAMES: "names",
+  HAZARDS: "hazards",
+  OCCUPANCY: "occupancy"
+};
+
+/**
+ * Layers players see until the GM changes them
+ * @constant {Object<string, boolean>}
+ */
+export const DEFAULT_PLAYER_LAYERS = {
+  [OVERLAY_LAYERS.NAMES]: true,
+  [OVERLAY_LAYERS.HAZARDS]: true,
+  [OVERLAY_LAYERS.OCCUPANCY]: false
+};
+
+/**
+ * Icons of a failing atmosphere
+ * @constant {Object}
+ */
+const ATMOSPHERE_ICONS = {
+  [ATMOSPHERE.VENTING]: "fas fa-wind",
+  [ATMOSPHERE.VACUUM]: "fas fa-head-side-mask"
+};
+
+/**
+ * Id of the element holding the overlay labels
+ * @constant {string}
+ */
+const OVERLAY_ID = "alien-zones-overlay";
+
+/**
+ * Re-draw the overlay, created on first use
+ * @type {Function|null}
+ */
+let refreshZoneOverlay = null;
+
+/**
+ * Work out which overlay layers a user sees
+ * The GM sees every layer, players the ones the GM allows.
+ *
+ * @param {Object<string, boolean>} playerLayers - The layers players may see
+ * @param {boolean} isGM - Whether the user is a GM
+ * @returns {Set<string>} The OVERLAY_LAYERS shown
+ */
+export function getShownLayers(playerLayers, isGM) {
+  const layers = Object.values(OVERLAY_LAYERS);
+  if (isGM) return new Set(layers);
+  return new Set(layers.filter(layer => (playerLayers ?? DEFAULT_PLAYER_LAYERS)[layer]));
+}
+
+/**
+ * Get the hazard icons of a zone
+ * @param {string|undefined} typeIcon - Icon of the zone type
+ * @param {string} atmosphere - The zone's ATMOSPHERE
+ * @returns {Array<string>} The icon classes, without duplicates
+ */
+export function getZoneHazardIcons(typeIcon, atmosphere) {
+  return [...new Set([typeIcon, ATMOSPHERE_ICONS[atmosphere]].filter(icon => icon))];
+}
+
+/**
+ * Count the occupants of a zone a user can see
+ * Players don't learn about hidden tokens from the count.
+ *
+ * @param {Array<{hidden: boolean}>} tokens - The tokens inside the zone
+ * @param {boolean} isGM - Whether the user is a GM
+ * @returns {number} The number of tokens
+ */
+export function countVisibleOccupants(tokens, isGM) {
+  return isGM ? tokens.length : tokens.filter(token => !token.hidden).length;
+}
+
+/**
+ * Get the layers players may see
+ * @returns {Object<string, boolean>} Whether each of OVERLAY_LAYERS is shown
+ */
+export function getPlayerOverlayLayers() {
+  return { ...DEFAULT_PLAYER_LAYERS, ...game.settings.get("alien-zones", "overlayPlayerLayers") };
+}
+
+/**
+ * Check whether this client shows the overlay
+ * @returns {boolean} True if the overlay is switched on
+ */
+function isOverlayShown() {
+  return game.settings.get("alien-zones", "showZoneOverlay");
+}
+
+/**
+ * Build the label of a zone
+ * @param {Region} region - The zone
+ * @param {Set<string>} layers - The OVERLAY_LAYERS shown
+ * @returns {HTMLElement|null} The label, or null if there is nothing to show
+ */
+function buildZoneLabel(region, layers) {
+  const center = getRegionCenter(region);
+  if (!center) return null;
+
+  const parts = [];
+  if (layers.has(OVERLAY_LAYERS.HAZARDS)) {
+    const typeIcon = getZoneTypeConfig(region.flags["alien-zones"].zoneType).icon;
+    for (const icon of getZoneHazardIcons(typeIcon, getZoneAtmosphere(region))) {
+      parts.push(`<i class="${icon} alien-zones-overlay-hazard"></i>`);
+    }
+  }
+  if (layers.has(OVERLAY_LAYERS.NAMES)) {
+    parts.push(`<span class="alien-zones-overlay-name">${foundry.utils.escapeHTML(region.name)}</span>`);
+  }
+  if (layers.has(OVERLAY_LAYERS.OCCUPANCY)) {
+    const count = countVisibleOccupants(getZoneOccupants(region.id), game.user.isGM);
+    parts.push(`<span class="alien-zones-overlay-occupancy"><i class="fas fa-user"></i> ${count}</span>`);
+  }
+  if (!parts.length) return null;
+
+  const label = document.createElement("div");
+  label.className = "alien-zones-overlay-label";
+  label.dataset.regionId = region.id;
+  label.style.left = `${center.x}px`;
+  label.style.top = `${center.y}px`;
+  label.innerHTML = parts.join("");
+  label.addEventListener("pointerenter", () => showRangeTooltip(label, region));
+  label.addEventListener("pointerleave", () => game.tooltip.deactivate());
+  return label;
+}
+
+/**
+ * Show the range band between the controlled token and a zone
+ * @param {HTMLElement} label - The zone's overlay label
+ * @param {Region} region - The zone
+ */
+function showRangeTooltip(label, region) {
+  const lines = [foundry.utils.escapeHTML(region.name)];
+  const source = canvas.tokens.controlled[0];
+
+  if (source) {
+    const hops = getZoneDistance(getSceneZoneGraph(region.parent), getTokenZoneIds(source.document), [region.id]);
+    const band = getRangeBand(hops);
+    lines.push(game.i18n.format("ALIENZONE.Overlay.Range", {
+      token: foundry.utils.escapeHTML(source.document.name),
+      range: game.i18n.localize(band ? RANGE_BAND_LABELS[band] : "ALIENZONE.Range.Unknown")
+    }));
+  } else {
+    lines.push(game.i18n.localize("ALIENZONE.Overlay.SelectToken"));
+  }
+
+  game.tooltip.activate(label, { html: lines.join("<br>"), direction: "UP" });
+}
+
+/**
+ * Draw the overlay labels of the current scene, or remove them when the overlay is off
+ */
+function drawZoneOverlay() {
+  document.getElementById(OVERLAY_ID)?.remove();
+
+  const hud = document.getElementById("hud");
+  if (!hud || !canvas.scene || !isOverlayShown()) return;
+
+  const layers = getShownLayers(getPlayerOverlayLayers(), game.user.isGM);
+  const overlay = document.createElement("div");
+  overlay.id = OVERLAY_ID;
+
+  for (const region of getSceneZones()) {
+    if (!game.user.isGM && region.flags["alien-zones"].overlayHidden) continue;
+    const label = buildZoneLabel(region, layers);
+    if (label) overlay.append(label);
+  }
+
+  hud.append(overlay);
+}
+
+/**
+ * Re-draw the zone overlay
+ * Debounced, as moving a group of tokens fires many updates at once.
+ */
+export function refreshOverlay() {
+  refreshZoneOverlay ??= foundry.utils.debounce(drawZoneOverlay, 100);
+  refreshZoneOverlay();
+}
+
+/**
+ * Switch the zone overlay on or off for this client
+ * @param {boolean} [shown] - Whether to show it, toggled when left out
+ * @returns {Promise<boolean>} Whether the overlay is now shown
+ */
+export async function toggleZoneOverlay(shown = !isOverlayShown()) {
+  await game.settings.set("alien-zones", "showZoneOverlay", shown);
+  return shown;
+}
+
+/**
+ * Initialize the overlay toggle and the hooks keeping the overlay up to date
+ */
+export function initZoneOverlayHooks() {
+  Hooks.on("getSceneControlButtons", (controls) => {
+    const tokens = controls.tokens;
+    if (!tokens?.tools) return;
+
+    tokens.tools.alienZonesOverlay = {
+      name: "alienZonesOverlay",
+      title: "ALIENZONE.Overlay.Toggle",
+      icon: "fas fa-tags",
+      order: Object.keys(tokens.tools).length,
+      toggle: true,
+      active: isOverlayShown(),
+      onChange: (event, active) => toggleZoneOverlay(active)
+    };
+  });
+
+  for (const hook of ["createRegion", "updateRegion", "deleteRegion", "createToken", "deleteToken", "canvasReady"]) {
+    Hooks.on(hook, () => refreshOverlay());
+  }
+  Hooks.on("updateToken", (tokenDocument, change) => {
+    if (change.x !== undefined || change.y !== undefined || change.hidden !== undefined) refreshOverlay();
+  });
+}
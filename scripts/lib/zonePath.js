@@ -0,0 +1,232 @@
+/**
+ * Alien Zones - Movement Paths
+ * Works out every Alien Zone a token passes through on its way to the destination,
+ * and optionally stops the token at the first hazard zone on its path
+ */
+
+import { diffRegions, isAlienZone } from './lib.js';
+import { isHazardZone } from './zoneTypes.js';
+import { getPointZoneIds, getTokenZoneIds } from './zoneGraph.js';
+import { ZONE_ACTIONS } from './zoneAuthority.js';
+
+/**
+ * Sample points along a path so no step is longer than the given distance
+ * The waypoints themselves are always part of the result.
+ *
+ * @param {Array<{x: number, y: number, elevation?: number}>} points - The path waypoints, in order
+ * @param {number} step - Maximum distance between two samples in pixels
+ * @returns {Array<{x: number, y: number, elevation: number}>} The sampled points
+ */
+export function samplePath(points, step) {
+  const samples = [];
+
+  for (const point of points) {
+    const next = { x: point.x, y: point.y, elevation: point.elevation ?? 0 };
+    const previous = samples.at(-1);
+    if (!previous) {
+      samples.push(next);
+      continue;
+    }
+
+    const distance = Math.hypot(next.x - previous.x, next.y - previous.y);
+    if (distance === 0) continue;
+
+    const steps = step > 0 ? Math.ceil(distance / step) : 1;
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      samples.push({
+        x: previous.x + ((next.x - previous.x) * t),
+        y: previous.y + ((next.y - previous.y) * t),
+        elevation: previous.elevation + ((next.elevation - previous.elevation) * t)
+      });
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * Turn the zones a token was in along its path into ordered zone events
+ * At every step the zones left come before the zones entered.
+ *
+ * @param {Array<Set<string>>} states - The zone ids at each point of the path, in order
+ * @returns {Array<{action: string, regionId: string}>} The zone events
+ */
+export function buildPathZoneEvents(states) {
+  const events = [];
+
+  for (let i = 1; i < states.length; i++) {
+    const { entered, exited } = diffRegions(states[i - 1], states[i]);
+    events.push(
+      ...exited.map(regionId => ({ action: ZONE_ACTIONS.EXIT, regionId })),
+      ...entered.map(regionId => ({ action: ZONE_ACTIONS.ENTER, regionId }))
+    );
+  }
+
+  return events;
+}
+
+/**
+ * Find the first point of a path where a hazard zone is entered
+ * @param {Array<Set<string>>} states - The zone ids at each point of the path, in order
+ * @param {Function} isHazard - Called with a zone id, returns true for hazard zones
+ * @returns {number} Index of the first state entering a hazard, or -1 if there is none
+ */
+export function findHazardStop(states, isHazard) {
+  for (let i = 1; i < states.length; i++) {
+    const { entered } = diffRegions(states[i - 1], states[i]);
+    if (entered.some(isHazard)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Get the center of a token at a position
+ * @param {TokenDocument} tokenDocument - The token
+ * @param {{x?: number, y?: number, elevation?: number}} position - Top-left position, the token's own by default
+ * @returns {{x: number, y: number, elevation: number}} The center point
+ */
+function getTokenCenter(tokenDocument, position = {}) {
+  const size = tokenDocument.parent.grid.size;
+  return {
+    x: (position.x ?? tokenDocument.x) + (tokenDocument.width * size / 2),
+    y: (position.y ?? tokenDocument.y) + (tokenDocument.height * size / 2),
+    elevation: position.elevation ?? tokenDocument.elevation
+  };
+}
+
+/**
+ * Get the path of a pending move, from the token's position through the ruler waypoints
+ * @param {TokenDocument} tokenDocument - The token about to move
+ * @param {Object} change - The pending changes
+ * @param {Object} options - The update options
+ * @returns {Array<{x: number, y: number, elevation: number}>} The token centers along the path
+ */
+export function getMovementPath(tokenDocument, change, options) {
+  const waypoints = (options.movement?.[tokenDocument.id]?.waypoints ?? [])
+    .filter(waypoint => Number.isFinite(waypoint.x) && Number.isFinite(waypoint.y));
+
+  return [
+    getTokenCenter(tokenDocument),
+    ...waypoints.map(waypoint => getTokenCenter(tokenDocument, waypoint)),
+    getTokenCenter(tokenDocument, { x: change.x, y: change.y, elevation: change.elevation })
+  ];
+}
+
+/**
+ * Get the zones a token is in at each sampled point of its path
+ * @param {Scene} scene - The scene of the move
+ * @param {Array<Object>} samples - The sampled path points
+ * @param {Object} [known]
+ * @param {Set<string>} [known.before] - The zones at the start, tested at the first point by default
+ * @param {Set<string>} [known.after] - The zones at the end, tested at the last point by default
+ * @returns {Array<Set<string>>} The zone ids at each point
+ */
+function getPathZoneStates(scene, samples, { before, after } = {}) {
+  const states = samples.map(point => getPointZoneIds(scene, point));
+  if (before && states.length) states[0] = before;
+  if (after && states.length) states[states.length - 1] = after;
+  return states;
+}
+
+/**
+ * Sample a movement path at half a grid space
+ * @param {Scene} scene - The scene of the move
+ * @param {Array<Object>} path - The path waypoints
+ * @returns {Array<Object>} The sampled points
+ */
+function sampleScenePath(scene, path) {
+  return samplePath(path, (scene.grid?.size ?? 100) / 2);
+}
+
+/**
+ * Get the ordered zone events of a completed token move
+ * Falls back to comparing the zones before and after the move when the path is unknown.
+ *
+ * @param {TokenDocument} tokenDocument - The token that moved
+ * @param {Object} options - The update options, carrying the path and the regions before the move
+ * @returns {Array<{action: string, regionId: string}>} The zone events, in order
+ */
+export function getPathZoneEvents(tokenDocument, options) {
+  const scene = tokenDocument.parent;
+  const before = new Set((options.alienZonesRegionsBefore || []).filter(regionId => {
+    const region = scene.regions.get(regionId);
+    return region && isAlienZone(region);
+  }));
+  const after = getTokenZoneIds(tokenDocument);
+
+  const path = options.alienZonesPath;
+  if (!path || path.length < 2) return buildPathZoneEvents([before, after]);
+
+  const states = getPathZoneStates(scene, sampleScenePath(scene, path), { before, after });
+  return buildPathZoneEvents(states);
+}
+
+/**
+ * Stop a pending move at the edge of the first hazard zone on its path
+ *
+ * The move is cancelled and replaced by a shorter one ending just inside the hazard zone.
+ *
+ * @param {TokenDocument} tokenDocument - The token about to move
+ * @param {Object} options - The update options, carrying the path
+ * @returns {boolean} True if the move was replaced
+ */
+export function stopAtFirstHazard(tokenDocument, options) {
+  if (options.alienZonesStopped || !game.settings.get("alien-zones", "stopAtHazard")) return false;
+
+  const path = options.alienZonesPath;
+  if (!path || path.length < 2) return false;
+
+  const scene = tokenDocument.parent;
+  const samples = sampleScenePath(scene, path);
+  const states = getPathZoneStates(scene, samples, { before: getTokenZoneIds(tokenDocument) });
+  const isHazard = (regionId) => {
+    const region = scene.regions.get(regionId);
+    return !!region && isHazardZone(region);
+  };
+
+  const stop = findHazardStop(states, isHazard);
+  if (stop === -1 || stop === samples.length - 1) return false;
+
+  const { entered } = diffRegions(states[stop - 1], states[stop]);
+  const hazard = scene.regions.get(entered.find(isHazard));
+  const position = getStopPosition(tokenDocument, samples[stop], hazard.id);
+
+  console.log(`Alien Zones | Stopping ${tokenDocument.name} at hazard zone ${hazard.name}`);
+  ui.notifications.warn(game.i18n.format("ALIENZONE.Path.StoppedAtHazard", {
+    token: tokenDocument.name,
+    zone: hazard.name
+  }));
+
+  // Called from preUpdateToken, which cannot wait for the replacement move
+  tokenDocument.update(position, {
+    alienZonesStopped: true,
+    alienZonesPath: samples.slice(0, stop + 1)
+  }).catch(error => console.error(`Alien Zones | Error stopping ${tokenDocument.name} at hazard zone ${hazard.name}:`, error));
+  return true;
+}
+
+/**
+ * Get the top-left position for a token stopped at a point inside a hazard zone
+ * Single-space tokens snap to the grid space under the point if it is inside the zone too.
+ *
+ * @param {TokenDocument} tokenDocument - The stopped token
+ * @param {{x: number, y: number, elevation: number}} point - The token center where it stops
+ * @param {string} zoneId - The hazard zone the token stops in
+ * @returns {{x: number, y: number}} The token position
+ */
+function getStopPosition(tokenDocument, point, zoneId) {
+  const scene = tokenDocument.parent;
+  const size = scene.grid.size;
+  let center = point;
+
+  if (!scene.grid.isGridless && tokenDocument.width === 1 && tokenDocument.height === 1) {
+    const snapped = { ...scene.grid.getCenterPoint(point), elevation: point.elevation };
+    if (getPointZoneIds(scene, snapped).has(zoneId)) center = snapped;
+  }
+
+  return {
+    x: center.x - (tokenDocument.width * size / 2),
+    y: center.y - (tokenDocument.height * size / 2)
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * Alien Zones - Zone Occupancy Roster
+ * Keeps track of which tokens are inside each Alien Zone on the current scene
+ */
+
+import { isAlienZone } from './lib.js';
+
+/**
+ * Map of zone id to the ids of the tokens inside it
+ * @type {Map<string, Set<string>>}
+ */
+const roster = new Map();
+
+/**
+ * Id of the scene the roster was built for
+ * @type {string|null}
+ */
+let rosterSceneId = null;
+
+/**
+ * Initialize roster hooks
+ */
+export function initZoneRosterHooks() {
+  Hooks.on("canvasReady", () => rebuildZoneRoster());
+  Hooks.on("createToken", (tokenDocument) => updateTokenInRoster(tokenDocument));
+  Hooks.on("deleteToken", (tokenDocument) => removeTokenFromRoster(tokenDocument));
+  Hooks.on("updateToken", (tokenDocument, change) => {
+    if (change.x === undefined && change.y === undefined && change._regions === undefined) return;
+    updateTokenInRoster(tokenDocument);
+  });
+
+  // Zones can be created, deleted or toggled on and off at any time
+  Hooks.on("createRegion", (region) => onRegionChanged(region));
+  Hooks.on("updateRegion", (region) => onRegionChanged(region));
+  Hooks.on("deleteRegion", (region) => onRegionChanged(region));
+}
+
+/**
+ * Rebuild the roster from scratch for a scene
+ * @param {Scene} [scene=canvas.scene] - The scene to track
+ */
+export function rebuildZoneRoster(scene = canvas.scene) {
+  roster.clear();
+  rosterSceneId = scene?.id ?? null;
+  if (!scene) return;
+
+  for (const region of scene.regions) {
+    if (isAlienZone(region)) roster.set(region.id, new Set());
+  }
+
+  for (const tokenDocument of scene.tokens) {
+    updateTokenInRoster(tokenDocument);
+  }
+}
+
+/**
+ * Update the zones a token is listed in
+ * @param {TokenDocument} tokenDocument - The token to update
+ */
+export function updateTokenInRoster(tokenDocument) {
+  if (tokenDocument.parent?.id !== rosterSceneId) return;
+
+  const regionIds = new Set(tokenDocument._regions || []);
+  for (const [zoneId, tokenIds] of roster) {
+    if (regionIds.has(zoneId)) tokenIds.add(tokenDocument.id);
+    else tokenIds.delete(tokenDocument.id);
+  }
+}
+
+/**
+ * Remove a token from every zone of the roster
+ * @param {TokenDocument} tokenDocument - The token to remove
+ */
+export function removeTokenFromRoster(tokenDocument) {
+  if (tokenDocument.parent?.id !== rosterSceneId) return;
+
+  for (const tokenIds of roster.values()) {
+    tokenIds.delete(tokenDocument.id);
+  }
+}
+
+/**
+ * Rebuild the roster when a zone on the tracked scene changes
+ * @param {Region} region - The region that changed
+ */
+function onRegionChanged(region) {
+  if (region.parent?.id !== rosterSceneId) return;
+  rebuildZoneRoster(region.parent);
+}
+
+/**
+ * Get the tokens currently inside an Alien Zone
+ * @param {string} zoneId - The zone region id
+ * @returns {Array<TokenDocument>} The occupying tokens
+ */
+export function getZoneOccupants(zoneId) {
+  const scene = game.scenes.get(rosterSceneId);
+  const tokenIds = roster.get(zoneId);
+  if (!scene || !tokenIds) return [];
+
+  return [...tokenIds]
+    .map(tokenId => scene.tokens.get(tokenId))
+    .filter(tokenDocument => tokenDocument);
+}
+
+/**
+ * Get a snapshot of the whole roster
+ * @returns {Object<string, Array<string>>} Map of zone id to occupying token ids
+ */
+export function getZoneRoster() {
+  return Object.fromEntries(
+    [...roster].map(([zoneId, tokenIds]) => [zoneId, [...tokenIds]])
+  );
+}
@@ -0,0 +1,474 @@
+/**
+ * Alien Zones - Scheduled Zone Changes
+ * Changes zone types and intensities on a countdown, spreads hazards to connected zones and
+ * applies a zone's hazard to the tokens already inside when it turns hazardous
+ */
+
+import { isAlienZone } from './lib.js';
+import { TURN_SECONDS, getZoneTypeConfig, isHazardZone } from './zoneTypes.js';
+import { getSceneZones, getSceneZoneGraph } from './zoneGraph.js';
+import { isZoneAuthority } from './zoneAuthority.js';
+import { countElapsedIntervals, isRoundAdvance } from './zoneUpkeep.js';
+import { applyZoneHazard } from './zoneHandlers.js';
+import { tokenTriggersZone } from './zoneFilters.js';
+import { getTokensInZone, requireZone } from './zoneScripting.js';
+
+/**
+ * What sets off a scheduled zone change
+ * - ROUNDS: after a number of combat rounds on the zone's scene
+ * - WORLD_TIME: once the world time is reached
+ * - MANUAL: only when the GM triggers it
+ * @constant {Object}
+ */
+export const SCHEDULE_TRIGGERS = {
+  ROUNDS: "rounds",
+  WORLD_TIME: "worldTime",
+  MANUAL: "manual"
+};
+
+/**
+ * World time of the last spread step for each scene, outside of combat
+ * @type {Map<string, number>}
+ */
+const lastSpreadStep = new Map();
+
+/**
+ * Check and complete a scheduled zone change
+ * @param {Object} data - The change
+ * @param {string} data.trigger - One of SCHEDULE_TRIGGERS
+ * @param {number} [data.rounds] - Rounds to wait, for ROUNDS
+ * @param {number} [data.at] - World time to wait for, for WORLD_TIME
+ * @param {number} [data.delay] - Seconds to wait instead of at, for WORLD_TIME
+ * @param {string|null} [data.zoneType] - Zone type to switch to, null for a basic zone
+ * @param {number} [data.intensity] - Intensity to switch to
+ * @param {string} [data.label] - Name of the event, e.g. "Self-destruct"
+ * @param {boolean} [data.countdown=false] - Post the countdown to chat
+ * @param {number} worldTime - The current world time
+ * @returns {Object} The scheduled change, without an id
+ */
+export function normalizeScheduledChange(data, worldTime) {
+  const { trigger, label = "", countdown = false } = data;
+  const change = { trigger, label, countdown: !!countdown };
+
+  switch (trigger) {
+    case SCHEDULE_TRIGGERS.ROUNDS:
+      change.rounds = Math.floor(Number(data.rounds));
+      if (!(change.rounds > 0)) throw new Error("Alien Zones | Scheduled changes need at least one round");
+      break;
+    case SCHEDULE_TRIGGERS.WORLD_TIME:
+      change.at = data.at ?? worldTime + Number(data.delay);
+      if (!Number.isFinite(change.at)) throw new Error("Alien Zones | Scheduled changes need a world time");
+      break;
+    case SCHEDULE_TRIGGERS.MANUAL:
+      break;
+    default:
+      throw new Error(`Alien Zones | Unknown schedule trigger: ${trigger}`);
+  }
+
+  if (data.zoneType !== undefined) change.zoneType = data.zoneType || null;
+  if (data.intensity !== undefined && data.intensity !== null && data.intensity !== "") {
+    change.intensity = Math.max(0, Math.floor(Number(data.intensity)));
+  }
+  if (change.zoneType === undefined && change.intensity === undefined) {
+    throw new Error("Alien Zones | Scheduled changes need a zone type or an intensity");
+  }
+
+  return change;
+}
+
+/**
+ * Move a zone's schedule forward
+ * @param {Array<Object>} schedule - The scheduled changes of the zone
+ * @param {Object} progress
+ * @param {number} [progress.rounds=0] - Combat rounds that passed
+ * @param {number} [progress.from] - World time before, to tell when a countdown ticks
+ * @param {number} [progress.to] - World time now
+ * @returns {{schedule: Array<Object>, due: Array<Object>, countdowns: Array<{change: Object, remaining: number}>}}
+ *   The changes still waiting, the changes to make now, and the countdowns to announce with
+ *   the rounds or seconds left
+ */
+export function advanceSchedule(schedule, { rounds = 0, from, to } = {}) {
+  const waiting = [];
+  const due = [];
+  const countdowns = [];
+
+  for (const change of schedule ?? []) {
+    if (change.trigger === SCHEDULE_TRIGGERS.ROUNDS && rounds > 0) {
+      const remaining = change.rounds - rounds;
+      if (remaining <= 0) {
+        due.push(change);
+        continue;
+      }
+      waiting.push({ ...change, rounds: remaining });
+      if (change.countdown) countdowns.push({ change, remaining });
+      continue;
+    }
+
+    if (change.trigger === SCHEDULE_TRIGGERS.WORLD_TIME && to !== undefined) {
+      if (to >= change.at) {
+        due.push(change);
+        continue;
+      }
+      // Announce once for every Turn of the countdown
+      const turnsBefore = Math.ceil((change.at - (from ?? to)) / TURN_SECONDS);
+      const turnsAfter = Math.ceil((change.at - to) / TURN_SECONDS);
+      if (change.countdown && turnsAfter !== turnsBefore) countdowns.push({ change, remaining: change.at - to });
+    }
+
+    waiting.push(change);
+  }
+
+  return { schedule: waiting, due, countdowns };
+}
+
+/**
+ * Work out one step of spreading hazards
+ *
+ * Zones that spread count down their steps, and when they reach zero pass their zone type and
+ * intensity on to the connected zones, which then spread too. A zone that already spreads a
+ * hazard of its own, or already has the same type at least as intense, is left alone.
+ *
+ * @param {Array<{id: string, zoneType: string|null, intensity: number, spreadEvery: number, spreadIn: number}>} zones
+ *   The zones of a scene
+ * @param {Map<string, Set<string>>} graph - The zone adjacency graph
+ * @returns {{updates: Object<string, Object>, spread: Array<{from: string, to: string}>}} The new
+ *   flags of each zone that changes, and where the hazards spread
+ */
+export function stepHazardSpread(zones, graph) {
+  const byId = new Map(zones.map(zone => [zone.id, zone]));
+  const updates = {};
+  const spread = [];
+
+  for (const zone of zones) {
+    if (!(zone.spreadEvery > 0) || !zone.zoneType) continue;
+
+    const spreadIn = (zone.spreadIn ?? zone.spreadEvery) - 1;
+    if (spreadIn > 0) {
+      updates[zone.id] = { ...updates[zone.id], spreadIn };
+      continue;
+    }
+    updates[zone.id] = { ...updates[zone.id], spreadIn: zone.spreadEvery };
+
+    for (const neighborId of graph.get(zone.id) ?? []) {
+      const neighbor = byId.get(neighborId);
+      if (!neighbor || updates[neighborId]?.zoneType !== undefined) continue;
+      if (neighbor.spreadEvery > 0 && neighbor.zoneType !== zone.zoneType) continue;
+      if (neighbor.zoneType === zone.zoneType && (neighbor.intensity ?? 0) >= (zone.intensity ?? 0)) continue;
+
+      updates[neighborId] = {
+        zoneType: zone.zoneType,
+        intensity: zone.intensity,
+        spreadEvery: zone.spreadEvery,
+        spreadIn: zone.spreadEvery
+      };
+      spread.push({ from: zone.id, to: neighborId });
+    }
+  }
+
+  return { updates, spread };
+}
+
+/**
+ * Get the scheduled changes of a zone
+ * @param {Region} region - The zone
+ * @returns {Array<Object>} The changes, in the order they were scheduled
+ */
+export function getZoneSchedule(region) {
+  return region.flags?.["alien-zones"]?.schedule ?? [];
+}
+
+/**
+ * Describe the time left on a scheduled change
+ * @param {Object} change - The scheduled change
+ * @returns {string} The localized time left
+ */
+export function describeCountdown(change) {
+  switch (change.trigger) {
+    case SCHEDULE_TRIGGERS.ROUNDS:
+      return game.i18n.format("ALIENZONE.Schedule.RoundsLeft", { rounds: change.rounds });
+    case SCHEDULE_TRIGGERS.WORLD_TIME:
+      return game.i18n.format("ALIENZONE.Schedule.MinutesLeft", {
+        minutes: Math.max(0, Math.ceil((change.at - game.time.worldTime) / 60))
+      });
+    default:
+      return game.i18n.localize("ALIENZONE.Schedule.Manual");
+  }
+}
+
+/**
+ * Describe what a scheduled change does to a zone
+ * @param {Object} change - The scheduled change
+ * @returns {string} The localized outcome
+ */
+function describeOutcome(change) {
+  const parts = [];
+  if (change.zoneType !== undefined) parts.push(game.i18n.localize(getZoneTypeConfig(change.zoneType).label));
+  if (change.intensity !== undefined) {
+    parts.push(game.i18n.format("ALIENZONE.Schedule.Intensity", { intensity: change.intensity }));
+  }
+  return parts.join(", ");
+}
+
+/**
+ * Post a scheduled change message to chat
+ * @param {string} key - Localization key of the message
+ * @param {Region} region - The zone
+ * @param {Object} change - The scheduled change
+ */
+async function postScheduleMessage(key, region, change) {
+  await ChatMessage.create({
+    content: game.i18n.format(key, {
+      label: foundry.utils.escapeHTML(change.label || game.i18n.localize("ALIENZONE.Schedule.DefaultLabel")),
+      zone: foundry.utils.escapeHTML(region.name),
+      outcome: describeOutcome(change),
+      countdown: describeCountdown(change)
+    }),
+    flavor: game.i18n.localize("ALIENZONE.Schedule.Title"),
+    type: CONST.CHAT_MESSAGE_TYPES.OOC
+  });
+}
+
+/**
+ * Schedule a change of a zone's type or intensity
+ *
+ * @example
+ * // The reactor blows in five rounds
+ * api.scheduleZoneChange("Reactor", {
+ *   trigger: "rounds", rounds: 5, zoneType: "fire", intensity: 3, label: "Self-destruct", countdown: true
+ * });
+ *
+ * @param {Region|string} zone - The region, or its id or name on the current scene
+ * @param {Object} data - The change, see normalizeScheduledChange
+ * @returns {Promise<Object>} The scheduled change
+ */
+export async function scheduleZoneChange(zone, data) {
+  const region = requireZone(zone);
+  const change = { id: foundry.utils.randomID(), ...normalizeScheduledChange(data, game.time.worldTime) };
+  await region.setFlag("alien-zones", "schedule", [...getZoneSchedule(region), change]);
+
+  console.log(`Alien Zones | Scheduled a ${change.trigger} change of ${region.name}`, change);
+  if (change.countdown) await postScheduleMessage("ALIENZONE.Schedule.CountdownMessage", region, change);
+  return change;
+}
+
+/**
+ * Drop a scheduled change without making it
+ * @param {Region|string} zone - The region, or its id or name on the current scene
+ * @param {string} changeId - The scheduled change's id
+ */
+export async function cancelScheduledChange(zone, changeId) {
+  const region = requireZone(zone);
+  await region.setFlag("alien-zones", "schedule", getZoneSchedule(region).filter(({ id }) => id !== changeId));
+}
+
+/**
+ * Get the region update making a scheduled change
+ * @param {Object} change - The scheduled change
+ * @returns {Object} The changed flags
+ */
+function getChangeUpdate(change) {
+  const update = {};
+  if (change.zoneType !== undefined) update["flags.alien-zones.zoneType"] = change.zoneType;
+  if (change.intensity !== undefined) update["flags.alien-zones.intensity"] = change.intensity;
+  return update;
+}
+
+/**
+ * Make a scheduled change right away, whatever its trigger
+ * @param {Region|string} zone - The region, or its id or name on the current scene
+ * @param {string} changeId - The scheduled change's id
+ * @returns {Promise<boolean>} True if the change was made
+ */
+export async function triggerScheduledChange(zone, changeId) {
+  const region = requireZone(zone);
+  const schedule = getZoneSchedule(region);
+  const change = schedule.find(({ id }) => id === changeId);
+  if (!change) return false;
+
+  await region.update({
+    ...getChangeUpdate(change),
+    "flags.alien-zones.schedule": schedule.filter(({ id }) => id !== changeId)
+  });
+  await postScheduleMessage("ALIENZONE.Schedule.Happened", region, change);
+  return true;
+}
+
+/**
+ * Move the schedules of a scene's zones forward and spread their hazards
+ * @param {Scene} scene - The scene
+ * @param {Object} progress
+ * @param {number} [progress.rounds=0] - Combat rounds that passed
+ * @param {number} [progress.from] - World time before
+ * @param {number} [progress.to] - World time now
+ * @param {number} [progress.spreadSteps=0] - Steps of hazard spread to make
+ */
+export async function advanceSceneSchedules(scene, { rounds = 0, from, to, spreadSteps = 0 } = {}) {
+  const updates = [];
+  const happened = [];
+  const countdowns = [];
+
+  for (const region of getSceneZones(scene)) {
+    const schedule = getZoneSchedule(region);
+    if (!schedule.length) continue;
+
+    const result = advanceSchedule(schedule, { rounds, from, to });
+    countdowns.push(...result.countdowns.map(({ change, remaining }) => ({
+      region,
+      change: change.trigger === SCHEDULE_TRIGGERS.ROUNDS ? { ...change, rounds: remaining } : change
+    })));
+
+    // Round countdowns change the schedule even when nothing is due
+    const changed = result.due.length || result.schedule.some((change, index) => change !== schedule[index]);
+    if (!changed) continue;
+
+    updates.push(Object.assign(
+      { _id: region.id, "flags.alien-zones.schedule": result.schedule },
+      ...result.due.map(getChangeUpdate)
+    ));
+    happened.push(...result.due.map(change => ({ region, change })));
+  }
+
+  if (updates.length) await scene.updateEmbeddedDocuments("Region", updates);
+
+  for (const { region, change } of countdowns) {
+    await postScheduleMessage("ALIENZONE.Schedule.CountdownMessage", region, change);
+  }
+  for (const { region, change } of happened) {
+    console.log(`Alien Zones | Scheduled change of ${region.name} happened`, change);
+    await postScheduleMessage("ALIENZONE.Schedule.Happened", region, change);
+  }
+
+  for (let step = 0; step < spreadSteps; step++) {
+    await stepSceneHazardSpread(scene);
+  }
+}
+
+/**
+ * Spread the hazards of a scene's zones by one step
+ * @param {Scene} scene - The scene
+ * @returns {Promise<Array<{from: string, to: string}>>} Where the hazards spread
+ */
+export async function stepSceneHazardSpread(scene) {
+  const zones = getSceneZones(scene).map(region => {
+    const flags = region.flags["alien-zones"];
+    return {
+      id: region.id,
+      zoneType: flags.zoneType ?? null,
+      intensity: flags.intensity,
+      spreadEvery: Number(flags.spreadEvery) || 0,
+      spreadIn: flags.spreadIn
+    };
+  });
+  if (!zones.some(zone => zone.spreadEvery > 0)) return [];
+
+  const { updates, spread } = stepHazardSpread(zones, getSceneZoneGraph(scene));
+  const documentUpdates = Object.entries(updates).map(([_id, flags]) => ({
+    _id,
+    ...Object.fromEntries(Object.entries(flags).map(([key, value]) => [`flags.alien-zones.${key}`, value]))
+  }));
+  if (documentUpdates.length) await scene.updateEmbeddedDocuments("Region", documentUpdates);
+
+  for (const { from, to } of spread) {
+    const source = scene.regions.get(from);
+    const target = scene.regions.get(to);
+    console.log(`Alien Zones | Hazard spread from ${source.name} to ${target.name}`);
+    await ChatMessage.create({
+      content: game.i18n.format("ALIENZONE.Schedule.Spread", {
+        hazard: game.i18n.localize(getZoneTypeConfig(source.flags["alien-zones"].zoneType).label),
+        from: foundry.utils.escapeHTML(source.name),
+        zone: foundry.utils.escapeHTML(target.name)
+      }),
+      flavor: game.i18n.localize("ALIENZONE.Schedule.Title"),
+      type: CONST.CHAT_MESSAGE_TYPES.OOC
+    });
+  }
+  return spread;
+}
+
+/**
+ * Apply a zone's hazard to the tokens already inside it
+ * @param {Region} region - The zone
+ */
+export async function applyZoneHazardToOccupants(region) {
+  for (const tokenDocument of getTokensInZone(region)) {
+    if (!tokenTriggersZone(tokenDocument, region)) continue;
+    await applyZoneHazard(tokenDocument, region);
+  }
+}
+
+/**
+ * Apply a zone's hazard to its occupants when its type changes to a hazard
+ * @param {Region} region - The updated region
+ * @param {Object} change - The changed data
+ */
+async function onUpdateRegion(region, change) {
+  if (!isZoneAuthority() || !isAlienZone(region)) return;
+  if (!foundry.utils.hasProperty(change, "flags.alien-zones.zoneType")) return;
+  if (!isHazardZone(region)) return;
+
+  try {
+    await applyZoneHazardToOccupants(region);
+  } catch (error) {
+    console.error(`Alien Zones | Error applying the hazard of ${region.name} to its occupants:`, error);
+    ui.notifications.error(game.i18n.localize("ALIENZONE.Errors.HazardFailed"));
+  }
+}
+
+/**
+ * Move schedules and spread hazards every combat round
+ * @param {Combat} combat - The combat that changed
+ * @param {Object} change - The changed data
+ */
+async function onUpdateCombat(combat, change) {
+  if (change.round === undefined || !combat.started || !isZoneAuthority() || !combat.scene) return;
+  if (!isRoundAdvance(combat.previous, { round: combat.round })) return;
+  await advanceSceneSchedules(combat.scene, { rounds: 1, spreadSteps: 1 });
+}
+
+/**
+ * Spread a scene's hazards once for every Turn of world time passed, unless it is in combat
+ * @param {Scene} scene - The scene
+ * @param {number} worldTime - The new world time
+ */
+async function spreadSceneHazards(scene, worldTime) {
+  if (game.combats.some(combat => combat.started && combat.scene?.id === scene.id)) return;
+
+  const since = lastSpreadStep.get(scene.id);
+  if (since === undefined || worldTime < since) {
+    lastSpreadStep.set(scene.id, worldTime);
+    return;
+  }
+
+  const turns = countElapsedIntervals(since, worldTime, TURN_SECONDS);
+  if (turns === 0) return;
+
+  lastSpreadStep.set(scene.id, since + (turns * TURN_SECONDS));
+  for (let i = 0; i < turns; i++) {
+    await stepSceneHazardSpread(scene);
+  }
+}
+
+/**
+ * Make changes scheduled at a world time, and spread hazards every Turn outside of combat, on every scene
+ * @param {number} worldTime - The new world time
+ * @param {number} delta - The time that passed
+ */
+async function onUpdateWorldTime(worldTime, delta) {
+  if (!isZoneAuthority()) return;
+
+  for (const scene of game.scenes) {
+    const scheduled = getSceneZones(scene).some(region => getZoneSchedule(region)
+      .some(({ trigger }) => trigger === SCHEDULE_TRIGGERS.WORLD_TIME));
+    if (scheduled) await advanceSceneSchedules(scene, { from: worldTime - delta, to: worldTime });
+    await spreadSceneHazards(scene, worldTime);
+  }
+}
+
+/**
+ * Initialize the hooks running scheduled changes and spreading hazards
+ */
+export function initZoneScheduleHooks() {
+  Hooks.on("updateRegion", onUpdateRegion);
+  Hooks.on("updateCombat", onUpdateCombat);
+  Hooks.on("updateWorldTime", onUpdateWorldTime);
+}
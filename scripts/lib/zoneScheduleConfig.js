@@ -0,0 +1,207 @@
+/**
+ * Alien Zones - Zone Schedule Window
+ * GM window listing a zone's scheduled changes, to trigger, cancel or add them
+ */
+
+import { getZoneTypes } from './zoneTypes.js';
+import {
+  SCHEDULE_TRIGGERS,
+  getZoneSchedule,
+  describeCountdown,
+  scheduleZoneChange,
+  cancelScheduledChange,
+  triggerScheduledChange
+} from './zoneSchedule.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * Zone type option meaning the change keeps the zone's type
+ * @constant {string}
+ */
+const KEEP_TYPE = "keep";
+
+/**
+ * The zone schedule window
+ */
+export class ZoneScheduleConfig extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    classes: ["alien-zones-schedule"],
+    tag: "form",
+    window: {
+      title: "ALIENZONE.Schedule.Title",
+      icon: "fas fa-hourglass-half"
+    },
+    position: {
+      width: 520,
+      height: "auto"
+    },
+    form: {
+      handler: ZoneScheduleConfig.#onSubmit,
+      closeOnSubmit: false
+    },
+    actions: {
+      triggerChange: ZoneScheduleConfig.#onTriggerChange,
+      cancelChange: ZoneScheduleConfig.#onCancelChange
+    }
+  };
+
+  /**
+   * @param {Region} region - The zone to schedule changes for
+   * @param {Object} [options] - Application options
+   */
+  constructor(region, options = {}) {
+    super({ ...options, id: `alien-zones-schedule-${region.id}` });
+    this.region = region;
+  }
+
+  /** @override */
+  get title() {
+    return `${game.i18n.localize("ALIENZONE.Schedule.Title")}: ${this.region.name}`;
+  }
+
+  /** @override */
+  async _renderHTML() {
+    const typeLabels = new Map(getZoneTypes().map(({ id, config }) => [id ?? null, game.i18n.localize(config.label)]));
+
+    const rows = getZoneSchedule(this.region).map(change => {
+      const outcome = [
+        change.zoneType !== undefined ? typeLabels.get(change.zoneType) ?? change.zoneType : null,
+        change.intensity !== undefined ? game.i18n.format("ALIENZONE.Schedule.Intensity", { intensity: change.intensity }) : null
+      ].filter(part => part).join(", ");
+
+      return `
+          <li class="alien-zones-schedule-change" data-change-id="${change.id}">
+            <span class="alien-zones-schedule-label">${foundry.utils.escapeHTML(change.label || game.i18n.localize("ALIENZONE.Schedule.DefaultLabel"))}</span>
+            <span>${foundry.utils.escapeHTML(outcome)}</span>
+            <span>${describeCountdown(change)}${change.countdown ? ' <i class="fas fa-bullhorn"></i>' : ''}</span>
+            <a data-action="triggerChange" title="${game.i18n.localize("ALIENZONE.Schedule.TriggerNow")}"><i class="fas fa-bolt"></i></a>
+            <a data-action="cancelChange" title="${game.i18n.localize("ALIENZONE.Schedule.Cancel")}"><i class="fas fa-trash"></i></a>
+          </li>`;
+    }).join('');
+
+    const triggerOptions = Object.values(SCHEDULE_TRIGGERS)
+      .map(trigger => `<option value="${trigger}">${game.i18n.localize(`ALIENZONE.Schedule.Triggers.${trigger}`)}</option>`)
+      .join('');
+    const typeOptions = [...typeLabels]
+      .map(([id, label]) => `<option value="${id || ''}">${label}</option>`)
+      .join('');
+
+    return `
+      <ul class="alien-zones-schedule-list">
+        ${rows || `<li class="alien-zones-schedule-empty">${game.i18n.localize("ALIENZONE.Schedule.Empty")}</li>`}
+      </ul>
+
+      <fieldset>
+        <legend>${game.i18n.localize("ALIENZONE.Schedule.Add")}</legend>
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Schedule.Label")}</label>
+          <input type="text" name="label" placeholder="${game.i18n.localize("ALIENZONE.Schedule.DefaultLabel")}">
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Schedule.Trigger")}</label>
+          <select name="trigger">${triggerOptions}</select>
+          <input type="number" name="amount" value="3" min="1" step="1">
+          <p class="hint">${game.i18n.localize("ALIENZONE.Schedule.TriggerHint")}</p>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.ZoneType")}</label>
+          <select name="zoneType">
+            <option value="${KEEP_TYPE}">${game.i18n.localize("ALIENZONE.Schedule.KeepType")}</option>
+            ${typeOptions}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Config.Intensity")}</label>
+          <input type="number" name="intensity" min="0" step="1" placeholder="${game.i18n.localize("ALIENZONE.Schedule.KeepIntensity")}">
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("ALIENZONE.Schedule.Countdown")}</label>
+          <input type="checkbox" name="countdown" checked>
+          <p class="hint">${game.i18n.localize("ALIENZONE.Schedule.CountdownHint")}</p>
+        </div>
+      </fieldset>
+
+      <footer class="form-footer">
+        <button type="submit"><i class="fas fa-plus"></i> ${game.i18n.localize("ALIENZONE.Schedule.Add")}</button>
+      </footer>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * Schedule the change described by the form
+   * @this {ZoneScheduleConfig}
+   * @param {SubmitEvent} event - The submit event
+   * @param {HTMLFormElement} form - The form
+   * @param {FormDataExtended} formData - The submitted data
+   */
+  static async #onSubmit(event, form, formData) {
+    const { label, trigger, amount, zoneType, intensity, countdown } = formData.object;
+
+    try {
+      await scheduleZoneChange(this.region, {
+        trigger,
+        rounds: amount,
+        delay: amount * 60,
+        zoneType: zoneType === KEEP_TYPE ? undefined : zoneType,
+        intensity,
+        label,
+        countdown
+      });
+    } catch (error) {
+      console.error("Alien Zones | Error scheduling a zone change:", error);
+      ui.notifications.error(game.i18n.localize("ALIENZONE.Schedule.Invalid"));
+    }
+  }
+
+  /**
+   * Make a scheduled change now
+   * @this {ZoneScheduleConfig}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked button
+   */
+  static async #onTriggerChange(event, target) {
+    await triggerScheduledChange(this.region, target.closest('[data-change-id]').dataset.changeId);
+  }
+
+  /**
+   * Drop a scheduled change
+   * @this {ZoneScheduleConfig}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked button
+   */
+  static async #onCancelChange(event, target) {
+    await cancelScheduledChange(this.region, target.closest('[data-change-id]').dataset.changeId);
+  }
+}
+
+/**
+ * Open the schedule of a zone
+ * @param {Region} region - The zone
+ * @returns {ZoneScheduleConfig} The schedule window
+ */
+export function openZoneSchedule(region) {
+  const app = foundry.applications.instances.get(`alien-zones-schedule-${region.id}`) ?? new ZoneScheduleConfig(region);
+  app.render({ force: true });
+  return app;
+}
+
+/**
+ * Keep open schedule windows up to date
+ */
+export function initZoneScheduleConfigHooks() {
+  Hooks.on("updateRegion", (region) => {
+    const app = foundry.applications.instances.get(`alien-zones-schedule-${region.id}`);
+    if (app?.rendered) app.render();
+  });
+  // World time countdowns count down without the zone changing
+  Hooks.on("updateWorldTime", () => {
+    for (const app of foundry.applications.instances.values()) {
+      if (app instanceof ZoneScheduleConfig && app.rendered) app.render();
+    }
+  });
+}
@@ -0,0 +1,199 @@
+/**
+ * Alien Zones - Scripting
+ * Zone queries and actions for macros and companion modules, and the hooks the module fires
+ */
+
+import { getTokenZoneIds, getRegionBounds } from './zoneGraph.js';
+import { getZoneTypes } from './zoneTypes.js';
+import { requestZoneAction, ZONE_ACTIONS } from './zoneAuthority.js';
+import { tokenTriggersZone } from './zoneFilters.js';
+
+/**
+ * Hooks fired by the module
+ * - ENTER, EXIT: (tokenDocument, region, context) on every client when a token moves into or
+ *   out of an Alien Zone. context holds the moving userId, whether the zone's effects run for
+ *   the token (triggersEffects) and whether the move reverts an earlier one (reverted)
+ * - HAZARD_RESOLVED: (tokenDocument, region, result) on the client that resolved a zone
+ *   hazard, the active GM for automatic rolls. result.type tells what was resolved
+ * @constant {Object}
+ */
+export const ZONE_HOOKS = {
+  ENTER: "alienZones.enter",
+  EXIT: "alienZones.exit",
+  HAZARD_RESOLVED: "alienZones.hazardResolved"
+};
+
+/**
+ * Get the grid-aligned token positions within some bounds, closest to their center first
+ * @param {{x: number, y: number, width: number, height: number}} bounds - The area to fill
+ * @param {number} gridSize - The grid size in pixels
+ * @param {{width: number, height: number}} size - The token size in pixels
+ * @returns {Array<{x: number, y: number}>} The top-left corners of the positions
+ */
+export function getDropCandidates(bounds, gridSize, size) {
+  const centerX = bounds.x + (bounds.width / 2);
+  const centerY = bounds.y + (bounds.height / 2);
+  const candidates = [];
+
+  for (let y = Math.floor(bounds.y / gridSize) * gridSize; y + size.height <= bounds.y + bounds.height + gridSize; y += gridSize) {
+    for (let x = Math.floor(bounds.x / gridSize) * gridSize; x + size.width <= bounds.x + bounds.width + gridSize; x += gridSize) {
+      candidates.push({ x, y });
+    }
+  }
+
+  const distance = ({ x, y }) => Math.hypot(x + (size.width / 2) - centerX, y + (size.height / 2) - centerY);
+  return candidates.sort((a, b) => distance(a) - distance(b));
+}
+
+/**
+ * Pick where to put a token, preferring a free position
+ * @param {Array<{x: number, y: number}>} candidates - Possible positions, best first
+ * @param {Set<string>} occupied - Positions taken by other tokens, as "x,y"
+ * @returns {{x: number, y: number}|null} The position, or null if there is none
+ */
+export function pickDropPosition(candidates, occupied) {
+  return candidates.find(({ x, y }) => !occupied.has(`${x},${y}`)) ?? candidates[0] ?? null;
+}
+
+/**
+ * Find a zone by document, id or name
+ * @param {Region|string} zone - The region, or its id or name
+ * @param {Scene} [scene=canvas.scene] - The scene to search for ids and names
+ * @returns {Region|null} The region, or null if not found
+ */
+export function getZone(zone, scene = canvas.scene) {
+  if (typeof zone !== "string") return zone ?? null;
+  return scene?.regions.get(zone) ?? scene?.regions.getName(zone) ?? null;
+}
+
+/**
+ * Find a zone, or throw if it does not exist
+ * @param {Region|string} zone - The region, or its id or name
+ * @param {Scene} [scene] - The scene to search
+ * @returns {Region} The region
+ */
+export function requireZone(zone, scene) {
+  const region = getZone(zone, scene);
+  if (!region) throw new Error(`Alien Zones | Unknown zone: ${zone}`);
+  return region;
+}
+
+/**
+ * Get the Alien Zones a token is in
+ * @param {TokenDocument} tokenDocument - The token
+ * @returns {Array<Region>} The zones
+ */
+export function getZonesForToken(tokenDocument) {
+  return [...getTokenZoneIds(tokenDocument)].map(zoneId => tokenDocument.parent.regions.get(zoneId));
+}
+
+/**
+ * Get the tokens inside a zone, on any scene
+ * @param {Region|string} zone - The region, or its id or name on the current scene
+ * @returns {Array<TokenDocument>} The tokens
+ */
+export function getTokensInZone(zone) {
+  const region = requireZone(zone);
+  return region.parent.tokens.filter(tokenDocument => (tokenDocument._regions || []).includes(region.id));
+}
+
+/**
+ * Move a token into a zone, onto the free grid space closest to the zone's center
+ * The token moves in a straight line like a drag, so the zones on the way are entered and left.
+ *
+ * @param {TokenDocument} tokenDocument - The token to move
+ * @param {Region|string} zone - The region, or its id or name on the token's scene
+ * @param {Object} [options] - Options passed on to the token update
+ * @returns {Promise<boolean>} True if the token was moved
+ */
+export async function moveTokenToZone(tokenDocument, zone, options = {}) {
+  const scene = tokenDocument.parent;
+  const region = requireZone(zone, scene);
+  const bounds = getRegionBounds(region);
+  if (!bounds) return false;
+
+  const gridSize = scene.grid.size;
+  const size = { width: tokenDocument.width * gridSize, height: tokenDocument.height * gridSize };
+  const candidates = getDropCandidates(bounds, gridSize, size).filter(({ x, y }) => region.testPoint({
+    x: x + (size.width / 2),
+    y: y + (size.height / 2),
+    elevation: tokenDocument.elevation
+  }));
+  const occupied = new Set(scene.tokens
+    .filter(other => other.id !== tokenDocument.id)
+    .map(other => `${other.x},${other.y}`));
+
+  const position = pickDropPosition(candidates, occupied);
+  if (!position) {
+    ui.notifications.warn(game.i18n.format("ALIENZONE.Api.NoRoom", { token: tokenDocument.name, zone: region.name }));
+    return false;
+  }
+
+  await tokenDocument.update(position, options);
+  return true;
+}
+
+/**
+ * Run a zone's effects on demand, as if the tokens had just entered or left it
+ * Without a token, the effects run for every token in the zone that sets it off.
+ *
+ * @param {Region|string} zone - The region, or its id or name on the current scene
+ * @param {TokenDocument} [tokenDocument] - The token to run the effects for
+ * @param {Object} [options]
+ * @param {string} [options.action=ZONE_ACTIONS.ENTER] - One of ZONE_ACTIONS
+ */
+export async function triggerZone(zone, tokenDocument = null, { action = ZONE_ACTIONS.ENTER } = {}) {
+  const region = requireZone(zone, tokenDocument?.parent);
+  const tokens = tokenDocument
+    ? [tokenDocument]
+    : getTokensInZone(region).filter(token => tokenTriggersZone(token, region));
+
+  for (const token of tokens) {
+    await requestZoneAction(action, token, region);
+  }
+}
+
+/**
+ * Make a region an Alien Zone of a type
+ * @param {Region|string} zone - The region, or its id or name on the current scene
+ * @param {string|null} zoneType - A registered zone type, or null for a basic zone
+ * @returns {Promise<Region>} The updated region
+ */
+export async function setZoneType(zone, zoneType) {
+  const region = requireZone(zone);
+  if (zoneType !== null && !getZoneTypes().some(({ id }) => id === zoneType)) {
+    throw new Error(`Alien Zones | Unknown zone type: ${zoneType}`);
+  }
+
+  await region.update({
+    "flags.alien-zones.isAlienZone": true,
+    "flags.alien-zones.zoneType": zoneType
+  });
+  return region;
+}
+
+/**
+ * Fire the enter and exit hooks of a token move
+ * @param {TokenDocument} tokenDocument - The token that moved
+ * @param {Array<{action: string, regionId: string}>} events - The zone events, in order
+ * @param {Object} context - Passed to the hooks, see ZONE_HOOKS
+ */
+export function callZoneEventHooks(tokenDocument, events, context) {
+  for (const { action, regionId } of events) {
+    const region = tokenDocument.parent.regions.get(regionId);
+    if (!region) continue;
+
+    const hook = action === ZONE_ACTIONS.ENTER ? ZONE_HOOKS.ENTER : ZONE_HOOKS.EXIT;
+    Hooks.callAll(hook, tokenDocument, region, { ...context, triggersEffects: tokenTriggersZone(tokenDocument, region) });
+  }
+}
+
+/**
+ * Fire the hook announcing a resolved zone hazard
+ * @param {TokenDocument} tokenDocument - The token the hazard affected
+ * @param {Region} region - The hazard zone
+ * @param {Object} result - What happened, with the kind of hazard as type
+ */
+export function callHazardResolved(tokenDocument, region, result) {
+  Hooks.callAll(ZONE_HOOKS.HAZARD_RESOLVED, tokenDocument, region, result);
+}
@@ -0,0 +1,215 @@
+/**
+ * Alien Zones - Stealth and Detection
+ * Rolls MOBILITY against OBSERVATION when a sneaking token enters a zone near opposing tokens
+ */
+
+import { getZoneDistance, getSceneZoneGraph, getTokenZoneIds } from './zoneGraph.js';
+import { getPathZoneEvents } from './zonePath.js';
+import { isZoneAuthority, ZONE_ACTIONS } from './zoneAuthority.js';
+import { applyMessageVisibility, getSkillPool, MESSAGE_VISIBILITY } from './lib.js';
+
+/**
+ * The attribute and skill rolled by each side of a stealth check
+ * Creatures without skills roll the attribute of the same name instead.
+ * @constant {Object}
+ */
+export const STEALTH_STATS = {
+  sneak: { attribute: "agl", skill: "mobility" },
+  observe: { attribute: "wit", skill: "observation" }
+};
+
+/**
+ * Maximum zone hops between a sneaking token and the tokens that can spot it
+ * Alien RPG stealth covers the same zone and the adjacent ones.
+ * @constant {number}
+ */
+export const STEALTH_MAX_HOPS = 1;
+
+/**
+ * Check whether two token dispositions are on opposing sides
+ * Friendly tokens oppose hostile and secret ones, neutral tokens oppose nobody.
+ *
+ * @param {number} a - The first disposition, see CONST.TOKEN_DISPOSITIONS
+ * @param {number} b - The second disposition
+ * @returns {boolean} True if the tokens oppose each other
+ */
+export function areOpposed(a, b) {
+  return Math.sign(a) * Math.sign(b) < 0;
+}
+
+/**
+ * Get the stealth modifier of a zone
+ * Cover and lighting modifiers are added to the sneaking character's dice, so a dark zone
+ * full of crates has positive modifiers and a floodlit corridor negative ones.
+ *
+ * @param {Object} flags - The zone's alien-zones flags
+ * @returns {number} The total modifier
+ */
+export function getZoneStealthModifier(flags = {}) {
+  return (Number(flags.coverModifier) || 0) + (Number(flags.lightingModifier) || 0);
+}
+
+/**
+ * Check whether the sneaking character stays hidden
+ * As in any opposed roll, the acting character must roll more successes than the opponent.
+ *
+ * @param {number} sneakSuccesses - Successes rolled for MOBILITY
+ * @param {number} observeSuccesses - Successes rolled for OBSERVATION
+ * @returns {boolean} True if the character stays hidden
+ */
+export function staysHidden(sneakSuccesses, observeSuccesses) {
+  return sneakSuccesses > observeSuccesses;
+}
+
+/**
+ * Check whether a token is sneaking
+ * Tokens hidden by the GM sneak as well as those switched to sneaking on the Token HUD.
+ *
+ * @param {TokenDocument} tokenDocument - The token to check
+ * @returns {boolean} True if the token is sneaking
+ */
+export function isSneaking(tokenDocument) {
+  return tokenDocument.hidden || tokenDocument.getFlag("alien-zones", "sneaking") === true;
+}
+
+/**
+ * Start or stop sneaking
+ * @param {TokenDocument} tokenDocument - The token
+ * @param {boolean} sneaking - Whether the token sneaks
+ */
+export async function setSneaking(tokenDocument, sneaking) {
+  await tokenDocument.setFlag("alien-zones", "sneaking", sneaking);
+}
+
+/**
+ * Find the opposing tokens that could spot a sneaking token in a zone
+ * @param {TokenDocument} tokenDocument - The sneaking token
+ * @param {Region} region - The zone the token entered
+ * @param {Map<string, Set<string>>} graph - The zone adjacency graph
+ * @returns {Array<TokenDocument>} The observers
+ */
+function getObservers(tokenDocument, region, graph) {
+  return tokenDocument.parent.tokens.filter(other => {
+    if (other.id === tokenDocument.id || !other.actor || isSneaking(other)) return false;
+    if (!areOpposed(tokenDocument.disposition, other.disposition)) return false;
+
+    const hops = getZoneDistance(graph, [region.id], getTokenZoneIds(other));
+    return hops !== null && hops <= STEALTH_MAX_HOPS;
+  });
+}
+
+/**
+ * Roll an opposed stealth check between a sneaking token and one observer
+ * @param {TokenDocument} tokenDocument - The sneaking token
+ * @param {TokenDocument} observer - The token that may spot it
+ * @param {Region} region - The zone the sneaking token entered
+ * @returns {Promise<boolean>} True if the token stays hidden
+ */
+async function rollStealthCheck(tokenDocument, observer, region) {
+  const modifier = getZoneStealthModifier(region.flags?.["alien-zones"]);
+  const sneakPool = getSkillPool(tokenDocument.actor?.system, STEALTH_STATS.sneak, modifier);
+  const observePool = getSkillPool(observer.actor.system, STEALTH_STATS.observe);
+
+  const sneakRoll = await new Roll(`${sneakPool}d6cs>=6`).evaluate();
+  const observeRoll = await new Roll(`${observePool}d6cs>=6`).evaluate();
+  const hidden = staysHidden(sneakRoll.total, observeRoll.total);
+
+  const data = {
+    token: tokenDocument.name,
+    observer: observer.name,
+    zone: region.name,
+    sneak: sneakRoll.total,
+    observe: observeRoll.total,
+    modifier: modifier >= 0 ? `+${modifier}` : `${modifier}`
+  };
+  const messageData = {
+    content: game.i18n.format(hidden ? "ALIENZONE.Stealth.StaysHidden" : "ALIENZONE.Stealth.Spotted", data),
+    flavor: game.i18n.format("ALIENZONE.Stealth.Check", data),
+    rolls: [sneakRoll, observeRoll],
+    speaker: ChatMessage.getSpeaker({ token: tokenDocument })
+  };
+
+  // A sneaking character's position stays secret until it is spotted
+  if (hidden) applyMessageVisibility(messageData, MESSAGE_VISIBILITY.OWNER, tokenDocument);
+  await ChatMessage.create(messageData);
+
+  console.log(`Alien Zones | Stealth check in ${region.name}: ${tokenDocument.name} ${sneakRoll.total} vs ${observer.name} ${observeRoll.total}`);
+  return hidden;
+}
+
+/**
+ * Make the stealth checks of a sneaking token that entered some zones
+ * Each observer rolls once per move, and the checks stop as soon as the token is spotted.
+ *
+ * @param {TokenDocument} tokenDocument - The sneaking token
+ * @param {Array<string>} zoneIds - The zones entered, in order
+ */
+export async function handleStealthChecks(tokenDocument, zoneIds) {
+  const scene = tokenDocument.parent;
+  const graph = getSceneZoneGraph(scene);
+  const checked = new Set();
+
+  try {
+    for (const zoneId of zoneIds) {
+      const region = scene.regions.get(zoneId);
+      if (!region) continue;
+
+      for (const observer of getObservers(tokenDocument, region, graph)) {
+        if (checked.has(observer.id)) continue;
+        checked.add(observer.id);
+
+        if (await rollStealthCheck(tokenDocument, observer, region)) continue;
+
+        await tokenDocument.update({ hidden: false, "flags.alien-zones.sneaking": false });
+        return;
+      }
+    }
+  } catch (error) {
+    console.error("Alien Zones | Error handling stealth check:", error);
+    ui.notifications.error(game.i18n.localize("ALIENZONE.Errors.StealthFailed"));
+  }
+}
+
+/**
+ * Add the sneaking toggle to the Token HUD
+ * @param {TokenHUD} hud - The Token HUD
+ * @param {HTMLElement} html - The HUD element
+ */
+function onRenderTokenHUD(hud, html) {
+  const tokenDocument = hud.object?.document;
+  const column = html.querySelector(".col.right");
+  if (!tokenDocument?.isOwner || !column) return;
+
+  const sneaking = tokenDocument.getFlag("alien-zones", "sneaking") === true;
+  const button = document.createElement("button");
+  button.type = "button";
+  button.classList.add("control-icon", "alien-zones-sneak");
+  button.classList.toggle("active", sneaking);
+  button.title = game.i18n.localize("ALIENZONE.Stealth.Toggle");
+  button.innerHTML = '<i class="fas fa-user-secret"></i>';
+  button.addEventListener("click", async () => {
+    await setSneaking(tokenDocument, !sneaking);
+    hud.render();
+  });
+  column.append(button);
+}
+
+/**
+ * Initialize the Token HUD toggle and the hook rolling stealth checks
+ * Checks are rolled by the active GM, who sees every token.
+ */
+export function initZoneStealthHooks() {
+  Hooks.on("renderTokenHUD", onRenderTokenHUD);
+
+  Hooks.on("updateToken", async (tokenDocument, change, options) => {
+    if (change.x === undefined && change.y === undefined) return;
+    if (options.alienZonesRevert) return;
+    if (!isZoneAuthority() || !game.settings.get("alien-zones", "stealthChecks")) return;
+    if (!isSneaking(tokenDocument)) return;
+
+    const entered = getPathZoneEvents(tokenDocument, options)
+      .filter(({ action }) => action === ZONE_ACTIONS.ENTER)
+      .map(({ regionId }) => regionId);
+    if (entered.length) await handleStealthChecks(tokenDocument, entered);
+  });
+}
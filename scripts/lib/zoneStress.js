@@ -0,0 +1,139 @@
+/**
+ * Alien Zones - Stress and Panic
+ * Raises the Stress Level of characters entering scare zones and can trigger a Panic Roll
+ */
+
+import { fillPlaceholders, applyNpcMessagePrivacy } from './lib.js';
+import { getZoneTransactionOptions } from './zoneTransactions.js';
+
+/**
+ * Check whether entering a zone should stress a character
+ * @param {Object} options
+ * @param {number} options.amount - Stress the zone adds
+ * @param {boolean} [options.firstEntryOnly=false] - Only stress on the token's first entry
+ * @param {boolean} [options.stressed=false] - Whether the zone already stressed the token
+ * @param {boolean} [options.onlyIfAlone=false] - Only stress tokens without company in the zone
+ * @param {number} [options.companions=0] - Other player characters in the zone
+ * @returns {boolean} True if the character gains Stress
+ */
+export function shouldApplyZoneStress({ amount, firstEntryOnly = false, stressed = false, onlyIfAlone = false, companions = 0 }) {
+  if (!(amount > 0)) return false;
+  if (firstEntryOnly && stressed) return false;
+  if (onlyIfAlone && companions > 0) return false;
+  return true;
+}
+
+/**
+ * Count the other player characters inside a zone
+ * @param {TokenDocument} tokenDocument - The token that entered
+ * @param {Region} region - The zone
+ * @returns {number} The number of other player tokens in the zone
+ */
+function countCompanions(tokenDocument, region) {
+  return (tokenDocument.parent?.tokens ?? []).filter(other => other.id !== tokenDocument.id
+    && other.hasPlayerOwner
+    && (other._regions || []).includes(region.id)).length;
+}
+
+/**
+ * Add the zone's Stress to a character entering it, and roll for Panic if configured
+ * Characters without a Stress Level (e.g. synthetics) are unaffected.
+ *
+ * @param {TokenDocument} tokenDocument - The token that entered
+ * @param {Region} region - The zone that was entered
+ */
+export async function handleZoneStress(tokenDocument, region) {
+  const flags = region.flags?.["alien-zones"] ?? {};
+  const amount = Math.floor(Number(flags.stress) || 0);
+  const stressedBy = flags.stressedBy ?? [];
+
+  const apply = shouldApplyZoneStress({
+    amount,
+    firstEntryOnly: flags.stressFirstEntryOnly,
+    stressed: stressedBy.includes(tokenDocument.id),
+    onlyIfAlone: flags.stressOnlyIfAlone,
+    companions: flags.stressOnlyIfAlone ? countCompanions(tokenDocument, region) : 0
+  });
+  if (!apply) return;
+
+  const actor = tokenDocument.actor;
+  const stress = actor?.system.header?.stress;
+  if (!stress) {
+    console.log(`Alien Zones | ${tokenDocument.name} does not track Stress`);
+    return;
+  }
+
+  try {
+    if (flags.stressFirstEntryOnly) {
+      await region.update({
+        "flags.alien-zones.stressedBy": [...stressedBy, tokenDocument.id]
+      }, getZoneTransactionOptions(tokenDocument));
+    }
+
+    const max = stress.max ?? 10;
+    const total = Math.min(max, (stress.value || 0) + amount);
+    await actor.update({ "system.header.stress.value": total }, getZoneTransactionOptions(tokenDocument));
+    console.log(`Alien Zones | ${actor.name} gained ${amount} Stress in ${region.name} (${stress.value} -> ${total})`);
+
+    const data = { token: tokenDocument.name, zone: region.name, amount, total };
+    const messageData = {
+      content: game.i18n.format("ALIENZONE.Messages.StressGained", data),
+      flavor: flags.stressMessage
+        ? fillPlaceholders(flags.stressMessage, data)
+        : game.i18n.localize("ALIENZONE.Messages.StressFlavor"),
+      type: CONST.CHAT_MESSAGE_TYPES.OOC,
+      speaker: ChatMessage.getSpeaker({ token: tokenDocument })
+    };
+    applyNpcMessagePrivacy(messageData, tokenDocument);
+    await ChatMessage.create(messageData, getZoneTransactionOptions(tokenDocument));
+
+    if (flags.panicRoll) {
+      await rollPanic(tokenDocument);
+    }
+
+  } catch (error) {
+    console.error("Alien Zones | Error handling zone stress:", error);
+    ui.notifications.error(game.i18n.localize("ALIENZONE.Errors.HazardFailed"));
+  }
+}
+
+/**
+ * Make a Panic Roll (D6 + Stress Level) through the Alien RPG system
+ * The system rolls it with its own dice roller and Panic Table, like the Panic button on the
+ * character sheet. Characters the system cannot roll for get a chat prompt instead.
+ *
+ * @param {TokenDocument} tokenDocument - The panicking token
+ */
+export async function rollPanic(tokenDocument) {
+  const actor = tokenDocument.actor;
+
+  try {
+    if (typeof actor?.rollAbility !== "function") {
+      throw new Error(`${tokenDocument.name} has no Alien RPG actor to roll for`);
+    }
+    await actor.rollAbility(actor, {
+      panicroll: true,
+      label: game.i18n.format("ALIENZONE.Messages.PanicRoll", { token: tokenDocument.name })
+    });
+  } catch (error) {
+    console.error("Alien Zones | Error triggering the Panic Roll:", error);
+    await postPanicRollPrompt(tokenDocument);
+  }
+}
+
+/**
+ * Ask for a manual Panic Roll when it cannot be rolled automatically
+ * @param {TokenDocument} tokenDocument - The panicking token
+ */
+async function postPanicRollPrompt(tokenDocument) {
+  const messageData = {
+    content: game.i18n.format("ALIENZONE.Messages.PanicRollPrompt", {
+      token: tokenDocument.name,
+      stress: Number(tokenDocument.actor?.system.header?.stress?.value) || 0
+    }),
+    speaker: ChatMessage.getSpeaker({ token: tokenDocument }),
+    type: CONST.CHAT_MESSAGE_TYPES.OOC
+  };
+  applyNpcMessagePrivacy(messageData, tokenDocument);
+  await ChatMessage.create(messageData, getZoneTransactionOptions(tokenDocument));
+}
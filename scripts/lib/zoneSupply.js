@@ -0,0 +1,287 @@
+/**
+ * Alien Zones - Supplies
+ * Rolls and spends Air, Power, Food and Water the Alien RPG way, keeping a ledger per actor
+ */
+
+import { getZoneTransactionOptions } from './zoneTransactions.js';
+
+/**
+ * Supplies that zones can drain, mapped to where the Alien RPG system tracks them
+ * - consumable: key under the actor's system.consumables
+ * - itemAttribute: key under an item's system.attributes holding its remaining supply
+ * - label: Alien RPG system localization key of the supply name
+ * @constant {Object}
+ */
+export const SUPPLIES = {
+  Air: {
+    consumable: "air",
+    itemAttribute: "airsupply",
+    label: "ALIENRPG.Air",
+    emptyMessage: "ALIENZONE.Messages.NoAirSupplyDramatic",
+    emptyNotification: "ALIENZONE.Messages.NoAirSupply"
+  },
+  Power: {
+    consumable: "power",
+    itemAttribute: "power",
+    label: "ALIENRPG.Power",
+    emptyMessage: "ALIENZONE.Messages.NoPowerSupplyDramatic",
+    emptyNotification: "ALIENZONE.Messages.NoPowerSupply"
+  },
+  Food: {
+    consumable: "food",
+    itemAttribute: "food",
+    label: "ALIENRPG.Food",
+    emptyMessage: "ALIENZONE.Messages.NoFoodSupplyDramatic",
+    emptyNotification: "ALIENZONE.Messages.NoFoodSupply"
+  },
+  Water: {
+    consumable: "water",
+    itemAttribute: "water",
+    label: "ALIENRPG.Water",
+    emptyMessage: "ALIENZONE.Messages.NoWaterSupplyDramatic",
+    emptyNotification: "ALIENZONE.Messages.NoWaterSupply"
+  }
+};
+
+/**
+ * Number of supply rolls kept in each actor's ledger
+ * @constant {number}
+ */
+export const SUPPLY_LEDGER_SIZE = 50;
+
+/**
+ * Work out how much supply to take from each item
+ * Items holding the least are emptied first, so a character ends up with as few
+ * half-used items as possible.
+ *
+ * @param {Array<{id: string, value: number}>} items - The items and the supply they hold
+ * @param {number} amount - Amount of supply to spend
+ * @returns {{updates: Array<{id: string, value: number}>, remaining: number}} The new value of
+ *   each item that changes, and the amount that could not be spent
+ */
+export function planSupplyConsumption(items, amount) {
+  const updates = [];
+  let remaining = Math.max(0, amount);
+
+  for (const { id, value } of [...items].sort((a, b) => a.value - b.value)) {
+    if (remaining <= 0) break;
+    if (value <= 0) continue;
+
+    const spent = Math.min(remaining, value);
+    updates.push({ id, value: value - spent });
+    remaining -= spent;
+  }
+
+  return { updates, remaining };
+}
+
+/**
+ * Add an entry to a supply ledger, dropping the oldest entries past the size limit
+ * @param {Array<Object>} ledger - The current ledger, oldest entry first
+ * @param {Object} entry - The entry to add
+ * @param {number} size - Maximum number of entries
+ * @returns {Array<Object>} The new ledger
+ */
+export function appendLedgerEntry(ledger, entry, size = SUPPLY_LEDGER_SIZE) {
+  return [...(ledger ?? []), entry].slice(-size);
+}
+
+/**
+ * Total the rolls and spending of a supply ledger
+ * @param {Array<Object>} ledger - The ledger
+ * @returns {Object<string, {rolls: number, consumed: number}>} Totals for each supply type rolled
+ */
+export function summarizeSupplyLedger(ledger) {
+  const totals = {};
+  for (const { supplyType, consumed } of ledger ?? []) {
+    totals[supplyType] ??= { rolls: 0, consumed: 0 };
+    totals[supplyType].rolls += 1;
+    totals[supplyType].consumed += consumed ?? 0;
+  }
+  return totals;
+}
+
+/**
+ * Get the active items and armor of an actor that still hold a supply
+ * @param {Actor} actor - The actor to search
+ * @param {string} supplyType - Key of SUPPLIES
+ * @returns {Array<Item>} The items holding the supply
+ */
+export function getSupplyItems(actor, supplyType) {
+  const { itemAttribute } = SUPPLIES[supplyType];
+  return actor.items.filter(item => {
+    const isActive = item.system.header?.active === "true";
+    const hasSupply = (item.system.attributes?.[itemAttribute]?.value || 0) > 0;
+    return isActive && hasSupply && (item.type === "item" || item.type === "armor");
+  });
+}
+
+/**
+ * Get how much of a supply an actor has left
+ * @param {Actor} actor - The actor
+ * @param {string} supplyType - Key of SUPPLIES
+ * @returns {number|null} The supply, or null if the actor does not track it
+ */
+export function getSupplyValue(actor, supplyType) {
+  return actor.system.consumables?.[SUPPLIES[supplyType].consumable]?.value ?? null;
+}
+
+/**
+ * Get the supply ledger of an actor
+ * @param {Actor} actor - The actor
+ * @returns {Array<Object>} The ledger, oldest entry first
+ */
+export function getSupplyLedger(actor) {
+  return actor.getFlag("alien-zones", "supplyLedger") ?? [];
+}
+
+/**
+ * Spend supply from an actor's items
+ * Every item is updated in a single batch.
+ *
+ * @param {Actor} actor - The actor whose supply to consume
+ * @param {string} supplyType - Key of SUPPLIES
+ * @param {number} amount - Amount of supply to consume
+ * @returns {Promise<number>} The amount actually consumed
+ */
+export async function consumeSupply(actor, supplyType, amount) {
+  const { itemAttribute } = SUPPLIES[supplyType];
+  const items = getSupplyItems(actor, supplyType)
+    .map(item => ({ id: item.id, value: item.system.attributes[itemAttribute].value }));
+  const { updates, remaining } = planSupplyConsumption(items, amount);
+
+  if (updates.length) {
+    await actor.updateEmbeddedDocuments("Item", updates.map(({ id, value }) => ({
+      _id: id,
+      [`system.attributes.${itemAttribute}.value`]: value
+    })), getZoneTransactionOptions(actor));
+    console.log(`Alien Zones | Consumed ${amount - remaining} ${supplyType} from ${updates.length} item(s) of ${actor.name}`);
+  }
+
+  if (remaining > 0) {
+    console.warn(`Alien Zones | Could not consume all ${supplyType} supply (${remaining} units remaining)`);
+  }
+  return amount - remaining;
+}
+
+/**
+ * Record a supply roll in an actor's ledger
+ * @param {Actor} actor - The actor who rolled
+ * @param {Object} entry - The ledger entry
+ */
+async function recordSupplyRoll(actor, entry) {
+  await actor.update({
+    "flags.alien-zones.supplyLedger": appendLedgerEntry(getSupplyLedger(actor), entry)
+  }, getZoneTransactionOptions(actor));
+}
+
+/**
+ * Roll a supply in the Alien RPG system and spend what the roll uses up
+ *
+ * Uses the official Alien RPG system's YZE dice roller: one Stress Die per unit of
+ * supply, and every one rolled uses up a unit. Each roll is added to the actor's ledger.
+ *
+ * @param {Actor} actor - The actor to roll for
+ * @param {Region} region - The zone calling for the roll
+ * @param {string} supplyType - Key of SUPPLIES
+ * @returns {Promise<Object|null>} The ledger entry, or null if nothing was rolled
+ */
+export async function rollSupply(actor, region, supplyType) {
+  const supply = SUPPLIES[supplyType];
+  const before = getSupplyValue(actor, supplyType);
+
+  // Validate actor has consumable tracking for this supply
+  if (before === null) {
+    console.warn(`Alien Zones | Actor does not track ${supplyType} consumables`);
+    await postSupplyRollPrompt(actor, region, supplyType);
+    return null;
+  }
+
+  // Check if actor has supply left - post dramatic message if not
+  if (before <= 0) {
+    await ChatMessage.create({
+      content: game.i18n.format(supply.emptyMessage, {
+        token: actor.name,
+        zone: region.name
+      }),
+      flavor: game.i18n.localize("ALIENZONE.Messages.CriticalDanger"),
+      type: CONST.CHAT_MESSAGE_TYPES.EMOTE,
+      speaker: ChatMessage.getSpeaker({ actor })
+    }, getZoneTransactionOptions(actor));
+
+    ui.notifications.error(
+      game.i18n.format(supply.emptyNotification, {
+        token: actor.name
+      })
+    );
+    return null;
+  }
+
+  // Prepare roll parameters
+  const label = `${game.i18n.localize(supply.label)} ${game.i18n.localize("ALIENRPG.Supply")}`;
+  const blind = actor.token?.disposition === -1;
+
+  try {
+    // Dynamically import the Alien RPG dice roller
+    const { yze } = await import('/systems/alienrpg/module/helpers/YZEDiceRoller.mjs');
+
+    // Execute the supply roll
+    await yze.yzeRoll(
+      "supply",      // actortype - triggers supply roll behavior
+      blind,         // blind roll if hostile token
+      true,          // reRoll enabled
+      label,         // chat message label
+      0,             // base dice (always 0 for supply rolls)
+      game.i18n.localize("ALIENRPG.Black"),
+      before,        // stress/supply dice count
+      game.i18n.localize("ALIENRPG.Yellow"),
+      actor.id       // actor ID for attribution
+    );
+
+    // Check if any 1s were rolled (supply consumed)
+    const ones = game.alienrpg.rollArr.r2One || 0;
+    let consumed = 0;
+    if (ones > 0) {
+      console.log(`Alien Zones | ${actor.name} rolled ${ones} ones - consuming ${supplyType} supply`);
+      consumed = await consumeSupply(actor, supplyType, ones);
+    }
+
+    const entry = {
+      supplyType,
+      zone: region.name,
+      dice: before,
+      ones,
+      consumed,
+      before,
+      after: getSupplyValue(actor, supplyType) ?? before - consumed,
+      worldTime: game.time.worldTime,
+      timestamp: Date.now()
+    };
+    await recordSupplyRoll(actor, entry);
+    return entry;
+
+  } catch (error) {
+    console.error(`Alien Zones | Error triggering ${supplyType} supply roll:`, error);
+    // Fallback to chat prompt
+    await postSupplyRollPrompt(actor, region, supplyType);
+    return null;
+  }
+}
+
+/**
+ * Ask for a manual supply roll when it cannot be rolled automatically
+ * @param {Actor} actor - The actor who needs to roll
+ * @param {Region} region - The region entered
+ * @param {string} supplyType - Key of SUPPLIES
+ */
+async function postSupplyRollPrompt(actor, region, supplyType) {
+  await ChatMessage.create({
+    content: game.i18n.format("ALIENZONE.Messages.SupplyRollPrompt", {
+      token: actor.name,
+      zone: region.name,
+      supply: game.i18n.localize(SUPPLIES[supplyType].label)
+    }),
+    speaker: ChatMessage.getSpeaker({ actor }),
+    type: CONST.CHAT_MESSAGE_TYPES.OOC
+  }, getZoneTransactionOptions(actor));
+}
@@ -0,0 +1,129 @@
+/**
+ * Alien Zones - Timekeeper
+ * Advances world time in Alien RPG Rounds, Turns and Shifts
+ */
+
+import { TURN_SECONDS } from './zoneTypes.js';
+
+/**
+ * Alien RPG time scales
+ * @constant {Object}
+ */
+export const TIME_UNITS = {
+  ROUND: "round",
+  TURN: "turn",
+  SHIFT: "shift"
+};
+
+/**
+ * Length of an Alien RPG Round in seconds of world time
+ * @constant {number}
+ */
+export const ROUND_SECONDS = 10;
+
+/**
+ * Length of an Alien RPG Shift in seconds of world time, a quarter of a day
+ * @constant {number}
+ */
+export const SHIFT_SECONDS = 6 * 60 * 60;
+
+/**
+ * Length of each time unit in seconds of world time
+ * @constant {Object<string, number>}
+ */
+export const TIME_UNIT_SECONDS = {
+  [TIME_UNITS.ROUND]: ROUND_SECONDS,
+  [TIME_UNITS.TURN]: TURN_SECONDS,
+  [TIME_UNITS.SHIFT]: SHIFT_SECONDS
+};
+
+/**
+ * Shifts in a day
+ * @constant {number}
+ */
+const SHIFTS_PER_DAY = 4;
+
+/**
+ * Round time of the game system, restored when combat stops advancing time
+ * @type {number|null}
+ */
+let systemRoundTime = null;
+
+/**
+ * Initialize the timekeeper hooks
+ */
+export function initZoneTimeHooks() {
+  // Wait for the system to set up its own round time first
+  Hooks.once("ready", () => applyCombatRoundTime());
+}
+
+/**
+ * Make each new combat round advance world time by one Round, if the GM wants it
+ * Foundry core advances the time itself when a combat round ends.
+ */
+export function applyCombatRoundTime() {
+  systemRoundTime ??= CONFIG.time.roundTime;
+  CONFIG.time.roundTime = game.settings.get("alien-zones", "combatTime") ? ROUND_SECONDS : systemRoundTime;
+}
+
+/**
+ * Get the length of a time unit
+ * @param {string} unit - One of TIME_UNITS
+ * @returns {number} Seconds of world time
+ */
+export function getTimeUnitSeconds(unit) {
+  const seconds = TIME_UNIT_SECONDS[unit];
+  if (!seconds) {
+    throw new Error(`Alien Zones | Unknown time unit: ${unit}`);
+  }
+  return seconds;
+}
+
+/**
+ * Split world time into the day, Shift, Turn and Round it falls in, counting from 1
+ * @param {number} worldTime - Seconds of world time
+ * @returns {{day: number, shift: number, turn: number, round: number}} The position in each time scale
+ */
+export function splitWorldTime(worldTime) {
+  const time = Math.max(Math.floor(worldTime) || 0, 0);
+  const shifts = Math.floor(time / SHIFT_SECONDS);
+
+  return {
+    day: Math.floor(shifts / SHIFTS_PER_DAY) + 1,
+    shift: (shifts % SHIFTS_PER_DAY) + 1,
+    turn: Math.floor((time % SHIFT_SECONDS) / TURN_SECONDS) + 1,
+    round: Math.floor((time % TURN_SECONDS) / ROUND_SECONDS) + 1
+  };
+}
+
+/**
+ * Advance world time by some Rounds, Turns or Shifts
+ * Zone upkeep runs for the time that passed: see zoneUpkeep.js.
+ *
+ * @param {string} unit - One of TIME_UNITS
+ * @param {number} [count=1] - How many units pass
+ * @returns {Promise<number|null>} The new world time, or null if the user may not change it
+ */
+export async function advanceZoneTime(unit, count = 1) {
+  if (!game.user.isGM) {
+    ui.notifications.warn(game.i18n.localize("ALIENZONE.Time.GMOnly"));
+    return null;
+  }
+
+  const seconds = getTimeUnitSeconds(unit);
+  const steps = Math.floor(Number(count));
+  if (!(steps >= 1)) {
+    throw new Error(`Alien Zones | Time must advance by at least one ${unit}`);
+  }
+
+  console.log(`Alien Zones | Advancing world time by ${steps} ${unit}(s)`);
+  await ChatMessage.create({
+    content: game.i18n.format("ALIENZONE.Time.Passed", {
+      count: steps,
+      unit: game.i18n.localize(`ALIENZONE.Time.Units.${unit}`)
+    }),
+    flavor: game.i18n.localize("ALIENZONE.Time.Title")
+  });
+
+  return game.time.advance(seconds * steps);
+}
@@ -0,0 +1,118 @@
+/**
+ * Alien Zones - Timekeeper Window
+ * GM window showing the current Shift, Turn and Round, with buttons to advance time
+ */
+
+import { TIME_UNITS, splitWorldTime, advanceZoneTime } from './zoneTime.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * The timekeeper window
+ */
+export class ZoneTimekeeper extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "alien-zones-timekeeper",
+    classes: ["alien-zones-timekeeper"],
+    window: {
+      title: "ALIENZONE.Time.Title",
+      icon: "fas fa-stopwatch"
+    },
+    position: {
+      width: 360,
+      height: "auto"
+    },
+    actions: {
+      advanceTime: ZoneTimekeeper.#onAdvanceTime
+    }
+  };
+
+  /**
+   * How many units each button advances, kept across renders
+   * @type {number}
+   */
+  count = 1;
+
+  /** @override */
+  async _renderHTML() {
+    const buttons = Object.values(TIME_UNITS)
+      .map(unit => `
+          <button type="button" data-action="advanceTime" data-unit="${unit}">
+            <i class="fas fa-forward"></i> ${game.i18n.localize(`ALIENZONE.Time.Units.${unit}`)}
+          </button>`)
+      .join('');
+
+    return `
+      <p class="alien-zones-timekeeper-now">${game.i18n.format("ALIENZONE.Time.Now", splitWorldTime(game.time.worldTime))}</p>
+
+      <div class="form-group">
+        <label>${game.i18n.localize("ALIENZONE.Time.Count")}</label>
+        <input type="number" name="count" value="${this.count}" min="1" step="1">
+      </div>
+
+      <div class="alien-zones-timekeeper-buttons">${buttons}</div>
+      <p class="hint">${game.i18n.localize("ALIENZONE.Time.Hint")}</p>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * Advance world time by the chosen number of units
+   * @this {ZoneTimekeeper}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked button
+   */
+  static async #onAdvanceTime(event, target) {
+    this.count = Number(this.element.querySelector('[name="count"]')?.value) || 1;
+
+    try {
+      await advanceZoneTime(target.dataset.unit, this.count);
+    } catch (error) {
+      console.error("Alien Zones | Error advancing world time:", error);
+      ui.notifications.error(game.i18n.localize("ALIENZONE.Time.Invalid"));
+    }
+  }
+}
+
+/**
+ * The open timekeeper window, if any
+ * @type {ZoneTimekeeper|null}
+ */
+let zoneTimekeeper = null;
+
+/**
+ * Open the timekeeper, or bring it to the front if it is already open
+ * @returns {ZoneTimekeeper} The timekeeper window
+ */
+export function openZoneTimekeeper() {
+  zoneTimekeeper ??= new ZoneTimekeeper();
+  zoneTimekeeper.render({ force: true });
+  return zoneTimekeeper;
+}
+
+/**
+ * Initialize the scene control button and keep the timekeeper window up to date
+ */
+export function initZoneTimekeeperHooks() {
+  Hooks.on("getSceneControlButtons", (controls) => {
+    const regions = controls.regions;
+    if (!regions?.tools) return;
+
+    regions.tools.alienZonesTimekeeper = {
+      name: "alienZonesTimekeeper",
+      title: "ALIENZONE.Time.Title",
+      icon: "fas fa-stopwatch",
+      order: Object.keys(regions.tools).length,
+      button: true,
+      visible: game.user.isGM,
+      onChange: () => openZoneTimekeeper()
+    };
+  });
+
+  Hooks.on("updateWorldTime", () => {
+    if (zoneTimekeeper?.rendered) zoneTimekeeper.render();
+  });
+}
@@ -0,0 +1,208 @@
+/**
+ * Alien Zones - Motion Tracker Signals
+ * Detects movement in zones near characters carrying a motion tracker and pings their owners
+ */
+
+import {
+  RANGE_BANDS,
+  getRangeBand,
+  getZoneDistance,
+  getSceneZoneGraph,
+  getSceneZones,
+  getTokenZoneIds,
+  getRegionCenter
+} from './zoneGraph.js';
+import { isZoneAuthority, emitToUsers } from './zoneAuthority.js';
+
+/**
+ * Socket message type of a motion tracker ping
+ * @constant {string}
+ */
+export const TRACKER_PING = "trackerPing";
+
+/**
+ * Degrees between the bearings a tracker can show
+ * Pings only give a rough direction, never the exact position of the movement.
+ * @constant {number}
+ */
+export const BEARING_STEP = 45;
+
+/**
+ * Get the rough compass bearing from one point to another
+ * @param {{x: number, y: number}} from - The observer
+ * @param {{x: number, y: number}} to - The observed point
+ * @param {number} [step=BEARING_STEP] - Degrees to round the bearing to
+ * @returns {number} Degrees clockwise from the top of the scene, between 0 and 360
+ */
+export function getBearing(from, to, step = BEARING_STEP) {
+  const degrees = Math.atan2(to.x - from.x, from.y - to.y) * 180 / Math.PI;
+  const rounded = Math.round(degrees / step) * step;
+  return ((rounded % 360) + 360) % 360;
+}
+
+/**
+ * Check whether a range band is within a tracker's range
+ * @param {string|null} band - The range band of the movement
+ * @param {string} maxBand - The furthest range band the tracker picks up
+ * @returns {boolean} True if the tracker picks up the movement
+ */
+export function isWithinTrackerRange(band, maxBand) {
+  const order = Object.values(RANGE_BANDS);
+  if (!order.includes(band)) return false;
+  return order.indexOf(band) <= order.indexOf(maxBand);
+}
+
+/**
+ * Work out which trackers pick up movement in some zones
+ * @param {Object} options
+ * @param {Map<string, Set<string>>} options.graph - The zone adjacency graph
+ * @param {Iterable<string>} options.zoneIds - Zones the movement happened in
+ * @param {{x: number, y: number}} options.origin - Where pings point to, e.g. the zone center
+ * @param {Array<{tokenId: string, zoneIds: Iterable<string>, center: {x: number, y: number}}>} options.carriers - The tracker carriers
+ * @param {string} options.maxBand - The furthest range band trackers pick up
+ * @returns {Array<{tokenId: string, band: string, bearing: number}>} One ping per carrier in range
+ */
+export function planTrackerPings({ graph, zoneIds, origin, carriers, maxBand }) {
+  const pings = [];
+  for (const carrier of carriers) {
+    const band = getRangeBand(getZoneDistance(graph, carrier.zoneIds, zoneIds));
+    if (!isWithinTrackerRange(band, maxBand)) continue;
+    pings.push({ tokenId: carrier.tokenId, band, bearing: getBearing(carrier.center, origin) });
+  }
+  return pings;
+}
+
+/**
+ * Check whether a zone blocks motion tracker signals
+ * @param {Region} region - The region document
+ * @returns {boolean} True if the zone blocks tracker signals
+ */
+export function blocksTracker(region) {
+  return region?.flags?.["alien-zones"]?.blocksTracker === true;
+}
+
+/**
+ * Check whether a token's actor carries a motion tracker
+ * Any item whose name contains the configured tracker name counts.
+ *
+ * @param {TokenDocument} tokenDocument - The token to check
+ * @returns {boolean} True if the token carries a tracker
+ */
+export function isTrackerCarrier(tokenDocument) {
+  const itemName = game.settings.get("alien-zones", "trackerItemName").trim().toLowerCase();
+  if (!itemName || !tokenDocument.actor) return false;
+  return tokenDocument.actor.items.some(item => item.name.toLowerCase().includes(itemName));
+}
+
+/**
+ * Get the center of a token
+ * @param {TokenDocument} tokenDocument - The token
+ * @returns {{x: number, y: number}} The center point
+ */
+function getTokenCenter(tokenDocument) {
+  const size = tokenDocument.parent?.grid.size ?? 100;
+  return {
+    x: tokenDocument.x + (tokenDocument.width * size) / 2,
+    y: tokenDocument.y + (tokenDocument.height * size) / 2
+  };
+}
+
+/**
+ * Get the ids of the non-GM users owning a token
+ * @param {TokenDocument} tokenDocument - The token
+ * @returns {Array<string>} The user ids
+ */
+function getTokenOwnerIds(tokenDocument) {
+  return game.users
+    .filter(user => !user.isGM && tokenDocument.testUserPermission(user, "OWNER"))
+    .map(user => user.id);
+}
+
+/**
+ * Ping the motion trackers near some zones
+ * Trackers inside zones that block signals pick up nothing.
+ *
+ * @param {Scene} scene - The scene the movement happened in
+ * @param {Iterable<string>} zoneIds - Zones the movement happened in
+ * @param {Object} [options]
+ * @param {string} [options.excludeTokenId] - The moving token, which does not ping its own tracker
+ * @param {boolean} [options.force=false] - Ping even if the zones block tracker signals
+ * @returns {number} The number of trackers pinged
+ */
+export function sendTrackerPings(scene, zoneIds, { excludeTokenId, force = false } = {}) {
+  const zones = [...zoneIds].map(id => scene.regions.get(id)).filter(Boolean);
+  if (!zones.length) return 0;
+  if (!force && zones.some(blocksTracker)) return 0;
+
+  const origin = getRegionCenter(zones[0]);
+  if (!origin) return 0;
+
+  const carriers = scene.tokens
+    .filter(tokenDocument => tokenDocument.id !== excludeTokenId && isTrackerCarrier(tokenDocument))
+    .map(tokenDocument => ({
+      tokenDocument,
+      tokenId: tokenDocument.id,
+      zoneIds: getTokenZoneIds(tokenDocument),
+      center: getTokenCenter(tokenDocument)
+    }))
+    .filter(carrier => ![...carrier.zoneIds].some(id => blocksTracker(scene.regions.get(id))));
+
+  const pings = planTrackerPings({
+    graph: getSceneZoneGraph(scene),
+    zoneIds: zones.map(zone => zone.id),
+    origin,
+    carriers,
+    maxBand: game.settings.get("alien-zones", "trackerRange")
+  });
+
+  for (const ping of pings) {
+    const carrier = carriers.find(({ tokenId }) => tokenId === ping.tokenId);
+    emitToUsers(TRACKER_PING, {
+      sceneId: scene.id,
+      tokenId: ping.tokenId,
+      tokenName: carrier.tokenDocument.name,
+      band: ping.band,
+      bearing: ping.bearing
+    }, getTokenOwnerIds(carrier.tokenDocument));
+  }
+
+  if (pings.length) console.log(`Alien Zones | Motion tracker ping sent to ${pings.length} tracker(s)`);
+  return pings.length;
+}
+
+/**
+ * Send a false ping from a zone, e.g. a vent hissing or a rat in the ducts
+ * Only the GM can trigger false pings. They go through zones that block tracker signals.
+ *
+ * @param {string} zoneId - The zone the ping seems to come from
+ * @param {Scene} [scene=canvas.scene] - The scene of the zone
+ * @returns {number} The number of trackers pinged
+ */
+export function triggerFalsePing(zoneId, scene = canvas.scene) {
+  if (!game.user.isGM) {
+    ui.notifications.warn(game.i18n.localize("ALIENZONE.Tracker.GMOnly"));
+    return 0;
+  }
+
+  const count = sendTrackerPings(scene, [zoneId], { force: true });
+  ui.notifications.info(game.i18n.format("ALIENZONE.Tracker.FalsePingSent", { count }));
+  return count;
+}
+
+/**
+ * Initialize the hooks that turn token movement into tracker pings
+ * Only the active GM sends pings, so each movement is detected once.
+ */
+export function initZoneTrackerHooks() {
+  Hooks.on("updateToken", (tokenDocument, change) => {
+    if (change.x === undefined && change.y === undefined) return;
+    if (!isZoneAuthority() || !tokenDocument.parent) return;
+    if (!getSceneZones(tokenDocument.parent).length) return;
+
+    // Movement outside of any zone is not picked up
+    const zoneIds = getTokenZoneIds(tokenDocument);
+    if (!zoneIds.size) return;
+
+    sendTrackerPings(tokenDocument.parent, zoneIds, { excludeTokenId: tokenDocument.id });
+  });
+}
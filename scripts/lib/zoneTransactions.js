@@ -0,0 +1,458 @@
+/**
+ * Alien Zones - Zone Transactions
+ * Records what the zone effects of a token move changed, so that undoing the move, dragging
+ * the token straight back or the GM's revert button rolls it all back
+ */
+
+import { isZoneAuthority, registerSocketHandler, emitToGM } from './zoneAuthority.js';
+import { syncZoneEffects } from './zoneEffects.js';
+import { onRenderChatMessage } from './lib.js';
+
+/**
+ * Number of transactions kept on each token
+ * @constant {number}
+ */
+export const TRANSACTION_LIMIT = 10;
+
+/**
+ * Time, in milliseconds, during which dragging a token straight back reverts its last move
+ * @constant {number}
+ */
+export const REVERT_WINDOW = 60000;
+
+/**
+ * The transaction recording changes on this client, if any
+ * @type {Object|null}
+ */
+let activeTransaction = null;
+
+/**
+ * Transactions run one at a time, so the changes of two moves never get mixed up
+ * @type {Promise}
+ */
+let transactionQueue = Promise.resolve();
+
+/**
+ * Get the values a document had before an update, so the update can be undone
+ * Deletions ("-=" keys) and document metadata are left out. Values that did not exist
+ * are restored as null.
+ *
+ * @param {Object} source - The document's source data before the update
+ * @param {Array<string>} paths - The dotted paths of the updated values
+ * @returns {Object<string, *>} The previous value of each path
+ */
+export function getRestoreValues(source, paths) {
+  const values = {};
+  for (const path of paths) {
+    if (path === "_id" || path.startsWith("_stats") || path.includes("-=")) continue;
+    values[path] = path.split(".").reduce((value, key) => value?.[key], source) ?? null;
+  }
+  return values;
+}
+
+/**
+ * Work out the values to restore on each document from the updates of a transaction
+ * A value updated several times is restored to what it was before the first update.
+ *
+ * @param {Array<{uuid: string, changes: Object}>} updates - Recorded updates in order, with flat changes
+ * @returns {Map<string, Object>} The flat values to restore, for each document uuid
+ */
+export function planRestore(updates) {
+  const restores = new Map();
+  for (const { uuid, changes } of updates) {
+    restores.set(uuid, { ...changes, ...restores.get(uuid) });
+  }
+  return restores;
+}
+
+/**
+ * Add a transaction to a token's list, dropping the oldest ones past the limit
+ * @param {Array<Object>} transactions - The current transactions, oldest first
+ * @param {Object} transaction - The transaction to add
+ * @param {number} limit - Maximum number of transactions
+ * @returns {Array<Object>} The new list
+ */
+export function appendTransaction(transactions, transaction, limit = TRANSACTION_LIMIT) {
+  return [...(transactions ?? []), transaction].slice(-limit);
+}
+
+/**
+ * Find the transaction a move reverts
+ * Only the token's last transaction can be reverted, and only while the token is still where
+ * that move left it. An undo always reverts it, a move back to where the token came from only
+ * within the revert window.
+ *
+ * @param {Array<Object>} transactions - The token's transactions, oldest first
+ * @param {Object} move
+ * @param {{x: number, y: number}} move.position - Where the token is
+ * @param {{x: number, y: number}} move.destination - Where the token is moving to
+ * @param {boolean} move.isUndo - Whether the move is an undo
+ * @param {boolean} [move.allowMoveBack=true] - Whether moving straight back reverts too
+ * @param {number} move.now - The current time in milliseconds
+ * @param {number} [window=REVERT_WINDOW] - The revert window in milliseconds
+ * @returns {Object|null} The transaction, or null if the move is a normal move
+ */
+export function findRevertedTransaction(transactions, { position, destination, isUndo, allowMoveBack = true, now }, window = REVERT_WINDOW) {
+  const last = (transactions ?? []).findLast(transaction => !transaction.reverted);
+  if (!last?.from || !last.to) return null;
+
+  const samePoint = (a, b) => a.x === b.x && a.y === b.y;
+  if (!samePoint(last.to, position)) return null;
+  if (isUndo) return last;
+
+  const movesBack = allowMoveBack && samePoint(last.from, destination);
+  return movesBack && now - last.time <= window ? last : null;
+}
+
+/**
+ * Get the zone transactions of a token
+ * @param {TokenDocument} tokenDocument - The token
+ * @returns {Array<Object>} The transactions, oldest first
+ */
+export function getZoneTransactions(tokenDocument) {
+  return tokenDocument.getFlag("alien-zones", "transactions") ?? [];
+}
+
+/**
+ * Find the transaction a pending token move reverts
+ * @param {TokenDocument} tokenDocument - The token about to move
+ * @param {Object} change - The pending changes
+ * @param {Object} options - The update options
+ * @returns {string|null} The id of the transaction, or null for a normal move
+ */
+export function getRevertedTransactionId(tokenDocument, change, options) {
+  const transaction = findRevertedTransaction(getZoneTransactions(tokenDocument), {
+    position: { x: tokenDocument.x, y: tokenDocument.y },
+    destination: { x: change.x ?? tokenDocument.x, y: change.y ?? tokenDocument.y },
+    isUndo: options.isUndo === true || options.movement?.[tokenDocument.id]?.method === "undo",
+    allowMoveBack: game.settings.get("alien-zones", "revertOnMoveBack"),
+    now: Date.now()
+  });
+  return transaction?.id ?? null;
+}
+
+/**
+ * Get the options that tie a write to the transaction running for a token or its actor
+ * Zone effects pass them with their updates, Active Effects and chat messages. A transaction
+ * records only the writes carrying its marker, so a GM edit, another token's change or
+ * another module's message made meanwhile is never rolled back with it.
+ *
+ * @param {TokenDocument|Actor} document - The token the zone effects apply to, or its actor
+ * @param {Object} [options={}] - Other options of the write
+ * @returns {Object} The options, with the transaction marker if a transaction runs for the document
+ */
+export function getZoneTransactionOptions(document, options = {}) {
+  if (!activeTransaction || ![activeTransaction.tokenUuid, activeTransaction.actorUuid].includes(document?.uuid)) {
+    return options;
+  }
+  return { ...options, alienZonesTransaction: activeTransaction.id };
+}
+
+/**
+ * Run zone effects as a transaction, recording the changes they make to the token's actor,
+ * its items and the scene's regions, and the chat messages they post
+ * Only writes made with getZoneTransactionOptions are recorded.
+ *
+ * Running again with the id of a saved transaction adds to it, e.g. when a zone card is rolled
+ * after the move.
+ *
+ * @param {TokenDocument} tokenDocument - The token the effects apply to
+ * @param {Object} move
+ * @param {string} [move.id] - The id of the transaction to add to, a new one by default
+ * @param {{x: number, y: number}} [move.from] - Where the move started
+ * @param {{x: number, y: number}} [move.to] - Where the move ended
+ * @param {Function} fn - Async function running the zone effects
+ * @returns {Promise<*>} The result of fn
+ */
+export async function runZoneTransaction(tokenDocument, move, fn) {
+  const run = async () => {
+    activeTransaction = {
+      id: move.id ?? foundry.utils.randomID(),
+      tokenUuid: tokenDocument.uuid,
+      actorUuid: tokenDocument.actor?.uuid,
+      updates: [],
+      effects: [],
+      messages: []
+    };
+
+    const recorded = activeTransaction;
+    try {
+      return await fn();
+    } finally {
+      activeTransaction = null;
+      await saveZoneTransaction(tokenDocument, move, recorded);
+    }
+  };
+
+  const result = transactionQueue.then(run);
+  transactionQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Save what a transaction recorded on the token, and tie its messages to it
+ * @param {TokenDocument} tokenDocument - The token the effects applied to
+ * @param {Object} move - The move, see runZoneTransaction
+ * @param {Object} recorded - The recorded changes
+ */
+async function saveZoneTransaction(tokenDocument, move, recorded) {
+  const { id, updates, effects, messages } = recorded;
+  if (!updates.length && !effects.length && !messages.length) return;
+
+  try {
+    const transactions = getZoneTransactions(tokenDocument);
+    const existing = transactions.find(transaction => transaction.id === id);
+
+    if (existing) {
+      await tokenDocument.setFlag("alien-zones", "transactions", transactions.map(transaction => transaction.id === id ? {
+        ...transaction,
+        updates: [...transaction.updates, ...updates],
+        effects: [...transaction.effects, ...effects],
+        messages: [...transaction.messages, ...messages]
+      } : transaction));
+    } else {
+      await tokenDocument.setFlag("alien-zones", "transactions", appendTransaction(transactions, {
+        id,
+        from: move.from ?? null,
+        to: move.to ?? null,
+        userId: game.user.id,
+        time: Date.now(),
+        worldTime: game.time.worldTime,
+        reverted: false,
+        updates,
+        effects,
+        messages
+      }));
+    }
+
+    // Let the GM revert the transaction from any of its messages
+    const reference = { sceneId: tokenDocument.parent.id, tokenId: tokenDocument.id, id };
+    await ChatMessage.updateDocuments(messages
+      .filter(messageId => game.messages.get(messageId)?.isOwner)
+      .map(_id => ({ _id, "flags.alien-zones.transaction": reference })));
+  } catch (error) {
+    console.error(`Alien Zones | Error saving zone transaction for ${tokenDocument.name}:`, error);
+  }
+}
+
+/**
+ * Check whether a write belongs to the active transaction
+ * @param {Object} options - The options of the write
+ * @returns {boolean} True if the write carries the transaction's marker
+ */
+function isRecorded(options) {
+  return !!activeTransaction && options?.alienZonesTransaction === activeTransaction.id;
+}
+
+/**
+ * Record the previous values of a document about to be updated
+ * @param {foundry.abstract.Document} document - The document
+ * @param {Object} change - The pending changes
+ * @param {Object} options - The update options
+ */
+function onPreUpdateDocument(document, change, options) {
+  if (options.alienZonesRevert || !isRecorded(options)) return;
+
+  const changes = getRestoreValues(document._source, Object.keys(foundry.utils.flattenObject(change)));
+  if (Object.keys(changes).length) activeTransaction.updates.push({ uuid: document.uuid, changes });
+}
+
+/**
+ * Record an Active Effect created by the zone effects
+ * @param {ActiveEffect} effect - The new effect
+ * @param {Object} options - The creation options
+ * @param {string} userId - The user who created it
+ */
+function onCreateActiveEffect(effect, options, userId) {
+  if (userId === game.user.id && isRecorded(options)) activeTransaction.effects.push(effect.uuid);
+}
+
+/**
+ * Record a chat message posted by the zone effects
+ * @param {ChatMessage} message - The new message
+ * @param {Object} options - The creation options
+ * @param {string} userId - The user who posted it
+ */
+function onCreateChatMessage(message, options, userId) {
+  if (userId === game.user.id && isRecorded(options)) activeTransaction.messages.push(message.id);
+}
+
+/**
+ * Restore the values recorded by a transaction, one batch per parent document
+ * @param {Array<{uuid: string, changes: Object}>} updates - The recorded updates
+ */
+async function restoreDocuments(updates) {
+  const restores = planRestore(updates.map(({ uuid, changes }) => ({ uuid, changes: foundry.utils.flattenObject(changes) })));
+  const batches = new Map();
+
+  for (const [uuid, changes] of restores) {
+    const document = fromUuidSync(uuid);
+    if (!document) continue;
+
+    if (!document.isEmbedded) {
+      await document.update(changes, { alienZonesRevert: true });
+      continue;
+    }
+
+    const key = `${document.parent.uuid}.${document.documentName}`;
+    if (!batches.has(key)) batches.set(key, { parent: document.parent, documentName: document.documentName, updates: [] });
+    batches.get(key).updates.push({ _id: document.id, ...changes });
+  }
+
+  for (const { parent, documentName, updates: batch } of batches.values()) {
+    await parent.updateEmbeddedDocuments(documentName, batch, { alienZonesRevert: true });
+  }
+}
+
+/**
+ * Delete the Active Effects created by a transaction
+ * @param {Array<string>} uuids - The effect uuids
+ */
+async function deleteEffects(uuids) {
+  const byActor = new Map();
+  for (const effect of uuids.map(uuid => fromUuidSync(uuid)).filter(Boolean)) {
+    if (!byActor.has(effect.parent)) byActor.set(effect.parent, []);
+    byActor.get(effect.parent).push(effect.id);
+  }
+
+  for (const [actor, ids] of byActor) {
+    await actor.deleteEmbeddedDocuments("ActiveEffect", ids, { alienZonesRevert: true });
+  }
+}
+
+/**
+ * Strike through the messages of a reverted transaction
+ * @param {Array<string>} messageIds - The message ids
+ */
+async function strikeMessages(messageIds) {
+  await ChatMessage.updateDocuments(messageIds
+    .filter(messageId => game.messages.has(messageId))
+    .map(_id => ({ _id, "flags.alien-zones.reverted": true })));
+}
+
+/**
+ * Roll back a zone transaction
+ *
+ * Restores the actor, item and region values the zone effects changed, deletes the Active
+ * Effects they created and strikes through their chat messages. Only the GM can revert
+ * transactions, other GMs ask the active one.
+ *
+ * @param {TokenDocument} tokenDocument - The token the transaction belongs to
+ * @param {string} transactionId - The transaction id
+ * @param {Object} [options]
+ * @param {boolean} [options.moveToken=false] - Also move the token back to where the move started
+ * @returns {Promise<boolean>} True if the transaction was reverted on this client
+ */
+export async function revertZoneTransaction(tokenDocument, transactionId, { moveToken = false } = {}) {
+  if (!game.user.isGM) {
+    ui.notifications.warn(game.i18n.localize("ALIENZONE.Transactions.GMOnly"));
+    return false;
+  }
+
+  if (!isZoneAuthority()) {
+    emitToGM("revertZoneTransaction", {
+      sceneId: tokenDocument.parent.id,
+      tokenId: tokenDocument.id,
+      transactionId,
+      moveToken
+    });
+    return false;
+  }
+
+  const transactions = getZoneTransactions(tokenDocument);
+  const transaction = transactions.find(t => t.id === transactionId);
+  if (!transaction || transaction.reverted) return false;
+
+  try {
+    await restoreDocuments(transaction.updates);
+    await deleteEffects(transaction.effects);
+    await strikeMessages(transaction.messages);
+    await tokenDocument.setFlag("alien-zones", "transactions",
+      transactions.map(t => t.id === transactionId ? { ...t, reverted: true } : t));
+    console.log(`Alien Zones | Reverted zone transaction ${transactionId} of ${tokenDocument.name}`);
+
+    // Only move the token back if nothing moved it since
+    const { from, to } = transaction;
+    if (moveToken && from && to && tokenDocument.x === to.x && tokenDocument.y === to.y) {
+      await tokenDocument.update({ x: from.x, y: from.y }, { alienZonesRevert: transactionId });
+    }
+    return true;
+  } catch (error) {
+    console.error(`Alien Zones | Error reverting zone transaction ${transactionId}:`, error);
+    ui.notifications.error(game.i18n.localize("ALIENZONE.Errors.RevertFailed"));
+    return false;
+  }
+}
+
+/**
+ * Roll back the zone effects of a reverted move
+ * Zone Active Effects follow the token back out of the zones it had entered.
+ *
+ * @param {TokenDocument} tokenDocument - The token that moved back
+ * @param {string} transactionId - The transaction the move reverts
+ */
+export async function handleRevertedMove(tokenDocument, transactionId) {
+  if (!isZoneAuthority()) return;
+
+  await revertZoneTransaction(tokenDocument, transactionId);
+  await syncZoneEffects(tokenDocument);
+}
+
+/**
+ * Add the GM's revert button to the messages of a transaction, and strike reverted ones
+ * @param {ChatMessage} message - The rendered message
+ * @param {HTMLElement} html - The message element
+ */
+function onRenderChatMessageHTML(message, html) {
+  const reference = message.getFlag("alien-zones", "transaction");
+  if (!reference) return;
+
+  if (message.getFlag("alien-zones", "reverted")) {
+    html.classList.add("alien-zones-reverted");
+    return;
+  }
+
+  const tokenDocument = game.scenes.get(reference.sceneId)?.tokens.get(reference.tokenId);
+  const content = html.querySelector(".message-content");
+  if (!game.user.isGM || !tokenDocument || !content) return;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.classList.add("alien-zones-revert");
+  button.innerHTML = `<i class="fas fa-rotate-left"></i> ${game.i18n.localize("ALIENZONE.Transactions.Revert")}`;
+  button.addEventListener("click", async (event) => {
+    event.preventDefault();
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("ALIENZONE.Transactions.Revert") },
+      content: `<p>${game.i18n.format("ALIENZONE.Transactions.RevertConfirm", { token: foundry.utils.escapeHTML(tokenDocument.name) })}</p>`
+    });
+    if (confirmed) await revertZoneTransaction(tokenDocument, reference.id, { moveToken: true });
+  });
+  content.append(button);
+}
+
+/**
+ * Revert transactions for GMs who are not the active GM
+ * @param {Object} data - The socket message
+ */
+async function onRevertRequest(data) {
+  const tokenDocument = game.scenes.get(data.sceneId)?.tokens.get(data.tokenId);
+  const user = game.users.get(data.userId);
+  if (!tokenDocument || !user?.isGM) return;
+
+  await revertZoneTransaction(tokenDocument, data.transactionId, { moveToken: data.moveToken });
+}
+
+/**
+ * Initialize the hooks recording zone transactions and the revert button
+ */
+export function initZoneTransactionHooks() {
+  for (const documentName of ["Actor", "Item", "Region"]) {
+    Hooks.on(`preUpdate${documentName}`, onPreUpdateDocument);
+  }
+  Hooks.on("createActiveEffect", onCreateActiveEffect);
+  Hooks.on("createChatMessage", onCreateChatMessage);
+  onRenderChatMessage(onRenderChatMessageHTML);
+
+  registerSocketHandler("revertZoneTransaction", onRevertRequest);
+}
@@ -0,0 +1,413 @@
+/**
+ * Alien Zones - Zone Export, Import and Presets
+ * Moves zone definitions between scenes and worlds, and reuses zone settings across regions
+ */
+
+import { isAlienZone } from './lib.js';
+import { getZoneTypeConfig } from './zoneTypes.js';
+
+/**
+ * Format identifier written to every export file
+ * @constant {string}
+ */
+export const ZONE_EXPORT_FORMAT = "alien-zones";
+
+/**
+ * Current version of the export format
+ * Bump it when the format changes and teach validateZoneExport to read older files.
+ * @constant {number}
+ */
+export const ZONE_EXPORT_VERSION = 1;
+
+/**
+ * Flags that describe a single region rather than a reusable zone setup
+ * - adjacentZones: ids of other zones on the same scene
+ * - linkedDoors: ids of door walls on the same scene
+ * - visitedBy, stressedBy, pendingZoneEvents: state collected during play
+ * - schedule, spreadIn: pending zone changes and the countdown to the next hazard spread
+ * @constant {Array<string>}
+ */
+const REGION_SPECIFIC_FLAGS = [
+  "adjacentZones",
+  "linkedDoors",
+  "visitedBy",
+  "stressedBy",
+  "pendingZoneEvents",
+  "schedule",
+  "spreadIn"
+];
+
+/**
+ * Flags holding state collected during play or pointing at the scene's walls, never exported
+ * @constant {Array<string>}
+ */
+const RUNTIME_FLAGS = ["linkedDoors", "visitedBy", "stressedBy", "pendingZoneEvents", "schedule", "spreadIn"];
+
+/**
+ * Copy a zone's flags without some of its keys
+ * @param {Object} flags - The region's alien-zones flags
+ * @param {Array<string>} omit - Keys to leave out
+ * @returns {Object} The copied flags
+ */
+function copyFlags(flags, omit) {
+  const copy = JSON.parse(JSON.stringify(flags ?? {}));
+  for (const key of omit) delete copy[key];
+  return copy;
+}
+
+/**
+ * Get the settings of a zone that can be copied to other regions or saved as a preset
+ * Leaves out the zone's connections and everything recorded during play.
+ *
+ * @param {Object} flags - The region's alien-zones flags
+ * @returns {Object} The copyable settings
+ */
+export function getCopyableZoneSettings(flags) {
+  return copyFlags(flags, REGION_SPECIFIC_FLAGS);
+}
+
+/**
+ * Build the flag update replacing a region's zone settings
+ * Settings the region has but the new ones lack are removed, its connections are kept.
+ *
+ * @param {Object} currentFlags - The region's current alien-zones flags
+ * @param {Object} settings - The new zone settings
+ * @returns {Object} The alien-zones flag update
+ */
+export function buildZoneSettingsUpdate(currentFlags, settings) {
+  const update = JSON.parse(JSON.stringify(settings));
+  for (const key of Object.keys(currentFlags ?? {})) {
+    if (key in update || REGION_SPECIFIC_FLAGS.includes(key)) continue;
+    update[`-=${key}`] = null;
+  }
+  return update;
+}
+
+/**
+ * Build the export data for a scene's Alien Zones
+ * @param {Array<Object>} regions - The Alien Zone region data (documents or plain objects)
+ * @param {Object} [scene]
+ * @param {string} [scene.name] - Name of the exported scene
+ * @param {number} [scene.gridSize] - Grid size of the exported scene in pixels
+ * @returns {Object} The versioned export data
+ */
+export function buildZoneExport(regions, { name = "", gridSize = 100 } = {}) {
+  return {
+    format: ZONE_EXPORT_FORMAT,
+    version: ZONE_EXPORT_VERSION,
+    scene: { name, gridSize },
+    zones: regions.map(region => ({
+      id: region.id ?? region._id,
+      name: region.name,
+      color: region.color ?? null,
+      elevation: JSON.parse(JSON.stringify(region.elevation ?? {})),
+      shapes: JSON.parse(JSON.stringify(region.shapes ?? [])),
+      flags: copyFlags(region.flags?.["alien-zones"], RUNTIME_FLAGS)
+    }))
+  };
+}
+
+/**
+ * Check that data read from a file is a zone export this version can import
+ * @param {Object} data - The parsed file contents
+ * @returns {Object} The export data
+ * @throws {Error} If the data is not a readable zone export
+ */
+export function validateZoneExport(data) {
+  if (data?.format !== ZONE_EXPORT_FORMAT || !Array.isArray(data.zones)) {
+    throw new Error("Alien Zones | Not an Alien Zones export file");
+  }
+  if (!Number.isInteger(data.version) || data.version > ZONE_EXPORT_VERSION) {
+    throw new Error(`Alien Zones | Unsupported export version: ${data.version}`);
+  }
+  return data;
+}
+
+/**
+ * Scale and move a region shape
+ * Shapes are scaled around the scene origin, then offset.
+ *
+ * @param {Object} shape - The region shape data
+ * @param {Object} transform
+ * @param {number} [transform.scale=1] - Scale factor
+ * @param {number} [transform.offsetX=0] - Horizontal offset in pixels
+ * @param {number} [transform.offsetY=0] - Vertical offset in pixels
+ * @returns {Object} The transformed shape data
+ */
+export function transformShape(shape, { scale = 1, offsetX = 0, offsetY = 0 } = {}) {
+  const result = { ...shape };
+  const moveX = (x) => (x * scale) + offsetX;
+  const moveY = (y) => (y * scale) + offsetY;
+
+  switch (shape.type) {
+    case "rectangle":
+      result.x = moveX(shape.x);
+      result.y = moveY(shape.y);
+      result.width = shape.width * scale;
+      result.height = shape.height * scale;
+      break;
+
+    case "circle":
+      result.x = moveX(shape.x);
+      result.y = moveY(shape.y);
+      result.radius = shape.radius * scale;
+      break;
+
+    case "ellipse":
+      result.x = moveX(shape.x);
+      result.y = moveY(shape.y);
+      result.radiusX = shape.radiusX * scale;
+      result.radiusY = shape.radiusY * scale;
+      break;
+
+    case "polygon":
+      result.points = (shape.points ?? []).map((value, i) => (i % 2 === 0 ? moveX(value) : moveY(value)));
+      break;
+
+    default:
+      break;
+  }
+
+  return result;
+}
+
+/**
+ * Turn export data into region creation data
+ *
+ * Every zone gets a new id so the same layout can be imported twice, and the zone
+ * connections are rewritten to the new ids.
+ *
+ * @param {Object} data - Validated export data
+ * @param {Object} [options]
+ * @param {number} [options.scale=1] - Scale factor for the zone shapes
+ * @param {number} [options.offsetX=0] - Horizontal offset in pixels
+ * @param {number} [options.offsetY=0] - Vertical offset in pixels
+ * @param {Function} [options.generateId] - Creates new document ids
+ * @returns {Array<Object>} The region creation data
+ */
+export function planZoneImport(data, { scale = 1, offsetX = 0, offsetY = 0, generateId = () => foundry.utils.randomID() } = {}) {
+  const ids = new Map(data.zones.map(zone => [zone.id, generateId()]));
+
+  return data.zones.map(zone => {
+    const flags = JSON.parse(JSON.stringify(zone.flags ?? {}));
+    flags.isAlienZone = true;
+    flags.adjacentZones = (flags.adjacentZones ?? [])
+      .filter(id => ids.has(id))
+      .map(id => ids.get(id));
+
+    const regionData = {
+      _id: ids.get(zone.id),
+      name: zone.name,
+      shapes: (zone.shapes ?? []).map(shape => transformShape(shape, { scale, offsetX, offsetY })),
+      flags: { "alien-zones": flags }
+    };
+    if (zone.color) regionData.color = zone.color;
+    if (zone.elevation && Object.keys(zone.elevation).length) regionData.elevation = zone.elevation;
+    return regionData;
+  });
+}
+
+/**
+ * Export the Alien Zones of a scene to a JSON file
+ * @param {Scene} [scene=canvas.scene] - The scene to export
+ * @returns {Object|null} The exported data
+ */
+export function exportSceneZones(scene = canvas.scene) {
+  if (!scene) return null;
+
+  const zones = scene.regions.filter(region => isAlienZone(region)).map(region => region.toObject());
+  const data = buildZoneExport(zones, { name: scene.name, gridSize: scene.grid.size });
+
+  const saveDataToFile = foundry.utils.saveDataToFile ?? globalThis.saveDataToFile;
+  const filename = `alien-zones-${scene.name.slugify?.() ?? scene.id}.json`;
+  saveDataToFile(JSON.stringify(data, null, 2), "text/json", filename);
+
+  console.log(`Alien Zones | Exported ${data.zones.length} zone(s) from ${scene.name}`);
+  return data;
+}
+
+/**
+ * Create the zones of an export on a scene
+ * @param {Scene} scene - The scene to import into
+ * @param {Object} data - The export data
+ * @param {Object} [options] - Scale and offset, see planZoneImport
+ * @returns {Promise<Array<Region>>} The created regions
+ */
+export async function importSceneZones(scene, data, options = {}) {
+  const regionData = planZoneImport(validateZoneExport(data), options);
+  const created = await scene.createEmbeddedDocuments("Region", regionData, { keepId: true });
+  console.log(`Alien Zones | Imported ${created.length} zone(s) into ${scene.name}`);
+  return created;
+}
+
+/**
+ * Let the GM pick an export file, preview it and import it into a scene
+ * @param {Scene} [scene=canvas.scene] - The scene to import into
+ * @returns {Promise<Array<Region>>} The created regions, empty if cancelled
+ */
+export async function promptZoneImport(scene = canvas.scene) {
+  if (!scene) return [];
+
+  const file = await pickFile(".json,application/json");
+  if (!file) return [];
+
+  let data;
+  try {
+    data = validateZoneExport(JSON.parse(await file.text()));
+  } catch (error) {
+    console.error("Alien Zones | Error reading zone export:", error);
+    ui.notifications.error(game.i18n.localize("ALIENZONE.Transfer.InvalidFile"));
+    return [];
+  }
+
+  const options = await foundry.applications.api.DialogV2.prompt({
+    window: { title: game.i18n.localize("ALIENZONE.Transfer.ImportTitle") },
+    content: buildImportPreview(data, scene),
+    ok: {
+      label: game.i18n.localize("ALIENZONE.Transfer.Import"),
+      callback: (event, button) => ({
+        scale: Number(button.form.elements.scale.value) || 1,
+        offsetX: Number(button.form.elements.offsetX.value) || 0,
+        offsetY: Number(button.form.elements.offsetY.value) || 0
+      })
+    },
+    rejectClose: false
+  });
+  if (!options) return [];
+
+  const created = await importSceneZones(scene, data, options);
+  ui.notifications.info(game.i18n.format("ALIENZONE.Transfer.Imported", { count: created.length, scene: scene.name }));
+  return created;
+}
+
+/**
+ * Build the import dialog, listing the zones of the file and the scale and offset inputs
+ * The scale defaults to the ratio between the two scenes' grid sizes.
+ *
+ * @param {Object} data - The export data
+ * @param {Scene} scene - The scene to import into
+ * @returns {string} HTML string
+ */
+function buildImportPreview(data, scene) {
+  const scale = (scene.grid.size / (data.scene?.gridSize || scene.grid.size)) || 1;
+  const rows = data.zones
+    .map(zone => {
+      const zoneType = zone.flags?.zoneType;
+      const typeLabel = getZoneTypeConfig(zoneType).label;
+      return `
+          <li>${foundry.utils.escapeHTML(zone.name)} - ${game.i18n.localize(typeLabel)}</li>`;
+    })
+    .join('');
+
+  return `
+      <p>${game.i18n.format("ALIENZONE.Transfer.ImportSummary", {
+        count: data.zones.length,
+        scene: foundry.utils.escapeHTML(data.scene?.name || "?")
+      })}</p>
+      <ul class="alien-zones-import-preview">${rows}</ul>
+      <div class="form-group">
+        <label>${game.i18n.localize("ALIENZONE.Transfer.Scale")}</label>
+        <input type="number" name="scale" value="${scale}" min="0.01" step="0.01">
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("ALIENZONE.Transfer.OffsetX")}</label>
+        <input type="number" name="offsetX" value="0" step="1">
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("ALIENZONE.Transfer.OffsetY")}</label>
+        <input type="number" name="offsetY" value="0" step="1">
+      </div>`;
+}
+
+/**
+ * Ask the user to pick a local file
+ * @param {string} accept - Accepted file types
+ * @returns {Promise<File|null>} The picked file
+ */
+function pickFile(accept) {
+  return new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', () => resolve(input.files[0] ?? null));
+    input.addEventListener('cancel', () => resolve(null));
+    input.click();
+  });
+}
+
+/**
+ * Copy the settings of one zone to other regions, making them Alien Zones
+ * @param {Region} source - The zone to copy from
+ * @param {Array<string>} regionIds - Ids of the regions to copy to, on the same scene
+ * @returns {Promise<Array<Region>>} The updated regions
+ */
+export async function copyZoneSettings(source, regionIds) {
+  const settings = { ...getCopyableZoneSettings(source.flags?.["alien-zones"]), isAlienZone: true };
+  return applyZoneSettings(source.parent, regionIds.filter(id => id !== source.id), settings);
+}
+
+/**
+ * Set the same zone settings on several regions
+ * @param {Scene} scene - The scene of the regions
+ * @param {Array<string>} regionIds - Ids of the regions
+ * @param {Object} settings - The alien-zones flags to set
+ * @returns {Promise<Array<Region>>} The updated regions
+ */
+async function applyZoneSettings(scene, regionIds, settings) {
+  if (!regionIds.length) return [];
+
+  const updates = regionIds
+    .map(id => scene.regions.get(id))
+    .filter(region => region)
+    .map(region => ({
+      _id: region.id,
+      flags: { "alien-zones": buildZoneSettingsUpdate(region.flags?.["alien-zones"], settings) }
+    }));
+  const updated = await scene.updateEmbeddedDocuments("Region", updates);
+  console.log(`Alien Zones | Applied zone settings to ${updated.length} region(s)`);
+  return updated;
+}
+
+/**
+ * Get the zone presets saved in the world
+ * @returns {Object<string, Object>} Map of preset name to zone settings
+ */
+export function getZonePresets() {
+  return game.settings.get("alien-zones", "zonePresets") ?? {};
+}
+
+/**
+ * Save the settings of a zone as a world preset
+ * @param {string} name - The preset name, replacing any preset of the same name
+ * @param {Region} region - The zone to take the settings from
+ */
+export async function saveZonePreset(name, region) {
+  const presets = { ...getZonePresets(), [name]: getCopyableZoneSettings(region.flags?.["alien-zones"]) };
+  await game.settings.set("alien-zones", "zonePresets", presets);
+  console.log(`Alien Zones | Saved zone preset: ${name}`);
+}
+
+/**
+ * Delete a world preset
+ * @param {string} name - The preset name
+ */
+export async function deleteZonePreset(name) {
+  const presets = { ...getZonePresets() };
+  delete presets[name];
+  await game.settings.set("alien-zones", "zonePresets", presets);
+}
+
+/**
+ * Apply a world preset to regions, making them Alien Zones
+ * @param {string} name - The preset name
+ * @param {Scene} scene - The scene of the regions
+ * @param {Array<string>} regionIds - Ids of the regions
+ * @returns {Promise<Array<Region>>} The updated regions
+ */
+export async function applyZonePreset(name, scene, regionIds) {
+  const preset = getZonePresets()[name];
+  if (!preset) {
+    throw new Error(`Alien Zones | Unknown zone preset: ${name}`);
+  }
+  return applyZoneSettings(scene, regionIds, { ...preset, isAlienZone: true });
+}
@@ -1,6 +1,6 @@
 /**
  * Alien Zones - Zone Type Registry
- * Defines zone types and their configurations
+ * Defines the built-in zone types and lets other modules register their own
  */
 
 /**
@@ -9,11 +9,123 @@
  */
 export const ZONE_TYPES = {
   BASIC: null,
-  UNBREATHABLE: "unbreathable"
+  UNBREATHABLE: "unbreathable",
+  DARKNESS: "darkness",
+  FIRE: "fire",
+  RADIATION: "radiation",
+  TOXIC: "toxic",
+  COLD: "cold"
 };
 
 /**
- * Configuration for each zone type
+ * How often supply rolls repeat while a token stays in a zone
+ * - ENTRY: only once, when the zone is entered
+ * - ROUND: every combat round, and every Turn outside of combat
+ * - TURN: every Turn of world time
+ * @constant {Object}
+ */
+export const SUPPLY_INTERVALS = {
+  ENTRY: "entry",
+  ROUND: "round",
+  TURN: "turn"
+};
+
+/**
+ * How often a hazard strikes again while a token stays in a zone
+ * - ENTRY: only once, when the zone is entered
+ * - ROUND: every combat round, and every Turn outside of combat
+ * - TURN: every Turn of world time
+ * - SHIFT: every Shift of world time
+ * @constant {Object}
+ */
+export const HAZARD_INTERVALS = {
+  ENTRY: "entry",
+  ROUND: "round",
+  TURN: "turn",
+  SHIFT: "shift"
+};
+
+/**
+ * How a zone type resolves its rolls
+ * - AUTO: rolled right away when the zone is entered
+ * - CARD: posted as a chat card, rolled by the player or resolved by the GM
+ * @constant {Object}
+ */
+export const ZONE_RESOLUTION = {
+  AUTO: "auto",
+  CARD: "card"
+};
+
+/**
+ * Live atmosphere of a zone, see the airlock controls
+ * - PRESSURIZED: breathable air
+ * - VENTING: losing its air through an open door, becomes a vacuum on the next round
+ * - VACUUM: no air at all
+ * @constant {Object}
+ */
+export const ATMOSPHERE = {
+  PRESSURIZED: "pressurized",
+  VENTING: "venting",
+  VACUUM: "vacuum"
+};
+
+/**
+ * Length of an Alien RPG Turn in seconds of world time
+ * @constant {number}
+ */
+export const TURN_SECONDS = 600;
+
+/**
+ * Build the intensity field shared by the hazard zone types
+ * @param {string} hint - Localization key explaining what intensity does for the zone type
+ * @returns {Object} The field declaration
+ */
+function intensityField(hint) {
+  return {
+    name: "intensity",
+    type: "number",
+    label: "ALIENZONE.Config.Intensity",
+    hint,
+    min: 0,
+    step: 1
+  };
+}
+
+/**
+ * Build the hazard repeat field shared by the hazard zone types
+ * @returns {Object} The field declaration
+ */
+function hazardIntervalField() {
+  return {
+    name: "hazardInterval",
+    type: "select",
+    label: "ALIENZONE.Config.HazardInterval",
+    hint: "ALIENZONE.Config.HazardIntervalHint",
+    choices: Object.fromEntries(
+      Object.values(HAZARD_INTERVALS).map(value => [value, `ALIENZONE.HazardIntervals.${value}`])
+    )
+  };
+}
+
+/**
+ * Configuration for each built-in zone type
+ *
+ * Zone type configurations support these properties:
+ * - label, description: localization keys shown in the zone configuration
+ * - hasChatMessage, hasExitMessage: whether entry/exit posts a chat message
+ * - enterMessage, exitMessage: localization key or text for those messages, with {token} and {zone} placeholders
+ * - icon: Font Awesome classes of the hazard icon shown on the zone overlay
+ * - isHazard: whether movement can be stopped at the zone's edge (see the stopAtHazard setting)
+ * - hasSupplyRoll, supplyType: zone types without an onEnter handler roll this supply (a key of
+ *   SUPPLIES) on entry
+ * - hazardInterval: one of HAZARD_INTERVALS, how often the onEnter handler (or supply roll) repeats
+ *   while a token stays in the zone
+ * - resolution: one of ZONE_RESOLUTION, for zone types that roll on entry; the GM can change it
+ *   per zone type in the module settings
+ * - fields: extra configuration fields stored in the region's alien-zones flags,
+ *   each { name, type: "select"|"number"|"checkbox"|"text", label, hint, choices, default }
+ * - onEnter, onExit: async handlers called with (tokenDocument, region)
+ *
  * @constant {Object}
  */
 export const ZONE_TYPE_CONFIGS = {
@@ -21,22 +133,279 @@ export const ZONE_TYPE_CONFIGS = {
     label: "ALIENZONE.ZoneTypes.Basic",
     description: "ALIENZONE.ZoneTypes.BasicDesc",
     hasChatMessage: true,
+    hasExitMessage: false,
+    enterMessage: "ALIENZONE.EnteredZone",
+    exitMessage: "ALIENZONE.LeftZone",
+    isHazard: false,
     hasSupplyRoll: false
   },
   [ZONE_TYPES.UNBREATHABLE]: {
     label: "ALIENZONE.ZoneTypes.Unbreathable",
     description: "ALIENZONE.ZoneTypes.UnbreathableDesc",
+    isHazard: true,
+    resolution: ZONE_RESOLUTION.AUTO,
     hasChatMessage: true,
+    hasExitMessage: true,
+    enterMessage: "ALIENZONE.EnteredUnbreathableZone",
+    exitMessage: "ALIENZONE.LeftUnbreathableZone",
     hasSupplyRoll: true,
-    supplyType: "Air"
+    supplyType: "Air",
+    supplyInterval: SUPPLY_INTERVALS.ROUND,
+    fields: [
+      {
+        name: "supplyInterval",
+        type: "select",
+        label: "ALIENZONE.Config.SupplyInterval",
+        hint: "ALIENZONE.Config.SupplyIntervalHint",
+        choices: Object.fromEntries(
+          Object.values(SUPPLY_INTERVALS).map(value => [value, `ALIENZONE.SupplyIntervals.${value}`])
+        )
+      }
+    ]
+  },
+  [ZONE_TYPES.DARKNESS]: {
+    label: "ALIENZONE.ZoneTypes.Darkness",
+    description: "ALIENZONE.ZoneTypes.DarknessDesc",
+    icon: "fas fa-moon",
+    isHazard: true,
+    resolution: ZONE_RESOLUTION.AUTO,
+    hasChatMessage: true,
+    hasExitMessage: false,
+    enterMessage: "ALIENZONE.EnteredDarknessZone",
+    exitMessage: "ALIENZONE.LeftZone",
+    hasSupplyRoll: true,
+    supplyType: "Power",
+    intensity: 2,
+    fields: [intensityField("ALIENZONE.Config.DarknessIntensityHint"), hazardIntervalField()]
+  },
+  [ZONE_TYPES.FIRE]: {
+    label: "ALIENZONE.ZoneTypes.Fire",
+    description: "ALIENZONE.ZoneTypes.FireDesc",
+    icon: "fas fa-fire",
+    isHazard: true,
+    resolution: ZONE_RESOLUTION.AUTO,
+    hasChatMessage: true,
+    hasExitMessage: false,
+    enterMessage: "ALIENZONE.EnteredFireZone",
+    exitMessage: "ALIENZONE.LeftZone",
+    hasSupplyRoll: false,
+    intensity: 6,
+    hazardInterval: HAZARD_INTERVALS.ROUND,
+    fields: [intensityField("ALIENZONE.Config.FireIntensityHint"), hazardIntervalField()]
+  },
+  [ZONE_TYPES.RADIATION]: {
+    label: "ALIENZONE.ZoneTypes.Radiation",
+    description: "ALIENZONE.ZoneTypes.RadiationDesc",
+    icon: "fas fa-radiation",
+    isHazard: true,
+    hasChatMessage: true,
+    hasExitMessage: false,
+    enterMessage: "ALIENZONE.EnteredRadiationZone",
+    exitMessage: "ALIENZONE.LeftZone",
+    hasSupplyRoll: false,
+    intensity: 1,
+    hazardInterval: HAZARD_INTERVALS.TURN,
+    fields: [intensityField("ALIENZONE.Config.RadiationIntensityHint"), hazardIntervalField()]
+  },
+  [ZONE_TYPES.TOXIC]: {
+    label: "ALIENZONE.ZoneTypes.Toxic",
+    description: "ALIENZONE.ZoneTypes.ToxicDesc",
+    icon: "fas fa-skull-crossbones",
+    isHazard: true,
+    resolution: ZONE_RESOLUTION.AUTO,
+    hasChatMessage: true,
+    hasExitMessage: false,
+    enterMessage: "ALIENZONE.EnteredToxicZone",
+    exitMessage: "ALIENZONE.LeftZone",
+    hasSupplyRoll: false,
+    intensity: 1,
+    fields: [intensityField("ALIENZONE.Config.ToxicIntensityHint"), hazardIntervalField()]
+  },
+  [ZONE_TYPES.COLD]: {
+    label: "ALIENZONE.ZoneTypes.Cold",
+    description: "ALIENZONE.ZoneTypes.ColdDesc",
+    icon: "fas fa-snowflake",
+    isHazard: true,
+    resolution: ZONE_RESOLUTION.AUTO,
+    hasChatMessage: true,
+    hasExitMessage: false,
+    enterMessage: "ALIENZONE.EnteredColdZone",
+    exitMessage: "ALIENZONE.LeftZone",
+    hasSupplyRoll: false,
+    intensity: 1,
+    fields: [intensityField("ALIENZONE.Config.ColdIntensityHint"), hazardIntervalField()]
   }
 };
 
+/**
+ * Registered zone types, seeded with the built-in types
+ * Basic zones are stored under the null key.
+ * @type {Map<string|null, Object>}
+ */
+const zoneTypeRegistry = new Map(
+  Object.values(ZONE_TYPES).map(zoneType => [zoneType, { ...ZONE_TYPE_CONFIGS[zoneType] }])
+);
+
+/**
+ * Default values for registered zone type configurations
+ * @constant {Object}
+ */
+const ZONE_TYPE_DEFAULTS = {
+  hasChatMessage: true,
+  hasExitMessage: false,
+  enterMessage: "ALIENZONE.EnteredZone",
+  exitMessage: "ALIENZONE.LeftZone",
+  isHazard: false,
+  hasSupplyRoll: false,
+  fields: []
+};
+
+/**
+ * Normalize a zone type identifier, treating empty values as the basic zone
+ * @param {string|null|undefined} zoneType - The zone type identifier
+ * @returns {string|null} The normalized identifier
+ */
+function normalizeZoneType(zoneType) {
+  return zoneType || ZONE_TYPES.BASIC;
+}
+
+/**
+ * Register a zone type, or replace the configuration of an existing one
+ *
+ * @example
+ * game.modules.get('alien-zones').api.registerZoneType("acid", {
+ *   label: "Acid Pool",
+ *   enterMessage: "{token} steps into the acid of {zone}!",
+ *   onEnter: async (tokenDocument, region) => { ... }
+ * });
+ *
+ * @param {string} zoneType - Unique zone type identifier, stored in the region flags
+ * @param {Object} config - The zone type configuration (see ZONE_TYPE_CONFIGS)
+ * @returns {Object} The registered configuration
+ */
+export function registerZoneType(zoneType, config = {}) {
+  if (!zoneType || typeof zoneType !== "string") {
+    throw new Error("Alien Zones | Zone type identifier must be a non-empty string");
+  }
+  if (!config.label) {
+    throw new Error(`Alien Zones | Zone type "${zoneType}" needs a label`);
+  }
+
+  const existing = zoneTypeRegistry.get(zoneType) ?? ZONE_TYPE_DEFAULTS;
+  const registered = { ...existing, ...config };
+  zoneTypeRegistry.set(zoneType, registered);
+
+  console.log(`Alien Zones | Registered zone type: ${zoneType}`);
+  return registered;
+}
+
+/**
+ * Remove a registered zone type
+ * Built-in zone types cannot be removed.
+ *
+ * @param {string} zoneType - The zone type identifier
+ * @returns {boolean} True if the zone type was removed
+ */
+export function unregisterZoneType(zoneType) {
+  if (Object.values(ZONE_TYPES).includes(normalizeZoneType(zoneType))) return false;
+  return zoneTypeRegistry.delete(zoneType);
+}
+
+/**
+ * Get all registered zone types in registration order
+ * @returns {Array<{id: string|null, config: Object}>} The zone types
+ */
+export function getZoneTypes() {
+  return [...zoneTypeRegistry].map(([id, config]) => ({ id, config }));
+}
+
 /**
  * Get configuration for a zone type
  * @param {string|null} zoneType - The zone type identifier
  * @returns {Object} The zone type configuration
  */
 export function getZoneTypeConfig(zoneType) {
-  return ZONE_TYPE_CONFIGS[zoneType] || ZONE_TYPE_CONFIGS[ZONE_TYPES.BASIC];
+  return zoneTypeRegistry.get(normalizeZoneType(zoneType)) || zoneTypeRegistry.get(ZONE_TYPES.BASIC);
+}
+
+/**
+ * Get the supply roll interval of a zone
+ * Falls back to the zone type default when the zone does not override it.
+ *
+ * @param {Region} region - The region document
+ * @returns {string} One of SUPPLY_INTERVALS
+ */
+export function getSupplyInterval(region) {
+  const flags = region.flags?.["alien-zones"] ?? {};
+  // Zones with a live atmosphere repeat Air supply rolls like unbreathable zones
+  const zoneType = flags.atmosphere ? ZONE_TYPES.UNBREATHABLE : flags.zoneType;
+  return flags.supplyInterval || getZoneTypeConfig(zoneType).supplyInterval || SUPPLY_INTERVALS.ENTRY;
+}
+
+/**
+ * Get how often a zone's hazard repeats
+ * Falls back to the zone type default when the zone does not override it.
+ *
+ * @param {Region} region - The region document
+ * @returns {string} One of HAZARD_INTERVALS
+ */
+export function getHazardInterval(region) {
+  const flags = region.flags?.["alien-zones"] ?? {};
+  return flags.hazardInterval || getZoneTypeConfig(flags.zoneType).hazardInterval || HAZARD_INTERVALS.ENTRY;
+}
+
+/**
+ * Get the live atmosphere of a zone
+ * Zones without an atmosphere state follow their type: unbreathable zones are a vacuum.
+ *
+ * @param {Region} region - The region document
+ * @returns {string} One of ATMOSPHERE
+ */
+export function getZoneAtmosphere(region) {
+  const flags = region.flags?.["alien-zones"] ?? {};
+  if (Object.values(ATMOSPHERE).includes(flags.atmosphere)) return flags.atmosphere;
+  return flags.zoneType === ZONE_TYPES.UNBREATHABLE ? ATMOSPHERE.VACUUM : ATMOSPHERE.PRESSURIZED;
+}
+
+/**
+ * Check whether characters in a zone need their Air supply
+ * @param {Region} region - The region document
+ * @returns {boolean} True if the zone is venting or a vacuum
+ */
+export function isZoneUnbreathable(region) {
+  return getZoneAtmosphere(region) !== ATMOSPHERE.PRESSURIZED;
+}
+
+/**
+ * Get the hazard intensity of a zone
+ * Falls back to the zone type default when the zone does not override it.
+ *
+ * @param {Region} region - The region document
+ * @returns {number} The intensity, never negative
+ */
+export function getZoneIntensity(region) {
+  const flags = region.flags?.["alien-zones"] ?? {};
+  const intensity = Number(flags.intensity ?? getZoneTypeConfig(flags.zoneType).intensity ?? 0);
+  return Number.isFinite(intensity) ? Math.max(0, Math.floor(intensity)) : 0;
+}
+
+/**
+ * Get how a zone type resolves its rolls
+ * @param {string|null} zoneType - The zone type identifier
+ * @param {Object} [overrides] - Resolution chosen by the GM for each zone type
+ * @returns {string|null} One of ZONE_RESOLUTION, or null if the zone type has no rolls
+ */
+export function getZoneResolution(zoneType, overrides = game.settings.get("alien-zones", "zoneResolution")) {
+  const config = getZoneTypeConfig(zoneType);
+  if (!config.resolution) return null;
+  return overrides?.[normalizeZoneType(zoneType)] || config.resolution;
+}
+
+/**
+ * Check whether a zone is dangerous to enter
+ * @param {Region} region - The region document
+ * @returns {boolean} True if the zone's type is a hazard
+ */
+export function isHazardZone(region) {
+  return !!getZoneTypeConfig(region.flags?.["alien-zones"]?.zoneType).isHazard || isZoneUnbreathable(region);
 }
@@ -0,0 +1,360 @@
+/**
+ * Alien Zones - Zone Upkeep
+ * Repeats supply rolls and hazards for tokens that stay inside zones, and expires timed zone effects
+ */
+
+import {
+  SUPPLY_INTERVALS,
+  HAZARD_INTERVALS,
+  TURN_SECONDS,
+  ZONE_TYPES,
+  getSupplyInterval,
+  getHazardInterval,
+  isZoneUnbreathable
+} from './zoneTypes.js';
+import { rollZoneSupply, repeatZoneHazard } from './zoneHandlers.js';
+import { expireZoneEffects } from './zoneEffects.js';
+import { SHIFT_SECONDS, TIME_UNITS } from './zoneTime.js';
+import { getSceneZones } from './zoneGraph.js';
+import { isZoneAuthority } from './zoneAuthority.js';
+import { tokenTriggersZone } from './zoneFilters.js';
+
+/**
+ * World time of the last supply roll for each token still inside an unbreathable zone
+ * @type {Map<string, number>}
+ */
+const lastSupplyRoll = new Map();
+
+/**
+ * Most supply rolls or hazard repeats made for one token at once, when a lot of time passes
+ * @constant {number}
+ */
+export const MAX_UPKEEP_REPEATS = 3;
+
+/**
+ * World time a hazard last struck each token still inside a repeating hazard zone,
+ * keyed by token and zone ID
+ * @type {Map<string, number>}
+ */
+const lastHazardRepeat = new Map();
+
+/**
+ * Initialize upkeep hooks
+ */
+export function initZoneUpkeepHooks() {
+  Hooks.on("updateCombat", onUpdateCombat);
+  Hooks.on("updateWorldTime", onUpdateWorldTime);
+  Hooks.on("deleteToken", (tokenDocument) => {
+    stopSupplyTimer(tokenDocument);
+    stopHazardTimer(tokenDocument);
+  });
+}
+
+/**
+ * Start counting time towards the next supply roll for a token
+ * @param {TokenDocument} tokenDocument - The token that just rolled
+ */
+export function startSupplyTimer(tokenDocument) {
+  lastSupplyRoll.set(tokenDocument.id, game.time.worldTime);
+}
+
+/**
+ * Stop repeating supply rolls for a token
+ * @param {TokenDocument} tokenDocument - The token that left the zone
+ */
+export function stopSupplyTimer(tokenDocument) {
+  lastSupplyRoll.delete(tokenDocument.id);
+}
+
+/**
+ * Start counting time towards the next time a zone's hazard strikes a token
+ * @param {TokenDocument} tokenDocument - The token the hazard just struck
+ * @param {Region} region - The hazard zone
+ */
+export function startHazardTimer(tokenDocument, region) {
+  if (getHazardInterval(region) === HAZARD_INTERVALS.ENTRY) return;
+  lastHazardRepeat.set(`${tokenDocument.id}.${region.id}`, game.time.worldTime);
+}
+
+/**
+ * Stop repeating a zone's hazard for a token
+ * @param {TokenDocument} tokenDocument - The token that left the zone
+ * @param {Region} [region] - The zone it left, or every zone if omitted
+ */
+export function stopHazardTimer(tokenDocument, region) {
+  if (region) {
+    lastHazardRepeat.delete(`${tokenDocument.id}.${region.id}`);
+    return;
+  }
+  for (const key of lastHazardRepeat.keys()) {
+    if (key.startsWith(`${tokenDocument.id}.`)) lastHazardRepeat.delete(key);
+  }
+}
+
+/**
+ * Get the world time between two strikes of a repeating hazard
+ * Per-round hazards strike every Turn outside of combat.
+ *
+ * @param {string} interval - One of HAZARD_INTERVALS
+ * @returns {number} Seconds of world time, 0 for hazards that only strike on entry
+ */
+export function getHazardRepeatSeconds(interval) {
+  switch (interval) {
+    case HAZARD_INTERVALS.ROUND:
+    case HAZARD_INTERVALS.TURN:
+      return TURN_SECONDS;
+    case HAZARD_INTERVALS.SHIFT:
+      return SHIFT_SECONDS;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Check whether a combat update moved the combat forward
+ * Going back a turn or round, or selecting the current combatant again, does not count.
+ *
+ * @param {{round: number, turn: number}|null} previous - Round and turn before the update
+ * @param {{round: number, turn: number}} current - Round and turn after the update
+ * @returns {boolean} True if the combat moved on to a later turn or round
+ */
+export function isCombatAdvance(previous, current) {
+  const round = current.round ?? 0;
+  const previousRound = previous?.round ?? 0;
+  if (round !== previousRound) return round > previousRound;
+  return (current.turn ?? 0) > (previous?.turn ?? 0);
+}
+
+/**
+ * Check whether a combat update started a new round
+ * Starting the combat, or going back a round, is not a round passing.
+ *
+ * @param {{round: number}|null} previous - Round before the update
+ * @param {{round: number}} current - Round after the update
+ * @returns {boolean} True if the combat moved on from one round to a later one
+ */
+export function isRoundAdvance(previous, current) {
+  const previousRound = previous?.round ?? 0;
+  return previousRound >= 1 && (current.round ?? 0) > previousRound;
+}
+
+/**
+ * Count how many full intervals have passed since a point in time
+ * @param {number} since - World time of the last roll
+ * @param {number} now - Current world time
+ * @param {number} interval - Interval length in seconds
+ * @returns {number} The number of elapsed intervals
+ */
+export function countElapsedIntervals(since, now, interval) {
+  if (interval <= 0 || now <= since) return 0;
+  return Math.floor((now - since) / interval);
+}
+
+/**
+ * Get the tokens inside a zone, on whichever scene it is
+ * @param {Region} region - The zone
+ * @returns {Array<TokenDocument>} The tokens inside it
+ */
+function getTokensInside(region) {
+  return region.parent.tokens.filter(tokenDocument => (tokenDocument._regions || []).includes(region.id));
+}
+
+/**
+ * Get the tokens of a scene currently inside unbreathable zones that the zones affect
+ * A token inside several unbreathable zones is only listed once.
+ *
+ * @param {Scene} scene - The scene
+ * @returns {Array<{tokenDocument: TokenDocument, region: Region, interval: string}>} The occupancies
+ */
+function getUnbreathableOccupancies(scene) {
+  const occupancies = new Map();
+
+  for (const region of getSceneZones(scene)) {
+    if (!isZoneUnbreathable(region)) continue;
+
+    const interval = getSupplyInterval(region);
+    if (interval === SUPPLY_INTERVALS.ENTRY) continue;
+
+    for (const tokenDocument of getTokensInside(region)) {
+      if (occupancies.has(tokenDocument.id) || !tokenTriggersZone(tokenDocument, region)) continue;
+      occupancies.set(tokenDocument.id, { tokenDocument, region, interval });
+    }
+  }
+
+  return [...occupancies.values()];
+}
+
+/**
+ * Get the tokens of a scene currently inside zones whose hazard repeats, and that the zones affect
+ * A token inside several such zones is listed once for each of them.
+ *
+ * @param {Scene} scene - The scene
+ * @returns {Array<{tokenDocument: TokenDocument, region: Region, interval: string}>} The occupancies
+ */
+function getHazardOccupancies(scene) {
+  const occupancies = [];
+
+  for (const region of getSceneZones(scene)) {
+    // Unbreathable zones repeat their Air supply roll instead
+    if (region.flags["alien-zones"].zoneType === ZONE_TYPES.UNBREATHABLE) continue;
+
+    const interval = getHazardInterval(region);
+    if (interval === HAZARD_INTERVALS.ENTRY) continue;
+
+    for (const tokenDocument of getTokensInside(region)) {
+      if (!tokenTriggersZone(tokenDocument, region)) continue;
+      occupancies.push({ tokenDocument, region, interval });
+    }
+  }
+
+  return occupancies;
+}
+
+/**
+ * Check whether a token takes part in a running combat
+ * @param {TokenDocument} tokenDocument - The token to check
+ * @returns {boolean} True if the token is a combatant
+ */
+function isInCombat(tokenDocument) {
+  return game.combats.some(combat => combat.started && combat.combatants.some(c => c.tokenId === tokenDocument.id));
+}
+
+/**
+ * Roll supply for the current combatant when its turn comes up
+ * Tokens in per-round zones roll once each round, at the start of their turn.
+ *
+ * @param {Combat} combat - The combat that changed
+ * @param {Object} change - The changed data
+ */
+async function onUpdateCombat(combat, change) {
+  if (change.turn === undefined && change.round === undefined) return;
+  if (!combat.started || !isZoneAuthority()) return;
+  if (!isCombatAdvance(combat.previous, { round: combat.round, turn: combat.turn })) return;
+
+  const tokenDocument = combat.combatant?.token;
+  if (!tokenDocument || !combat.scene) return;
+
+  const occupancy = getUnbreathableOccupancies(combat.scene)
+    .find(o => o.tokenDocument.id === tokenDocument.id && o.interval === SUPPLY_INTERVALS.ROUND);
+  if (occupancy) {
+    console.log(`Alien Zones | ${tokenDocument.name} starts round ${combat.round} in unbreathable zone ${occupancy.region.name}`);
+    await rollZoneSupply(tokenDocument, occupancy.region, "Air");
+    startSupplyTimer(tokenDocument);
+  }
+
+  const hazards = getHazardOccupancies(combat.scene)
+    .filter(o => o.tokenDocument.id === tokenDocument.id && o.interval === HAZARD_INTERVALS.ROUND);
+  for (const { region } of hazards) {
+    console.log(`Alien Zones | ${tokenDocument.name} starts round ${combat.round} in hazard zone ${region.name}`);
+    await repeatZoneHazard(tokenDocument, region);
+    startHazardTimer(tokenDocument, region);
+  }
+}
+
+/**
+ * Run zone upkeep for the world time that passed, on every scene
+ * Rolls supply and repeats hazards for each interval elapsed, then removes zone effects that ran out.
+ *
+ * @param {number} worldTime - The new world time
+ * @param {number} delta - Seconds advanced
+ */
+async function onUpdateWorldTime(worldTime, delta) {
+  if (!isZoneAuthority()) return;
+
+  for (const scene of game.scenes) {
+    await repeatSupplyRolls(scene, worldTime, delta);
+    await repeatHazards(scene, worldTime, delta);
+
+    for (const tokenDocument of scene.tokens) {
+      await expireZoneEffects(tokenDocument, worldTime);
+    }
+  }
+}
+
+/**
+ * Roll supply for every Turn of world time that passes
+ * @param {Scene} scene - The scene whose zones to run
+ * @param {number} worldTime - The new world time
+ * @param {number} delta - Seconds advanced
+ */
+async function repeatSupplyRolls(scene, worldTime, delta) {
+  for (const { tokenDocument, region, interval } of getUnbreathableOccupancies(scene)) {
+    // Combatants in per-round zones roll on their turn instead
+    if (interval === SUPPLY_INTERVALS.ROUND && isInCombat(tokenDocument)) continue;
+
+    const since = lastSupplyRoll.get(tokenDocument.id);
+    if (since === undefined || delta < 0) {
+      // Not tracked yet (e.g. after a reload) or time went backwards - start counting now
+      startSupplyTimer(tokenDocument);
+      continue;
+    }
+
+    const turns = countElapsedIntervals(since, worldTime, TURN_SECONDS);
+    if (turns === 0) continue;
+
+    console.log(`Alien Zones | ${tokenDocument.name} spent ${turns} Turn(s) in unbreathable zone ${region.name}`);
+    const rolls = Math.min(turns, MAX_UPKEEP_REPEATS);
+    if (rolls < turns) await postCappedUpkeepMessage(tokenDocument, region, turns, TIME_UNITS.TURN);
+    for (let i = 0; i < rolls; i++) {
+      await rollZoneSupply(tokenDocument, region, "Air");
+    }
+    lastSupplyRoll.set(tokenDocument.id, since + (turns * TURN_SECONDS));
+  }
+}
+
+/**
+ * Repeat zone hazards for every interval of world time that passes
+ * @param {Scene} scene - The scene whose zones to run
+ * @param {number} worldTime - The new world time
+ * @param {number} delta - Seconds advanced
+ */
+async function repeatHazards(scene, worldTime, delta) {
+  for (const { tokenDocument, region, interval } of getHazardOccupancies(scene)) {
+    // Combatants in per-round zones are struck on their turn instead
+    if (interval === HAZARD_INTERVALS.ROUND && isInCombat(tokenDocument)) continue;
+
+    const key = `${tokenDocument.id}.${region.id}`;
+    const since = lastHazardRepeat.get(key);
+    if (since === undefined || delta < 0) {
+      // Not tracked yet (e.g. after a reload) or time went backwards - start counting now
+      startHazardTimer(tokenDocument, region);
+      continue;
+    }
+
+    const seconds = getHazardRepeatSeconds(interval);
+    const repeats = countElapsedIntervals(since, worldTime, seconds);
+    if (repeats === 0) continue;
+
+    console.log(`Alien Zones | Hazard zone ${region.name} strikes ${tokenDocument.name} ${repeats} more time(s)`);
+    const strikes = Math.min(repeats, MAX_UPKEEP_REPEATS);
+    if (strikes < repeats) {
+      const unit = interval === HAZARD_INTERVALS.SHIFT ? TIME_UNITS.SHIFT : TIME_UNITS.TURN;
+      await postCappedUpkeepMessage(tokenDocument, region, repeats, unit);
+    }
+    for (let i = 0; i < strikes; i++) {
+      await repeatZoneHazard(tokenDocument, region);
+    }
+    lastHazardRepeat.set(key, since + (repeats * seconds));
+  }
+}
+
+/**
+ * Tell the GM that only some of the supply rolls or hazard repeats for the time that passed were made
+ * @param {TokenDocument} tokenDocument - The token inside the zone
+ * @param {Region} region - The zone
+ * @param {number} count - How many intervals passed
+ * @param {string} unit - The interval, one of TIME_UNITS
+ */
+async function postCappedUpkeepMessage(tokenDocument, region, count, unit) {
+  await ChatMessage.create({
+    content: game.i18n.format("ALIENZONE.Time.UpkeepCapped", {
+      token: foundry.utils.escapeHTML(tokenDocument.name),
+      zone: foundry.utils.escapeHTML(region.name),
+      count,
+      unit: game.i18n.localize(`ALIENZONE.Time.Units.${unit}`),
+      limit: MAX_UPKEEP_REPEATS
+    }),
+    flavor: game.i18n.localize("ALIENZONE.Time.Title"),
+    whisper: ChatMessage.getWhisperRecipients("GM").map(user => user.id)
+  });
+}
@@ -16,16 +16,97 @@
  * - API Migration: https://foundryvtt.com/article/migration/
  */
 
-import { postZoneEntryMessage, isAlienZone } from './lib/lib.js';
-import { handleZoneEntry } from './lib/zoneHandlers.js';
+import { registerBuiltinZoneHandlers } from './lib/zoneHandlers.js';
+import { initZoneAuthorityHooks, dispatchZoneEvents, ZONE_ACTIONS } from './lib/zoneAuthority.js';
+import { getMovementPath, getPathZoneEvents, stopAtFirstHazard } from './lib/zonePath.js';
+import { tokenTriggersZone } from './lib/zoneFilters.js';
+import { initZoneEffectHooks } from './lib/zoneEffects.js';
+import { initZoneMovementHooks } from './lib/zoneMovement.js';
 import { initRegionConfigHooks } from './lib/regionConfig.js';
+import { initZoneManagerHooks } from './lib/zoneManager.js';
+import { initZoneTrackerHooks } from './lib/zoneTracker.js';
+import { initMotionTrackerHooks } from './lib/motionTracker.js';
+import { initZoneStealthHooks } from './lib/zoneStealth.js';
+import { initZoneAtmosphereHooks } from './lib/zoneAtmosphere.js';
+import { initZoneCardHooks } from './lib/zoneCards.js';
+import { initZoneRosterHooks } from './lib/zoneRoster.js';
+import { initZoneUpkeepHooks } from './lib/zoneUpkeep.js';
+import { initZoneTimeHooks } from './lib/zoneTime.js';
+import { initZoneTimekeeperHooks } from './lib/zoneTimekeeper.js';
+import { getRevertedTransactionId, handleRevertedMove, initZoneTransactionHooks } from './lib/zoneTransactions.js';
+import { callZoneEventHooks } from './lib/zoneScripting.js';
+import { initZoneOverlayHooks } from './lib/zoneOverlay.js';
+import { initZoneLogHooks } from './lib/zoneLog.js';
+import { initZoneLogViewerHooks } from './lib/zoneLogViewer.js';
+import { initZoneScheduleHooks } from './lib/zoneSchedule.js';
+import { initZoneScheduleConfigHooks } from './lib/zoneScheduleConfig.js';
+import { registerSettings } from './lib/settings.js';
+import { registerApi } from './lib/api.js';
 
 Hooks.once('init', async function() {
   // Module initialization - runs before Foundry is fully ready
   console.log('Alien Zones | Initializing module');
 
+  registerSettings();
+  registerBuiltinZoneHandlers();
+  registerApi();
+
   // Initialize region config UI extension
   initRegionConfigHooks();
+
+  // Add the GM's Zone Manager to the region controls
+  initZoneManagerHooks();
+
+  // Track zone occupancy on the current scene
+  initZoneRosterHooks();
+
+  // Repeat supply rolls and hazards while tokens stay in hazardous zones
+  initZoneUpkeepHooks();
+
+  // Advance world time in Rounds, Turns and Shifts
+  initZoneTimeHooks();
+  initZoneTimekeeperHooks();
+
+  // Let players roll zone chat cards themselves
+  initZoneCardHooks();
+
+  // Run zone effects on the active GM only
+  initZoneAuthorityHooks();
+
+  // Keep zone Active Effects in line with zone membership
+  initZoneEffectHooks();
+
+  // Count and enforce zone movement in combat
+  initZoneMovementHooks();
+
+  // Label zones on the canvas with their name, hazards and occupants
+  initZoneOverlayHooks();
+
+  // Ping motion trackers when something moves in nearby zones
+  initZoneTrackerHooks();
+  initMotionTrackerHooks();
+
+  // Roll stealth checks for sneaking tokens entering zones near opposing tokens
+  initZoneStealthHooks();
+
+  // Spread decompression through open doors between zones
+  initZoneAtmosphereHooks();
+
+  // Run scheduled zone changes and spread hazards to connected zones
+  initZoneScheduleHooks();
+  initZoneScheduleConfigHooks();
+
+  // Record zone effects so reverted moves can roll them back
+  initZoneTransactionHooks();
+
+  // Log zone crossings and hazard results for the GM to review
+  initZoneLogHooks();
+  initZoneLogViewerHooks();
+});
+
+Hooks.once('setup', function() {
+  // Let world scripts and other modules add their own zone types
+  Hooks.callAll('alienZones.registerZoneTypes', game.modules.get('alien-zones').api);
 });
 
 Hooks.once('ready', async function() {
@@ -34,19 +115,29 @@ Hooks.once('ready', async function() {
 });
 
 /**
- * Detect when tokens enter zones
+ * Detect when tokens enter and leave zones
  *
  * Uses the _regions property which Foundry maintains automatically.
- * We use preUpdateToken to capture the OLD regions before the update.
+ * We use preUpdateToken to capture the OLD regions and the path of the move before the
+ * update. That hook only runs on the client making the update, so both travel in the update
+ * options to every other client, including the GM who runs the zone effects.
  */
 
-// Store token regions before updates
-const tokenRegionsBeforeUpdate = new Map();
-
 Hooks.on("preUpdateToken", (tokenDocument, change, options, userId) => {
   // Store the current regions before the update
   if (change.x !== undefined || change.y !== undefined) {
-    tokenRegionsBeforeUpdate.set(tokenDocument.id, new Set(tokenDocument._regions || []));
+    options.alienZonesRegionsBefore = Array.from(tokenDocument._regions || []);
+
+    // Remember the path, including ruler waypoints, to find the zones passed on the way
+    options.alienZonesPath ??= getMovementPath(tokenDocument, change, options);
+    options.alienZonesOrigin = { x: tokenDocument.x, y: tokenDocument.y };
+
+    // Undoing a move, or dragging the token straight back, rolls back the move's zone effects
+    options.alienZonesRevert ??= getRevertedTransactionId(tokenDocument, change, options);
+    if (options.alienZonesRevert) return;
+
+    // Hazard zones can stop the token at their edge
+    if (tokenDocument.hasPlayerOwner && stopAtFirstHazard(tokenDocument, options)) return false;
   }
 });
 
@@ -54,32 +145,36 @@ Hooks.on("updateToken", async (tokenDocument, change, options, userId) => {
   // Only process if position changed
   if (change.x === undefined && change.y === undefined) return;
 
-  // Only process player-controlled tokens
-  if (!tokenDocument.hasPlayerOwner) return;
+  // Every zone crossed along the path, in order - a zone passed through is entered and left
+  const pathEvents = getPathZoneEvents(tokenDocument, options);
 
-  // Get old regions (before the update)
-  const oldRegionIds = tokenRegionsBeforeUpdate.get(tokenDocument.id) || new Set();
+  // Let macros and other modules follow zone crossings on every client
+  callZoneEventHooks(tokenDocument, pathEvents, { userId, reverted: !!options.alienZonesRevert });
 
-  // Get new regions (after the update) - the document should now be updated
-  const newRegionIds = new Set(tokenDocument._regions || []);
+  // A reverted move rolls back the zone effects of the move it undoes instead of running new ones
+  if (options.alienZonesRevert) {
+    await handleRevertedMove(tokenDocument, options.alienZonesRevert);
+    return;
+  }
 
   console.log("Alien Zones | Region check:", {
     token: tokenDocument.name,
-    oldRegions: Array.from(oldRegionIds),
-    newRegions: Array.from(newRegionIds)
+    oldRegions: options.alienZonesRegionsBefore || [],
+    newRegions: Array.from(tokenDocument._regions || [])
   });
 
-  // Find regions that are NEW (entered)
-  for (const regionId of newRegionIds) {
-    if (!oldRegionIds.has(regionId)) {
-      const region = canvas.scene.regions.get(regionId);
-      if (region && isAlienZone(region)) {
-        console.log(`Alien Zones | ${tokenDocument.name} entered Alien Zone: ${region.name}`);
-        await handleZoneEntry(tokenDocument, region);
-      }
-    }
+  // Each zone decides which tokens set it off (players only by default)
+  const events = pathEvents
+    .filter(({ regionId }) => tokenTriggersZone(tokenDocument, tokenDocument.parent.regions.get(regionId)));
+
+  for (const { action, regionId } of events) {
+    const verb = action === ZONE_ACTIONS.ENTER ? "entered" : "left";
+    console.log(`Alien Zones | ${tokenDocument.name} ${verb} Alien Zone: ${tokenDocument.parent.regions.get(regionId).name}`);
   }
 
-  // Clean up the stored regions
-  tokenRegionsBeforeUpdate.delete(tokenDocument.id);
+  // Effects run on the active GM, or are queued while no GM is connected
+  await dispatchZoneEvents(tokenDocument, events, userId, {
+    from: options.alienZonesOrigin,
+    to: { x: tokenDocument.x, y: tokenDocument.y }
+  });
 });
@@ -1,5 +1,5 @@
 import { describe, expect, test } from '@jest/globals';
-import { isAlienZone, getTokenName, getZoneName } from '../scripts/lib/lib.js';
+import { isAlienZone, getTokenName, getZoneName, diffRegions, fillPlaceholders, shouldPostZoneMessage, getSkillPool } from '../scripts/lib/lib.js';
 
 describe('Alien Zones Utilities', () => {
   describe('isAlienZone', () => {
@@ -97,4 +97,92 @@ describe('Alien Zones Utilities', () => {
       expect(getZoneName(region)).toBe('Unknown Zone');
     });
   });
+
+  describe('diffRegions', () => {
+    test('detects entered regions', () => {
+      expect(diffRegions([], ['region-id-1'])).toEqual({ entered: ['region-id-1'], exited: [] });
+    });
+
+    test('detects exited regions', () => {
+      expect(diffRegions(['region-id-1'], [])).toEqual({ entered: [], exited: ['region-id-1'] });
+    });
+
+    test('detects moving from one region to another', () => {
+      expect(diffRegions(['region-id-1'], ['region-id-2'])).toEqual({
+        entered: ['region-id-2'],
+        exited: ['region-id-1']
+      });
+    });
+
+    test('reports nothing when staying in the same region', () => {
+      expect(diffRegions(new Set(['region-id-1']), new Set(['region-id-1']))).toEqual({ entered: [], exited: [] });
+    });
+  });
+
+  describe('fillPlaceholders', () => {
+    test('replaces token and zone placeholders', () => {
+      expect(fillPlaceholders('{token} crawls into {zone}', { token: 'Ripley', zone: 'Vent Shaft C' }))
+        .toBe('Ripley crawls into Vent Shaft C');
+    });
+
+    test('leaves unknown placeholders as they are', () => {
+      expect(fillPlaceholders('{token} hears {noise}', { token: 'Ripley' })).toBe('Ripley hears {noise}');
+    });
+
+    test('returns text without placeholders unchanged', () => {
+      expect(fillPlaceholders('Something moves in the dark', { token: 'Ripley' })).toBe('Something moves in the dark');
+    });
+  });
+
+  describe('shouldPostZoneMessage', () => {
+    test('posts by default', () => {
+      expect(shouldPostZoneMessage({ now: 1000 })).toBe(true);
+    });
+
+    test('skips repeat entries when only the first entry posts', () => {
+      expect(shouldPostZoneMessage({ firstEntryOnly: true, visited: true, now: 1000 })).toBe(false);
+      expect(shouldPostZoneMessage({ firstEntryOnly: true, visited: false, now: 1000 })).toBe(true);
+    });
+
+    test('skips messages within the cooldown', () => {
+      expect(shouldPostZoneMessage({ cooldown: 30, lastPosted: 1000, now: 20000 })).toBe(false);
+    });
+
+    test('posts again once the cooldown has passed', () => {
+      expect(shouldPostZoneMessage({ cooldown: 30, lastPosted: 1000, now: 31000 })).toBe(true);
+    });
+
+    test('posts the first message of a token despite a cooldown', () => {
+      expect(shouldPostZoneMessage({ cooldown: 30, now: 1000 })).toBe(true);
+    });
+  });
+
+  describe('getSkillPool', () => {
+    const MOBILITY = { attribute: 'agl', skill: 'mobility' };
+    const OBSERVATION = { attribute: 'wit', skill: 'observation' };
+    const character = {
+      attributes: { agl: { value: 4 }, wit: { value: 3 } },
+      skills: { mobility: { value: 2 }, observation: { value: 1 } }
+    };
+
+    test('adds attribute and skill', () => {
+      expect(getSkillPool(character, MOBILITY)).toBe(6);
+      expect(getSkillPool(character, OBSERVATION)).toBe(4);
+    });
+
+    test('applies the zone modifier', () => {
+      expect(getSkillPool(character, MOBILITY, 2)).toBe(8);
+      expect(getSkillPool(character, MOBILITY, -10)).toBe(0);
+    });
+
+    test('falls back to a creature attribute named like the skill', () => {
+      const creature = { attributes: { mobility: { value: 8 }, observation: { value: 5 } } };
+      expect(getSkillPool(creature, MOBILITY)).toBe(8);
+      expect(getSkillPool(creature, OBSERVATION)).toBe(5);
+    });
+
+    test('treats missing data as zero', () => {
+      expect(getSkillPool(undefined, MOBILITY)).toBe(0);
+    });
+  });
 });
@@ -0,0 +1,80 @@
+import { describe, expect, test } from '@jest/globals';
+import { getOpenDoorLinks, stepDecompression, getBreachedZones, getCycledAtmosphere } from '../scripts/lib/zoneAtmosphere.js';
+import { ATMOSPHERE } from '../scripts/lib/zoneTypes.js';
+
+const { PRESSURIZED, VENTING, VACUUM } = ATMOSPHERE;
+
+describe('Atmosphere', () => {
+  describe('getOpenDoorLinks', () => {
+    const zones = [
+      { id: 'a', linkedDoors: ['door1'] },
+      { id: 'b', linkedDoors: ['door1', 'door2'] },
+      { id: 'c', linkedDoors: ['door2'] },
+      { id: 'd' }
+    ];
+
+    test('joins the zones on both sides of an open door', () => {
+      expect(getOpenDoorLinks(zones, new Set(['door1']))).toEqual([['a', 'b']]);
+    });
+
+    test('ignores closed doors', () => {
+      expect(getOpenDoorLinks(zones, new Set())).toEqual([]);
+    });
+
+    test('lists every open door', () => {
+      expect(getOpenDoorLinks(zones, new Set(['door1', 'door2']))).toEqual([['a', 'b'], ['b', 'c']]);
+    });
+
+    test('ignores doors linked to a single zone', () => {
+      expect(getOpenDoorLinks([{ id: 'a', linkedDoors: ['door1'] }], new Set(['door1']))).toEqual([]);
+    });
+  });
+
+  describe('stepDecompression', () => {
+    test('starts venting a pressurized zone opened onto vacuum', () => {
+      expect(stepDecompression({ a: PRESSURIZED, b: VACUUM }, [['a', 'b']])).toEqual({ a: VENTING });
+    });
+
+    test('turns venting zones into vacuum', () => {
+      expect(stepDecompression({ a: VENTING, b: VACUUM }, [['a', 'b']])).toEqual({ a: VACUUM });
+    });
+
+    test('spreads one zone per round', () => {
+      const links = [['a', 'b'], ['b', 'c']];
+      const first = stepDecompression({ a: VACUUM, b: PRESSURIZED, c: PRESSURIZED }, links);
+      expect(first).toEqual({ b: VENTING });
+
+      const second = stepDecompression({ a: VACUUM, b: VENTING, c: PRESSURIZED }, links);
+      expect(second).toEqual({ b: VACUUM, c: VENTING });
+    });
+
+    test('leaves pressurized zones behind closed doors alone', () => {
+      expect(stepDecompression({ a: PRESSURIZED, b: VACUUM }, [])).toEqual({});
+    });
+
+    test('leaves two pressurized zones alone', () => {
+      expect(stepDecompression({ a: PRESSURIZED, b: PRESSURIZED }, [['a', 'b']])).toEqual({});
+    });
+  });
+
+  describe('getBreachedZones', () => {
+    test('starts venting a pressurized zone opened onto a venting zone', () => {
+      expect(getBreachedZones({ a: PRESSURIZED, b: VENTING }, [['a', 'b']])).toEqual({ a: VENTING });
+    });
+
+    test('leaves venting zones venting', () => {
+      expect(getBreachedZones({ a: VENTING, b: VACUUM, c: VENTING }, [['a', 'b']])).toEqual({});
+    });
+  });
+
+  describe('getCycledAtmosphere', () => {
+    test('pumps out a pressurized zone', () => {
+      expect(getCycledAtmosphere(PRESSURIZED)).toBe(VACUUM);
+    });
+
+    test('pressurizes a zone without air', () => {
+      expect(getCycledAtmosphere(VACUUM)).toBe(PRESSURIZED);
+      expect(getCycledAtmosphere(VENTING)).toBe(PRESSURIZED);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  getZoneCardActions,
+  canUseZoneCardAction,
+  countSuccesses,
+  hasPanicDie,
+  sanitizeZoneCardOutcome,
+  CARD_ACTIONS,
+  CARD_STATUS,
+  ZONE_ROLLS
+} from '../scripts/lib/zoneCards.js';
+
+describe('Zone Chat Cards', () => {
+  describe('getZoneCardActions', () => {
+    test('offers the roll and the GM buttons while pending', () => {
+      expect(getZoneCardActions({ status: CARD_STATUS.PENDING, roll: ZONE_ROLLS.SUPPLY }))
+        .toEqual([CARD_ACTIONS.ROLL, CARD_ACTIONS.SKIP, CARD_ACTIONS.OVERRIDE]);
+    });
+
+    test('offers a push after a Stamina check', () => {
+      expect(getZoneCardActions({ status: CARD_STATUS.ROLLED, roll: ZONE_ROLLS.STAMINA }))
+        .toEqual([CARD_ACTIONS.PUSH]);
+    });
+
+    test('allows only one push', () => {
+      expect(getZoneCardActions({ status: CARD_STATUS.ROLLED, roll: ZONE_ROLLS.STAMINA, pushed: true }))
+        .toEqual([]);
+    });
+
+    test('has no buttons once resolved or skipped', () => {
+      expect(getZoneCardActions({ status: CARD_STATUS.RESOLVED, roll: ZONE_ROLLS.FIRE })).toEqual([]);
+      expect(getZoneCardActions({ status: CARD_STATUS.SKIPPED, roll: ZONE_ROLLS.STAMINA })).toEqual([]);
+    });
+  });
+
+  describe('canUseZoneCardAction', () => {
+    test('lets owners roll and push', () => {
+      const owner = { isGM: false, isOwner: true };
+      expect(canUseZoneCardAction(CARD_ACTIONS.ROLL, owner)).toBe(true);
+      expect(canUseZoneCardAction(CARD_ACTIONS.PUSH, owner)).toBe(true);
+    });
+
+    test('keeps skip and override for the GM', () => {
+      expect(canUseZoneCardAction(CARD_ACTIONS.SKIP, { isGM: false, isOwner: true })).toBe(false);
+      expect(canUseZoneCardAction(CARD_ACTIONS.OVERRIDE, { isGM: true, isOwner: false })).toBe(true);
+    });
+
+    test('hides every button from other players', () => {
+      const other = { isGM: false, isOwner: false };
+      expect(Object.values(CARD_ACTIONS).some(action => canUseZoneCardAction(action, other))).toBe(false);
+    });
+  });
+
+  describe('dice', () => {
+    test('counts sixes as successes', () => {
+      expect(countSuccesses([6, 1, 6, 4])).toBe(2);
+      expect(countSuccesses([])).toBe(0);
+    });
+
+    test('panics on a Stress Die showing a one', () => {
+      expect(hasPanicDie([3, 1])).toBe(true);
+      expect(hasPanicDie([6, 2])).toBe(false);
+    });
+  });
+
+  describe('sanitizeZoneCardOutcome', () => {
+    const pending = roll => ({ status: CARD_STATUS.PENDING, roll, data: {}, pushed: false });
+    const rolled = { status: CARD_STATUS.ROLLED, roll: ZONE_ROLLS.STAMINA, data: {}, pushed: false, dice: { base: [6, 2], stress: [3] } };
+
+    test('keeps only the numbers of a supply roll', () => {
+      const outcome = { before: 3, after: 2, result: '<img src=x>', status: CARD_STATUS.RESOLVED };
+      expect(sanitizeZoneCardOutcome(pending(ZONE_ROLLS.SUPPLY), CARD_ACTIONS.ROLL, outcome)).toEqual({ before: 3, after: 2 });
+    });
+
+    test('rejects supply that grows or is not a count', () => {
+      expect(sanitizeZoneCardOutcome(pending(ZONE_ROLLS.SUPPLY), CARD_ACTIONS.ROLL, { before: 1, after: 5 })).toBeNull();
+      expect(sanitizeZoneCardOutcome(pending(ZONE_ROLLS.SUPPLY), CARD_ACTIONS.ROLL, { before: 'x', after: 0 })).toBeNull();
+    });
+
+    test('keeps the damage of a fire roll', () => {
+      expect(sanitizeZoneCardOutcome(pending(ZONE_ROLLS.FIRE), CARD_ACTIONS.ROLL, { damage: 2 })).toEqual({ damage: 2 });
+      expect(sanitizeZoneCardOutcome(pending(ZONE_ROLLS.FIRE), CARD_ACTIONS.ROLL, { damage: -1 })).toBeNull();
+    });
+
+    test('accepts only six-sided die faces', () => {
+      const card = pending(ZONE_ROLLS.STAMINA);
+      expect(sanitizeZoneCardOutcome(card, CARD_ACTIONS.ROLL, { dice: { base: [6, 1], stress: [2] } }))
+        .toEqual({ dice: { base: [6, 1], stress: [2] } });
+      expect(sanitizeZoneCardOutcome(card, CARD_ACTIONS.ROLL, { dice: { base: [7], stress: [] } })).toBeNull();
+    });
+
+    test('rejects actions the card does not offer', () => {
+      expect(sanitizeZoneCardOutcome(rolled, CARD_ACTIONS.ROLL, { dice: { base: [6], stress: [6] } })).toBeNull();
+      expect(sanitizeZoneCardOutcome({ ...rolled, status: CARD_STATUS.RESOLVED }, CARD_ACTIONS.PUSH, {})).toBeNull();
+    });
+
+    test('checks that a push re-rolls the same dice and keeps its successes', () => {
+      expect(sanitizeZoneCardOutcome(rolled, CARD_ACTIONS.PUSH, { dice: { base: [6, 4], stress: [1, 5] } }))
+        .toEqual({ dice: { base: [6, 4], stress: [1, 5] } });
+      expect(sanitizeZoneCardOutcome(rolled, CARD_ACTIONS.PUSH, { dice: { base: [6, 6, 6], stress: [1, 5] } })).toBeNull();
+      expect(sanitizeZoneCardOutcome(rolled, CARD_ACTIONS.PUSH, { dice: { base: [2, 4], stress: [1, 5] } })).toBeNull();
+    });
+  });
+});
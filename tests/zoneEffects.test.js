@@ -0,0 +1,104 @@
+import { describe, expect, test } from '@jest/globals';
+import { planZoneEffectSync, getZoneEffects, getExpiredZoneEffects } from '../scripts/lib/zoneEffects.js';
+
+const TOKEN = 'Scene.s1.Token.ripley';
+
+const appliedEffect = (id, sourceZone, sourceToken = TOKEN) => ({
+  id,
+  flags: { "alien-zones": { sourceZone, sourceToken } }
+});
+
+const smoke = { name: 'Smoke', changes: [] };
+const zeroG = { name: 'Zero-G', changes: [] };
+
+describe('Zone Effects', () => {
+  describe('getZoneEffects', () => {
+    test('returns the effects stored on a zone', () => {
+      const region = { flags: { "alien-zones": { effects: [smoke] } } };
+      expect(getZoneEffects(region)).toEqual([smoke]);
+    });
+
+    test('returns an empty list for zones without effects', () => {
+      expect(getZoneEffects({})).toEqual([]);
+    });
+  });
+
+  describe('planZoneEffectSync', () => {
+    test('creates the effects of a newly entered zone', () => {
+      const zones = [{ uuid: 'zone-a', effects: [smoke, zeroG] }];
+      const { toDelete, toCreate } = planZoneEffectSync([], zones, TOKEN);
+
+      expect(toDelete).toEqual([]);
+      expect(toCreate).toEqual([
+        { zoneUuid: 'zone-a', data: smoke },
+        { zoneUuid: 'zone-a', data: zeroG }
+      ]);
+    });
+
+    test('does not duplicate effects of a zone already applied', () => {
+      const zones = [{ uuid: 'zone-a', effects: [smoke] }];
+      const { toDelete, toCreate } = planZoneEffectSync([appliedEffect('e1', 'zone-a')], zones, TOKEN);
+
+      expect(toDelete).toEqual([]);
+      expect(toCreate).toEqual([]);
+    });
+
+    test('removes effects of zones the token has left', () => {
+      const zones = [{ uuid: 'zone-b', effects: [zeroG] }];
+      const { toDelete, toCreate } = planZoneEffectSync([appliedEffect('e1', 'zone-a')], zones, TOKEN);
+
+      expect(toDelete).toEqual(['e1']);
+      expect(toCreate).toEqual([{ zoneUuid: 'zone-b', data: zeroG }]);
+    });
+
+    test('does not apply again the effects of a zone that ran out', () => {
+      const zones = [{ uuid: 'zone-a', effects: [smoke] }, { uuid: 'zone-b', effects: [zeroG] }];
+      const { toCreate, expiredZones } = planZoneEffectSync([], zones, TOKEN, ['zone-a']);
+
+      expect(toCreate).toEqual([{ zoneUuid: 'zone-b', data: zeroG }]);
+      expect(expiredZones).toEqual(['zone-a']);
+    });
+
+    test('forgets expired zones the token has left', () => {
+      const zones = [{ uuid: 'zone-b', effects: [zeroG] }];
+      const { expiredZones } = planZoneEffectSync([], zones, TOKEN, ['zone-a']);
+
+      expect(expiredZones).toEqual([]);
+    });
+
+    test('leaves effects from other sources alone', () => {
+      const effects = [
+        { id: 'e1', flags: {} },
+        appliedEffect('e2', 'zone-a', 'Scene.s1.Token.other')
+      ];
+      const { toDelete } = planZoneEffectSync(effects, [], TOKEN);
+
+      expect(toDelete).toEqual([]);
+    });
+  });
+
+  describe('getExpiredZoneEffects', () => {
+    const timedEffect = (id, startTime, seconds, sourceToken = TOKEN) => ({
+      ...appliedEffect(id, 'zone-a', sourceToken),
+      duration: { startTime, seconds }
+    });
+
+    test('expires zone effects whose duration has run out', () => {
+      const effects = [timedEffect('e1', 0, 600), timedEffect('e2', 0, 1200)];
+      expect(getExpiredZoneEffects(effects, TOKEN, 600)).toEqual(['e1']);
+    });
+
+    test('keeps zone effects without a duration', () => {
+      const effects = [appliedEffect('e1', 'zone-a'), timedEffect('e2', 0, 0)];
+      expect(getExpiredZoneEffects(effects, TOKEN, 100000)).toEqual([]);
+    });
+
+    test('ignores effects from other tokens and other sources', () => {
+      const effects = [
+        timedEffect('e1', 0, 60, 'Scene.s1.Token.hudson'),
+        { id: 'e2', flags: {}, duration: { startTime: 0, seconds: 60 } }
+      ];
+      expect(getExpiredZoneEffects(effects, TOKEN, 600)).toEqual([]);
+    });
+  });
+});
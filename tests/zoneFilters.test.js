@@ -0,0 +1,43 @@
+import { describe, expect, test } from '@jest/globals';
+import { TRIGGER_OWNERSHIP, tokenMatchesZoneFilter } from '../scripts/lib/zoneFilters.js';
+
+const HOSTILE = -1;
+const FRIENDLY = 1;
+
+const player = { hasPlayerOwner: true, disposition: FRIENDLY, actorType: "character" };
+const xenomorph = { hasPlayerOwner: false, disposition: HOSTILE, actorType: "creature" };
+const synthetic = { hasPlayerOwner: false, disposition: FRIENDLY, actorType: "synthetic" };
+
+describe('Zone Trigger Filters', () => {
+  describe('tokenMatchesZoneFilter', () => {
+    test('lets only player tokens through by player ownership', () => {
+      const filter = { ownership: TRIGGER_OWNERSHIP.PLAYER };
+      expect(tokenMatchesZoneFilter(player, filter)).toBe(true);
+      expect(tokenMatchesZoneFilter(xenomorph, filter)).toBe(false);
+    });
+
+    test('lets only NPC tokens through by NPC ownership', () => {
+      const filter = { ownership: TRIGGER_OWNERSHIP.NPC };
+      expect(tokenMatchesZoneFilter(player, filter)).toBe(false);
+      expect(tokenMatchesZoneFilter(xenomorph, filter)).toBe(true);
+    });
+
+    test('lets every token through by any ownership', () => {
+      const filter = { ownership: TRIGGER_OWNERSHIP.ANY };
+      expect(tokenMatchesZoneFilter(player, filter)).toBe(true);
+      expect(tokenMatchesZoneFilter(synthetic, filter)).toBe(true);
+    });
+
+    test('filters by disposition, also when stored as strings', () => {
+      const filter = { ownership: TRIGGER_OWNERSHIP.ANY, dispositions: [String(HOSTILE)] };
+      expect(tokenMatchesZoneFilter(xenomorph, filter)).toBe(true);
+      expect(tokenMatchesZoneFilter(synthetic, filter)).toBe(false);
+    });
+
+    test('filters by actor type', () => {
+      const filter = { ownership: TRIGGER_OWNERSHIP.NPC, actorTypes: ["synthetic"] };
+      expect(tokenMatchesZoneFilter(synthetic, filter)).toBe(true);
+      expect(tokenMatchesZoneFilter(xenomorph, filter)).toBe(false);
+    });
+  });
+});
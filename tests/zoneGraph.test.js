@@ -0,0 +1,221 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  RANGE_BANDS,
+  getRangeBand,
+  getShapeBounds,
+  boundsTouch,
+  regionsTouch,
+  buildZoneGraph,
+  getZoneDistance,
+  getRegionCenter,
+  getRegionBounds
+} from '../scripts/lib/zoneGraph.js';
+
+const zone = (id, adjacentZones = [], shapes = []) => ({
+  id,
+  shapes,
+  flags: { "alien-zones": { isAlienZone: true, adjacentZones } }
+});
+
+const rect = (x, y, width, height, extra = {}) => ({ type: "rectangle", x, y, width, height, ...extra });
+
+describe('Zone Adjacency Graph', () => {
+  describe('getRangeBand', () => {
+    test('same zone is Short range', () => {
+      expect(getRangeBand(0)).toBe(RANGE_BANDS.SHORT);
+    });
+
+    test('same zone and within reach is Engaged', () => {
+      expect(getRangeBand(0, { engaged: true })).toBe(RANGE_BANDS.ENGAGED);
+    });
+
+    test('adjacent zone is Medium range', () => {
+      expect(getRangeBand(1)).toBe(RANGE_BANDS.MEDIUM);
+    });
+
+    test('two to four zones away is Long range', () => {
+      expect(getRangeBand(2)).toBe(RANGE_BANDS.LONG);
+      expect(getRangeBand(4)).toBe(RANGE_BANDS.LONG);
+    });
+
+    test('beyond four zones is Extreme range', () => {
+      expect(getRangeBand(5)).toBe(RANGE_BANDS.EXTREME);
+    });
+
+    test('unconnected zones have no range band', () => {
+      expect(getRangeBand(null)).toBeNull();
+    });
+  });
+
+  describe('getShapeBounds', () => {
+    test('returns rectangle bounds unchanged', () => {
+      expect(getShapeBounds(rect(10, 20, 100, 50))).toEqual({ x: 10, y: 20, width: 100, height: 50 });
+    });
+
+    test('expands bounds of rotated rectangles', () => {
+      const bounds = getShapeBounds(rect(0, 0, 100, 50, { rotation: 90 }));
+      expect(bounds.x).toBeCloseTo(25);
+      expect(bounds.y).toBeCloseTo(-25);
+      expect(bounds.width).toBeCloseTo(50);
+      expect(bounds.height).toBeCloseTo(100);
+    });
+
+    test('returns ellipse bounds from its radii', () => {
+      const shape = { type: "ellipse", x: 100, y: 100, radiusX: 50, radiusY: 20 };
+      expect(getShapeBounds(shape)).toEqual({ x: 50, y: 80, width: 100, height: 40 });
+    });
+
+    test('returns polygon bounds from its points', () => {
+      const shape = { type: "polygon", points: [0, 0, 100, 20, 40, 80] };
+      expect(getShapeBounds(shape)).toEqual({ x: 0, y: 0, width: 100, height: 80 });
+    });
+
+    test('returns null for unknown shapes', () => {
+      expect(getShapeBounds({ type: "token" })).toBeNull();
+    });
+  });
+
+  describe('boundsTouch', () => {
+    test('detects bounds sharing an edge', () => {
+      expect(boundsTouch({ x: 0, y: 0, width: 100, height: 100 }, { x: 100, y: 0, width: 100, height: 100 })).toBe(true);
+    });
+
+    test('ignores bounds with a gap between them', () => {
+      expect(boundsTouch({ x: 0, y: 0, width: 100, height: 100 }, { x: 150, y: 0, width: 100, height: 100 })).toBe(false);
+    });
+
+    test('counts small gaps within tolerance as touching', () => {
+      expect(boundsTouch({ x: 0, y: 0, width: 100, height: 100 }, { x: 150, y: 0, width: 100, height: 100 }, 50)).toBe(true);
+    });
+  });
+
+  describe('regionsTouch', () => {
+    test('ignores hole shapes', () => {
+      const a = zone('a', [], [rect(0, 0, 100, 100)]);
+      const b = zone('b', [], [rect(100, 0, 100, 100, { hole: true })]);
+      expect(regionsTouch(a, b)).toBe(false);
+    });
+
+    test('detects shapes sharing an edge', () => {
+      const a = zone('a', [], [rect(0, 0, 100, 100)]);
+      const b = zone('b', [], [rect(100, 0, 100, 100)]);
+      expect(regionsTouch(a, b)).toBe(true);
+    });
+
+    test('detects a shape inside another', () => {
+      const a = zone('a', [], [rect(0, 0, 300, 300)]);
+      const b = zone('b', [], [{ type: "circle", x: 150, y: 150, radius: 50 }]);
+      expect(regionsTouch(a, b)).toBe(true);
+    });
+
+    test('ignores a diagonal corridor passing the corner of a room', () => {
+      const corridor = zone('a', [], [{ type: "polygon", points: [0, 0, 40, 0, 400, 360, 400, 400, 360, 400, 0, 40] }]);
+      const room = zone('b', [], [rect(300, 0, 100, 100)]);
+      expect(regionsTouch(corridor, room)).toBe(false);
+    });
+
+    test('ignores circles whose bounds touch but whose outlines do not', () => {
+      const a = zone('a', [], [{ type: "circle", x: 100, y: 100, radius: 100 }]);
+      const b = zone('b', [], [{ type: "circle", x: 300, y: 300, radius: 100 }]);
+      expect(regionsTouch(a, b)).toBe(false);
+    });
+
+    test('follows the rotation of rectangles', () => {
+      const diamond = zone('a', [], [rect(0, 0, 100, 100, { rotation: 45 })]);
+      const corner = zone('b', [], [rect(100, 100, 50, 50)]);
+      const side = zone('c', [], [rect(120, 20, 50, 60)]);
+      expect(regionsTouch(diamond, corner)).toBe(false);
+      expect(regionsTouch(diamond, side)).toBe(true);
+    });
+
+    test('counts small gaps within tolerance as touching', () => {
+      const a = zone('a', [], [rect(0, 0, 100, 100)]);
+      const b = zone('b', [], [rect(110, 0, 100, 100)]);
+      expect(regionsTouch(a, b)).toBe(false);
+      expect(regionsTouch(a, b, 10)).toBe(true);
+    });
+  });
+
+  describe('buildZoneGraph', () => {
+    test('treats declared connections as two-way', () => {
+      const graph = buildZoneGraph([zone('a', ['b']), zone('b')]);
+      expect(graph.get('a').has('b')).toBe(true);
+      expect(graph.get('b').has('a')).toBe(true);
+    });
+
+    test('ignores connections to zones that are not in the graph', () => {
+      const graph = buildZoneGraph([zone('a', ['missing'])]);
+      expect(graph.get('a').size).toBe(0);
+    });
+
+    test('connects touching zones when auto-detection is enabled', () => {
+      const zones = [zone('a', [], [rect(0, 0, 100, 100)]), zone('b', [], [rect(100, 0, 100, 100)])];
+      expect(buildZoneGraph(zones).get('a').size).toBe(0);
+      expect(buildZoneGraph(zones, { autoDetect: true }).get('a').has('b')).toBe(true);
+    });
+  });
+
+  describe('getZoneDistance', () => {
+    const graph = buildZoneGraph([
+      zone('airlock', ['corridor']),
+      zone('corridor', ['medlab', 'bridge']),
+      zone('medlab'),
+      zone('bridge'),
+      zone('cargo')
+    ]);
+
+    test('returns 0 for the same zone', () => {
+      expect(getZoneDistance(graph, ['medlab'], ['medlab'])).toBe(0);
+    });
+
+    test('counts the shortest number of hops', () => {
+      expect(getZoneDistance(graph, ['airlock'], ['bridge'])).toBe(2);
+    });
+
+    test('uses the closest of several overlapping zones', () => {
+      expect(getZoneDistance(graph, ['airlock', 'medlab'], ['corridor'])).toBe(1);
+    });
+
+    test('returns null for unconnected zones', () => {
+      expect(getZoneDistance(graph, ['airlock'], ['cargo'])).toBeNull();
+    });
+
+    test('returns null when a token is outside every zone', () => {
+      expect(getZoneDistance(graph, [], ['cargo'])).toBeNull();
+    });
+  });
+
+  describe('getRegionBounds', () => {
+    test('spans every solid shape and ignores holes', () => {
+      const region = zone('a', [], [
+        rect(0, 0, 100, 100),
+        rect(300, 50, 100, 100),
+        rect(1000, 1000, 50, 50, { hole: true })
+      ]);
+      expect(getRegionBounds(region)).toEqual({ x: 0, y: 0, width: 400, height: 150 });
+    });
+
+    test('returns null without shapes', () => {
+      expect(getRegionBounds(zone('a'))).toBeNull();
+    });
+  });
+
+  describe('getRegionCenter', () => {
+    test('returns the center of a single shape', () => {
+      expect(getRegionCenter(zone('a', [], [rect(0, 0, 200, 100)]))).toEqual({ x: 100, y: 50 });
+    });
+
+    test('spans every solid shape and ignores holes', () => {
+      const region = zone('a', [], [
+        rect(0, 0, 100, 100),
+        rect(300, 0, 100, 100),
+        rect(1000, 1000, 50, 50, { hole: true })
+      ]);
+      expect(getRegionCenter(region)).toEqual({ x: 200, y: 50 });
+    });
+
+    test('returns null without shapes', () => {
+      expect(getRegionCenter(zone('a'))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  appendLogEntries,
+  buildLogCsv,
+  filterLogEntries,
+  formatWorldTime,
+  LOG_EVENTS
+} from '../scripts/lib/zoneLog.js';
+
+describe('Zone Event Log', () => {
+  const log = [
+    { type: LOG_EVENTS.ENTER, tokenId: 'ripley', zoneId: 'bay' },
+    { type: LOG_EVENTS.HAZARD, tokenId: 'ripley', zoneId: 'bay' },
+    { type: LOG_EVENTS.ENTER, tokenId: 'hicks', zoneId: 'lab' },
+    { type: LOG_EVENTS.ATMOSPHERE, tokenId: null, zoneId: 'lab' }
+  ];
+
+  describe('appendLogEntries', () => {
+    test('adds entries at the end', () => {
+      expect(appendLogEntries([{ id: 1 }], [{ id: 2 }, { id: 3 }])).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    });
+
+    test('drops the oldest entries past the size limit', () => {
+      expect(appendLogEntries([{ id: 1 }, { id: 2 }], [{ id: 3 }], 2)).toEqual([{ id: 2 }, { id: 3 }]);
+    });
+
+    test('starts an empty log', () => {
+      expect(appendLogEntries(undefined, [{ id: 1 }])).toEqual([{ id: 1 }]);
+    });
+  });
+
+  describe('filterLogEntries', () => {
+    test('keeps everything without filters', () => {
+      expect(filterLogEntries(log)).toHaveLength(4);
+      expect(filterLogEntries(log, { tokenId: 'any', zoneId: 'any', type: 'any' })).toHaveLength(4);
+    });
+
+    test('filters by token', () => {
+      expect(filterLogEntries(log, { tokenId: 'ripley' })).toEqual(log.slice(0, 2));
+    });
+
+    test('filters by zone and kind of event', () => {
+      expect(filterLogEntries(log, { zoneId: 'lab', type: LOG_EVENTS.ATMOSPHERE })).toEqual([log[3]]);
+    });
+  });
+
+  describe('formatWorldTime', () => {
+    test('formats hours, minutes and seconds', () => {
+      expect(formatWorldTime(3723)).toBe('01:02:03');
+    });
+
+    test('adds days', () => {
+      expect(formatWorldTime(2 * 86400 + 600)).toBe('2d 00:10:00');
+    });
+
+    test('treats missing time as zero', () => {
+      expect(formatWorldTime(undefined)).toBe('00:00:00');
+    });
+  });
+
+  describe('buildLogCsv', () => {
+    const labels = {
+      headers: ['Time', 'World Time', 'Round', 'Event', 'Token', 'Zone', 'Details', 'Reverted'],
+      events: { [LOG_EVENTS.ENTER]: 'Entered' }
+    };
+
+    test('writes a header and a row per entry', () => {
+      const csv = buildLogCsv([
+        { type: LOG_EVENTS.ENTER, timestamp: 0, worldTime: 60, round: 2, tokenName: 'Ripley', zoneName: 'Bay', detail: '' }
+      ], labels);
+      expect(csv.split('\r\n')).toEqual([
+        'Time,World Time,Round,Event,Token,Zone,Details,Reverted',
+        '1970-01-01T00:00:00.000Z,00:01:00,2,Entered,Ripley,Bay,,'
+      ]);
+    });
+
+    test('quotes fields with commas and quotes', () => {
+      const csv = buildLogCsv([
+        { type: LOG_EVENTS.HAZARD, timestamp: 0, worldTime: 0, tokenName: 'Ripley', zoneName: 'Bay, "B"', detail: 'x', reverted: true }
+      ], labels);
+      expect(csv.split('\r\n')[1]).toBe('1970-01-01T00:00:00.000Z,00:00:00,,hazard,Ripley,"Bay, ""B""",x,x');
+    });
+  });
+});
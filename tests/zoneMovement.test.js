@@ -0,0 +1,53 @@
+import { describe, expect, test } from '@jest/globals';
+import { countZoneTransitions, getMovementUsed } from '../scripts/lib/zoneMovement.js';
+import { buildZoneGraph } from '../scripts/lib/zoneGraph.js';
+
+const zone = (id, adjacentZones = []) => ({
+  id,
+  shapes: [],
+  flags: { "alien-zones": { isAlienZone: true, adjacentZones } }
+});
+
+// corridor - airlock - hangar, plus an unconnected vent
+const graph = buildZoneGraph([
+  zone("corridor", ["airlock"]),
+  zone("airlock", ["hangar"]),
+  zone("hangar"),
+  zone("vent")
+], { autoDetect: false });
+
+describe('Zone Movement', () => {
+  describe('countZoneTransitions', () => {
+    test('returns 0 when no zone was entered', () => {
+      expect(countZoneTransitions(graph, new Set(["corridor"]), new Set(["corridor"]))).toBe(0);
+      expect(countZoneTransitions(graph, new Set(["corridor"]), new Set())).toBe(0);
+    });
+
+    test('counts a move into an adjacent zone as one', () => {
+      expect(countZoneTransitions(graph, new Set(["corridor"]), new Set(["airlock"]))).toBe(1);
+    });
+
+    test('counts every zone passed through on the way', () => {
+      expect(countZoneTransitions(graph, new Set(["corridor"]), new Set(["hangar"]))).toBe(2);
+    });
+
+    test('counts each entered zone once when the zones are not connected', () => {
+      expect(countZoneTransitions(graph, new Set(["corridor"]), new Set(["vent"]))).toBe(1);
+      expect(countZoneTransitions(graph, new Set(), new Set(["airlock", "vent"]))).toBe(2);
+    });
+  });
+
+  describe('getMovementUsed', () => {
+    test('returns the moves used in the current round', () => {
+      expect(getMovementUsed({ round: 3, used: 2 }, 3)).toBe(2);
+    });
+
+    test('resets in a new round', () => {
+      expect(getMovementUsed({ round: 2, used: 2 }, 3)).toBe(0);
+    });
+
+    test('returns 0 without stored movement', () => {
+      expect(getMovementUsed(undefined, 1)).toBe(0);
+    });
+  });
+});
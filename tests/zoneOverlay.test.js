@@ -0,0 +1,60 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  countVisibleOccupants,
+  DEFAULT_PLAYER_LAYERS,
+  getShownLayers,
+  getZoneHazardIcons,
+  OVERLAY_LAYERS
+} from '../scripts/lib/zoneOverlay.js';
+import { ATMOSPHERE } from '../scripts/lib/zoneTypes.js';
+
+describe('Zone Overlay', () => {
+  describe('getShownLayers', () => {
+    test('shows every layer to the GM', () => {
+      const layers = getShownLayers({ names: false, hazards: false, occupancy: false }, true);
+      expect([...layers]).toEqual(Object.values(OVERLAY_LAYERS));
+    });
+
+    test('shows players the layers the GM allows', () => {
+      const layers = getShownLayers({ names: true, hazards: false, occupancy: true }, false);
+      expect([...layers]).toEqual([OVERLAY_LAYERS.NAMES, OVERLAY_LAYERS.OCCUPANCY]);
+    });
+
+    test('falls back to the default player layers', () => {
+      const layers = getShownLayers(undefined, false);
+      expect(layers.has(OVERLAY_LAYERS.NAMES)).toBe(DEFAULT_PLAYER_LAYERS.names);
+      expect(layers.has(OVERLAY_LAYERS.OCCUPANCY)).toBe(false);
+    });
+  });
+
+  describe('getZoneHazardIcons', () => {
+    test('shows the zone type icon in breathable air', () => {
+      expect(getZoneHazardIcons("fas fa-fire", ATMOSPHERE.PRESSURIZED)).toEqual(["fas fa-fire"]);
+    });
+
+    test('adds an icon for a failing atmosphere', () => {
+      expect(getZoneHazardIcons("fas fa-fire", ATMOSPHERE.VENTING)).toEqual(["fas fa-fire", "fas fa-wind"]);
+      expect(getZoneHazardIcons(undefined, ATMOSPHERE.VACUUM)).toHaveLength(1);
+    });
+
+    test('shows nothing for a safe basic zone', () => {
+      expect(getZoneHazardIcons(undefined, ATMOSPHERE.PRESSURIZED)).toEqual([]);
+    });
+
+    test('does not repeat icons', () => {
+      expect(getZoneHazardIcons("fas fa-wind", ATMOSPHERE.VENTING)).toEqual(["fas fa-wind"]);
+    });
+  });
+
+  describe('countVisibleOccupants', () => {
+    const tokens = [{ hidden: false }, { hidden: true }, { hidden: false }];
+
+    test('counts every token for the GM', () => {
+      expect(countVisibleOccupants(tokens, true)).toBe(3);
+    });
+
+    test('leaves hidden tokens out for players', () => {
+      expect(countVisibleOccupants(tokens, false)).toBe(2);
+    });
+  });
+});
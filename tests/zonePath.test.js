@@ -0,0 +1,74 @@
+import { describe, expect, test } from '@jest/globals';
+import { samplePath, buildPathZoneEvents, findHazardStop } from '../scripts/lib/zonePath.js';
+import { ZONE_ACTIONS } from '../scripts/lib/zoneAuthority.js';
+
+describe('Movement Paths', () => {
+  describe('samplePath', () => {
+    test('keeps a single point', () => {
+      expect(samplePath([{ x: 10, y: 20 }], 50)).toEqual([{ x: 10, y: 20, elevation: 0 }]);
+    });
+
+    test('splits long segments into steps no longer than the step size', () => {
+      const samples = samplePath([{ x: 0, y: 0 }, { x: 200, y: 0 }], 50);
+      expect(samples.map(p => p.x)).toEqual([0, 50, 100, 150, 200]);
+    });
+
+    test('passes through every waypoint', () => {
+      const samples = samplePath([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }], 100);
+      expect(samples).toEqual([
+        { x: 0, y: 0, elevation: 0 },
+        { x: 100, y: 0, elevation: 0 },
+        { x: 100, y: 100, elevation: 0 }
+      ]);
+    });
+
+    test('skips repeated points', () => {
+      expect(samplePath([{ x: 0, y: 0 }, { x: 0, y: 0 }], 50)).toHaveLength(1);
+    });
+
+    test('interpolates elevation', () => {
+      const samples = samplePath([{ x: 0, y: 0, elevation: 0 }, { x: 100, y: 0, elevation: 10 }], 50);
+      expect(samples[1].elevation).toBe(5);
+    });
+  });
+
+  describe('buildPathZoneEvents', () => {
+    test('returns no events when the zones do not change', () => {
+      expect(buildPathZoneEvents([new Set(["a"]), new Set(["a"])])).toEqual([]);
+    });
+
+    test('enters and leaves a zone passed through on the way', () => {
+      const events = buildPathZoneEvents([new Set(["corridor"]), new Set(["airlock"]), new Set(["hangar"])]);
+      expect(events).toEqual([
+        { action: ZONE_ACTIONS.EXIT, regionId: "corridor" },
+        { action: ZONE_ACTIONS.ENTER, regionId: "airlock" },
+        { action: ZONE_ACTIONS.EXIT, regionId: "airlock" },
+        { action: ZONE_ACTIONS.ENTER, regionId: "hangar" }
+      ]);
+    });
+
+    test('falls back to a plain before and after comparison', () => {
+      expect(buildPathZoneEvents([new Set(), new Set(["a"])])).toEqual([
+        { action: ZONE_ACTIONS.ENTER, regionId: "a" }
+      ]);
+    });
+  });
+
+  describe('findHazardStop', () => {
+    const isHazard = (id) => id === "fire";
+
+    test('returns the first point inside a newly entered hazard', () => {
+      const states = [new Set(), new Set(["hall"]), new Set(["hall", "fire"]), new Set(["fire"])];
+      expect(findHazardStop(states, isHazard)).toBe(2);
+    });
+
+    test('ignores a hazard the token starts in', () => {
+      const states = [new Set(["fire"]), new Set(["fire"]), new Set(["hall"])];
+      expect(findHazardStop(states, isHazard)).toBe(-1);
+    });
+
+    test('returns -1 when no hazard is on the path', () => {
+      expect(findHazardStop([new Set(), new Set(["hall"])], isHazard)).toBe(-1);
+    });
+  });
+});
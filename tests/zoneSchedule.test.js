@@ -0,0 +1,111 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  advanceSchedule,
+  normalizeScheduledChange,
+  SCHEDULE_TRIGGERS,
+  stepHazardSpread
+} from '../scripts/lib/zoneSchedule.js';
+import { TURN_SECONDS } from '../scripts/lib/zoneTypes.js';
+
+describe('Zone Schedule', () => {
+  describe('normalizeScheduledChange', () => {
+    test('keeps the rounds of a round countdown', () => {
+      expect(normalizeScheduledChange({ trigger: SCHEDULE_TRIGGERS.ROUNDS, rounds: '5', zoneType: 'fire' }, 0))
+        .toEqual({ trigger: 'rounds', rounds: 5, zoneType: 'fire', label: '', countdown: false });
+    });
+
+    test('turns a delay into a world time', () => {
+      const change = normalizeScheduledChange({ trigger: SCHEDULE_TRIGGERS.WORLD_TIME, delay: 600, intensity: 2 }, 1000);
+      expect(change.at).toBe(1600);
+      expect(change.intensity).toBe(2);
+    });
+
+    test('switches to a basic zone for an empty zone type', () => {
+      expect(normalizeScheduledChange({ trigger: SCHEDULE_TRIGGERS.MANUAL, zoneType: '' }, 0).zoneType).toBeNull();
+    });
+
+    test('rejects changes that change nothing or never happen', () => {
+      expect(() => normalizeScheduledChange({ trigger: SCHEDULE_TRIGGERS.MANUAL }, 0)).toThrow();
+      expect(() => normalizeScheduledChange({ trigger: SCHEDULE_TRIGGERS.ROUNDS, rounds: 0, zoneType: 'fire' }, 0)).toThrow();
+      expect(() => normalizeScheduledChange({ trigger: 'never', zoneType: 'fire' }, 0)).toThrow();
+    });
+  });
+
+  describe('advanceSchedule', () => {
+    const rounds = { id: 'a', trigger: SCHEDULE_TRIGGERS.ROUNDS, rounds: 2, countdown: true };
+    const timed = { id: 'b', trigger: SCHEDULE_TRIGGERS.WORLD_TIME, at: 3 * TURN_SECONDS, countdown: true };
+    const manual = { id: 'c', trigger: SCHEDULE_TRIGGERS.MANUAL };
+
+    test('counts down rounds and announces them', () => {
+      const result = advanceSchedule([rounds, manual], { rounds: 1 });
+      expect(result.schedule).toEqual([{ ...rounds, rounds: 1 }, manual]);
+      expect(result.due).toEqual([]);
+      expect(result.countdowns).toEqual([{ change: rounds, remaining: 1 }]);
+    });
+
+    test('makes changes whose rounds are up', () => {
+      const result = advanceSchedule([{ ...rounds, rounds: 1 }], { rounds: 1 });
+      expect(result.schedule).toEqual([]);
+      expect(result.due).toHaveLength(1);
+    });
+
+    test('makes changes once their world time is reached', () => {
+      const result = advanceSchedule([timed], { from: 0, to: 3 * TURN_SECONDS });
+      expect(result.due).toEqual([timed]);
+    });
+
+    test('announces world time countdowns once per Turn', () => {
+      expect(advanceSchedule([timed], { from: 0, to: TURN_SECONDS }).countdowns).toHaveLength(1);
+      expect(advanceSchedule([timed], { from: TURN_SECONDS, to: TURN_SECONDS + 60 }).countdowns).toHaveLength(0);
+    });
+
+    test('leaves the schedule alone without progress', () => {
+      const result = advanceSchedule([rounds, timed, manual]);
+      expect(result.schedule).toEqual([rounds, timed, manual]);
+      expect(result.due).toEqual([]);
+    });
+  });
+
+  describe('stepHazardSpread', () => {
+    const graph = new Map([
+      ['a', new Set(['b'])],
+      ['b', new Set(['a', 'c'])],
+      ['c', new Set(['b'])]
+    ]);
+    const zones = (fire) => [
+      { id: 'a', zoneType: 'fire', intensity: 2, ...fire },
+      { id: 'b', zoneType: null },
+      { id: 'c', zoneType: null }
+    ];
+
+    test('counts down before spreading', () => {
+      const { updates, spread } = stepHazardSpread(zones({ spreadEvery: 2 }), graph);
+      expect(updates).toEqual({ a: { spreadIn: 1 } });
+      expect(spread).toEqual([]);
+    });
+
+    test('spreads to connected zones only', () => {
+      const { updates, spread } = stepHazardSpread(zones({ spreadEvery: 2, spreadIn: 1 }), graph);
+      expect(spread).toEqual([{ from: 'a', to: 'b' }]);
+      expect(updates.b).toEqual({ zoneType: 'fire', intensity: 2, spreadEvery: 2, spreadIn: 2 });
+      expect(updates.a).toEqual({ spreadIn: 2 });
+      expect(updates.c).toBeUndefined();
+    });
+
+    test('leaves zones with the same hazard at least as intense', () => {
+      const list = zones({ spreadEvery: 1 });
+      list[1] = { id: 'b', zoneType: 'fire', intensity: 3 };
+      expect(stepHazardSpread(list, graph).spread).toEqual([]);
+    });
+
+    test('does not overwrite a zone spreading another hazard', () => {
+      const list = zones({ spreadEvery: 1 });
+      list[1] = { id: 'b', zoneType: 'toxic', spreadEvery: 3 };
+      expect(stepHazardSpread(list, graph).spread).toEqual([]);
+    });
+
+    test('ignores zones that do not spread', () => {
+      expect(stepHazardSpread(zones({}), graph)).toEqual({ updates: {}, spread: [] });
+    });
+  });
+});
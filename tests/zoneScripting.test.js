@@ -0,0 +1,40 @@
+import { describe, expect, test } from '@jest/globals';
+import { getDropCandidates, pickDropPosition, ZONE_HOOKS } from '../scripts/lib/zoneScripting.js';
+
+describe('Scripting', () => {
+  test('names its hooks under alienZones', () => {
+    expect(Object.values(ZONE_HOOKS)).toEqual(["alienZones.enter", "alienZones.exit", "alienZones.hazardResolved"]);
+  });
+
+  describe('getDropCandidates', () => {
+    const size = { width: 100, height: 100 };
+
+    test('lists grid positions closest to the center first', () => {
+      const candidates = getDropCandidates({ x: 0, y: 0, width: 300, height: 300 }, 100, size);
+      expect(candidates[0]).toEqual({ x: 100, y: 100 });
+      expect(candidates).toContainEqual({ x: 0, y: 0 });
+      expect(candidates).toContainEqual({ x: 200, y: 200 });
+    });
+
+    test('snaps to the grid', () => {
+      const candidates = getDropCandidates({ x: 150, y: 150, width: 100, height: 100 }, 100, size);
+      expect(candidates.every(({ x, y }) => x % 100 === 0 && y % 100 === 0)).toBe(true);
+    });
+  });
+
+  describe('pickDropPosition', () => {
+    const candidates = [{ x: 100, y: 100 }, { x: 0, y: 100 }];
+
+    test('takes the best free position', () => {
+      expect(pickDropPosition(candidates, new Set(['100,100']))).toEqual({ x: 0, y: 100 });
+    });
+
+    test('shares the best position when every one is taken', () => {
+      expect(pickDropPosition(candidates, new Set(['100,100', '0,100']))).toEqual({ x: 100, y: 100 });
+    });
+
+    test('is null without candidates', () => {
+      expect(pickDropPosition([], new Set())).toBeNull();
+    });
+  });
+});
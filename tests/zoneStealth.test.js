@@ -0,0 +1,44 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  areOpposed,
+  getZoneStealthModifier,
+  staysHidden
+} from '../scripts/lib/zoneStealth.js';
+
+describe('Stealth', () => {
+  describe('areOpposed', () => {
+    test('friendly and hostile tokens oppose each other', () => {
+      expect(areOpposed(1, -1)).toBe(true);
+      expect(areOpposed(-1, 1)).toBe(true);
+    });
+
+    test('secret tokens oppose friendly ones', () => {
+      expect(areOpposed(-2, 1)).toBe(true);
+    });
+
+    test('tokens on the same side or neutral do not oppose', () => {
+      expect(areOpposed(1, 1)).toBe(false);
+      expect(areOpposed(-1, -2)).toBe(false);
+      expect(areOpposed(0, -1)).toBe(false);
+    });
+  });
+
+  describe('getZoneStealthModifier', () => {
+    test('adds cover and lighting', () => {
+      expect(getZoneStealthModifier({ coverModifier: 2, lightingModifier: -1 })).toBe(1);
+    });
+
+    test('defaults to zero', () => {
+      expect(getZoneStealthModifier()).toBe(0);
+      expect(getZoneStealthModifier({ coverModifier: "" })).toBe(0);
+    });
+  });
+
+  describe('staysHidden', () => {
+    test('needs more successes than the observer', () => {
+      expect(staysHidden(2, 1)).toBe(true);
+      expect(staysHidden(1, 1)).toBe(false);
+      expect(staysHidden(0, 0)).toBe(false);
+    });
+  });
+});
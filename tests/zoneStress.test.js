@@ -0,0 +1,27 @@
+import { describe, expect, test } from '@jest/globals';
+import { shouldApplyZoneStress } from '../scripts/lib/zoneStress.js';
+
+describe('Zone Stress', () => {
+  describe('shouldApplyZoneStress', () => {
+    test('applies Stress when the zone adds some', () => {
+      expect(shouldApplyZoneStress({ amount: 1 })).toBe(true);
+    });
+
+    test('does nothing for zones without Stress', () => {
+      expect(shouldApplyZoneStress({ amount: 0 })).toBe(false);
+      expect(shouldApplyZoneStress({ amount: NaN })).toBe(false);
+    });
+
+    test('only stresses once when limited to the first entry', () => {
+      expect(shouldApplyZoneStress({ amount: 1, firstEntryOnly: true, stressed: false })).toBe(true);
+      expect(shouldApplyZoneStress({ amount: 1, firstEntryOnly: true, stressed: true })).toBe(false);
+      expect(shouldApplyZoneStress({ amount: 1, stressed: true })).toBe(true);
+    });
+
+    test('spares characters with company when limited to lone characters', () => {
+      expect(shouldApplyZoneStress({ amount: 2, onlyIfAlone: true, companions: 0 })).toBe(true);
+      expect(shouldApplyZoneStress({ amount: 2, onlyIfAlone: true, companions: 1 })).toBe(false);
+      expect(shouldApplyZoneStress({ amount: 2, companions: 3 })).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  planSupplyConsumption,
+  appendLedgerEntry,
+  summarizeSupplyLedger,
+  SUPPLIES
+} from '../scripts/lib/zoneSupply.js';
+
+describe('Supplies', () => {
+  test('covers every Alien RPG consumable', () => {
+    expect(Object.keys(SUPPLIES)).toEqual(["Air", "Power", "Food", "Water"]);
+  });
+
+  describe('planSupplyConsumption', () => {
+    test('spends from the item holding the least first', () => {
+      const items = [{ id: 'tank', value: 4 }, { id: 'spare', value: 1 }];
+      expect(planSupplyConsumption(items, 2)).toEqual({
+        updates: [{ id: 'spare', value: 0 }, { id: 'tank', value: 3 }],
+        remaining: 0
+      });
+    });
+
+    test('only updates the items it spends from', () => {
+      const items = [{ id: 'a', value: 3 }, { id: 'b', value: 5 }];
+      expect(planSupplyConsumption(items, 2)).toEqual({ updates: [{ id: 'a', value: 1 }], remaining: 0 });
+    });
+
+    test('reports what could not be spent', () => {
+      expect(planSupplyConsumption([{ id: 'a', value: 1 }], 3)).toEqual({
+        updates: [{ id: 'a', value: 0 }],
+        remaining: 2
+      });
+    });
+
+    test('spends nothing for no amount', () => {
+      expect(planSupplyConsumption([{ id: 'a', value: 1 }], 0)).toEqual({ updates: [], remaining: 0 });
+    });
+
+    test('leaves the items it was given in order', () => {
+      const items = [{ id: 'a', value: 3 }, { id: 'b', value: 1 }];
+      planSupplyConsumption(items, 1);
+      expect(items.map(item => item.id)).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('appendLedgerEntry', () => {
+    test('adds the entry at the end', () => {
+      expect(appendLedgerEntry([{ n: 1 }], { n: 2 })).toEqual([{ n: 1 }, { n: 2 }]);
+    });
+
+    test('starts a missing ledger', () => {
+      expect(appendLedgerEntry(undefined, { n: 1 })).toEqual([{ n: 1 }]);
+    });
+
+    test('drops the oldest entries past the size limit', () => {
+      expect(appendLedgerEntry([{ n: 1 }, { n: 2 }], { n: 3 }, 2)).toEqual([{ n: 2 }, { n: 3 }]);
+    });
+  });
+
+  describe('summarizeSupplyLedger', () => {
+    test('totals rolls and spending for each supply', () => {
+      const ledger = [
+        { supplyType: 'Air', consumed: 1 },
+        { supplyType: 'Air', consumed: 0 },
+        { supplyType: 'Power', consumed: 2 }
+      ];
+      expect(summarizeSupplyLedger(ledger)).toEqual({
+        Air: { rolls: 2, consumed: 1 },
+        Power: { rolls: 1, consumed: 2 }
+      });
+    });
+
+    test('is empty for an empty ledger', () => {
+      expect(summarizeSupplyLedger([])).toEqual({});
+    });
+  });
+});
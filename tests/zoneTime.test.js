@@ -0,0 +1,51 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  TIME_UNITS,
+  ROUND_SECONDS,
+  SHIFT_SECONDS,
+  getTimeUnitSeconds,
+  splitWorldTime
+} from '../scripts/lib/zoneTime.js';
+import { TURN_SECONDS } from '../scripts/lib/zoneTypes.js';
+
+describe('Zone Time', () => {
+  describe('getTimeUnitSeconds', () => {
+    test('returns the length of each Alien RPG time scale', () => {
+      expect(getTimeUnitSeconds(TIME_UNITS.ROUND)).toBe(ROUND_SECONDS);
+      expect(getTimeUnitSeconds(TIME_UNITS.TURN)).toBe(TURN_SECONDS);
+      expect(getTimeUnitSeconds(TIME_UNITS.SHIFT)).toBe(SHIFT_SECONDS);
+    });
+
+    test('fits four Shifts in a day', () => {
+      expect(SHIFT_SECONDS * 4).toBe(24 * 60 * 60);
+    });
+
+    test('rejects unknown units', () => {
+      expect(() => getTimeUnitSeconds("fortnight")).toThrow();
+    });
+  });
+
+  describe('splitWorldTime', () => {
+    test('starts on the first Round of the first Turn, Shift and day', () => {
+      expect(splitWorldTime(0)).toEqual({ day: 1, shift: 1, turn: 1, round: 1 });
+    });
+
+    test('counts Rounds within the Turn', () => {
+      expect(splitWorldTime(ROUND_SECONDS * 3)).toEqual({ day: 1, shift: 1, turn: 1, round: 4 });
+    });
+
+    test('counts Turns within the Shift and Shifts within the day', () => {
+      const worldTime = (SHIFT_SECONDS * 2) + (TURN_SECONDS * 5) + ROUND_SECONDS;
+      expect(splitWorldTime(worldTime)).toEqual({ day: 1, shift: 3, turn: 6, round: 2 });
+    });
+
+    test('rolls over to the next day after four Shifts', () => {
+      expect(splitWorldTime(SHIFT_SECONDS * 5)).toEqual({ day: 2, shift: 2, turn: 1, round: 1 });
+    });
+
+    test('treats negative or missing world time as the start', () => {
+      expect(splitWorldTime(-50)).toEqual({ day: 1, shift: 1, turn: 1, round: 1 });
+      expect(splitWorldTime(undefined)).toEqual({ day: 1, shift: 1, turn: 1, round: 1 });
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, expect, test } from '@jest/globals';
+import { getBearing, isWithinTrackerRange, planTrackerPings, blocksTracker } from '../scripts/lib/zoneTracker.js';
+import { RANGE_BANDS } from '../scripts/lib/zoneGraph.js';
+
+describe('Motion Tracker', () => {
+  describe('getBearing', () => {
+    test('points up the scene for north', () => {
+      expect(getBearing({ x: 100, y: 100 }, { x: 100, y: 0 })).toBe(0);
+    });
+
+    test('measures clockwise', () => {
+      expect(getBearing({ x: 100, y: 100 }, { x: 200, y: 100 })).toBe(90);
+      expect(getBearing({ x: 100, y: 100 }, { x: 100, y: 200 })).toBe(180);
+      expect(getBearing({ x: 100, y: 100 }, { x: 0, y: 100 })).toBe(270);
+    });
+
+    test('rounds to the nearest 45 degrees', () => {
+      expect(getBearing({ x: 0, y: 0 }, { x: 100, y: -90 })).toBe(45);
+      expect(getBearing({ x: 0, y: 0 }, { x: -10, y: -100 })).toBe(0);
+    });
+
+    test('rounds to a custom step', () => {
+      expect(getBearing({ x: 0, y: 0 }, { x: 100, y: 10 }, 90)).toBe(90);
+    });
+  });
+
+  describe('isWithinTrackerRange', () => {
+    test('accepts bands up to the maximum', () => {
+      expect(isWithinTrackerRange(RANGE_BANDS.SHORT, RANGE_BANDS.LONG)).toBe(true);
+      expect(isWithinTrackerRange(RANGE_BANDS.LONG, RANGE_BANDS.LONG)).toBe(true);
+    });
+
+    test('rejects bands beyond the maximum', () => {
+      expect(isWithinTrackerRange(RANGE_BANDS.EXTREME, RANGE_BANDS.LONG)).toBe(false);
+      expect(isWithinTrackerRange(RANGE_BANDS.LONG, RANGE_BANDS.MEDIUM)).toBe(false);
+    });
+
+    test('rejects unconnected zones', () => {
+      expect(isWithinTrackerRange(null, RANGE_BANDS.EXTREME)).toBe(false);
+    });
+  });
+
+  describe('planTrackerPings', () => {
+    const graph = new Map([
+      ['a', new Set(['b'])],
+      ['b', new Set(['a', 'c'])],
+      ['c', new Set(['b'])],
+      ['d', new Set()]
+    ]);
+    const origin = { x: 500, y: 0 };
+
+    test('pings carriers within range with band and bearing', () => {
+      const pings = planTrackerPings({
+        graph,
+        zoneIds: ['c'],
+        origin,
+        carriers: [{ tokenId: 't1', zoneIds: ['b'], center: { x: 0, y: 0 } }],
+        maxBand: RANGE_BANDS.LONG
+      });
+      expect(pings).toEqual([{ tokenId: 't1', band: RANGE_BANDS.MEDIUM, bearing: 90 }]);
+    });
+
+    test('skips carriers out of range or in unconnected zones', () => {
+      const pings = planTrackerPings({
+        graph,
+        zoneIds: ['c'],
+        origin,
+        carriers: [
+          { tokenId: 'far', zoneIds: ['a'], center: { x: 0, y: 0 } },
+          { tokenId: 'cut-off', zoneIds: ['d'], center: { x: 0, y: 0 } },
+          { tokenId: 'near', zoneIds: ['c'], center: { x: 500, y: 500 } }
+        ],
+        maxBand: RANGE_BANDS.MEDIUM
+      });
+      expect(pings).toEqual([{ tokenId: 'near', band: RANGE_BANDS.SHORT, bearing: 0 }]);
+    });
+  });
+
+  describe('blocksTracker', () => {
+    test('reads the zone flag', () => {
+      expect(blocksTracker({ flags: { 'alien-zones': { blocksTracker: true } } })).toBe(true);
+      expect(blocksTracker({ flags: { 'alien-zones': {} } })).toBe(false);
+      expect(blocksTracker(undefined)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  getRestoreValues,
+  planRestore,
+  appendTransaction,
+  findRevertedTransaction,
+  REVERT_WINDOW
+} from '../scripts/lib/zoneTransactions.js';
+
+describe('Zone Transactions', () => {
+  describe('getRestoreValues', () => {
+    const source = { system: { attributes: { airsupply: { value: 4 } } }, flags: {} };
+
+    test('reads the previous value of each path', () => {
+      expect(getRestoreValues(source, ['system.attributes.airsupply.value'])).toEqual({
+        'system.attributes.airsupply.value': 4
+      });
+    });
+
+    test('restores missing values as null', () => {
+      expect(getRestoreValues(source, ['flags.alien-zones.supplyLedger'])).toEqual({
+        'flags.alien-zones.supplyLedger': null
+      });
+    });
+
+    test('leaves out ids, metadata and deletions', () => {
+      expect(getRestoreValues(source, ['_id', '_stats.modifiedTime', 'flags.alien-zones.-=sneaking'])).toEqual({});
+    });
+  });
+
+  describe('planRestore', () => {
+    test('restores values to before the first update', () => {
+      const restores = planRestore([
+        { uuid: 'Item.a', changes: { 'system.value': 4 } },
+        { uuid: 'Item.a', changes: { 'system.value': 3, 'system.other': 1 } }
+      ]);
+      expect(restores.get('Item.a')).toEqual({ 'system.value': 4, 'system.other': 1 });
+    });
+
+    test('keeps each document apart', () => {
+      const restores = planRestore([
+        { uuid: 'Item.a', changes: { 'system.value': 4 } },
+        { uuid: 'Item.b', changes: { 'system.value': 2 } }
+      ]);
+      expect([...restores.keys()]).toEqual(['Item.a', 'Item.b']);
+    });
+  });
+
+  describe('appendTransaction', () => {
+    test('drops the oldest transactions past the limit', () => {
+      expect(appendTransaction([{ id: 1 }, { id: 2 }], { id: 3 }, 2)).toEqual([{ id: 2 }, { id: 3 }]);
+    });
+
+    test('starts a missing list', () => {
+      expect(appendTransaction(undefined, { id: 1 })).toEqual([{ id: 1 }]);
+    });
+  });
+
+  describe('findRevertedTransaction', () => {
+    const transactions = [
+      { id: 'old', from: { x: 0, y: 0 }, to: { x: 100, y: 0 }, time: 0, reverted: false },
+      { id: 'last', from: { x: 100, y: 0 }, to: { x: 200, y: 0 }, time: 1000, reverted: false }
+    ];
+    const move = { position: { x: 200, y: 0 }, destination: { x: 100, y: 0 }, isUndo: false, now: 2000 };
+
+    test('reverts the last move when undone', () => {
+      expect(findRevertedTransaction(transactions, { ...move, destination: { x: 0, y: 0 }, isUndo: true }).id).toBe('last');
+    });
+
+    test('reverts the last move when dragged straight back', () => {
+      expect(findRevertedTransaction(transactions, move).id).toBe('last');
+    });
+
+    test('ignores moves back after the revert window', () => {
+      expect(findRevertedTransaction(transactions, { ...move, now: 1000 + REVERT_WINDOW + 1 })).toBeNull();
+    });
+
+    test('ignores moves back when turned off', () => {
+      expect(findRevertedTransaction(transactions, { ...move, allowMoveBack: false })).toBeNull();
+    });
+
+    test('ignores moves elsewhere', () => {
+      expect(findRevertedTransaction(transactions, { ...move, destination: { x: 300, y: 0 } })).toBeNull();
+    });
+
+    test('ignores tokens moved since the transaction', () => {
+      expect(findRevertedTransaction(transactions, { ...move, position: { x: 250, y: 0 }, isUndo: true })).toBeNull();
+    });
+
+    test('skips reverted transactions', () => {
+      const reverted = [transactions[0], { ...transactions[1], reverted: true }];
+      expect(findRevertedTransaction(reverted, {
+        ...move,
+        position: { x: 100, y: 0 },
+        destination: { x: 0, y: 0 },
+        now: 500
+      }).id).toBe('old');
+    });
+
+    test('ignores transactions without a move', () => {
+      expect(findRevertedTransaction([{ id: 'card', from: null, to: null, time: 0 }], { ...move, isUndo: true })).toBeNull();
+    });
+  });
+});
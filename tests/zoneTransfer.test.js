@@ -0,0 +1,159 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  ZONE_EXPORT_FORMAT,
+  ZONE_EXPORT_VERSION,
+  getCopyableZoneSettings,
+  buildZoneSettingsUpdate,
+  buildZoneExport,
+  validateZoneExport,
+  transformShape,
+  planZoneImport
+} from '../scripts/lib/zoneTransfer.js';
+
+const region = (id, flags, shapes = []) => ({
+  id,
+  name: `Zone ${id}`,
+  color: "#ff0000",
+  shapes,
+  flags: { "alien-zones": flags }
+});
+
+describe('Zone Transfer', () => {
+  describe('getCopyableZoneSettings', () => {
+    test('leaves out connections and play state', () => {
+      const flags = {
+        isAlienZone: true,
+        zoneType: "fire",
+        intensity: 4,
+        adjacentZones: ["b"],
+        visitedBy: ["actor"],
+        pendingZoneEvents: [{ action: "enter" }]
+      };
+      expect(getCopyableZoneSettings(flags)).toEqual({ isAlienZone: true, zoneType: "fire", intensity: 4 });
+    });
+
+    test('leaves out scheduled changes and the hazard spread countdown', () => {
+      const flags = {
+        zoneType: "fire",
+        spreadEvery: 2,
+        spreadIn: 1,
+        schedule: [{ id: "boom", trigger: "rounds", rounds: 5, zoneType: "fire" }]
+      };
+      expect(getCopyableZoneSettings(flags)).toEqual({ zoneType: "fire", spreadEvery: 2 });
+    });
+
+    test('does not share objects with the source flags', () => {
+      const flags = { effects: [{ name: "Burning" }] };
+      const settings = getCopyableZoneSettings(flags);
+      settings.effects[0].name = "Changed";
+      expect(flags.effects[0].name).toBe("Burning");
+    });
+  });
+
+  describe('buildZoneSettingsUpdate', () => {
+    test('removes settings the new ones do not have but keeps connections', () => {
+      const current = { zoneType: "fire", intensity: 6, adjacentZones: ["b"], visitedBy: ["actor"] };
+      expect(buildZoneSettingsUpdate(current, { zoneType: "cold" })).toEqual({
+        zoneType: "cold",
+        "-=intensity": null
+      });
+    });
+  });
+
+  describe('buildZoneExport', () => {
+    test('writes a versioned file without play state', () => {
+      const data = buildZoneExport(
+        [region("a", { isAlienZone: true, zoneType: "toxic", visitedBy: ["actor"], adjacentZones: ["b"] })],
+        { name: "Hadley's Hope", gridSize: 100 }
+      );
+
+      expect(data.format).toBe(ZONE_EXPORT_FORMAT);
+      expect(data.version).toBe(ZONE_EXPORT_VERSION);
+      expect(data.scene).toEqual({ name: "Hadley's Hope", gridSize: 100 });
+      expect(data.zones[0]).toMatchObject({
+        id: "a",
+        name: "Zone a",
+        color: "#ff0000",
+        flags: { isAlienZone: true, zoneType: "toxic", adjacentZones: ["b"] }
+      });
+      expect(data.zones[0].flags.visitedBy).toBeUndefined();
+    });
+
+    test('does not export scheduled changes', () => {
+      const data = buildZoneExport(
+        [region("a", { isAlienZone: true, spreadIn: 2, schedule: [{ id: "boom", trigger: "manual" }] })],
+        { name: "Sevastopol", gridSize: 100 }
+      );
+      expect(data.zones[0].flags).toEqual({ isAlienZone: true });
+    });
+
+    test('reads the id of plain region data', () => {
+      const data = buildZoneExport([{ _id: "x", name: "X", shapes: [], flags: {} }]);
+      expect(data.zones[0].id).toBe("x");
+    });
+  });
+
+  describe('validateZoneExport', () => {
+    test('accepts a current export', () => {
+      const data = buildZoneExport([]);
+      expect(validateZoneExport(data)).toBe(data);
+    });
+
+    test('rejects other files', () => {
+      expect(() => validateZoneExport({ foo: "bar" })).toThrow();
+      expect(() => validateZoneExport(null)).toThrow();
+    });
+
+    test('rejects files from a newer version', () => {
+      const data = { ...buildZoneExport([]), version: ZONE_EXPORT_VERSION + 1 };
+      expect(() => validateZoneExport(data)).toThrow(/version/);
+    });
+  });
+
+  describe('transformShape', () => {
+    const transform = { scale: 2, offsetX: 10, offsetY: 20 };
+
+    test('scales and moves rectangles', () => {
+      expect(transformShape({ type: "rectangle", x: 5, y: 5, width: 10, height: 20, rotation: 45 }, transform))
+        .toEqual({ type: "rectangle", x: 20, y: 30, width: 20, height: 40, rotation: 45 });
+    });
+
+    test('scales circles and ellipses', () => {
+      expect(transformShape({ type: "circle", x: 0, y: 0, radius: 5 }, transform))
+        .toEqual({ type: "circle", x: 10, y: 20, radius: 10 });
+      expect(transformShape({ type: "ellipse", x: 1, y: 1, radiusX: 2, radiusY: 3 }, transform))
+        .toEqual({ type: "ellipse", x: 12, y: 22, radiusX: 4, radiusY: 6 });
+    });
+
+    test('moves every polygon point', () => {
+      expect(transformShape({ type: "polygon", points: [0, 0, 10, 5] }, transform).points)
+        .toEqual([10, 20, 30, 30]);
+    });
+
+    test('keeps shapes unchanged by default', () => {
+      const shape = { type: "rectangle", x: 5, y: 5, width: 10, height: 20 };
+      expect(transformShape(shape)).toEqual(shape);
+    });
+  });
+
+  describe('planZoneImport', () => {
+    const data = buildZoneExport([
+      region("a", { isAlienZone: true, adjacentZones: ["b", "missing"] }, [{ type: "circle", x: 0, y: 0, radius: 10 }]),
+      region("b", { isAlienZone: true, zoneType: "cold", adjacentZones: [] })
+    ]);
+
+    test('gives every zone a new id and rewrites connections', () => {
+      let next = 0;
+      const plan = planZoneImport(data, { generateId: () => `new${next++}` });
+
+      expect(plan.map(zone => zone._id)).toEqual(["new0", "new1"]);
+      expect(plan[0].flags["alien-zones"].adjacentZones).toEqual(["new1"]);
+      expect(plan[1].flags["alien-zones"].zoneType).toBe("cold");
+    });
+
+    test('transforms the shapes', () => {
+      const plan = planZoneImport(data, { scale: 0.5, offsetX: 100, generateId: () => "id" });
+      expect(plan[0].shapes[0]).toEqual({ type: "circle", x: 100, y: 0, radius: 5 });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  ZONE_TYPES,
+  registerZoneType,
+  unregisterZoneType,
+  getZoneTypes,
+  getZoneTypeConfig,
+  getZoneIntensity,
+  isHazardZone,
+  getZoneResolution,
+  ZONE_RESOLUTION,
+  getZoneAtmosphere,
+  isZoneUnbreathable,
+  ATMOSPHERE
+} from '../scripts/lib/zoneTypes.js';
+
+describe('Zone Type Registry', () => {
+  test('includes the built-in zone types', () => {
+    const ids = getZoneTypes().map(({ id }) => id);
+    for (const zoneType of Object.values(ZONE_TYPES)) {
+      expect(ids).toContain(zoneType);
+    }
+  });
+
+  test('falls back to the basic zone for unknown types', () => {
+    expect(getZoneTypeConfig("no-such-type")).toBe(getZoneTypeConfig(ZONE_TYPES.BASIC));
+  });
+
+  test('treats an empty zone type as the basic zone', () => {
+    expect(getZoneTypeConfig("")).toBe(getZoneTypeConfig(null));
+  });
+
+  test('registers a new zone type with defaults', () => {
+    const onEnter = async () => {};
+    registerZoneType("acid", { label: "Acid Pool", onEnter });
+
+    const config = getZoneTypeConfig("acid");
+    expect(config.label).toBe("Acid Pool");
+    expect(config.onEnter).toBe(onEnter);
+    expect(config.hasChatMessage).toBe(true);
+    expect(config.fields).toEqual([]);
+    expect(getZoneTypes().map(({ id }) => id)).toContain("acid");
+
+    unregisterZoneType("acid");
+  });
+
+  test('merges a new configuration into an existing zone type', () => {
+    registerZoneType("acid", { label: "Acid Pool", hasExitMessage: true });
+    registerZoneType("acid", { label: "Acid Lake" });
+
+    const config = getZoneTypeConfig("acid");
+    expect(config.label).toBe("Acid Lake");
+    expect(config.hasExitMessage).toBe(true);
+
+    unregisterZoneType("acid");
+  });
+
+  test('removes registered zone types', () => {
+    registerZoneType("acid", { label: "Acid Pool" });
+    expect(unregisterZoneType("acid")).toBe(true);
+    expect(getZoneTypes().map(({ id }) => id)).not.toContain("acid");
+  });
+
+  test('does not remove built-in zone types', () => {
+    expect(unregisterZoneType(ZONE_TYPES.UNBREATHABLE)).toBe(false);
+    expect(getZoneTypeConfig(ZONE_TYPES.UNBREATHABLE).label).toBe("ALIENZONE.ZoneTypes.Unbreathable");
+  });
+
+  test('rejects invalid identifiers', () => {
+    expect(() => registerZoneType("", { label: "Nothing" })).toThrow();
+    expect(() => registerZoneType(null, { label: "Nothing" })).toThrow();
+  });
+
+  test('rejects zone types without a label', () => {
+    expect(() => registerZoneType("acid", {})).toThrow();
+  });
+});
+
+describe('getZoneIntensity', () => {
+  test('uses the zone override when set', () => {
+    const region = { flags: { "alien-zones": { zoneType: "fire", intensity: 9 } } };
+    expect(getZoneIntensity(region)).toBe(9);
+  });
+
+  test('falls back to the zone type default', () => {
+    const region = { flags: { "alien-zones": { zoneType: "fire" } } };
+    expect(getZoneIntensity(region)).toBe(6);
+  });
+
+  test('is 0 for zone types without intensity', () => {
+    const region = { flags: { "alien-zones": { zoneType: null } } };
+    expect(getZoneIntensity(region)).toBe(0);
+  });
+
+  test('never returns a negative or fractional intensity', () => {
+    expect(getZoneIntensity({ flags: { "alien-zones": { zoneType: "fire", intensity: -3 } } })).toBe(0);
+    expect(getZoneIntensity({ flags: { "alien-zones": { zoneType: "fire", intensity: 2.7 } } })).toBe(2);
+  });
+
+  test('ignores values that are not numbers', () => {
+    expect(getZoneIntensity({ flags: { "alien-zones": { zoneType: "fire", intensity: "hot" } } })).toBe(0);
+  });
+});
+
+describe('isHazardZone', () => {
+  test('is true for the built-in hazard types', () => {
+    for (const zoneType of ["unbreathable", "darkness", "fire", "radiation", "toxic", "cold"]) {
+      expect(isHazardZone({ flags: { "alien-zones": { zoneType } } })).toBe(true);
+    }
+  });
+
+  test('is false for basic zones', () => {
+    expect(isHazardZone({ flags: { "alien-zones": { zoneType: null } } })).toBe(false);
+    expect(isHazardZone({ flags: {} })).toBe(false);
+  });
+
+  test('is true for basic zones without air', () => {
+    expect(isHazardZone({ flags: { "alien-zones": { zoneType: null, atmosphere: "vacuum" } } })).toBe(true);
+  });
+});
+
+describe('getZoneResolution', () => {
+  test('rolls automatically by default', () => {
+    expect(getZoneResolution("unbreathable", {})).toBe(ZONE_RESOLUTION.AUTO);
+  });
+
+  test('uses the resolution chosen for the zone type', () => {
+    expect(getZoneResolution("fire", { fire: ZONE_RESOLUTION.CARD })).toBe(ZONE_RESOLUTION.CARD);
+    expect(getZoneResolution("toxic", { fire: ZONE_RESOLUTION.CARD })).toBe(ZONE_RESOLUTION.AUTO);
+  });
+
+  test('is null for zone types without rolls', () => {
+    expect(getZoneResolution(null, {})).toBeNull();
+    expect(getZoneResolution("radiation", { radiation: ZONE_RESOLUTION.CARD })).toBeNull();
+  });
+});
+
+describe('getZoneAtmosphere', () => {
+  test('uses the atmosphere set on the zone', () => {
+    expect(getZoneAtmosphere({ flags: { "alien-zones": { atmosphere: "venting" } } })).toBe(ATMOSPHERE.VENTING);
+    expect(getZoneAtmosphere({ flags: { "alien-zones": { zoneType: "unbreathable", atmosphere: "pressurized" } } }))
+      .toBe(ATMOSPHERE.PRESSURIZED);
+  });
+
+  test('falls back to the zone type', () => {
+    expect(getZoneAtmosphere({ flags: { "alien-zones": { zoneType: "unbreathable" } } })).toBe(ATMOSPHERE.VACUUM);
+    expect(getZoneAtmosphere({ flags: { "alien-zones": { zoneType: "fire", atmosphere: "" } } })).toBe(ATMOSPHERE.PRESSURIZED);
+    expect(getZoneAtmosphere({ flags: {} })).toBe(ATMOSPHERE.PRESSURIZED);
+  });
+});
+
+describe('isZoneUnbreathable', () => {
+  test('is true for venting zones and vacuum', () => {
+    expect(isZoneUnbreathable({ flags: { "alien-zones": { atmosphere: "venting" } } })).toBe(true);
+    expect(isZoneUnbreathable({ flags: { "alien-zones": { zoneType: "unbreathable" } } })).toBe(true);
+  });
+
+  test('is false for pressurized zones', () => {
+    expect(isZoneUnbreathable({ flags: { "alien-zones": { zoneType: "unbreathable", atmosphere: "pressurized" } } })).toBe(false);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, expect, test } from '@jest/globals';
+import { countElapsedIntervals, getHazardRepeatSeconds, isCombatAdvance, isRoundAdvance } from '../scripts/lib/zoneUpkeep.js';
+import {
+  SUPPLY_INTERVALS,
+  HAZARD_INTERVALS,
+  TURN_SECONDS,
+  getSupplyInterval,
+  getHazardInterval
+} from '../scripts/lib/zoneTypes.js';
+import { SHIFT_SECONDS } from '../scripts/lib/zoneTime.js';
+
+describe('Zone Upkeep', () => {
+  describe('countElapsedIntervals', () => {
+    test('returns 0 before a full interval has passed', () => {
+      expect(countElapsedIntervals(0, TURN_SECONDS - 1, TURN_SECONDS)).toBe(0);
+    });
+
+    test('counts a single elapsed interval', () => {
+      expect(countElapsedIntervals(0, TURN_SECONDS, TURN_SECONDS)).toBe(1);
+    });
+
+    test('counts several elapsed intervals', () => {
+      expect(countElapsedIntervals(100, 100 + (TURN_SECONDS * 6) + 30, TURN_SECONDS)).toBe(6);
+    });
+
+    test('returns 0 when time goes backwards', () => {
+      expect(countElapsedIntervals(1000, 500, TURN_SECONDS)).toBe(0);
+    });
+  });
+
+  describe('getSupplyInterval', () => {
+    test('uses the zone override when set', () => {
+      const region = { flags: { "alien-zones": { zoneType: "unbreathable", supplyInterval: "turn" } } };
+      expect(getSupplyInterval(region)).toBe(SUPPLY_INTERVALS.TURN);
+    });
+
+    test('falls back to the zone type default', () => {
+      const region = { flags: { "alien-zones": { zoneType: "unbreathable" } } };
+      expect(getSupplyInterval(region)).toBe(SUPPLY_INTERVALS.ROUND);
+    });
+
+    test('only rolls on entry for zone types without a default', () => {
+      const region = { flags: { "alien-zones": { zoneType: null } } };
+      expect(getSupplyInterval(region)).toBe(SUPPLY_INTERVALS.ENTRY);
+    });
+  });
+
+  describe('getHazardInterval', () => {
+    test('uses the zone override when set', () => {
+      const region = { flags: { "alien-zones": { zoneType: "fire", hazardInterval: "shift" } } };
+      expect(getHazardInterval(region)).toBe(HAZARD_INTERVALS.SHIFT);
+    });
+
+    test('falls back to the zone type default', () => {
+      expect(getHazardInterval({ flags: { "alien-zones": { zoneType: "fire" } } })).toBe(HAZARD_INTERVALS.ROUND);
+      expect(getHazardInterval({ flags: { "alien-zones": { zoneType: "radiation" } } })).toBe(HAZARD_INTERVALS.TURN);
+    });
+
+    test('only strikes on entry for zone types without a default', () => {
+      expect(getHazardInterval({ flags: { "alien-zones": { zoneType: "toxic" } } })).toBe(HAZARD_INTERVALS.ENTRY);
+    });
+  });
+
+  describe('getHazardRepeatSeconds', () => {
+    test('repeats per-round hazards every Turn outside of combat', () => {
+      expect(getHazardRepeatSeconds(HAZARD_INTERVALS.ROUND)).toBe(TURN_SECONDS);
+      expect(getHazardRepeatSeconds(HAZARD_INTERVALS.TURN)).toBe(TURN_SECONDS);
+    });
+
+    test('repeats per-shift hazards every Shift', () => {
+      expect(getHazardRepeatSeconds(HAZARD_INTERVALS.SHIFT)).toBe(SHIFT_SECONDS);
+    });
+
+    test('never repeats hazards that only strike on entry', () => {
+      expect(getHazardRepeatSeconds(HAZARD_INTERVALS.ENTRY)).toBe(0);
+    });
+  });
+
+  describe('isCombatAdvance', () => {
+    test('counts the next turn and the next round', () => {
+      expect(isCombatAdvance({ round: 2, turn: 1 }, { round: 2, turn: 2 })).toBe(true);
+      expect(isCombatAdvance({ round: 2, turn: 3 }, { round: 3, turn: 0 })).toBe(true);
+    });
+
+    test('counts the start of combat', () => {
+      expect(isCombatAdvance({ round: 0, turn: null }, { round: 1, turn: 0 })).toBe(true);
+    });
+
+    test('ignores stepping back a turn or a round', () => {
+      expect(isCombatAdvance({ round: 2, turn: 2 }, { round: 2, turn: 1 })).toBe(false);
+      expect(isCombatAdvance({ round: 3, turn: 0 }, { round: 2, turn: 3 })).toBe(false);
+    });
+
+    test('ignores selecting the current combatant again', () => {
+      expect(isCombatAdvance({ round: 2, turn: 1 }, { round: 2, turn: 1 })).toBe(false);
+    });
+  });
+
+  describe('isRoundAdvance', () => {
+    test('counts the next round', () => {
+      expect(isRoundAdvance({ round: 1 }, { round: 2 })).toBe(true);
+    });
+
+    test('ignores the start of combat', () => {
+      expect(isRoundAdvance({ round: 0 }, { round: 1 })).toBe(false);
+      expect(isRoundAdvance(null, { round: 1 })).toBe(false);
+    });
+
+    test('ignores going back a round', () => {
+      expect(isRoundAdvance({ round: 3 }, { round: 2 })).toBe(false);
+    });
+  });
+});